@@ -0,0 +1,77 @@
+// Catálogo de permisos del sistema con formato recurso:acción
+export const PERMISOS = {
+  'campos:manage': 'Configurar los campos personalizados de clientes, eventos y notas',
+  'clientes:read': 'Ver clientes',
+  'clientes:write': 'Crear y editar clientes, notas e interacciones de clientes',
+  'clientes:delete': 'Eliminar clientes',
+  'clientes:privacy': 'Exportar y anonimizar los datos personales de clientes (acceso y supresión)',
+  'clientes:merge': 'Fusionar clientes duplicados',
+  'clientes:import': 'Importar clientes desde archivos CSV o XLSX',
+  'clientes:export': 'Exportar listados de clientes en CSV, XLSX o vCard',
+  'eventos:read': 'Ver eventos',
+  'eventos:write': 'Crear y editar eventos',
+  'eventos:delete': 'Eliminar eventos',
+  'notas:read': 'Ver notas',
+  'notas:write': 'Crear, editar y eliminar notas propias',
+  'notas:share': 'Compartir notas con otros usuarios',
+  'oportunidades:read': 'Ver oportunidades de venta, pipelines, tablero y reportes',
+  'oportunidades:write': 'Crear, editar y mover de etapa oportunidades de venta',
+  'oportunidades:delete': 'Eliminar oportunidades de venta',
+  'pipelines:manage': 'Configurar los pipelines de venta y sus etapas',
+  'recordatorios:read': 'Ver recordatorios',
+  'recordatorios:write': 'Crear, editar y eliminar recordatorios',
+  'segmentos:manage': 'Crear, editar y eliminar segmentos de clientes',
+  'whatsapp:read': 'Ver conversaciones de WhatsApp',
+  'whatsapp:send': 'Enviar mensajes de WhatsApp',
+  'whatsapp:templates': 'Gestionar plantillas de WhatsApp',
+  'usuarios:read': 'Ver usuarios del local',
+  'usuarios:write': 'Crear y editar usuarios del local',
+  'usuarios:delete': 'Eliminar usuarios del local',
+  'roles:manage': 'Crear, editar y asignar roles personalizados',
+  'estadisticas:read': 'Ver estadísticas',
+  'locales:manage': 'Gestionar locales/marcas',
+  'sistema:config': 'Configurar el sistema'
+};
+
+export const LISTA_PERMISOS = Object.keys(PERMISOS);
+
+// Permisos por defecto de los roles base del sistema
+export const PERMISOS_POR_ROL = {
+  superAdmin: LISTA_PERMISOS,
+  admin: LISTA_PERMISOS.filter(permiso => !['locales:manage', 'sistema:config'].includes(permiso)),
+  usuario: [
+    'clientes:read',
+    'clientes:write',
+    'eventos:read',
+    'eventos:write',
+    'eventos:delete',
+    'notas:read',
+    'notas:write',
+    'notas:share',
+    'recordatorios:read',
+    'recordatorios:write',
+    'oportunidades:read',
+    'oportunidades:write'
+  ]
+};
+
+// Equivalencia de los permisos booleanos históricos de User.permisos con el catálogo
+export const PERMISOS_HEREDADOS = {
+  crearUsuarios: 'usuarios:write',
+  editarUsuarios: 'usuarios:write',
+  eliminarUsuarios: 'usuarios:delete',
+  asignarRoles: 'roles:manage',
+  verEstadisticas: 'estadisticas:read',
+  configurarSistema: 'sistema:config',
+  gestionarLocales: 'locales:manage'
+};
+
+// Nombres reservados para los roles base (no pueden usarse en roles personalizados)
+export const ROLES_BASE = ['usuario', 'admin', 'superAdmin'];
+
+/**
+ * Verifica si un permiso existe en el catálogo
+ * @param {String} permiso - Permiso con formato recurso:acción
+ * @returns {Boolean} - True si el permiso es válido
+ */
+export const esPermisoValido = (permiso) => LISTA_PERMISOS.includes(permiso);
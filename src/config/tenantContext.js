@@ -0,0 +1,46 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Contexto del tenant (local/marca) de la petición en curso.
+// Se establece tras la autenticación y lo consultan los modelos con tenantPlugin.
+const almacenamiento = new AsyncLocalStorage();
+
+/**
+ * Ejecuta una función dentro de un contexto de tenant
+ * @param {Object} contexto - { userId, role, locales (null = sin restricción), localActivo }
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} - Resultado de la función
+ */
+export const ejecutarConTenant = (contexto, fn) => {
+  return almacenamiento.run(contexto, fn);
+};
+
+/**
+ * Ejecuta una función sin restricción de tenant (tareas del sistema dentro de una petición)
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} - Resultado de la función
+ */
+export const ejecutarSinTenant = (fn) => {
+  return almacenamiento.run({ locales: null, sistema: true }, fn);
+};
+
+/**
+ * Obtiene el contexto de tenant actual
+ * @returns {Object|null} - Contexto o null si no hay petición autenticada en curso
+ */
+export const obtenerContextoTenant = () => {
+  return almacenamiento.getStore() || null;
+};
+
+/**
+ * Verifica si un local está permitido en un contexto
+ * @param {Object} contexto - Contexto de tenant
+ * @param {String|Object} localId - ID del local
+ * @returns {Boolean} - True si el local está permitido
+ */
+export const esLocalPermitido = (contexto, localId) => {
+  if (!contexto || !contexto.locales) return true;
+  if (!localId) return false;
+
+  const id = (localId._id || localId).toString();
+  return contexto.locales.some(local => local.toString() === id);
+};
@@ -2,6 +2,14 @@ import User from '../models/User.js';
 import Local from '../models/Local.js';
 import logger from '../config/logger.js';
 import mongoose from 'mongoose';
+import { revocarSesionesUsuario } from '../services/tokenService.js';
+import {
+  obtenerPoliticaLocales,
+  obtenerPoliticaUsuario,
+  validarPassword,
+  validarNuevaPassword,
+  responderPasswordInvalida
+} from '../services/politicaSeguridadService.js';
 
 // Cantidad máxima de superAdmins permitidos
 const MAX_SUPER_ADMINS = 4;
@@ -304,6 +312,13 @@ export const createUser = async (req, res) => {
       });
     }
     
+    // Validar la contraseña inicial con la política de los locales asignados
+    const politica = await obtenerPoliticaLocales(locales || []);
+    const erroresPassword = validarPassword(password, politica.contrasena);
+    if (erroresPassword.length > 0) {
+      return responderPasswordInvalida(res, erroresPassword);
+    }
+    
     // Preparar datos del usuario
     const userData = {
       nombre,
@@ -344,6 +359,14 @@ export const createUser = async (req, res) => {
       await newUser.save();
     }
     
+    req.auditar({
+      accion: 'usuario.crear',
+      recurso: 'User',
+      recursoId: newUser._id,
+      local: newUser.primaryLocal,
+      despues: newUser
+    });
+    
     // Omitir la contraseña en la respuesta
     const userResponse = {
       id: newUser._id,
@@ -509,6 +532,15 @@ export const updateUser = async (req, res) => {
      .populate('locales', 'nombre direccion')
      .populate('primaryLocal', 'nombre direccion');
     
+    req.auditar({
+      accion: 'usuario.actualizar',
+      recurso: 'User',
+      recursoId: user._id,
+      local: user.primaryLocal,
+      antes: user,
+      despues: updatedUser
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Usuario actualizado exitosamente',
@@ -651,6 +683,16 @@ export const deleteUser = async (req, res) => {
     // Registrar en el log quién eliminó al usuario
     logger.info(`Usuario ${userId} (${user.email}) desactivado exitosamente por ${req.userId} con rol ${req.userRole}`);
     
+    req.auditar({
+      accion: 'usuario.eliminar',
+      recurso: 'User',
+      recursoId: user._id,
+      local: user.primaryLocal,
+      antes: user,
+      despues: updateResult,
+      detalles: { email: user.email, role: user.role }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Usuario eliminado exitosamente'
@@ -671,8 +713,10 @@ export const resetUserPassword = async (req, res) => {
     const userId = req.params.id;
     const { newPassword } = req.body;
     
-    // Buscar el usuario
-    const user = await User.findById(userId).populate('locales', 'nombre');
+    // Buscar el usuario (con la contraseña actual y el historial para controlar reutilización)
+    const user = await User.findById(userId)
+      .select('+password +historialPasswords')
+      .populate('locales', 'nombre');
     
     if (!user) {
       return res.status(404).json({
@@ -705,8 +749,15 @@ export const resetUserPassword = async (req, res) => {
       }
     }
     
+    // La nueva contraseña debe cumplir la política de los locales del usuario
+    const politica = await obtenerPoliticaUsuario(user);
+    const erroresPassword = await validarNuevaPassword(user, newPassword, politica.contrasena);
+    if (erroresPassword.length > 0) {
+      return responderPasswordInvalida(res, erroresPassword, 'newPassword');
+    }
+    
     // Actualizar la contraseña
-    user.password = newPassword;
+    user.establecerPassword(newPassword);
     user.intentosFallidos = 0;
     user.bloqueadoHasta = undefined;
     user.ultimaModificacion = {
@@ -716,6 +767,17 @@ export const resetUserPassword = async (req, res) => {
     
     await user.save();
     
+    // Cerrar todas las sesiones abiertas del usuario
+    await revocarSesionesUsuario(user._id, 'reseteo_contrasena_admin');
+    
+    req.auditar({
+      accion: 'usuario.resetear_contrasena',
+      recurso: 'User',
+      recursoId: user._id,
+      local: user.primaryLocal,
+      detalles: { email: user.email }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Contraseña restablecida exitosamente'
@@ -833,6 +895,9 @@ export const toggleUserStatus = async (req, res) => {
       }
     }
     
+    // Conservar el estado anterior para la auditoría
+    const estadoAnterior = { activo: user.activo, enLinea: user.enLinea };
+    
     // Actualizar el estado
     user.activo = activo;
     
@@ -853,6 +918,15 @@ export const toggleUserStatus = async (req, res) => {
     // Agregar logging para depuración
     logger.info(`Usuario ${userId} (${user.email}) ${activo ? 'activado' : 'desactivado'} exitosamente por ${req.userId} con rol ${req.userRole}`);
     
+    req.auditar({
+      accion: activo ? 'usuario.activar' : 'usuario.desactivar',
+      recurso: 'User',
+      recursoId: user._id,
+      local: user.primaryLocal,
+      antes: estadoAnterior,
+      despues: { activo: usuarioActualizado.activo, enLinea: usuarioActualizado.enLinea }
+    });
+    
     res.status(200).json({
       success: true,
       message: `Usuario ${activo ? 'activado' : 'desactivado'} exitosamente`
@@ -0,0 +1,485 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import Local from '../models/Local.js';
+import logger from '../config/logger.js';
+
+// Vigencia por defecto de las claves de API (en días)
+const API_KEY_EXPIRA_DIAS = parseInt(process.env.API_KEY_EXPIRA_DIAS) || 90;
+
+// Verificar si el usuario autenticado puede gestionar un local (claves y cuentas de servicio)
+const puedeGestionarLocal = (req, localId) => {
+  if (req.userRole === 'superAdmin') return true;
+  return req.userRole === 'admin' && req.user.perteneceALocal(localId);
+};
+
+// Evitar la escalada de privilegios: solo se pueden otorgar permisos que uno mismo tiene en el local
+const permisosNoOtorgables = (req, permisos, localId) => {
+  return permisos.filter(permiso => !req.user.tienePermiso(permiso, localId));
+};
+
+// Formatear una clave para la respuesta (nunca incluye el hash)
+const formatearClave = (apiKey) => ({
+  id: apiKey._id,
+  nombre: apiKey.nombre,
+  prefijo: apiKey.prefijo,
+  usuario: apiKey.usuario,
+  local: apiKey.local,
+  permisos: apiKey.permisos,
+  expiraEn: apiKey.expiraEn,
+  ultimoUso: apiKey.ultimoUso,
+  ultimaIP: apiKey.ultimaIP,
+  activa: apiKey.estaActiva(),
+  revocada: apiKey.revocada,
+  revocadaEn: apiKey.revocadaEn,
+  createdAt: apiKey.createdAt
+});
+
+// Crear una clave para un usuario validando el local y los permisos solicitados
+const crearClave = async (req, res, propietario) => {
+  const { nombre, permisos, expiraEnDias = API_KEY_EXPIRA_DIAS } = req.body;
+  const localId = req.body.local || propietario.primaryLocal;
+
+  if (!localId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Debe indicar el local/marca de la clave'
+    });
+  }
+
+  if (propietario.role !== 'superAdmin' && !propietario.perteneceALocal(localId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'El usuario no pertenece a este local/marca'
+    });
+  }
+
+  const local = await Local.findById(localId);
+  if (!local) {
+    return res.status(404).json({
+      success: false,
+      message: 'Local/Marca no encontrado'
+    });
+  }
+
+  const noOtorgables = permisosNoOtorgables(req, permisos, local._id);
+  if (noOtorgables.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `No puede otorgar permisos que no tiene: ${noOtorgables.join(', ')}`
+    });
+  }
+
+  const apiKey = new ApiKey({
+    nombre,
+    usuario: propietario._id,
+    local: local._id,
+    permisos,
+    expiraEn: Date.now() + Number(expiraEnDias) * 24 * 60 * 60 * 1000,
+    creadaPor: req.userId
+  });
+  const clave = apiKey.generarClave();
+  await apiKey.save();
+
+  logger.info(`Clave de API ${apiKey.prefijo} creada para ${propietario.email} en el local ${local._id} por ${req.userId}`);
+
+  req.auditar({
+    accion: 'claves_api.crear',
+    recurso: 'ApiKey',
+    recursoId: apiKey._id,
+    local: local._id,
+    despues: formatearClave(apiKey)
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: 'Clave de API creada. Guárdela ahora: no se volverá a mostrar',
+    data: {
+      ...formatearClave(apiKey),
+      clave
+    }
+  });
+};
+
+// Listar las claves de API del usuario autenticado
+export const getMyApiKeys = async (req, res) => {
+  try {
+    const claves = await ApiKey.find({ usuario: req.userId })
+      .populate('local', 'nombre')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: claves.length,
+      data: claves.map(formatearClave)
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo claves de API: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las claves de API',
+      error: error.message
+    });
+  }
+};
+
+// Obtener una clave de API del usuario autenticado
+export const getMyApiKeyById = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, usuario: req.userId })
+      .populate('local', 'nombre');
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clave de API no encontrada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatearClave(apiKey)
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo clave de API: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener la clave de API',
+      error: error.message
+    });
+  }
+};
+
+// Crear una clave de API personal
+export const createMyApiKey = async (req, res) => {
+  try {
+    await crearClave(req, res, req.user);
+  } catch (error) {
+    logger.error(`Error creando clave de API: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear la clave de API',
+      error: error.message
+    });
+  }
+};
+
+// Actualizar el nombre o los permisos de una clave propia
+export const updateMyApiKey = async (req, res) => {
+  try {
+    const { nombre, permisos } = req.body;
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, usuario: req.userId });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clave de API no encontrada'
+      });
+    }
+
+    if (!apiKey.estaActiva()) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede modificar una clave revocada o expirada'
+      });
+    }
+
+    if (permisos) {
+      const noOtorgables = permisosNoOtorgables(req, permisos, apiKey.local);
+      if (noOtorgables.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `No puede otorgar permisos que no tiene: ${noOtorgables.join(', ')}`
+        });
+      }
+    }
+
+    const antes = formatearClave(apiKey);
+    if (nombre !== undefined) apiKey.nombre = nombre;
+    if (permisos !== undefined) apiKey.permisos = permisos;
+    await apiKey.save();
+
+    req.auditar({
+      recurso: 'ApiKey',
+      recursoId: apiKey._id,
+      local: apiKey.local,
+      antes,
+      despues: formatearClave(apiKey)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Clave de API actualizada exitosamente',
+      data: formatearClave(apiKey)
+    });
+  } catch (error) {
+    logger.error(`Error actualizando clave de API: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar la clave de API',
+      error: error.message
+    });
+  }
+};
+
+// Revocar una clave propia
+export const revokeMyApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, usuario: req.userId });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clave de API no encontrada'
+      });
+    }
+
+    const revocada = await apiKey.revocar(req.userId);
+
+    req.auditar({
+      accion: 'claves_api.revocar',
+      recurso: 'ApiKey',
+      recursoId: apiKey._id,
+      local: apiKey.local
+    });
+
+    res.status(200).json({
+      success: true,
+      message: revocada ? 'Clave de API revocada' : 'La clave ya estaba revocada'
+    });
+  } catch (error) {
+    logger.error(`Error revocando clave de API: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al revocar la clave de API',
+      error: error.message
+    });
+  }
+};
+
+// Listar las claves de API de los locales administrados (?usuario=ID&local=ID&incluirRevocadas=true)
+export const getApiKeys = async (req, res) => {
+  try {
+    const { usuario, local: localId, incluirRevocadas } = req.query;
+    const filtro = {};
+
+    if (localId) {
+      if (!puedeGestionarLocal(req, localId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene permisos para ver las claves de este local/marca'
+        });
+      }
+      filtro.local = localId;
+    } else if (req.userRole !== 'superAdmin') {
+      filtro.local = { $in: req.user.locales };
+    }
+
+    if (usuario) filtro.usuario = usuario;
+    if (incluirRevocadas !== 'true') filtro.revocada = false;
+
+    const claves = await ApiKey.find(filtro)
+      .populate('usuario', 'nombre email role tipoCuenta')
+      .populate('local', 'nombre')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: claves.length,
+      data: claves.map(formatearClave)
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo claves de API: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las claves de API',
+      error: error.message
+    });
+  }
+};
+
+// Revocar cualquier clave de API de los locales administrados
+export const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clave de API no encontrada'
+      });
+    }
+
+    if (!puedeGestionarLocal(req, apiKey.local)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para revocar claves de este local/marca'
+      });
+    }
+
+    const revocada = await apiKey.revocar(req.userId);
+
+    logger.info(`Clave de API ${apiKey.prefijo} revocada por ${req.userId} con rol ${req.userRole}`);
+
+    req.auditar({
+      accion: 'claves_api.revocar',
+      recurso: 'ApiKey',
+      recursoId: apiKey._id,
+      local: apiKey.local,
+      detalles: { usuario: apiKey.usuario, prefijo: apiKey.prefijo }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: revocada ? 'Clave de API revocada' : 'La clave ya estaba revocada'
+    });
+  } catch (error) {
+    logger.error(`Error revocando clave de API: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al revocar la clave de API',
+      error: error.message
+    });
+  }
+};
+
+// Crear una cuenta de servicio para integraciones de un local
+export const createServiceAccount = async (req, res) => {
+  try {
+    const { nombre, local: localId } = req.body;
+
+    if (!puedeGestionarLocal(req, localId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para crear cuentas de servicio en este local/marca'
+      });
+    }
+
+    const local = await Local.findById(localId);
+    if (!local) {
+      return res.status(404).json({
+        success: false,
+        message: 'Local/Marca no encontrado'
+      });
+    }
+
+    // Email y contraseña internos: la cuenta nunca inicia sesión con credenciales
+    const identificador = crypto.randomBytes(6).toString('hex');
+    const cuenta = await User.create({
+      nombre,
+      email: `servicio-${identificador}@servicio.evolution.local`,
+      password: `${crypto.randomBytes(24).toString('hex')}Aa1!`,
+      role: 'usuario',
+      tipoCuenta: 'servicio',
+      verificado: true,
+      locales: [local._id],
+      primaryLocal: local._id,
+      creadoPor: req.userId
+    });
+
+    logger.info(`Cuenta de servicio ${cuenta._id} (${nombre}) creada en el local ${local._id} por ${req.userId}`);
+
+    req.auditar({
+      accion: 'cuentas_servicio.crear',
+      recurso: 'User',
+      recursoId: cuenta._id,
+      local: local._id,
+      detalles: { nombre }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cuenta de servicio creada. Genere una clave de API para utilizarla',
+      data: {
+        id: cuenta._id,
+        nombre: cuenta.nombre,
+        email: cuenta.email,
+        tipoCuenta: cuenta.tipoCuenta,
+        local: local._id
+      }
+    });
+  } catch (error) {
+    logger.error(`Error creando cuenta de servicio: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear la cuenta de servicio',
+      error: error.message
+    });
+  }
+};
+
+// Listar las cuentas de servicio de los locales administrados (?local=ID)
+export const getServiceAccounts = async (req, res) => {
+  try {
+    const { local: localId } = req.query;
+    const filtro = { tipoCuenta: 'servicio' };
+
+    if (localId) {
+      if (!puedeGestionarLocal(req, localId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene permisos para ver las cuentas de servicio de este local/marca'
+        });
+      }
+      filtro.locales = localId;
+    } else if (req.userRole !== 'superAdmin') {
+      filtro.locales = { $in: req.user.locales };
+    }
+
+    const cuentas = await User.find(filtro)
+      .select('nombre email activo primaryLocal createdAt')
+      .populate('primaryLocal', 'nombre')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: cuentas.length,
+      data: cuentas
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo cuentas de servicio: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las cuentas de servicio',
+      error: error.message
+    });
+  }
+};
+
+// Crear una clave de API para una cuenta de servicio
+export const createServiceAccountApiKey = async (req, res) => {
+  try {
+    const cuenta = await User.findOne({ _id: req.params.id, tipoCuenta: 'servicio' });
+
+    if (!cuenta) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cuenta de servicio no encontrada'
+      });
+    }
+
+    if (!cuenta.activo) {
+      return res.status(400).json({
+        success: false,
+        message: 'La cuenta de servicio está desactivada'
+      });
+    }
+
+    const localId = req.body.local || cuenta.primaryLocal;
+    if (!localId || !puedeGestionarLocal(req, localId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para gestionar esta cuenta de servicio'
+      });
+    }
+
+    await crearClave(req, res, cuenta);
+  } catch (error) {
+    logger.error(`Error creando clave de cuenta de servicio: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear la clave de API',
+      error: error.message
+    });
+  }
+};
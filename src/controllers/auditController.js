@@ -0,0 +1,88 @@
+import AuditLog from '../models/AuditLog.js';
+import logger from '../config/logger.js';
+import { generarCSVAuditoria } from '../services/auditService.js';
+
+// Máximo de registros que se exportan en un CSV
+const MAX_EXPORTACION_CSV = 10000;
+
+// Escapar texto para usarlo dentro de una expresión regular
+const escaparRegex = (texto) => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Obtener el log de auditoría con filtros (JSON paginado o CSV)
+export const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      actor, recurso, recursoId, accion, metodo, exito, local,
+      desde, hasta, formato = 'json', page = 1, limit = 50
+    } = req.query;
+    const filtro = {};
+
+    if (local) {
+      if (req.userRole !== 'superAdmin' && !req.user.perteneceALocal(local)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene permisos para ver la auditoría de este local/marca'
+        });
+      }
+      filtro.local = local;
+    } else if (req.userRole !== 'superAdmin') {
+      // Los administradores solo ven la actividad de sus locales
+      filtro.local = { $in: req.user.locales };
+    }
+
+    if (actor) filtro.actor = actor;
+    if (recurso) filtro.recurso = new RegExp(`^${escaparRegex(recurso)}$`, 'i');
+    if (recursoId) filtro.recursoId = recursoId;
+    if (accion) filtro.accion = new RegExp(escaparRegex(accion), 'i');
+    if (metodo) filtro.metodo = metodo;
+    if (exito !== undefined) filtro.exito = exito === 'true';
+
+    if (desde || hasta) {
+      filtro.fecha = {};
+      if (desde) filtro.fecha.$gte = new Date(desde);
+      if (hasta) filtro.fecha.$lte = new Date(hasta);
+    }
+
+    if (formato === 'csv') {
+      const registros = await AuditLog.find(filtro)
+        .sort({ fecha: -1 })
+        .limit(MAX_EXPORTACION_CSV)
+        .lean();
+
+      const nombreArchivo = `auditoria-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+      return res.status(200).send(generarCSVAuditoria(registros));
+    }
+
+    const pagina = Number(page);
+    const limite = Number(limit);
+
+    const [total, registros] = await Promise.all([
+      AuditLog.countDocuments(filtro),
+      AuditLog.find(filtro)
+        .populate('actor', 'nombre email role')
+        .populate('impersonando', 'nombre email role')
+        .populate('local', 'nombre')
+        .sort({ fecha: -1 })
+        .skip((pagina - 1) * limite)
+        .limit(limite)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pagina,
+      pages: Math.ceil(total / limite),
+      count: registros.length,
+      data: registros
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo log de auditoría: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener el log de auditoría',
+      error: error.message
+    });
+  }
+};
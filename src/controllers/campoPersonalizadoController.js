@@ -0,0 +1,190 @@
+import CampoPersonalizado from '../models/CampoPersonalizado.js';
+import logger from '../config/logger.js';
+import { contarUsos, verificarOpcionesEliminadas } from '../services/camposPersonalizadosService.js';
+
+// Campos de la definición que se pueden modificar (entidad, clave y tipo son inmutables)
+const CAMPOS_EDITABLES = ['etiqueta', 'requerido', 'opciones', 'validacion', 'ayuda', 'orden', 'activo'];
+
+// Responder los errores de negocio (con status), de clave repetida o de validación; el resto es un 500
+const responderError = (res, error, mensaje) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Ya existe un campo con esa clave para la entidad en el local'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Campo personalizado no válido',
+      error: error.message
+    });
+  }
+
+  logger.error(`${mensaje}: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    message: mensaje,
+    error: error.message
+  });
+};
+
+// Obtener las definiciones de campos personalizados del local (?entidad=CLIENTE&incluirInactivos=true)
+export const getCamposPersonalizados = async (req, res) => {
+  try {
+    const { entidad, incluirInactivos } = req.query;
+    const filtro = {};
+
+    if (req.query.local) {
+      filtro.local = req.query.local;
+    } else if (req.user.primaryLocal) {
+      filtro.local = req.user.primaryLocal;
+    }
+
+    if (entidad) filtro.entidad = entidad;
+    if (incluirInactivos !== 'true') filtro.activo = true;
+
+    const campos = await CampoPersonalizado.find(filtro).sort({ entidad: 1, orden: 1, etiqueta: 1 });
+
+    res.json({
+      success: true,
+      count: campos.length,
+      data: campos
+    });
+  } catch (error) {
+    logger.error(`Error al obtener campos personalizados: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los campos personalizados',
+      error: error.message
+    });
+  }
+};
+
+// Crear la definición de un campo personalizado
+export const createCampoPersonalizado = async (req, res) => {
+  try {
+    const { entidad, clave, tipo, local } = req.body;
+
+    const campo = new CampoPersonalizado({
+      ...Object.fromEntries(CAMPOS_EDITABLES.map(nombre => [nombre, req.body[nombre]])),
+      entidad,
+      clave,
+      tipo,
+      local: local || req.user.primaryLocal,
+      creadoPor: req.user._id
+    });
+
+    await campo.save();
+
+    req.auditar({
+      recurso: 'CampoPersonalizado',
+      recursoId: campo._id,
+      local: campo.local,
+      despues: campo
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Campo personalizado creado exitosamente',
+      data: campo
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al crear el campo personalizado');
+  }
+};
+
+// Actualizar la definición de un campo personalizado
+export const updateCampoPersonalizado = async (req, res) => {
+  try {
+    const campo = await CampoPersonalizado.findById(req.params.id);
+
+    if (!campo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campo personalizado no encontrado'
+      });
+    }
+
+    const antes = campo.toObject();
+
+    if (req.body.opciones && campo.tipo.startsWith('SELECCION')) {
+      await verificarOpcionesEliminadas(campo, req.body.opciones);
+    }
+
+    for (const nombre of CAMPOS_EDITABLES) {
+      if (req.body[nombre] !== undefined) {
+        campo.set(nombre, req.body[nombre]);
+      }
+    }
+
+    await campo.save();
+
+    req.auditar({
+      recurso: 'CampoPersonalizado',
+      recursoId: campo._id,
+      local: campo.local,
+      antes,
+      despues: campo
+    });
+
+    res.json({
+      success: true,
+      message: 'Campo personalizado actualizado exitosamente',
+      data: campo
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al actualizar el campo personalizado');
+  }
+};
+
+// Eliminar un campo personalizado sin valores guardados (con valores solo se puede desactivar)
+export const deleteCampoPersonalizado = async (req, res) => {
+  try {
+    const campo = await CampoPersonalizado.findById(req.params.id);
+
+    if (!campo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campo personalizado no encontrado'
+      });
+    }
+
+    const usos = await contarUsos(campo);
+
+    if (usos > 0) {
+      campo.activo = false;
+      await campo.save();
+    } else {
+      await campo.deleteOne();
+    }
+
+    req.auditar({
+      recurso: 'CampoPersonalizado',
+      recursoId: campo._id,
+      local: campo.local,
+      antes: campo,
+      detalles: { desactivado: usos > 0, usos }
+    });
+
+    res.json({
+      success: true,
+      message: usos > 0
+        ? `El campo tiene valores en ${usos} registros: se desactivó en lugar de eliminarse`
+        : 'Campo personalizado eliminado exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error al eliminar campo personalizado: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar el campo personalizado',
+      error: error.message
+    });
+  }
+};
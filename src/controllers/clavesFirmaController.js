@@ -0,0 +1,129 @@
+import ClaveFirma from '../models/ClaveFirma.js';
+import logger from '../config/logger.js';
+import {
+  rotarClave,
+  retirarClave,
+  obtenerClaveFirma,
+  aceptaSecretoLegado,
+  obtenerJWKS,
+  formatearClave
+} from '../services/clavesFirmaService.js';
+
+// Listar las claves de firma de JWT (sin material secreto)
+export const getSigningKeys = async (req, res) => {
+  try {
+    const filtro = req.query.estado ? { estado: req.query.estado } : {};
+    const claves = await ClaveFirma.find(filtro).sort({ activadaEn: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: claves.length,
+      data: {
+        claveActual: obtenerClaveFirma()?.kid || null,
+        aceptaSecretoLegado: aceptaSecretoLegado(),
+        claves: claves.map(formatearClave)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo claves de firma: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las claves de firma',
+      error: error.message
+    });
+  }
+};
+
+// Rotar la clave de firma: la nueva firma los tokens y las anteriores validan durante el período de gracia
+export const rotateSigningKey = async (req, res) => {
+  try {
+    const { algoritmo, graciaMinutos, motivo } = req.body;
+
+    const { clave, anteriores } = await rotarClave({
+      algoritmo,
+      graciaMinutos,
+      usuarioId: req.user._id,
+      motivo
+    });
+
+    req.auditar({
+      accion: 'claves_firma.rotar',
+      recurso: 'ClaveFirma',
+      recursoId: clave.kid,
+      despues: formatearClave(clave),
+      detalles: { anteriores }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Clave de firma rotada exitosamente',
+      data: {
+        clave: formatearClave(clave),
+        anteriores
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error(`Error rotando la clave de firma: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al rotar la clave de firma',
+      error: error.message
+    });
+  }
+};
+
+// Retirar una clave en verificación: los tokens firmados con ella dejan de ser válidos
+export const retireSigningKey = async (req, res) => {
+  try {
+    const resultado = await retirarClave(req.params.kid, req.user._id);
+
+    if (!resultado.success) {
+      return res.status(resultado.status).json({
+        success: false,
+        message: resultado.message
+      });
+    }
+
+    req.auditar({
+      accion: 'claves_firma.retirar',
+      recurso: 'ClaveFirma',
+      recursoId: resultado.clave.kid,
+      despues: formatearClave(resultado.clave)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Clave de firma retirada exitosamente',
+      data: formatearClave(resultado.clave)
+    });
+  } catch (error) {
+    logger.error(`Error retirando la clave de firma: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al retirar la clave de firma',
+      error: error.message
+    });
+  }
+};
+
+// Publicar las claves públicas (RS256/ES256) para que terceros validen los tokens
+export const getJwks = (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(obtenerJWKS());
+  } catch (error) {
+    logger.error(`Error obteniendo el JWKS: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las claves públicas',
+      error: error.message
+    });
+  }
+};
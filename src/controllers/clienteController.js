@@ -1,36 +1,66 @@
 import Cliente from '../models/Cliente.js';
 import logger from '../config/logger.js';
 import mongoose from 'mongoose';
+import { exportarDatosCliente, anonimizarCliente } from '../services/privacidadService.js';
+import { buscarDuplicados, fusionarClientes, CRITERIOS_DUPLICADOS } from '../services/duplicadosService.js';
+import { exportarClientes, resolverColumnas } from '../services/exportacionClientesService.js';
+import { obtenerTimelineCliente, decodificarCursor, TIPOS_TIMELINE, PERMISOS_TIMELINE } from '../services/timelineClienteService.js';
+import { autorizaPermiso } from '../middlewares/authMiddleware.js';
+import { validarCamposPersonalizados, filtroCamposPersonalizados, obtenerDefiniciones, responderErrorCampos } from '../services/camposPersonalizadosService.js';
+import { filtroSegmentoGuardado } from '../services/segmentosService.js';
+
+/**
+ * Filtro de clientes a partir de los parámetros del listado (local, categoria, buscar, etiquetas, cp, segmento)
+ * @param {Object} query - Parámetros de la petición
+ * @param {Object} user - Usuario autenticado (local principal por defecto)
+ * @returns {Promise<Object>} - Filtro de Mongoose
+ */
+const construirFiltroClientes = async ({ local, categoria, buscar, etiquetas, cp, segmento }, user) => {
+  const filtro = {};
+  
+  // Filtro por local
+  if (local) {
+    filtro.local = local;
+  } else if (user.primaryLocal) {
+    filtro.local = user.primaryLocal;
+  }
+  
+  // Filtro por categoría
+  if (categoria) {
+    filtro.categoria = categoria;
+  }
+  
+  // Clientes con alguna de las etiquetas (separadas por comas)
+  if (etiquetas) {
+    filtro.etiquetas = { $in: etiquetas.split(',').map(etiqueta => etiqueta.trim()).filter(Boolean) };
+  }
+  
+  // Búsqueda por texto
+  if (buscar) {
+    filtro.$or = [
+      { nombre: { $regex: buscar, $options: 'i' } },
+      { apellido: { $regex: buscar, $options: 'i' } },
+      { email: { $regex: buscar, $options: 'i' } },
+      { telefono: { $regex: buscar, $options: 'i' } }
+    ];
+  }
+  
+  Object.assign(filtro, await filtroCamposPersonalizados('CLIENTE', filtro.local, cp));
+  
+  // Clientes de un segmento guardado (se combina con el resto de los filtros)
+  if (segmento) {
+    filtro.$and = [await filtroSegmentoGuardado(segmento)];
+  }
+  
+  return filtro;
+};
 
 // Obtener todos los clientes
 export const getClientes = async (req, res) => {
   try {
-    const { local, limit = 50, skip = 0, sort = 'nombre', categoria, buscar } = req.query;
+    const { limit = 50, skip = 0, sort = 'nombre' } = req.query;
     
-    // Construir el filtro
-    const filtro = {};
-    
-    // Filtro por local
-    if (local) {
-      filtro.local = local;
-    } else if (req.user.primaryLocal) {
-      filtro.local = req.user.primaryLocal;
-    }
-    
-    // Filtro por categoría
-    if (categoria) {
-      filtro.categoria = categoria;
-    }
-    
-    // Búsqueda por texto
-    if (buscar) {
-      filtro.$or = [
-        { nombre: { $regex: buscar, $options: 'i' } },
-        { apellido: { $regex: buscar, $options: 'i' } },
-        { email: { $regex: buscar, $options: 'i' } },
-        { telefono: { $regex: buscar, $options: 'i' } }
-      ];
-    }
+    const filtro = await construirFiltroClientes(req.query, req.user);
     
     // Obtener total de documentos para paginación
     const total = await Cliente.countDocuments(filtro);
@@ -50,6 +80,10 @@ export const getClientes = async (req, res) => {
       data: clientes
     });
   } catch (error) {
+    if (error.status) {
+      return responderErrorCampos(res, error);
+    }
+    
     logger.error(`Error al obtener clientes: ${error.message}`);
     res.status(500).json({
       success: false,
@@ -59,6 +93,62 @@ export const getClientes = async (req, res) => {
   }
 };
 
+// Exportar los clientes del listado en CSV, XLSX o vCard (se escriben a medida que se leen)
+export const exportClientes = async (req, res) => {
+  const formato = req.query.formato || 'csv';
+  
+  try {
+    const filtro = await construirFiltroClientes(req.query, req.user);
+    const definiciones = await obtenerDefiniciones('CLIENTE', filtro.local);
+    const columnas = resolverColumnas(req.query.columnas, definiciones.map(definicion => definicion.clave));
+    
+    let consulta = Cliente.find(filtro).sort(req.query.sort || 'nombre');
+    if (columnas.includes('asignadoA')) {
+      consulta = consulta.populate('asignadoA', 'nombre');
+    }
+    
+    // La auditoría se registra al terminar la respuesta
+    req.auditar({
+      accion: 'clientes.exportar',
+      recurso: 'Cliente',
+      local: filtro.local,
+      detalles: {
+        formato,
+        columnas,
+        filtros: {
+          categoria: req.query.categoria,
+          buscar: req.query.buscar,
+          etiquetas: req.query.etiquetas,
+          cp: req.query.cp,
+          segmento: req.query.segmento
+        }
+      }
+    });
+    
+    const total = await exportarClientes(res, consulta.cursor(), { formato, columnas });
+    logger.info(`Exportación de clientes (${formato}): ${total} clientes`);
+  } catch (error) {
+    if (error.status) {
+      return responderErrorCampos(res, error);
+    }
+    if (error.code === 'CONEXION_CERRADA') {
+      return logger.warn(`Exportación de clientes interrumpida: ${error.message}`);
+    }
+    
+    logger.error(`Error al exportar clientes: ${error.message}`);
+    
+    // Si ya se empezó a enviar el archivo solo se puede cortar la respuesta
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error al exportar clientes',
+      error: error.message
+    });
+  }
+};
+
 // Obtener un cliente por ID
 export const getClienteById = async (req, res) => {
   try {
@@ -96,8 +186,9 @@ export const createCliente = async (req, res) => {
     const { 
       nombre, apellido, email, telefono, direccion, 
       fechaNacimiento, documentoIdentidad, categoria, 
-      etiquetas, preferencias, local, asignadoA 
+      etiquetas, preferencias, local, asignadoA, camposPersonalizados
     } = req.body;
+    const localCliente = local || req.user.primaryLocal;
     
     // Verificar si el email ya existe
     const clienteExistente = await Cliente.findOne({ email, local });
@@ -108,6 +199,8 @@ export const createCliente = async (req, res) => {
       });
     }
     
+    const valoresPersonalizados = await validarCamposPersonalizados('CLIENTE', localCliente, camposPersonalizados);
+    
     // Crear el cliente
     const nuevoCliente = new Cliente({
       nombre,
@@ -120,7 +213,8 @@ export const createCliente = async (req, res) => {
       categoria,
       etiquetas,
       preferencias,
-      local: local || req.user.primaryLocal,
+      camposPersonalizados: valoresPersonalizados,
+      local: localCliente,
       asignadoA: asignadoA || req.user._id,
       creadoPor: req.user._id
     });
@@ -133,7 +227,27 @@ export const createCliente = async (req, res) => {
       data: nuevoCliente
     });
   } catch (error) {
+    if (error.status) {
+      return responderErrorCampos(res, error);
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cliente no válido',
+        error: error.message
+      });
+    }
+    
     logger.error(`Error al crear cliente: ${error.message}`);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un cliente con este email en este local'
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Error al crear cliente',
@@ -149,7 +263,7 @@ export const updateCliente = async (req, res) => {
     const { 
       nombre, apellido, email, telefono, direccion, 
       fechaNacimiento, documentoIdentidad, categoria, 
-      etiquetas, preferencias, local, asignadoA, activo
+      etiquetas, preferencias, local, asignadoA, activo, camposPersonalizados
     } = req.body;
     
     // Verificar que el cliente existe
@@ -177,6 +291,10 @@ export const updateCliente = async (req, res) => {
       }
     }
     
+    const valoresPersonalizados = camposPersonalizados === undefined
+      ? undefined
+      : await validarCamposPersonalizados('CLIENTE', local || cliente.local, camposPersonalizados, cliente.camposPersonalizados);
+    
     // Actualizar cliente
     const clienteActualizado = await Cliente.findByIdAndUpdate(
       id,
@@ -194,17 +312,30 @@ export const updateCliente = async (req, res) => {
         local, 
         asignadoA,
         activo,
+        ...(camposPersonalizados !== undefined && { camposPersonalizados: valoresPersonalizados ?? null }),
         ultimoContacto: new Date()
       },
       { new: true, runValidators: true }
     );
     
+    req.auditar({
+      recurso: 'Cliente',
+      recursoId: cliente._id,
+      local: clienteActualizado.local,
+      antes: cliente,
+      despues: clienteActualizado
+    });
+    
     res.json({
       success: true,
       message: 'Cliente actualizado exitosamente',
       data: clienteActualizado
     });
   } catch (error) {
+    if (error.status) {
+      return responderErrorCampos(res, error);
+    }
+    
     logger.error(`Error al actualizar cliente: ${error.message}`);
     res.status(500).json({
       success: false,
@@ -229,6 +360,13 @@ export const deleteCliente = async (req, res) => {
       });
     }
     
+    req.auditar({
+      recurso: 'Cliente',
+      recursoId: clienteEliminado._id,
+      local: clienteEliminado.local,
+      antes: clienteEliminado
+    });
+    
     res.json({
       success: true,
       message: 'Cliente eliminado exitosamente',
@@ -244,6 +382,259 @@ export const deleteCliente = async (req, res) => {
   }
 };
 
+// Buscar posibles clientes duplicados en un local (teléfono, email, documento y nombre aproximado)
+export const getDuplicados = async (req, res) => {
+  try {
+    const local = req.query.local || req.user.primaryLocal?._id || req.user.primaryLocal;
+    
+    if (!local) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe indicar el local en el que buscar duplicados'
+      });
+    }
+    
+    const criterios = req.query.criterios
+      ? req.query.criterios.split(',').map(criterio => criterio.trim())
+      : CRITERIOS_DUPLICADOS;
+    
+    const grupos = await buscarDuplicados({
+      local,
+      criterios,
+      umbralNombre: req.query.umbralNombre
+    });
+    
+    const limit = req.query.limit || 50;
+    
+    res.json({
+      success: true,
+      count: Math.min(grupos.length, limit),
+      total: grupos.length,
+      data: grupos.slice(0, limit)
+    });
+  } catch (error) {
+    logger.error(`Error al buscar clientes duplicados: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al buscar clientes duplicados',
+      error: error.message
+    });
+  }
+};
+
+// Fusionar clientes duplicados en el cliente indicado (el que se conserva)
+export const mergeCliente = async (req, res) => {
+  try {
+    const { duplicados: idsDuplicados } = req.body;
+    
+    const destino = await Cliente.findById(req.params.id);
+    
+    if (!destino) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+    
+    if (destino.anonimizado || destino.fusionadoCon) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede fusionar en un cliente anonimizado o ya fusionado'
+      });
+    }
+    
+    const ids = [...new Set(idsDuplicados.map(String))];
+    
+    if (ids.includes(destino._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'El cliente que se conserva no puede estar entre los duplicados'
+      });
+    }
+    
+    const duplicados = await Cliente.find({ _id: { $in: ids } });
+    
+    if (duplicados.length !== ids.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alguno de los clientes duplicados no existe'
+      });
+    }
+    
+    if (duplicados.some(duplicado => duplicado.local.toString() !== destino.local.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se pueden fusionar clientes del mismo local'
+      });
+    }
+    
+    if (duplicados.some(duplicado => duplicado.anonimizado || duplicado.fusionadoCon)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Alguno de los duplicados está anonimizado o ya fue fusionado'
+      });
+    }
+    
+    const antes = destino.toObject();
+    const resumen = await fusionarClientes(destino, duplicados, req.userId);
+    
+    logger.info(`Clientes ${ids.join(', ')} fusionados en ${destino._id} por usuario ${req.userId}`);
+    
+    req.auditar({
+      accion: 'clientes.fusionar',
+      recurso: 'Cliente',
+      recursoId: destino._id,
+      local: destino.local,
+      antes,
+      despues: destino,
+      detalles: { duplicados: ids, resumen }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Clientes fusionados exitosamente',
+      data: {
+        cliente: destino,
+        resumen
+      }
+    });
+  } catch (error) {
+    logger.error(`Error al fusionar clientes: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al fusionar clientes',
+      error: error.message
+    });
+  }
+};
+
+// Timeline de actividad del cliente (ficha, eventos, recordatorios, notas y WhatsApp) paginado por cursor
+export const getTimelineCliente = async (req, res) => {
+  try {
+    const cliente = await Cliente.findById(req.params.id).select('nombre apellido telefono notas historialInteracciones fechaCreacion');
+    
+    if (!cliente) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+    
+    const cursor = req.query.cursor ? decodificarCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cursor de paginación no válido'
+      });
+    }
+    
+    // Solo los tipos que el usuario tiene permiso de ver
+    const pedidos = req.query.tipos ? req.query.tipos.split(',').map(tipo => tipo.trim()) : TIPOS_TIMELINE;
+    const tipos = pedidos.filter(tipo => autorizaPermiso(req, PERMISOS_TIMELINE[tipo]));
+    
+    const { actividades, siguiente } = await obtenerTimelineCliente(cliente, {
+      tipos,
+      limite: req.query.limit || 30,
+      cursor,
+      desde: req.query.desde,
+      hasta: req.query.hasta,
+      usuario: req.user
+    });
+    
+    res.json({
+      success: true,
+      count: actividades.length,
+      tipos,
+      siguiente,
+      data: actividades
+    });
+  } catch (error) {
+    logger.error(`Error al obtener el timeline del cliente: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener el timeline del cliente',
+      error: error.message
+    });
+  }
+};
+
+// Exportar todos los datos vinculados a un cliente (derecho de acceso y portabilidad)
+export const exportCliente = async (req, res) => {
+  try {
+    const cliente = await Cliente.findById(req.params.id);
+    
+    if (!cliente) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+    
+    const exportacion = await exportarDatosCliente(cliente);
+    
+    logger.info(`Datos del cliente ${cliente._id} exportados por usuario ${req.userId}`);
+    
+    const nombreArchivo = `cliente-${cliente._id}-${new Date().toISOString().slice(0, 10)}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+    res.status(200).json(exportacion);
+  } catch (error) {
+    logger.error(`Error al exportar datos del cliente: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al exportar los datos del cliente',
+      error: error.message
+    });
+  }
+};
+
+// Suprimir los datos personales de un cliente en todas las colecciones (derecho de supresión)
+export const eraseCliente = async (req, res) => {
+  try {
+    const { motivo } = req.body;
+    
+    const cliente = await Cliente.findById(req.params.id);
+    
+    if (!cliente) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+    
+    if (cliente.anonimizado) {
+      return res.status(400).json({
+        success: false,
+        message: 'Los datos personales de este cliente ya fueron suprimidos'
+      });
+    }
+    
+    const resumen = await anonimizarCliente(cliente, req.userId);
+    
+    logger.warn(`Datos personales del cliente ${cliente._id} suprimidos por usuario ${req.userId}: ${motivo}`);
+    
+    req.auditar({
+      accion: 'clientes.suprimir_datos',
+      recurso: 'Cliente',
+      recursoId: cliente._id,
+      local: cliente.local,
+      detalles: { motivo, resumen }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Datos personales del cliente suprimidos exitosamente',
+      data: resumen
+    });
+  } catch (error) {
+    logger.error(`Error al suprimir datos del cliente: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al suprimir los datos del cliente',
+      error: error.message
+    });
+  }
+};
+
 // Agregar una nota a un cliente
 export const addNota = async (req, res) => {
   try {
@@ -2,6 +2,7 @@ import Evento from '../models/Evento.js';
 import Recordatorio from '../models/Recordatorio.js';
 import logger from '../config/logger.js';
 import mongoose from 'mongoose';
+import { validarCamposPersonalizados, filtroCamposPersonalizados, responderErrorCampos } from '../services/camposPersonalizadosService.js';
 
 // Obtener todos los eventos
 export const getEventos = async (req, res) => {
@@ -70,6 +71,8 @@ export const getEventos = async (req, res) => {
       ];
     }
     
+    Object.assign(filtro, await filtroCamposPersonalizados('EVENTO', filtro.local, req.query.cp));
+    
     // Obtener total de documentos para paginación
     const total = await Evento.countDocuments(filtro);
     
@@ -90,6 +93,10 @@ export const getEventos = async (req, res) => {
       data: eventos
     });
   } catch (error) {
+    if (error.status) {
+      return responderErrorCampos(res, error);
+    }
+    
     logger.error(`Error al obtener eventos: ${error.message}`);
     res.status(500).json({
       success: false,
@@ -138,8 +145,11 @@ export const createEvento = async (req, res) => {
     const { 
       titulo, descripcion, tipo, fechaInicio, fechaFin, todoElDia,
       ubicacion, estado, prioridad, recurrencia, cliente,
-      participantes, recordatorios, local
+      participantes, recordatorios, local, camposPersonalizados
     } = req.body;
+    const localEvento = local || req.user.primaryLocal;
+    
+    const valoresPersonalizados = await validarCamposPersonalizados('EVENTO', localEvento, camposPersonalizados);
     
     // Crear el evento
     const nuevoEvento = new Evento({
@@ -154,7 +164,8 @@ export const createEvento = async (req, res) => {
       prioridad,
       recurrencia,
       cliente,
-      local: local || req.user.primaryLocal,
+      camposPersonalizados: valoresPersonalizados,
+      local: localEvento,
       creadoPor: req.user._id
     });
     
@@ -228,6 +239,10 @@ export const createEvento = async (req, res) => {
       data: nuevoEvento
     });
   } catch (error) {
+    if (error.status) {
+      return responderErrorCampos(res, error);
+    }
+    
     logger.error(`Error al crear evento: ${error.message}`);
     res.status(500).json({
       success: false,
@@ -244,7 +259,7 @@ export const updateEvento = async (req, res) => {
     const { 
       titulo, descripcion, tipo, fechaInicio, fechaFin, todoElDia,
       ubicacion, estado, prioridad, recurrencia, cliente,
-      participantes, recordatorios, actualizarSerie
+      participantes, recordatorios, actualizarSerie, camposPersonalizados
     } = req.body;
     
     // Verificar que el evento existe
@@ -271,6 +286,9 @@ export const updateEvento = async (req, res) => {
       cliente,
       participantes,
       recordatorios,
+      camposPersonalizados: camposPersonalizados === undefined
+        ? undefined
+        : (await validarCamposPersonalizados('EVENTO', evento.local, camposPersonalizados, evento.camposPersonalizados)) ?? null,
       ultimaModificacion: {
         usuario: req.user._id,
         fecha: new Date()
@@ -322,6 +340,10 @@ export const updateEvento = async (req, res) => {
       data: eventoActualizado
     });
   } catch (error) {
+    if (error.status) {
+      return responderErrorCampos(res, error);
+    }
+    
     logger.error(`Error al actualizar evento: ${error.message}`);
     res.status(500).json({
       success: false,
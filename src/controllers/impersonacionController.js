@@ -0,0 +1,111 @@
+import User from '../models/User.js';
+import logger from '../config/logger.js';
+import { emitirTokenImpersonacion } from '../services/tokenService.js';
+
+// Iniciar una sesión como otro usuario (solo superAdmin)
+export const startImpersonation = async (req, res) => {
+  try {
+    const { motivo } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (user.role === 'superAdmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'No se puede impersonar a un superAdmin'
+      });
+    }
+
+    if (!user.activo) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede impersonar a un usuario desactivado'
+      });
+    }
+
+    const { accessToken, expiresIn, session } = await emitirTokenImpersonacion(req.user, user, req, motivo);
+
+    logger.warn(`SuperAdmin ${req.userId} (${req.user.email}) inició impersonación del usuario ${user._id} (${user.email}). Motivo: ${motivo}`);
+
+    req.auditar({
+      accion: 'usuario.impersonar_inicio',
+      recurso: 'User',
+      recursoId: user._id,
+      local: user.primaryLocal,
+      detalles: {
+        motivo,
+        sesion: session._id,
+        expiraEn: session.expiraEn
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Sesión iniciada como ${user.email}`,
+      token: accessToken,
+      expiresIn,
+      data: {
+        usuario: {
+          id: user._id,
+          nombre: user.nombre,
+          email: user.email,
+          role: user.role
+        },
+        impersonadoPor: req.userId,
+        expiraEn: session.expiraEn
+      }
+    });
+  } catch (error) {
+    logger.error(`Error iniciando impersonación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al iniciar la impersonación',
+      error: error.message
+    });
+  }
+};
+
+// Finalizar la impersonación actual (revoca la sesión de impersonación)
+export const stopImpersonation = async (req, res) => {
+  try {
+    if (!req.impersonador) {
+      return res.status(400).json({
+        success: false,
+        message: 'La sesión actual no es una impersonación'
+      });
+    }
+
+    await req.sesion.revocar('fin_impersonacion');
+
+    logger.info(`SuperAdmin ${req.impersonador._id} finalizó la impersonación del usuario ${req.userId}`);
+
+    req.auditar({
+      accion: 'usuario.impersonar_fin',
+      recurso: 'User',
+      recursoId: req.userId,
+      local: req.user.primaryLocal,
+      detalles: {
+        sesion: req.sesion._id,
+        duracionSegundos: Math.round((Date.now() - req.sesion.fechaCreacion.getTime()) / 1000)
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonación finalizada'
+    });
+  } catch (error) {
+    logger.error(`Error finalizando impersonación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al finalizar la impersonación',
+      error: error.message
+    });
+  }
+};
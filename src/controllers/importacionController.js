@@ -0,0 +1,169 @@
+import ImportacionClientes from '../models/ImportacionClientes.js';
+import logger from '../config/logger.js';
+import { obtenerDefiniciones } from '../services/camposPersonalizadosService.js';
+import {
+  leerArchivo,
+  resolverMapeo,
+  procesarImportacion,
+  IMPORTACION_SINCRONA_MAX_FILAS
+} from '../services/importacionClientesService.js';
+
+// Importar clientes desde un archivo CSV o XLSX (los archivos grandes se procesan en segundo plano)
+export const importClientes = async (req, res) => {
+  try {
+    const local = req.tenant?.localActivo;
+
+    if (!local) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe indicar el local al que se importan los clientes (?local=)'
+      });
+    }
+
+    let lectura;
+    try {
+      lectura = await leerArchivo(req.file);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se pudo leer el archivo',
+        error: error.message
+      });
+    }
+
+    if (lectura.filas.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'El archivo no tiene filas para importar'
+      });
+    }
+
+    const definiciones = await obtenerDefiniciones('CLIENTE', local);
+    const { mapeo, errores } = resolverMapeo(lectura.encabezados, req.body.mapeo, definiciones);
+
+    if (errores.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'El mapeo de columnas no es válido',
+        errors: errores,
+        encabezados: lectura.encabezados
+      });
+    }
+
+    const importacion = await ImportacionClientes.create({
+      local,
+      usuario: req.user._id,
+      archivo: {
+        nombre: req.file.originalname,
+        formato: lectura.formato,
+        tamano: req.file.size
+      },
+      mapeo: Object.entries(mapeo).map(([campo, columna]) => ({ campo, columna })),
+      estrategiaDuplicados: req.body.estrategia || 'omitir',
+      simulacion: !!req.body.simulacion,
+      totalFilas: lectura.filas.length
+    });
+
+    if (!importacion.simulacion) {
+      req.auditar({
+        accion: 'clientes.importar',
+        recurso: 'ImportacionClientes',
+        recursoId: importacion._id,
+        local,
+        detalles: {
+          archivo: importacion.archivo.nombre,
+          filas: importacion.totalFilas,
+          estrategia: importacion.estrategiaDuplicados
+        }
+      });
+    }
+
+    // Archivos chicos: se responde con el reporte completo
+    if (lectura.filas.length <= IMPORTACION_SINCRONA_MAX_FILAS) {
+      await procesarImportacion(importacion, lectura.filas);
+
+      return res.status(200).json({
+        success: importacion.estado === 'completada',
+        message: importacion.simulacion
+          ? 'Simulación de importación completada (no se guardaron clientes)'
+          : importacion.estado === 'completada' ? 'Importación completada' : 'La importación falló',
+        data: importacion
+      });
+    }
+
+    // Archivos grandes: se procesan en segundo plano y se consulta el avance en GET /import/:importId.
+    // Es best-effort: si el proceso se detiene, la importación queda fallida (ver marcarImportacionesInterrumpidas)
+    setImmediate(() => {
+      procesarImportacion(importacion, lectura.filas).catch(error => {
+        logger.error(`Error en la importación de clientes ${importacion._id}: ${error.message}`);
+      });
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Importación en proceso. Consulte el avance con el ID de la importación',
+      data: importacion
+    });
+  } catch (error) {
+    logger.error(`Error al importar clientes: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al importar clientes',
+      error: error.message
+    });
+  }
+};
+
+// Listar las importaciones del local (sin el detalle de errores)
+export const getImportaciones = async (req, res) => {
+  try {
+    const filtro = req.query.local ? { local: req.query.local } : {};
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const importaciones = await ImportacionClientes.find(filtro)
+      .select('-errores')
+      .populate('usuario', 'nombre email')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: importaciones.length,
+      data: importaciones
+    });
+  } catch (error) {
+    logger.error(`Error al obtener importaciones de clientes: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las importaciones',
+      error: error.message
+    });
+  }
+};
+
+// Estado, avance y reporte de errores de una importación
+export const getImportacion = async (req, res) => {
+  try {
+    const importacion = await ImportacionClientes.findById(req.params.importId)
+      .populate('usuario', 'nombre email');
+
+    if (!importacion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Importación no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: importacion
+    });
+  } catch (error) {
+    logger.error(`Error al obtener la importación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener la importación',
+      error: error.message
+    });
+  }
+};
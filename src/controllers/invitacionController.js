@@ -0,0 +1,403 @@
+import Invitacion from '../models/Invitacion.js';
+import User from '../models/User.js';
+import Local from '../models/Local.js';
+import logger from '../config/logger.js';
+import { sendInvitationEmail } from '../services/emailService.js';
+import { obtenerPoliticaLocales, validarPassword, responderPasswordInvalida } from '../services/politicaSeguridadService.js';
+
+// Días de validez del enlace de invitación
+const INVITACION_EXPIRA_DIAS = parseInt(process.env.INVITACION_EXPIRA_DIAS) || 7;
+
+// Verificar si el usuario autenticado puede gestionar invitaciones de un local
+const puedeGestionarLocal = (req, localId) => {
+  if (req.userRole === 'superAdmin') return true;
+  return req.userRole === 'admin' && req.user.perteneceALocal(localId);
+};
+
+// Construir el enlace de aceptación que se envía por email
+const construirURLInvitacion = (token) => {
+  const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendURL}/invitations/${token}`;
+};
+
+// Formatear una invitación para la respuesta (sin el hash del token)
+const formatearInvitacion = (invitacion) => ({
+  id: invitacion._id,
+  email: invitacion.email,
+  nombre: invitacion.nombre,
+  role: invitacion.role,
+  local: invitacion.local,
+  estado: invitacion.estado === 'pendiente' && !invitacion.estaVigente() ? 'expirada' : invitacion.estado,
+  expiraEn: invitacion.expiraEn,
+  invitadoPor: invitacion.invitadoPor,
+  envios: invitacion.envios,
+  ultimoEnvio: invitacion.ultimoEnvio,
+  aceptadaEn: invitacion.aceptadaEn,
+  revocadaEn: invitacion.revocadaEn,
+  createdAt: invitacion.createdAt
+});
+
+// Crear una invitación y enviarla por email
+export const createInvitation = async (req, res) => {
+  try {
+    const { email, nombre, role = 'usuario', local: localId } = req.body;
+
+    const local = await Local.findById(localId);
+    if (!local) {
+      return res.status(404).json({
+        success: false,
+        message: 'Local/Marca no encontrado'
+      });
+    }
+
+    if (!puedeGestionarLocal(req, localId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo puede invitar usuarios a sus propios locales/marcas'
+      });
+    }
+
+    // Los administradores solo pueden invitar usuarios regulares
+    if (req.userRole === 'admin' && role !== 'usuario') {
+      return res.status(403).json({
+        success: false,
+        message: 'Los administradores solo pueden invitar usuarios con rol "usuario"'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'El email ya está registrado. Asigne el usuario existente al local/marca.'
+      });
+    }
+
+    const invitacionPendiente = await Invitacion.findOne({
+      email,
+      local: localId,
+      estado: 'pendiente',
+      expiraEn: { $gt: Date.now() }
+    });
+    if (invitacionPendiente) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe una invitación pendiente para este email en el local/marca. Puede reenviarla.'
+      });
+    }
+
+    const invitacion = new Invitacion({
+      email,
+      nombre,
+      role,
+      local: localId,
+      invitadoPor: req.userId
+    });
+    const token = invitacion.generarToken(INVITACION_EXPIRA_DIAS);
+    await invitacion.save();
+
+    const enviado = await sendInvitationEmail(invitacion, local, construirURLInvitacion(token));
+
+    if (!enviado) {
+      // Si no se pudo enviar el email, no dejar una invitación que nadie puede aceptar
+      await Invitacion.deleteOne({ _id: invitacion._id });
+
+      return res.status(500).json({
+        success: false,
+        message: 'No se pudo enviar el email de invitación. Intente nuevamente más tarde.'
+      });
+    }
+
+    logger.info(`Invitación enviada a ${email} para el local ${local.nombre} por ${req.userId} (${req.userRole})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitación enviada exitosamente',
+      data: formatearInvitacion(invitacion)
+    });
+  } catch (error) {
+    logger.error(`Error creando invitación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear la invitación',
+      error: error.message
+    });
+  }
+};
+
+// Listar las invitaciones de un local (por defecto las pendientes)
+export const getInvitations = async (req, res) => {
+  try {
+    const { local: localId, estado = 'pendiente' } = req.query;
+    const filtro = {};
+
+    if (localId) {
+      if (!puedeGestionarLocal(req, localId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene permisos para ver las invitaciones de este local/marca'
+        });
+      }
+      filtro.local = localId;
+    } else if (req.userRole !== 'superAdmin') {
+      // Los administradores solo ven las invitaciones de sus locales
+      filtro.local = { $in: req.user.locales };
+    }
+
+    if (estado === 'expirada') {
+      filtro.estado = 'pendiente';
+      filtro.expiraEn = { $lte: Date.now() };
+    } else if (estado === 'pendiente') {
+      filtro.estado = 'pendiente';
+      filtro.expiraEn = { $gt: Date.now() };
+    } else if (estado !== 'todas') {
+      filtro.estado = estado;
+    }
+
+    const invitaciones = await Invitacion.find(filtro)
+      .populate('local', 'nombre')
+      .populate('invitadoPor', 'nombre email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitaciones.length,
+      data: invitaciones.map(formatearInvitacion)
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo invitaciones: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las invitaciones',
+      error: error.message
+    });
+  }
+};
+
+// Reenviar una invitación pendiente (genera un enlace nuevo y renueva el vencimiento)
+export const resendInvitation = async (req, res) => {
+  try {
+    const invitacion = await Invitacion.findById(req.params.id);
+
+    if (!invitacion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitación no encontrada'
+      });
+    }
+
+    if (!puedeGestionarLocal(req, invitacion.local)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para gestionar esta invitación'
+      });
+    }
+
+    if (invitacion.estado !== 'pendiente') {
+      return res.status(400).json({
+        success: false,
+        message: `No se puede reenviar una invitación ${invitacion.estado}`
+      });
+    }
+
+    const local = await Local.findById(invitacion.local);
+    if (!local) {
+      return res.status(404).json({
+        success: false,
+        message: 'Local/Marca no encontrado'
+      });
+    }
+
+    const token = invitacion.generarToken(INVITACION_EXPIRA_DIAS);
+    invitacion.envios += 1;
+    invitacion.ultimoEnvio = Date.now();
+    await invitacion.save();
+
+    const enviado = await sendInvitationEmail(invitacion, local, construirURLInvitacion(token));
+
+    if (!enviado) {
+      return res.status(500).json({
+        success: false,
+        message: 'No se pudo enviar el email de invitación. Intente nuevamente más tarde.'
+      });
+    }
+
+    logger.info(`Invitación ${invitacion._id} reenviada a ${invitacion.email} por ${req.userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitación reenviada exitosamente',
+      data: formatearInvitacion(invitacion)
+    });
+  } catch (error) {
+    logger.error(`Error reenviando invitación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al reenviar la invitación',
+      error: error.message
+    });
+  }
+};
+
+// Revocar una invitación pendiente
+export const revokeInvitation = async (req, res) => {
+  try {
+    const invitacion = await Invitacion.findById(req.params.id);
+
+    if (!invitacion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitación no encontrada'
+      });
+    }
+
+    if (!puedeGestionarLocal(req, invitacion.local)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para gestionar esta invitación'
+      });
+    }
+
+    if (invitacion.estado !== 'pendiente') {
+      return res.status(400).json({
+        success: false,
+        message: `No se puede revocar una invitación ${invitacion.estado}`
+      });
+    }
+
+    invitacion.estado = 'revocada';
+    invitacion.revocadaPor = req.userId;
+    invitacion.revocadaEn = Date.now();
+    await invitacion.save();
+
+    logger.info(`Invitación ${invitacion._id} para ${invitacion.email} revocada por ${req.userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitación revocada exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error revocando invitación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al revocar la invitación',
+      error: error.message
+    });
+  }
+};
+
+// Consultar una invitación por su token (para mostrar el formulario de aceptación)
+export const getInvitationByToken = async (req, res) => {
+  try {
+    const invitacion = await Invitacion.buscarPorToken(req.params.token)
+      .populate('local', 'nombre logo');
+
+    if (!invitacion || !invitacion.estaVigente()) {
+      return res.status(404).json({
+        success: false,
+        message: 'La invitación no existe, expiró o ya fue utilizada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitacion.email,
+        nombre: invitacion.nombre,
+        role: invitacion.role,
+        local: invitacion.local,
+        expiraEn: invitacion.expiraEn
+      }
+    });
+  } catch (error) {
+    logger.error(`Error consultando invitación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al consultar la invitación',
+      error: error.message
+    });
+  }
+};
+
+// Aceptar una invitación: el invitado define su contraseña y queda asignado al local
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { nombre, password } = req.body;
+
+    const invitacion = await Invitacion.buscarPorToken(req.params.token);
+
+    if (!invitacion || !invitacion.estaVigente()) {
+      return res.status(400).json({
+        success: false,
+        message: 'La invitación no existe, expiró o ya fue utilizada'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: invitacion.email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'El email ya está registrado'
+      });
+    }
+
+    const politica = await obtenerPoliticaLocales([invitacion.local]);
+    const erroresPassword = validarPassword(password, politica.contrasena);
+    if (erroresPassword.length > 0) {
+      return responderPasswordInvalida(res, erroresPassword);
+    }
+
+    if (!nombre && !invitacion.nombre) {
+      return res.status(400).json({
+        success: false,
+        message: 'El nombre es obligatorio'
+      });
+    }
+
+    const user = await User.create({
+      nombre: nombre || invitacion.nombre,
+      email: invitacion.email,
+      password,
+      role: invitacion.role,
+      verificado: true, // El enlace recibido por email prueba la titularidad de la cuenta
+      creadoPor: invitacion.invitadoPor,
+      enLinea: false,
+      activo: true
+    });
+
+    await user.agregarLocal(invitacion.local);
+
+    if (user.role === 'admin') {
+      user.esAdministradorLocal = true;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    invitacion.estado = 'aceptada';
+    invitacion.aceptadaPor = user._id;
+    invitacion.aceptadaEn = Date.now();
+    await invitacion.save();
+
+    logger.info(`Invitación ${invitacion._id} aceptada por ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitación aceptada. Ya puede iniciar sesión.',
+      data: {
+        id: user._id,
+        nombre: user.nombre,
+        email: user.email,
+        role: user.role,
+        locales: user.locales,
+        primaryLocal: user.primaryLocal,
+        local: user.primaryLocal // Para compatibilidad con el frontend
+      }
+    });
+  } catch (error) {
+    logger.error(`Error aceptando invitación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al aceptar la invitación',
+      error: error.message
+    });
+  }
+};
@@ -179,6 +179,14 @@ export const updateLocal = async (req, res) => {
     ).populate('creadoPor', 'nombre email')
      .populate('ultimaModificacion.usuario', 'nombre email');
     
+    req.auditar({
+      recurso: 'Local',
+      recursoId: local._id,
+      local: local._id,
+      antes: local,
+      despues: updatedLocal
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Local/Marca actualizado exitosamente',
@@ -194,6 +202,75 @@ export const updateLocal = async (req, res) => {
   }
 };
 
+// Actualizar las políticas de seguridad de un local (solo se modifican los campos enviados)
+export const updateLocalSecurity = async (req, res) => {
+  try {
+    const { localId } = req.params;
+    
+    const local = await Local.findById(localId);
+    
+    if (!local) {
+      return res.status(404).json({
+        success: false,
+        message: 'Local/Marca no encontrado'
+      });
+    }
+    
+    if (req.userRole === 'admin' && !req.user.perteneceALocal(local._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para modificar este local/marca'
+      });
+    }
+    
+    const antes = local.toObject().seguridad;
+    
+    if (req.body.magicLink) {
+      const { habilitado, roles } = req.body.magicLink;
+      if (habilitado !== undefined) local.set('seguridad.magicLink.habilitado', habilitado);
+      if (roles !== undefined) local.set('seguridad.magicLink.roles', roles);
+    }
+    
+    // Políticas de contraseña y de bloqueo: solo se modifican las reglas enviadas
+    for (const politica of ['contrasena', 'bloqueo']) {
+      if (!req.body[politica]) continue;
+      for (const [regla, valor] of Object.entries(req.body[politica])) {
+        if (local.schema.path(`seguridad.${politica}.${regla}`)) {
+          local.set(`seguridad.${politica}.${regla}`, valor);
+        }
+      }
+    }
+    
+    local.ultimaModificacion = {
+      usuario: req.userId,
+      fecha: Date.now()
+    };
+    await local.save();
+    
+    req.auditar({
+      accion: 'locales.actualizar_seguridad',
+      recurso: 'Local',
+      recursoId: local._id,
+      local: local._id,
+      antes: { seguridad: antes },
+      despues: { seguridad: local.toObject().seguridad }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Políticas de seguridad actualizadas exitosamente',
+      data: local.seguridad
+    });
+  } catch (error) {
+    logger.error(`Error actualizando seguridad del local: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar las políticas de seguridad',
+      error: error.message
+    });
+  }
+};
+
 // Activar/Desactivar local
 export const toggleLocalStatus = async (req, res) => {
   try {
@@ -233,6 +310,8 @@ export const toggleLocalStatus = async (req, res) => {
       }
     }
     
+    const estadoAnterior = local.activo;
+    
     // Actualizar estado
     local.activo = activo;
     local.ultimaModificacion = {
@@ -242,6 +321,15 @@ export const toggleLocalStatus = async (req, res) => {
     
     await local.save();
     
+    req.auditar({
+      accion: activo ? 'locales.activar' : 'locales.desactivar',
+      recurso: 'Local',
+      recursoId: local._id,
+      local: local._id,
+      antes: { activo: estadoAnterior },
+      despues: { activo: local.activo }
+    });
+    
     res.status(200).json({
       success: true,
       message: `Local/Marca ${activo ? 'activado' : 'desactivado'} exitosamente`
@@ -768,6 +856,14 @@ export const deleteLocal = async (req, res) => {
     // Eliminar el local
     await Local.findByIdAndDelete(localId);
     
+    req.auditar({
+      recurso: 'Local',
+      recursoId: local._id,
+      local: local._id,
+      antes: local,
+      detalles: { nombre: local.nombre }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Local/Marca eliminado exitosamente'
@@ -1,5 +1,6 @@
 import Nota from '../models/Nota.js';
 import logger from '../config/logger.js';
+import { validarCamposPersonalizados, filtroCamposPersonalizados, responderErrorCampos } from '../services/camposPersonalizadosService.js';
 
 // Obtener todas las notas
 export const getNotas = async (req, res) => {
@@ -68,6 +69,8 @@ export const getNotas = async (req, res) => {
       ];
     }
     
+    Object.assign(filtroBase, await filtroCamposPersonalizados('NOTA', filtroBase.local, req.query.cp));
+    
     // Filtro de permisos
     const filtro = {
       $and: [
@@ -106,6 +109,10 @@ export const getNotas = async (req, res) => {
       data: notas
     });
   } catch (error) {
+    if (error.status) {
+      return responderErrorCampos(res, error);
+    }
+    
     logger.error(`Error al obtener notas: ${error.message}`);
     res.status(500).json({
       success: false,
@@ -172,7 +179,7 @@ export const createNota = async (req, res) => {
   try {
     const { 
       titulo, contenido, tipo, cliente, evento, etiquetas,
-      color, recordatorio, visibilidad, compartirCon, local
+      color, recordatorio, visibilidad, compartirCon, local, camposPersonalizados
     } = req.body;
     
     // Validar datos obligatorios
@@ -183,6 +190,9 @@ export const createNota = async (req, res) => {
       });
     }
     
+    const localNota = local || req.user.primaryLocal;
+    const valoresPersonalizados = await validarCamposPersonalizados('NOTA', localNota, camposPersonalizados);
+    
     // Crear la nota
     const nuevaNota = new Nota({
       titulo,
@@ -194,7 +204,8 @@ export const createNota = async (req, res) => {
       color,
       recordatorio,
       visibilidad: visibilidad || 'PRIVADA',
-      local: local || req.user.primaryLocal,
+      camposPersonalizados: valoresPersonalizados,
+      local: localNota,
       creadoPor: req.user._id,
       ultimaModificacion: {
         usuario: req.user._id,
@@ -220,6 +231,10 @@ export const createNota = async (req, res) => {
       data: nuevaNota
     });
   } catch (error) {
+    if (error.status) {
+      return responderErrorCampos(res, error);
+    }
+    
     logger.error(`Error al crear nota: ${error.message}`);
     res.status(500).json({
       success: false,
@@ -235,7 +250,8 @@ export const updateNota = async (req, res) => {
     const { id } = req.params;
     const { 
       titulo, contenido, tipo, cliente, evento, etiquetas,
-      color, recordatorio, visibilidad, compartirCon, esFavorita, esArchivada
+      color, recordatorio, visibilidad, compartirCon, esFavorita, esArchivada,
+      camposPersonalizados
     } = req.body;
     
     // Verificar que la nota existe
@@ -280,6 +296,10 @@ export const updateNota = async (req, res) => {
     if (esFavorita !== undefined) nota.esFavorita = esFavorita;
     if (esArchivada !== undefined) nota.esArchivada = esArchivada;
     
+    if (camposPersonalizados !== undefined) {
+      nota.camposPersonalizados = await validarCamposPersonalizados('NOTA', nota.local, camposPersonalizados, nota.camposPersonalizados);
+    }
+    
     // Actualizar usuarios con quienes se comparte
     if (compartirCon && Array.isArray(compartirCon)) {
       nota.compartidaCon = compartirCon.map(c => ({
@@ -304,6 +324,10 @@ export const updateNota = async (req, res) => {
       data: nota
     });
   } catch (error) {
+    if (error.status) {
+      return responderErrorCampos(res, error);
+    }
+    
     logger.error(`Error al actualizar nota: ${error.message}`);
     res.status(500).json({
       success: false,
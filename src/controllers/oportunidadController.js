@@ -0,0 +1,375 @@
+import Oportunidad from '../models/Oportunidad.js';
+import Cliente from '../models/Cliente.js';
+import Evento from '../models/Evento.js';
+import Pipeline from '../models/Pipeline.js';
+import logger from '../config/logger.js';
+import { resolverPipeline, armarTablero, reporteGanadasPerdidas } from '../services/oportunidadesService.js';
+
+// Campos que se pueden modificar con PUT (la etapa se cambia con PATCH /:id/etapa)
+const CAMPOS_EDITABLES = ['titulo', 'descripcion', 'monto', 'moneda', 'probabilidad', 'fechaCierreEsperada', 'responsable', 'etiquetas', 'eventos'];
+
+// Responder los errores de negocio (con status) o de validación; el resto es un 500
+const responderError = (res, error, mensaje) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Oportunidad no válida',
+      error: error.message
+    });
+  }
+
+  logger.error(`${mensaje}: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    message: mensaje,
+    error: error.message
+  });
+};
+
+// Los eventos vinculados deben existir en el local de la oportunidad
+const verificarEventos = async (eventos, local) => {
+  if (!eventos || eventos.length === 0) return;
+
+  const encontrados = await Evento.countDocuments({ _id: { $in: eventos }, local });
+  if (encontrados !== new Set(eventos.map(String)).size) {
+    throw Object.assign(new Error('Alguno de los eventos no existe en el local de la oportunidad'), { status: 400 });
+  }
+};
+
+// Filtro de oportunidades a partir de los parámetros del listado y del tablero
+const construirFiltro = ({ local, pipeline, etapa, estado, responsable, cliente, etiquetas, misOportunidades }, user) => {
+  const filtro = {};
+
+  if (local) {
+    filtro.local = local;
+  } else if (!pipeline && user.primaryLocal) {
+    filtro.local = user.primaryLocal;
+  }
+
+  if (pipeline) filtro.pipeline = pipeline;
+  if (etapa) filtro.etapa = etapa;
+  if (estado) filtro.estado = estado;
+  if (cliente) filtro.cliente = cliente;
+  if (etiquetas) filtro.etiquetas = { $in: etiquetas.split(',').map(etiqueta => etiqueta.trim()) };
+
+  if (misOportunidades === 'true') {
+    filtro.responsable = user._id;
+  } else if (responsable) {
+    filtro.responsable = responsable;
+  }
+
+  return filtro;
+};
+
+// Obtener oportunidades
+export const getOportunidades = async (req, res) => {
+  try {
+    const { limit = 50, skip = 0, sort = '-updatedAt' } = req.query;
+    const filtro = construirFiltro(req.query, req.user);
+
+    const total = await Oportunidad.countDocuments(filtro);
+
+    const oportunidades = await Oportunidad.find(filtro)
+      .select('-historialEtapas')
+      .populate('cliente', 'nombre apellido email')
+      .populate('responsable', 'nombre email')
+      .populate('pipeline', 'nombre')
+      .sort(sort)
+      .limit(Number(limit))
+      .skip(Number(skip));
+
+    res.json({
+      success: true,
+      total,
+      count: oportunidades.length,
+      data: oportunidades
+    });
+  } catch (error) {
+    logger.error(`Error al obtener oportunidades: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las oportunidades',
+      error: error.message
+    });
+  }
+};
+
+// Tablero kanban: etapas del pipeline con sus totales y oportunidades
+export const getTablero = async (req, res) => {
+  try {
+    const local = req.query.local || req.user.primaryLocal?._id || req.user.primaryLocal;
+    const pipeline = await resolverPipeline(req.query.pipeline, req.query.pipeline ? null : local, req.user._id, { crear: false });
+
+    // Un local sin pipelines tiene el tablero vacío hasta que se crea su primera oportunidad
+    if (!pipeline) {
+      return res.json({
+        success: true,
+        data: { pipeline: null, etapas: [] }
+      });
+    }
+
+    const { responsable, cliente, etiquetas, misOportunidades } = req.query;
+    const etapas = await armarTablero(pipeline, {
+      filtro: construirFiltro({ responsable, cliente, etiquetas, misOportunidades, local: pipeline.local }, req.user),
+      limitePorEtapa: req.query.limit || 50
+    });
+
+    res.json({
+      success: true,
+      data: {
+        pipeline: {
+          _id: pipeline._id,
+          nombre: pipeline.nombre,
+          moneda: pipeline.moneda
+        },
+        etapas
+      }
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al obtener el tablero de oportunidades');
+  }
+};
+
+// Reporte de oportunidades ganadas y perdidas en un período
+export const getReporteOportunidades = async (req, res) => {
+  try {
+    const { pipeline, responsable, moneda, desde, hasta } = req.query;
+    const local = req.query.local || req.user.primaryLocal?._id || req.user.primaryLocal;
+
+    const reporte = await reporteGanadasPerdidas({ local, pipeline, responsable, moneda, desde, hasta });
+
+    res.json({
+      success: true,
+      data: {
+        periodo: { desde: desde || null, hasta: hasta || null },
+        ...reporte
+      }
+    });
+  } catch (error) {
+    logger.error(`Error al generar el reporte de oportunidades: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar el reporte de oportunidades',
+      error: error.message
+    });
+  }
+};
+
+// Obtener una oportunidad por ID (con su historial de etapas)
+export const getOportunidadById = async (req, res) => {
+  try {
+    const oportunidad = await Oportunidad.findById(req.params.id)
+      .populate('cliente', 'nombre apellido email telefono categoria')
+      .populate('eventos', 'titulo tipo estado fechaInicio')
+      .populate('responsable', 'nombre email')
+      .populate('pipeline', 'nombre etapas moneda')
+      .populate('historialEtapas.usuario', 'nombre email');
+
+    if (!oportunidad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Oportunidad no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: oportunidad
+    });
+  } catch (error) {
+    logger.error(`Error al obtener oportunidad: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener la oportunidad',
+      error: error.message
+    });
+  }
+};
+
+// Crear una oportunidad para un cliente (en el pipeline predeterminado del local si no se indica otro)
+export const createOportunidad = async (req, res) => {
+  try {
+    const { cliente: clienteId, pipeline: pipelineId, etapa: etapaId, probabilidad, motivoPerdida } = req.body;
+
+    const cliente = await Cliente.findById(clienteId).select('local');
+    if (!cliente) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    const pipeline = await resolverPipeline(pipelineId, cliente.local, req.user._id);
+    const etapa = etapaId ? pipeline.obtenerEtapa(etapaId) : pipeline.etapaInicial();
+
+    if (!etapa) {
+      return res.status(400).json({
+        success: false,
+        message: 'La etapa no pertenece al pipeline'
+      });
+    }
+
+    await verificarEventos(req.body.eventos, cliente.local);
+
+    const oportunidad = new Oportunidad({
+      ...Object.fromEntries(CAMPOS_EDITABLES.map(campo => [campo, req.body[campo]])),
+      moneda: req.body.moneda || pipeline.moneda,
+      responsable: req.body.responsable || req.user._id,
+      cliente: cliente._id,
+      pipeline: pipeline._id,
+      local: cliente.local,
+      creadoPor: req.user._id
+    });
+    oportunidad.moverAEtapa(etapa, req.user._id, { probabilidad, motivoPerdida });
+
+    await oportunidad.save();
+
+    req.auditar({
+      recurso: 'Oportunidad',
+      recursoId: oportunidad._id,
+      local: oportunidad.local,
+      despues: oportunidad
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Oportunidad creada exitosamente',
+      data: oportunidad
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al crear la oportunidad');
+  }
+};
+
+// Actualizar los datos de una oportunidad
+export const updateOportunidad = async (req, res) => {
+  try {
+    const oportunidad = await Oportunidad.findById(req.params.id);
+
+    if (!oportunidad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Oportunidad no encontrada'
+      });
+    }
+
+    const antes = oportunidad.toObject();
+
+    if (req.body.eventos) {
+      await verificarEventos(req.body.eventos, oportunidad.local);
+    }
+
+    for (const campo of CAMPOS_EDITABLES) {
+      if (req.body[campo] !== undefined) {
+        oportunidad.set(campo, req.body[campo]);
+      }
+    }
+
+    await oportunidad.save();
+
+    req.auditar({
+      recurso: 'Oportunidad',
+      recursoId: oportunidad._id,
+      local: oportunidad.local,
+      antes,
+      despues: oportunidad
+    });
+
+    res.json({
+      success: true,
+      message: 'Oportunidad actualizada exitosamente',
+      data: oportunidad
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al actualizar la oportunidad');
+  }
+};
+
+// Mover una oportunidad a otra etapa de su pipeline (ganarla, perderla o reabrirla)
+export const cambiarEtapaOportunidad = async (req, res) => {
+  try {
+    const { etapa: etapaId, probabilidad, motivoPerdida } = req.body;
+
+    const oportunidad = await Oportunidad.findById(req.params.id);
+    if (!oportunidad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Oportunidad no encontrada'
+      });
+    }
+
+    const pipeline = await Pipeline.findById(oportunidad.pipeline);
+    const etapa = pipeline?.obtenerEtapa(etapaId);
+
+    if (!etapa) {
+      return res.status(400).json({
+        success: false,
+        message: 'La etapa no pertenece al pipeline de la oportunidad'
+      });
+    }
+
+    const etapaAnterior = pipeline.obtenerEtapa(oportunidad.etapa);
+    oportunidad.moverAEtapa(etapa, req.user._id, { probabilidad, motivoPerdida });
+    await oportunidad.save();
+
+    req.auditar({
+      accion: 'oportunidades.cambiar_etapa',
+      recurso: 'Oportunidad',
+      recursoId: oportunidad._id,
+      local: oportunidad.local,
+      detalles: {
+        desde: etapaAnterior?.nombre || null,
+        hasta: etapa.nombre,
+        estado: oportunidad.estado,
+        motivoPerdida: oportunidad.motivoPerdida
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Oportunidad movida a ${etapa.nombre}`,
+      data: oportunidad
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al cambiar la etapa de la oportunidad');
+  }
+};
+
+// Eliminar una oportunidad
+export const deleteOportunidad = async (req, res) => {
+  try {
+    const oportunidad = await Oportunidad.findByIdAndDelete(req.params.id);
+
+    if (!oportunidad) {
+      return res.status(404).json({
+        success: false,
+        message: 'Oportunidad no encontrada'
+      });
+    }
+
+    req.auditar({
+      recurso: 'Oportunidad',
+      recursoId: oportunidad._id,
+      local: oportunidad.local,
+      antes: oportunidad
+    });
+
+    res.json({
+      success: true,
+      message: 'Oportunidad eliminada exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error al eliminar oportunidad: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar la oportunidad',
+      error: error.message
+    });
+  }
+};
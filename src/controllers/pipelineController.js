@@ -0,0 +1,217 @@
+import Pipeline, { ETAPAS_PREDETERMINADAS } from '../models/Pipeline.js';
+import Oportunidad from '../models/Oportunidad.js';
+import logger from '../config/logger.js';
+import { verificarEtapasEliminadas } from '../services/oportunidadesService.js';
+
+// Solo un pipeline predeterminado por local
+const quitarPredeterminado = (local, exceptoId) => Pipeline.updateMany(
+  { local, _id: { $ne: exceptoId }, predeterminado: true },
+  { $set: { predeterminado: false } }
+);
+
+// Obtener los pipelines de venta del local
+export const getPipelines = async (req, res) => {
+  try {
+    const filtro = { activo: true };
+
+    if (req.query.local) {
+      filtro.local = req.query.local;
+    } else if (req.user.primaryLocal) {
+      filtro.local = req.user.primaryLocal;
+    }
+
+    const pipelines = await Pipeline.find(filtro).sort({ predeterminado: -1, nombre: 1 });
+
+    res.json({
+      success: true,
+      count: pipelines.length,
+      data: pipelines
+    });
+  } catch (error) {
+    logger.error(`Error al obtener pipelines: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los pipelines',
+      error: error.message
+    });
+  }
+};
+
+// Crear un pipeline (sin etapas se usan las predeterminadas)
+export const createPipeline = async (req, res) => {
+  try {
+    const { nombre, etapas, moneda, predeterminado, local } = req.body;
+
+    const pipeline = new Pipeline({
+      nombre,
+      etapas: etapas && etapas.length > 0 ? etapas : ETAPAS_PREDETERMINADAS,
+      moneda,
+      predeterminado: !!predeterminado,
+      local: local || req.user.primaryLocal,
+      creadoPor: req.user._id
+    });
+
+    // El primer pipeline del local es el predeterminado
+    if (!pipeline.predeterminado) {
+      pipeline.predeterminado = !(await Pipeline.exists({ local: pipeline.local, activo: true }));
+    }
+
+    await pipeline.save();
+
+    if (pipeline.predeterminado) {
+      await quitarPredeterminado(pipeline.local, pipeline._id);
+    }
+
+    req.auditar({
+      recurso: 'Pipeline',
+      recursoId: pipeline._id,
+      local: pipeline.local,
+      despues: pipeline
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pipeline creado exitosamente',
+      data: pipeline
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un pipeline con ese nombre en el local'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Pipeline no válido',
+        error: error.message
+      });
+    }
+
+    logger.error(`Error al crear pipeline: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear el pipeline',
+      error: error.message
+    });
+  }
+};
+
+// Actualizar un pipeline. Las etapas se reemplazan por las enviadas: las existentes se identifican por _id
+export const updatePipeline = async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findById(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pipeline no encontrado'
+      });
+    }
+
+    const antes = pipeline.toObject();
+    const { nombre, etapas, moneda, predeterminado } = req.body;
+
+    if (etapas) {
+      await verificarEtapasEliminadas(pipeline, etapas);
+      pipeline.etapas = etapas;
+    }
+    if (nombre !== undefined) pipeline.nombre = nombre;
+    if (moneda !== undefined) pipeline.moneda = moneda;
+    if (predeterminado) pipeline.predeterminado = true;
+
+    await pipeline.save();
+
+    if (predeterminado) {
+      await quitarPredeterminado(pipeline.local, pipeline._id);
+    }
+
+    req.auditar({
+      recurso: 'Pipeline',
+      recursoId: pipeline._id,
+      local: pipeline.local,
+      antes,
+      despues: pipeline
+    });
+
+    res.json({
+      success: true,
+      message: 'Pipeline actualizado exitosamente',
+      data: pipeline
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un pipeline con ese nombre en el local'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Pipeline no válido',
+        error: error.message
+      });
+    }
+
+    logger.error(`Error al actualizar pipeline: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar el pipeline',
+      error: error.message
+    });
+  }
+};
+
+// Eliminar un pipeline sin oportunidades (con oportunidades solo se puede desactivar)
+export const deletePipeline = async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findById(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pipeline no encontrado'
+      });
+    }
+
+    const oportunidades = await Oportunidad.countDocuments({ pipeline: pipeline._id });
+
+    if (oportunidades > 0) {
+      pipeline.activo = false;
+      pipeline.predeterminado = false;
+      await pipeline.save();
+    } else {
+      await pipeline.deleteOne();
+    }
+
+    req.auditar({
+      recurso: 'Pipeline',
+      recursoId: pipeline._id,
+      local: pipeline.local,
+      antes: pipeline,
+      detalles: { desactivado: oportunidades > 0, oportunidades }
+    });
+
+    res.json({
+      success: true,
+      message: oportunidades > 0
+        ? `El pipeline tiene ${oportunidades} oportunidades: se desactivó en lugar de eliminarse`
+        : 'Pipeline eliminado exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error al eliminar pipeline: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar el pipeline',
+      error: error.message
+    });
+  }
+};
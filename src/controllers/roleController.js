@@ -0,0 +1,463 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import Local from '../models/Local.js';
+import logger from '../config/logger.js';
+import { PERMISOS, PERMISOS_POR_ROL } from '../config/permisos.js';
+
+// Verificar si el usuario autenticado puede gestionar los roles de un local
+const puedeGestionarLocal = (req, localId) => {
+  if (req.userRole === 'superAdmin') return true;
+  return req.user.perteneceALocal(localId);
+};
+
+// Evitar la escalada de privilegios: solo se pueden otorgar permisos que uno mismo tiene
+const permisosNoOtorgables = (req, permisos = []) => {
+  return permisos.filter(permiso => !req.user.tienePermiso(permiso));
+};
+
+// Obtener el catálogo de permisos y los permisos por defecto de los roles base
+export const getPermissionCatalog = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        permisos: Object.entries(PERMISOS).map(([clave, descripcion]) => ({ clave, descripcion })),
+        rolesBase: PERMISOS_POR_ROL
+      }
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo catálogo de permisos: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener el catálogo de permisos',
+      error: error.message
+    });
+  }
+};
+
+// Obtener los permisos efectivos del usuario autenticado
+export const getMyPermissions = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        role: req.user.role,
+        rolesPersonalizados: req.user.obtenerRolesActivos().map(rol => ({
+          id: rol._id,
+          nombre: rol.nombre,
+          local: rol.local
+        })),
+        permisos: req.apiKey ? req.apiKey.permisos : req.user.obtenerPermisos(),
+        ...(req.apiKey && {
+          claveAPI: {
+            id: req.apiKey._id,
+            prefijo: req.apiKey.prefijo,
+            local: req.apiKey.local,
+            expiraEn: req.apiKey.expiraEn
+          }
+        })
+      }
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo permisos del usuario: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los permisos',
+      error: error.message
+    });
+  }
+};
+
+// Listar los roles personalizados (de un local o de los locales del usuario)
+export const getRoles = async (req, res) => {
+  try {
+    const { local: localId } = req.query;
+    const filtro = {};
+
+    if (localId) {
+      if (!puedeGestionarLocal(req, localId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene permisos para ver los roles de este local/marca'
+        });
+      }
+      filtro.local = localId;
+    } else if (req.userRole !== 'superAdmin') {
+      filtro.local = { $in: req.user.locales };
+    }
+
+    const roles = await Role.find(filtro)
+      .populate('local', 'nombre')
+      .sort({ nombre: 1 });
+
+    // Cantidad de usuarios asignados a cada rol
+    const conteos = await User.aggregate([
+      { $match: { rolesPersonalizados: { $in: roles.map(rol => rol._id) } } },
+      { $unwind: '$rolesPersonalizados' },
+      { $group: { _id: '$rolesPersonalizados', total: { $sum: 1 } } }
+    ]);
+    const usuariosPorRol = Object.fromEntries(conteos.map(c => [c._id.toString(), c.total]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map(rol => ({
+        ...rol.toObject(),
+        usuariosAsignados: usuariosPorRol[rol._id.toString()] || 0
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo roles: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los roles',
+      error: error.message
+    });
+  }
+};
+
+// Obtener un rol personalizado con sus usuarios asignados
+export const getRoleById = async (req, res) => {
+  try {
+    const rol = await Role.findById(req.params.id).populate('local', 'nombre');
+
+    if (!rol) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    if (!puedeGestionarLocal(req, rol.local._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para ver este rol'
+      });
+    }
+
+    const usuarios = await User.find({ rolesPersonalizados: rol._id })
+      .select('nombre email role activo');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...rol.toObject(),
+        usuarios
+      }
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo rol: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener el rol',
+      error: error.message
+    });
+  }
+};
+
+// Crear un rol personalizado en un local
+export const createRole = async (req, res) => {
+  try {
+    const { nombre, descripcion, local: localId, permisos = [] } = req.body;
+
+    const local = await Local.findById(localId);
+    if (!local) {
+      return res.status(404).json({
+        success: false,
+        message: 'Local/Marca no encontrado'
+      });
+    }
+
+    if (!puedeGestionarLocal(req, localId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo puede crear roles en sus propios locales/marcas'
+      });
+    }
+
+    const noOtorgables = permisosNoOtorgables(req, permisos);
+    if (noOtorgables.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `No puede otorgar permisos que no posee: ${noOtorgables.join(', ')}`
+      });
+    }
+
+    const existente = await Role.findOne({ local: localId, nombre })
+      .collation({ locale: 'es', strength: 2 });
+    if (existente) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un rol con ese nombre en el local/marca'
+      });
+    }
+
+    const rol = await Role.create({
+      nombre,
+      descripcion,
+      local: localId,
+      permisos: [...new Set(permisos)],
+      creadoPor: req.userId,
+      ultimaModificacion: {
+        usuario: req.userId,
+        fecha: Date.now()
+      }
+    });
+
+    logger.info(`Rol personalizado "${rol.nombre}" creado en el local ${local.nombre} por ${req.userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rol creado exitosamente',
+      data: rol
+    });
+  } catch (error) {
+    logger.error(`Error creando rol: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear el rol',
+      error: error.message
+    });
+  }
+};
+
+// Actualizar un rol personalizado
+export const updateRole = async (req, res) => {
+  try {
+    const { nombre, descripcion, permisos, activo } = req.body;
+
+    const rol = await Role.findById(req.params.id);
+
+    if (!rol) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    if (!puedeGestionarLocal(req, rol.local)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para modificar este rol'
+      });
+    }
+
+    if (permisos) {
+      const noOtorgables = permisosNoOtorgables(req, permisos);
+      if (noOtorgables.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `No puede otorgar permisos que no posee: ${noOtorgables.join(', ')}`
+        });
+      }
+      rol.permisos = [...new Set(permisos)];
+    }
+
+    if (nombre && nombre !== rol.nombre) {
+      const existente = await Role.findOne({ local: rol.local, nombre, _id: { $ne: rol._id } })
+        .collation({ locale: 'es', strength: 2 });
+      if (existente) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ya existe un rol con ese nombre en el local/marca'
+        });
+      }
+      rol.nombre = nombre;
+    }
+
+    if (descripcion !== undefined) rol.descripcion = descripcion;
+    if (activo !== undefined) rol.activo = activo;
+
+    rol.ultimaModificacion = {
+      usuario: req.userId,
+      fecha: Date.now()
+    };
+
+    await rol.save();
+
+    logger.info(`Rol personalizado "${rol.nombre}" actualizado por ${req.userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Rol actualizado exitosamente',
+      data: rol
+    });
+  } catch (error) {
+    logger.error(`Error actualizando rol: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar el rol',
+      error: error.message
+    });
+  }
+};
+
+// Eliminar un rol personalizado y quitarlo de los usuarios que lo tenían
+export const deleteRole = async (req, res) => {
+  try {
+    const rol = await Role.findById(req.params.id);
+
+    if (!rol) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    if (!puedeGestionarLocal(req, rol.local)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para eliminar este rol'
+      });
+    }
+
+    const resultado = await User.updateMany(
+      { rolesPersonalizados: rol._id },
+      { $pull: { rolesPersonalizados: rol._id } }
+    );
+
+    await rol.deleteOne();
+
+    logger.info(`Rol personalizado "${rol.nombre}" eliminado por ${req.userId} (${resultado.modifiedCount} usuarios afectados)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Rol eliminado exitosamente',
+      data: { usuariosAfectados: resultado.modifiedCount }
+    });
+  } catch (error) {
+    logger.error(`Error eliminando rol: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar el rol',
+      error: error.message
+    });
+  }
+};
+
+// Asignar un rol personalizado a un usuario del local
+export const assignRoleToUser = async (req, res) => {
+  try {
+    const rol = await Role.findById(req.params.id);
+
+    if (!rol) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    const usuario = await User.findById(req.body.userId);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (!puedeGestionarLocal(req, rol.local) ||
+        (req.userRole !== 'superAdmin' && !req.user.puedeAdministrar(usuario))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para asignar roles a este usuario'
+      });
+    }
+
+    if (!usuario.perteneceALocal(rol.local)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario no pertenece al local/marca del rol'
+      });
+    }
+
+    if (usuario.rolesPersonalizados.some(id => id.toString() === rol._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario ya tiene asignado este rol'
+      });
+    }
+
+    usuario.rolesPersonalizados.push(rol._id);
+    usuario.ultimaModificacion = {
+      usuario: req.userId,
+      fecha: Date.now()
+    };
+    await usuario.save({ validateBeforeSave: false });
+
+    logger.info(`Rol "${rol.nombre}" asignado a ${usuario.email} por ${req.userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Rol asignado exitosamente',
+      data: {
+        usuario: usuario._id,
+        rolesPersonalizados: usuario.rolesPersonalizados
+      }
+    });
+  } catch (error) {
+    logger.error(`Error asignando rol: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al asignar el rol',
+      error: error.message
+    });
+  }
+};
+
+// Quitar un rol personalizado a un usuario
+export const removeRoleFromUser = async (req, res) => {
+  try {
+    const rol = await Role.findById(req.params.id);
+
+    if (!rol) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    const usuario = await User.findById(req.params.userId);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (!puedeGestionarLocal(req, rol.local) ||
+        (req.userRole !== 'superAdmin' && !req.user.puedeAdministrar(usuario))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para quitar roles a este usuario'
+      });
+    }
+
+    usuario.rolesPersonalizados = usuario.rolesPersonalizados
+      .filter(id => id.toString() !== rol._id.toString());
+    usuario.ultimaModificacion = {
+      usuario: req.userId,
+      fecha: Date.now()
+    };
+    await usuario.save({ validateBeforeSave: false });
+
+    logger.info(`Rol "${rol.nombre}" quitado a ${usuario.email} por ${req.userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Rol quitado exitosamente',
+      data: {
+        usuario: usuario._id,
+        rolesPersonalizados: usuario.rolesPersonalizados
+      }
+    });
+  } catch (error) {
+    logger.error(`Error quitando rol: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al quitar el rol',
+      error: error.message
+    });
+  }
+};
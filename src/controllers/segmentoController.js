@@ -0,0 +1,243 @@
+import Segmento from '../models/Segmento.js';
+import Cliente from '../models/Cliente.js';
+import logger from '../config/logger.js';
+import { filtroSegmento, contarClientesSegmento } from '../services/segmentosService.js';
+
+// Responder los errores de reglas (con status) o de nombre repetido; el resto es un 500
+const responderError = (res, error, mensaje) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Ya existe un segmento con ese nombre en el local'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Segmento no válido',
+      error: error.message
+    });
+  }
+
+  logger.error(`${mensaje}: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    message: mensaje,
+    error: error.message
+  });
+};
+
+// Segmento como objeto con la cantidad actual de clientes
+const conTotal = async (segmento) => ({
+  ...segmento.toObject(),
+  total: await contarClientesSegmento(segmento)
+});
+
+// Obtener los segmentos del local con la cantidad actual de clientes de cada uno
+export const getSegmentos = async (req, res) => {
+  try {
+    const filtro = {};
+
+    if (req.query.local) {
+      filtro.local = req.query.local;
+    } else if (req.user.primaryLocal) {
+      filtro.local = req.user.primaryLocal;
+    }
+
+    const segmentos = await Segmento.find(filtro).sort({ nombre: 1 });
+    const data = await Promise.all(segmentos.map(conTotal));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al obtener los segmentos');
+  }
+};
+
+// Contar los clientes que cumplen unas reglas sin guardarlas (vista previa del constructor)
+export const contarSegmento = async (req, res) => {
+  try {
+    const segmento = {
+      reglas: req.body.reglas,
+      local: req.body.local || req.user.primaryLocal?._id || req.user.primaryLocal
+    };
+
+    res.json({
+      success: true,
+      data: { total: await contarClientesSegmento(segmento) }
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al contar los clientes del segmento');
+  }
+};
+
+// Obtener un segmento por ID con la cantidad actual de clientes
+export const getSegmentoById = async (req, res) => {
+  try {
+    const segmento = await Segmento.findById(req.params.id);
+
+    if (!segmento) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segmento no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await conTotal(segmento)
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al obtener el segmento');
+  }
+};
+
+// Clientes que cumplen las reglas del segmento en este momento
+export const getClientesSegmento = async (req, res) => {
+  try {
+    const { limit = 50, skip = 0, sort = 'nombre' } = req.query;
+    const segmento = await Segmento.findById(req.params.id);
+
+    if (!segmento) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segmento no encontrado'
+      });
+    }
+
+    const filtro = await filtroSegmento(segmento);
+    const total = await Cliente.countDocuments(filtro);
+
+    const clientes = await Cliente.find(filtro)
+      .populate('local', 'nombre')
+      .populate('asignadoA', 'nombre email')
+      .sort(sort)
+      .limit(Number(limit))
+      .skip(Number(skip));
+
+    res.json({
+      success: true,
+      segmento: { _id: segmento._id, nombre: segmento.nombre },
+      total,
+      count: clientes.length,
+      data: clientes
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al obtener los clientes del segmento');
+  }
+};
+
+// Crear un segmento (las reglas se validan evaluándolas)
+export const createSegmento = async (req, res) => {
+  try {
+    const { nombre, descripcion, reglas, local } = req.body;
+
+    const segmento = new Segmento({
+      nombre,
+      descripcion,
+      reglas,
+      local: local || req.user.primaryLocal?._id || req.user.primaryLocal,
+      creadoPor: req.user._id
+    });
+
+    const total = await contarClientesSegmento(segmento);
+    await segmento.save();
+
+    req.auditar({
+      recurso: 'Segmento',
+      recursoId: segmento._id,
+      local: segmento.local,
+      despues: segmento
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Segmento creado exitosamente',
+      data: { ...segmento.toObject(), total }
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al crear el segmento');
+  }
+};
+
+// Actualizar el nombre, la descripción o las reglas de un segmento
+export const updateSegmento = async (req, res) => {
+  try {
+    const segmento = await Segmento.findById(req.params.id);
+
+    if (!segmento) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segmento no encontrado'
+      });
+    }
+
+    const antes = segmento.toObject();
+    const { nombre, descripcion, reglas } = req.body;
+
+    if (nombre !== undefined) segmento.nombre = nombre;
+    if (descripcion !== undefined) segmento.descripcion = descripcion;
+    if (reglas !== undefined) segmento.reglas = reglas;
+
+    const total = await contarClientesSegmento(segmento);
+    await segmento.save();
+
+    req.auditar({
+      recurso: 'Segmento',
+      recursoId: segmento._id,
+      local: segmento.local,
+      antes,
+      despues: segmento
+    });
+
+    res.json({
+      success: true,
+      message: 'Segmento actualizado exitosamente',
+      data: { ...segmento.toObject(), total }
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al actualizar el segmento');
+  }
+};
+
+// Eliminar un segmento (los clientes no se modifican)
+export const deleteSegmento = async (req, res) => {
+  try {
+    const segmento = await Segmento.findByIdAndDelete(req.params.id);
+
+    if (!segmento) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segmento no encontrado'
+      });
+    }
+
+    req.auditar({
+      recurso: 'Segmento',
+      recursoId: segmento._id,
+      local: segmento.local,
+      antes: segmento
+    });
+
+    res.json({
+      success: true,
+      message: 'Segmento eliminado exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error al eliminar segmento: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar el segmento',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,200 @@
+import EventoSeguridad from '../models/EventoSeguridad.js';
+import User from '../models/User.js';
+import logger from '../config/logger.js';
+import { revocarSesionesUsuario } from '../services/tokenService.js';
+import { registrarEventoSeguridad } from '../services/seguridadService.js';
+import { sendPasswordResetEmail } from '../services/emailService.js';
+
+// Verificar si el usuario autenticado puede ver o gestionar eventos de un local
+const puedeVerLocal = (req, localId) => {
+  if (req.userRole === 'superAdmin') return true;
+  return !!localId && req.user.perteneceALocal(localId);
+};
+
+// Informar que un inicio de sesión no fue propio (enlace "no fui yo" del email de aviso):
+// cierra todas las sesiones del usuario y le envía un enlace para cambiar la contraseña
+export const reportNotMe = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const evento = await EventoSeguridad.buscarPorTokenNoFuiYo(token);
+
+    if (!evento) {
+      return res.status(400).json({
+        success: false,
+        message: 'El enlace no es válido, expiró o ya fue utilizado'
+      });
+    }
+
+    // El enlace es de un solo uso
+    evento.tokenNoFuiYo = undefined;
+    evento.tokenNoFuiYoExpira = undefined;
+    evento.reportadoEn = Date.now();
+    evento.severidad = 'critica';
+    evento.revisado = false;
+    await evento.save();
+
+    const user = await User.findById(evento.usuario);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'El enlace no es válido, expiró o ya fue utilizado'
+      });
+    }
+
+    // Invalidar todos los tokens emitidos y cerrar las sesiones abiertas
+    user.incrementTokenVersion();
+    user.enLinea = false;
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    await revocarSesionesUsuario(user._id, 'reporte_no_fui_yo');
+
+    await registrarEventoSeguridad({
+      usuario: user._id,
+      local: evento.local,
+      tipo: 'reporte_no_fui_yo',
+      severidad: 'critica',
+      ip: req.ip,
+      dispositivo: req.headers['user-agent'] || 'desconocido',
+      ubicacion: req.headers['accept-language'] || 'desconocido',
+      detalles: {
+        eventoReportado: evento._id,
+        ipReportada: evento.ip,
+        dispositivoReportado: evento.dispositivo
+      }
+    });
+
+    const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const enviado = await sendPasswordResetEmail(user, `${frontendURL}/reset-password/${resetToken}`);
+
+    if (!enviado) {
+      logger.warn(`No se pudo enviar el email de reseteo tras el reporte "no fui yo" de ${user.email}`);
+    }
+
+    logger.warn(`Usuario ${user.email} informó un acceso no reconocido (evento ${evento._id}, IP ${evento.ip}). Sesiones revocadas.`);
+
+    req.auditar({
+      accion: 'seguridad.reporte_no_fui_yo',
+      recurso: 'User',
+      recursoId: user._id,
+      local: evento.local,
+      detalles: { evento: evento._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: enviado
+        ? 'Cerramos todas las sesiones de su cuenta. Le enviamos un email para cambiar su contraseña.'
+        : 'Cerramos todas las sesiones de su cuenta. Solicite el cambio de contraseña desde "Olvidé mi contraseña".'
+    });
+  } catch (error) {
+    logger.error(`Error procesando reporte "no fui yo": ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al procesar el reporte',
+      error: error.message
+    });
+  }
+};
+
+// Feed de eventos de seguridad de los locales administrados
+export const getSecurityEvents = async (req, res) => {
+  try {
+    const { usuario, tipo, severidad, revisado, local, desde, hasta, page = 1, limit = 50 } = req.query;
+    const filtro = {};
+
+    if (local) {
+      if (!puedeVerLocal(req, local)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene permisos para ver los eventos de seguridad de este local/marca'
+        });
+      }
+      filtro.local = local;
+    } else if (req.userRole !== 'superAdmin') {
+      filtro.local = { $in: req.user.locales };
+    }
+
+    if (usuario) filtro.usuario = usuario;
+    if (tipo) filtro.tipo = tipo;
+    if (severidad) filtro.severidad = severidad;
+    if (revisado !== undefined) filtro.revisado = revisado === 'true';
+
+    if (desde || hasta) {
+      filtro.fecha = {};
+      if (desde) filtro.fecha.$gte = new Date(desde);
+      if (hasta) filtro.fecha.$lte = new Date(hasta);
+    }
+
+    const pagina = Number(page);
+    const limite = Number(limit);
+
+    const [total, eventos] = await Promise.all([
+      EventoSeguridad.countDocuments(filtro),
+      EventoSeguridad.find(filtro)
+        .populate('usuario', 'nombre email role')
+        .populate('revisadoPor', 'nombre email')
+        .populate('local', 'nombre')
+        .sort({ fecha: -1 })
+        .skip((pagina - 1) * limite)
+        .limit(limite)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pagina,
+      pages: Math.ceil(total / limite),
+      count: eventos.length,
+      data: eventos
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo eventos de seguridad: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los eventos de seguridad',
+      error: error.message
+    });
+  }
+};
+
+// Marcar un evento de seguridad como revisado
+export const reviewSecurityEvent = async (req, res) => {
+  try {
+    const evento = await EventoSeguridad.findById(req.params.id);
+
+    if (!evento || !puedeVerLocal(req, evento.local)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evento de seguridad no encontrado'
+      });
+    }
+
+    evento.revisado = true;
+    evento.revisadoPor = req.userId;
+    evento.revisadoEn = Date.now();
+    await evento.save();
+
+    req.auditar({
+      accion: 'seguridad.revisar_evento',
+      recurso: 'EventoSeguridad',
+      recursoId: evento._id,
+      local: evento.local,
+      detalles: { tipo: evento.tipo, usuario: evento.usuario }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Evento marcado como revisado',
+      data: evento
+    });
+  } catch (error) {
+    logger.error(`Error revisando evento de seguridad: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al revisar el evento de seguridad',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,232 @@
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import logger from '../config/logger.js';
+
+// Formatear una sesión para la respuesta (sin hashes de tokens)
+const formatearSesion = (sesion, sesionActualId) => ({
+  id: sesion._id,
+  dispositivo: sesion.dispositivo,
+  ip: sesion.ip,
+  ubicacion: sesion.ubicacion,
+  ultimoUso: sesion.ultimoUso,
+  fechaCreacion: sesion.fechaCreacion,
+  expiraEn: sesion.expiraEn,
+  actual: !!sesionActualId && sesion._id.toString() === sesionActualId.toString()
+});
+
+// Obtener las sesiones activas de un usuario
+const buscarSesionesActivas = (userId) => {
+  return Session.find({
+    usuario: userId,
+    revocada: false,
+    expiraEn: { $gt: Date.now() }
+  }).sort({ ultimoUso: -1 });
+};
+
+// Verificar si el usuario autenticado puede gestionar las sesiones de otro usuario
+const puedeGestionarSesiones = (req, usuarioObjetivo) => {
+  if (req.userRole === 'superAdmin') return true;
+  return req.user.puedeAdministrar(usuarioObjetivo);
+};
+
+// Obtener las sesiones activas del usuario autenticado
+export const getMySessions = async (req, res) => {
+  try {
+    const sesiones = await buscarSesionesActivas(req.userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sesiones: sesiones.map(sesion => formatearSesion(sesion, req.sessionId)),
+        historialAccesos: req.user.dispositivos
+      }
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo sesiones: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las sesiones',
+      error: error.message
+    });
+  }
+};
+
+// Cerrar una sesión específica del usuario autenticado
+export const revokeMySession = async (req, res) => {
+  try {
+    const sesion = await Session.findOne({ _id: req.params.id, usuario: req.userId });
+
+    if (!sesion || !sesion.estaActiva()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión no encontrada'
+      });
+    }
+
+    await sesion.revocar('revocada_por_usuario');
+
+    logger.info(`Usuario ${req.userId} cerró la sesión ${sesion._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión cerrada exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error cerrando sesión: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al cerrar la sesión',
+      error: error.message
+    });
+  }
+};
+
+// Cerrar todas las sesiones del usuario autenticado excepto la actual
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const cantidad = await Session.revocarTodasDelUsuario(req.userId, 'cerrar_otras_sesiones', req.sessionId);
+
+    logger.info(`Usuario ${req.userId} cerró ${cantidad} sesiones en otros dispositivos`);
+
+    res.status(200).json({
+      success: true,
+      message: `Se cerraron ${cantidad} sesiones en otros dispositivos`,
+      data: { sesionesCerradas: cantidad }
+    });
+  } catch (error) {
+    logger.error(`Error cerrando otras sesiones: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al cerrar las otras sesiones',
+      error: error.message
+    });
+  }
+};
+
+// Obtener las sesiones activas de un usuario (admin o superAdmin)
+export const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (!puedeGestionarSesiones(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para ver las sesiones de este usuario'
+      });
+    }
+
+    const sesiones = await buscarSesionesActivas(user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        usuario: {
+          id: user._id,
+          nombre: user.nombre,
+          email: user.email
+        },
+        sesiones: sesiones.map(sesion => formatearSesion(sesion)),
+        historialAccesos: user.dispositivos
+      }
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo sesiones del usuario: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las sesiones del usuario',
+      error: error.message
+    });
+  }
+};
+
+// Cerrar una sesión específica de un usuario (admin o superAdmin)
+export const revokeUserSession = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (!puedeGestionarSesiones(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para cerrar sesiones de este usuario'
+      });
+    }
+
+    const sesion = await Session.findOne({ _id: req.params.sessionId, usuario: user._id });
+
+    if (!sesion || !sesion.estaActiva()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión no encontrada'
+      });
+    }
+
+    await sesion.revocar('revocada_por_admin');
+
+    logger.info(`Sesión ${sesion._id} del usuario ${user.email} cerrada por ${req.userId} (${req.userRole})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión cerrada exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error cerrando sesión del usuario: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al cerrar la sesión del usuario',
+      error: error.message
+    });
+  }
+};
+
+// Cerrar todas las sesiones de un usuario (admin o superAdmin)
+export const revokeAllUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (!puedeGestionarSesiones(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para cerrar sesiones de este usuario'
+      });
+    }
+
+    const cantidad = await Session.revocarTodasDelUsuario(user._id, 'revocada_por_admin');
+    await user.registrarLogout();
+
+    logger.info(`${cantidad} sesiones del usuario ${user.email} cerradas por ${req.userId} (${req.userRole})`);
+
+    res.status(200).json({
+      success: true,
+      message: `Se cerraron ${cantidad} sesiones del usuario`,
+      data: { sesionesCerradas: cantidad }
+    });
+  } catch (error) {
+    logger.error(`Error cerrando sesiones del usuario: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al cerrar las sesiones del usuario',
+      error: error.message
+    });
+  }
+};
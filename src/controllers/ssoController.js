@@ -0,0 +1,521 @@
+import crypto from 'crypto';
+import ProveedorSSO from '../models/ProveedorSSO.js';
+import SolicitudSSO from '../models/SolicitudSSO.js';
+import User from '../models/User.js';
+import Local from '../models/Local.js';
+import Role from '../models/Role.js';
+import logger from '../config/logger.js';
+import { hashToken } from '../services/tokenService.js';
+import {
+  generarParametrosAutorizacion,
+  obtenerConfiguracion,
+  construirURLAutorizacion,
+  intercambiarCodigo,
+  verificarIdToken,
+  obtenerValoresClaim
+} from '../services/oidcService.js';
+import { finalizarLogin } from './userController.js';
+
+// Tiempo máximo para completar el login en el proveedor (en minutos)
+const SOLICITUD_SSO_EXPIRA_MINUTOS = 10;
+
+// URL del frontend que recibe el código del proveedor
+const obtenerRedirectUri = (proveedor) => {
+  const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return proveedor.redirectUri || process.env.SSO_REDIRECT_URI || `${frontendURL}/sso/callback`;
+};
+
+// Formatear un proveedor para la respuesta de administración (sin el client secret)
+const formatearProveedor = (proveedor) => ({
+  id: proveedor._id,
+  nombre: proveedor.nombre,
+  slug: proveedor.slug,
+  emisor: proveedor.emisor,
+  clientId: proveedor.clientId,
+  scopes: proveedor.scopes,
+  redirectUri: obtenerRedirectUri(proveedor),
+  local: proveedor.local,
+  dominiosPermitidos: proveedor.dominiosPermitidos,
+  claimRoles: proveedor.claimRoles,
+  mapeoRoles: proveedor.mapeoRoles,
+  roleDefault: proveedor.roleDefault,
+  crearUsuarios: proveedor.crearUsuarios,
+  sincronizarRoles: proveedor.sincronizarRoles,
+  activo: proveedor.activo,
+  createdAt: proveedor.createdAt
+});
+
+// Resolver el rol base y los roles personalizados a partir de los claims del ID token
+const resolverRoles = (proveedor, claims) => {
+  const valores = obtenerValoresClaim(claims, proveedor.claimRoles);
+  const coincidencias = proveedor.mapeoRoles.filter(mapeo => valores.includes(mapeo.valor));
+
+  let role = coincidencias.some(mapeo => mapeo.role === 'admin') ? 'admin' : null;
+  if (!role && coincidencias.length > 0) role = 'usuario';
+  if (!role && proveedor.roleDefault !== 'ninguno') role = proveedor.roleDefault;
+
+  return {
+    role,
+    rolesPersonalizados: coincidencias
+      .filter(mapeo => mapeo.rolPersonalizado)
+      .map(mapeo => mapeo.rolPersonalizado.toString())
+  };
+};
+
+// Aplicar los roles mapeados: solo se modifican los roles personalizados que gestiona el proveedor
+const aplicarRoles = (user, proveedor, roles) => {
+  user.role = roles.role;
+  user.esAdministradorLocal = roles.role === 'admin';
+
+  const gestionados = proveedor.mapeoRoles
+    .filter(mapeo => mapeo.rolPersonalizado)
+    .map(mapeo => mapeo.rolPersonalizado.toString());
+  const conservados = (user.rolesPersonalizados || [])
+    .map(rol => (rol._id || rol).toString())
+    .filter(rol => !gestionados.includes(rol));
+
+  user.rolesPersonalizados = [...new Set([...conservados, ...roles.rolesPersonalizados])];
+};
+
+// Buscar o crear el usuario correspondiente a la identidad del proveedor
+const obtenerUsuarioSSO = async (proveedor, claims) => {
+  const email = claims.email?.toLowerCase();
+  const roles = resolverRoles(proveedor, claims);
+
+  if (!roles.role) {
+    return { error: 'Su cuenta del proveedor no tiene un rol habilitado para este sistema', status: 403 };
+  }
+
+  let user = await User.findOne({
+    identidadesSSO: { $elemMatch: { proveedor: proveedor._id, sub: claims.sub } }
+  });
+
+  if (!user) {
+    // Sin email_verified explícito no se vincula ni se crea ninguna cuenta por email
+    if (!email || claims.email_verified !== true) {
+      return { error: 'El proveedor no informó un email verificado', status: 403 };
+    }
+
+    if (!proveedor.aceptaEmail(email)) {
+      return { error: 'El dominio del email no está habilitado para este proveedor', status: 403 };
+    }
+
+    user = await User.findOne({ email });
+
+    if (user) {
+      // Solo se vinculan cuentas existentes del local del proveedor (nunca superAdmin ni cuentas de servicio)
+      if (user.role === 'superAdmin' || user.tipoCuenta === 'servicio' || !user.perteneceALocal(proveedor.local)) {
+        logger.warn(`Intento de vincular ${email} al proveedor SSO ${proveedor.slug} rechazado: la cuenta no pertenece al local ${proveedor.local}`);
+        return { error: 'Esta cuenta no puede iniciar sesión con este proveedor', status: 403 };
+      }
+    } else {
+      if (!proveedor.crearUsuarios) {
+        return { error: 'No existe una cuenta para este email. Solicite una invitación al administrador', status: 403 };
+      }
+
+      // Contraseña aleatoria: el usuario ingresa con SSO (puede definir una con "olvidé mi contraseña")
+      user = new User({
+        nombre: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+        email,
+        password: `${crypto.randomBytes(24).toString('hex')}Aa1!`,
+        role: roles.role,
+        verificado: true,
+        locales: [proveedor.local],
+        primaryLocal: proveedor.local
+      });
+      aplicarRoles(user, proveedor, roles);
+      logger.info(`Usuario ${email} creado mediante el proveedor SSO ${proveedor.slug}`);
+    }
+
+    user.identidadesSSO.push({ proveedor: proveedor._id, sub: claims.sub });
+  } else if (proveedor.sincronizarRoles && user.role !== 'superAdmin') {
+    aplicarRoles(user, proveedor, roles);
+  }
+
+  const identidad = user.identidadesSSO.find(item =>
+    item.proveedor.toString() === proveedor._id.toString() && item.sub === claims.sub
+  );
+  identidad.ultimoLogin = Date.now();
+
+  await user.save({ validateBeforeSave: user.isNew });
+
+  return { user };
+};
+
+// Listar los proveedores disponibles para el login (?email= filtra por dominio, ?local= por local)
+export const getSSOProviders = async (req, res) => {
+  try {
+    const { email, local } = req.query;
+    const filtro = { activo: true };
+
+    if (local) filtro.local = local;
+
+    let proveedores = await ProveedorSSO.find(filtro)
+      .populate('local', 'nombre')
+      .sort({ nombre: 1 });
+
+    if (email) {
+      proveedores = proveedores.filter(proveedor =>
+        proveedor.dominiosPermitidos.length > 0 && proveedor.aceptaEmail(email)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      count: proveedores.length,
+      data: proveedores.map(proveedor => ({
+        nombre: proveedor.nombre,
+        slug: proveedor.slug,
+        local: proveedor.local?.nombre,
+        loginUrl: `/api/auth/sso/${proveedor.slug}/authorize`
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo proveedores SSO: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los proveedores de inicio de sesión',
+      error: error.message
+    });
+  }
+};
+
+// Iniciar el login con el proveedor: devuelve la URL de autorización
+export const authorizeSSO = async (req, res) => {
+  try {
+    const proveedor = await ProveedorSSO.findOne({ slug: req.params.slug, activo: true });
+
+    if (!proveedor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor de inicio de sesión no encontrado'
+      });
+    }
+
+    const configuracion = await obtenerConfiguracion(proveedor.emisor);
+    const parametros = generarParametrosAutorizacion();
+    const redirectUri = obtenerRedirectUri(proveedor);
+
+    await SolicitudSSO.create({
+      stateHash: hashToken(parametros.state),
+      proveedor: proveedor._id,
+      nonce: parametros.nonce,
+      codeVerifier: parametros.codeVerifier,
+      redirectUri,
+      ip: req.ip,
+      expiraEn: Date.now() + SOLICITUD_SSO_EXPIRA_MINUTOS * 60 * 1000
+    });
+
+    const url = construirURLAutorizacion(proveedor, configuracion, {
+      ...parametros,
+      redirectUri,
+      loginHint: req.query.email
+    });
+
+    // Con ?redirect=true el navegador se envía directamente al proveedor
+    if (req.query.redirect === 'true') {
+      return res.redirect(302, url);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url,
+        state: parametros.state
+      }
+    });
+  } catch (error) {
+    logger.error(`Error iniciando login SSO (${req.params.slug}): ${error.message}`);
+    res.status(502).json({
+      success: false,
+      message: 'No se pudo iniciar el login con el proveedor',
+      error: error.message
+    });
+  }
+};
+
+// Completar el login: el frontend envía el code y el state recibidos del proveedor
+export const callbackSSO = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+
+    // La solicitud se consume una única vez
+    const solicitud = await SolicitudSSO.findOneAndDelete({ stateHash: hashToken(state) });
+
+    if (!solicitud || solicitud.expiraEn < Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'La solicitud de inicio de sesión es inválida o expiró, intente nuevamente'
+      });
+    }
+
+    const proveedor = await ProveedorSSO.findOne({ slug: req.params.slug, activo: true }).select('+clientSecret');
+
+    if (!proveedor || proveedor._id.toString() !== solicitud.proveedor.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'La solicitud no corresponde a este proveedor'
+      });
+    }
+
+    const configuracion = await obtenerConfiguracion(proveedor.emisor);
+
+    let claims;
+    try {
+      const tokens = await intercambiarCodigo(proveedor, configuracion, {
+        code,
+        codeVerifier: solicitud.codeVerifier,
+        redirectUri: solicitud.redirectUri
+      });
+      claims = await verificarIdToken(tokens.id_token, proveedor, configuracion, solicitud.nonce);
+    } catch (error) {
+      logger.warn(`Login SSO rechazado (${proveedor.slug}) desde IP ${req.ip}: ${error.message}`);
+      return res.status(401).json({
+        success: false,
+        message: 'No se pudo validar la identidad con el proveedor',
+        error: error.message
+      });
+    }
+
+    const { user, error, status } = await obtenerUsuarioSSO(proveedor, claims);
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!user.activo) {
+      return res.status(401).json({
+        success: false,
+        message: 'Usuario desactivado'
+      });
+    }
+
+    if (user.estaBloqueada()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Cuenta bloqueada temporalmente, intente más tarde'
+      });
+    }
+
+    // No se controla el vencimiento de la contraseña local: con SSO no se usa y la vigencia de las
+    // credenciales la define el proveedor (las cuentas creadas por SSO tienen una contraseña aleatoria)
+    logger.info(`Login SSO de ${user.email} mediante ${proveedor.slug}`);
+    await finalizarLogin(user, req, res);
+  } catch (error) {
+    logger.error(`Error completando login SSO: ${error.message}`);
+
+    if (error.code === 11000) {
+      return res.status(403).json({
+        success: false,
+        message: 'Esta cuenta no puede iniciar sesión con este proveedor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al iniciar sesión con el proveedor',
+      error: error.message
+    });
+  }
+};
+
+// Listar los proveedores configurados
+export const getProviders = async (req, res) => {
+  try {
+    const filtro = req.query.local ? { local: req.query.local } : {};
+    const proveedores = await ProveedorSSO.find(filtro)
+      .populate('local', 'nombre')
+      .sort({ nombre: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: proveedores.length,
+      data: proveedores.map(formatearProveedor)
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo proveedores SSO: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los proveedores SSO',
+      error: error.message
+    });
+  }
+};
+
+// Verificar que los roles personalizados del mapeo pertenezcan al local del proveedor
+const validarMapeoRoles = async (mapeoRoles = [], localId) => {
+  const ids = mapeoRoles.filter(mapeo => mapeo.rolPersonalizado).map(mapeo => mapeo.rolPersonalizado);
+  if (ids.length === 0) return true;
+
+  const encontrados = await Role.countDocuments({ _id: { $in: ids }, local: localId });
+  return encontrados === new Set(ids.map(String)).size;
+};
+
+// Crear un proveedor OIDC (se valida el descubrimiento antes de guardarlo)
+export const createProvider = async (req, res) => {
+  try {
+    const local = await Local.findById(req.body.local);
+    if (!local) {
+      return res.status(404).json({
+        success: false,
+        message: 'Local/Marca no encontrado'
+      });
+    }
+
+    if (!(await validarMapeoRoles(req.body.mapeoRoles, local._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'El mapeo incluye roles personalizados que no pertenecen al local/marca'
+      });
+    }
+
+    try {
+      await obtenerConfiguracion(req.body.emisor);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se pudo obtener la configuración OIDC del emisor',
+        error: error.message
+      });
+    }
+
+    const proveedor = await ProveedorSSO.create({
+      ...req.body,
+      creadoPor: req.userId
+    });
+
+    req.auditar({
+      recurso: 'ProveedorSSO',
+      recursoId: proveedor._id,
+      local: proveedor.local,
+      despues: formatearProveedor(proveedor)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Proveedor SSO creado exitosamente',
+      data: formatearProveedor(proveedor)
+    });
+  } catch (error) {
+    logger.error(`Error creando proveedor SSO: ${error.message}`);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un proveedor con ese identificador'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear el proveedor SSO',
+      error: error.message
+    });
+  }
+};
+
+// Actualizar un proveedor OIDC
+export const updateProvider = async (req, res) => {
+  try {
+    const proveedor = await ProveedorSSO.findById(req.params.id);
+
+    if (!proveedor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor SSO no encontrado'
+      });
+    }
+
+    const antes = formatearProveedor(proveedor);
+    const campos = [
+      'nombre', 'emisor', 'clientId', 'clientSecret', 'scopes', 'redirectUri', 'dominiosPermitidos',
+      'claimRoles', 'mapeoRoles', 'roleDefault', 'crearUsuarios', 'sincronizarRoles', 'activo'
+    ];
+
+    if (req.body.mapeoRoles && !(await validarMapeoRoles(req.body.mapeoRoles, proveedor.local))) {
+      return res.status(400).json({
+        success: false,
+        message: 'El mapeo incluye roles personalizados que no pertenecen al local/marca'
+      });
+    }
+
+    if (req.body.emisor && req.body.emisor !== proveedor.emisor) {
+      try {
+        await obtenerConfiguracion(req.body.emisor);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'No se pudo obtener la configuración OIDC del emisor',
+          error: error.message
+        });
+      }
+    }
+
+    campos.forEach(campo => {
+      if (req.body[campo] !== undefined) proveedor[campo] = req.body[campo];
+    });
+    await proveedor.save();
+
+    req.auditar({
+      recurso: 'ProveedorSSO',
+      recursoId: proveedor._id,
+      local: proveedor.local,
+      antes,
+      despues: formatearProveedor(proveedor)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Proveedor SSO actualizado exitosamente',
+      data: formatearProveedor(proveedor)
+    });
+  } catch (error) {
+    logger.error(`Error actualizando proveedor SSO: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar el proveedor SSO',
+      error: error.message
+    });
+  }
+};
+
+// Eliminar un proveedor OIDC (las identidades vinculadas dejan de funcionar)
+export const deleteProvider = async (req, res) => {
+  try {
+    const proveedor = await ProveedorSSO.findByIdAndDelete(req.params.id);
+
+    if (!proveedor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor SSO no encontrado'
+      });
+    }
+
+    await User.updateMany(
+      { 'identidadesSSO.proveedor': proveedor._id },
+      { $pull: { identidadesSSO: { proveedor: proveedor._id } } }
+    );
+
+    req.auditar({
+      recurso: 'ProveedorSSO',
+      recursoId: proveedor._id,
+      local: proveedor.local,
+      antes: formatearProveedor(proveedor)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Proveedor SSO eliminado exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando proveedor SSO: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar el proveedor SSO',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,267 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import logger from '../config/logger.js';
+import {
+  generarSecreto,
+  generarURIOtpauth,
+  generarCodigosRecuperacion,
+  hashCodigoRecuperacion,
+  verificarCodigo,
+  verificarSegundoFactor
+} from '../services/totpService.js';
+import { revocarSesionesUsuario } from '../services/tokenService.js';
+
+const CAMPOS_2FA = '+dosFactores.secreto +dosFactores.secretoPendiente +dosFactores.codigosRecuperacion +dosFactores.ultimoPasoUsado';
+
+// Obtener el estado de 2FA del usuario autenticado
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+dosFactores.codigosRecuperacion');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activo: user.tiene2FAActivo(),
+        obligatorio: user.requiere2FA(),
+        activadoEn: user.dosFactores?.activadoEn || null,
+        codigosRecuperacionRestantes: user.dosFactores?.codigosRecuperacion?.length || 0,
+        sesionVerificada: !!req.sesion?.dosFactoresVerificado
+      }
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo estado 2FA: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener el estado de 2FA',
+      error: error.message
+    });
+  }
+};
+
+// Iniciar la configuración de 2FA: genera un secreto pendiente de confirmación
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(CAMPOS_2FA);
+
+    if (user.tiene2FAActivo()) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores ya está activa'
+      });
+    }
+
+    const secreto = generarSecreto();
+    user.dosFactores.secretoPendiente = secreto;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Escanee el código QR con su aplicación autenticadora y confirme con un código',
+      data: {
+        secreto,
+        otpauthUri: generarURIOtpauth(secreto, user.email)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error configurando 2FA: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al configurar la autenticación de dos factores',
+      error: error.message
+    });
+  }
+};
+
+// Confirmar la configuración de 2FA con un código y generar los códigos de recuperación
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { codigo } = req.body;
+    const user = await User.findById(req.userId).select(CAMPOS_2FA);
+
+    if (user.tiene2FAActivo()) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores ya está activa'
+      });
+    }
+
+    if (!user.dosFactores.secretoPendiente) {
+      return res.status(400).json({
+        success: false,
+        message: 'Primero debe iniciar la configuración de 2FA'
+      });
+    }
+
+    const paso = verificarCodigo(user.dosFactores.secretoPendiente, codigo);
+    if (paso === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código de verificación inválido'
+      });
+    }
+
+    const codigosRecuperacion = generarCodigosRecuperacion();
+
+    user.dosFactores.activo = true;
+    user.dosFactores.secreto = user.dosFactores.secretoPendiente;
+    user.dosFactores.secretoPendiente = undefined;
+    user.dosFactores.codigosRecuperacion = codigosRecuperacion.map(hashCodigoRecuperacion);
+    user.dosFactores.ultimoPasoUsado = paso;
+    user.dosFactores.activadoEn = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    // La sesión actual acaba de demostrar el segundo factor
+    await Session.updateOne({ _id: req.sessionId }, { $set: { dosFactoresVerificado: true } });
+
+    logger.info(`2FA activado para usuario ${user.email} (${user.role})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Autenticación de dos factores activada. Guarde los códigos de recuperación en un lugar seguro.',
+      data: { codigosRecuperacion }
+    });
+  } catch (error) {
+    logger.error(`Error activando 2FA: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al activar la autenticación de dos factores',
+      error: error.message
+    });
+  }
+};
+
+// Desactivar 2FA (requiere contraseña y segundo factor)
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, codigo, codigoRecuperacion } = req.body;
+    const user = await User.findById(req.userId).select(`+password ${CAMPOS_2FA}`);
+
+    if (!user.tiene2FAActivo()) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores no está activa'
+      });
+    }
+
+    if (user.requiere2FA()) {
+      return res.status(403).json({
+        success: false,
+        message: `La autenticación de dos factores es obligatoria para el rol ${user.role}`
+      });
+    }
+
+    const passwordValida = await user.comparePassword(password || '');
+    const { valido } = verificarSegundoFactor(user, { codigo, codigoRecuperacion });
+
+    if (!passwordValida || !valido) {
+      return res.status(401).json({
+        success: false,
+        message: 'Contraseña o código de verificación incorrectos'
+      });
+    }
+
+    user.dosFactores = { activo: false };
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`2FA desactivado por el usuario ${user.email} (${user.role})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Autenticación de dos factores desactivada'
+    });
+  } catch (error) {
+    logger.error(`Error desactivando 2FA: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al desactivar la autenticación de dos factores',
+      error: error.message
+    });
+  }
+};
+
+// Regenerar los códigos de recuperación (invalida los anteriores)
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { codigo } = req.body;
+    const user = await User.findById(req.userId).select(CAMPOS_2FA);
+
+    if (!user.tiene2FAActivo()) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores no está activa'
+      });
+    }
+
+    const { valido } = verificarSegundoFactor(user, { codigo });
+    if (!valido) {
+      return res.status(401).json({
+        success: false,
+        message: 'Código de verificación inválido'
+      });
+    }
+
+    const codigosRecuperacion = generarCodigosRecuperacion();
+    user.dosFactores.codigosRecuperacion = codigosRecuperacion.map(hashCodigoRecuperacion);
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Códigos de recuperación 2FA regenerados para ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Códigos de recuperación regenerados',
+      data: { codigosRecuperacion }
+    });
+  } catch (error) {
+    logger.error(`Error regenerando códigos de recuperación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al regenerar los códigos de recuperación',
+      error: error.message
+    });
+  }
+};
+
+// Restablecer el 2FA de un usuario (admin o superAdmin)
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (req.userRole !== 'superAdmin' && !req.user.puedeAdministrar(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para restablecer el 2FA de este usuario'
+      });
+    }
+
+    user.dosFactores = { activo: false };
+    user.ultimaModificacion = {
+      usuario: req.userId,
+      fecha: Date.now()
+    };
+    await user.save({ validateBeforeSave: false });
+
+    // Cerrar las sesiones abiertas para que el usuario vuelva a autenticarse
+    await revocarSesionesUsuario(user._id, 'reseteo_2fa_admin');
+
+    logger.info(`2FA del usuario ${user.email} restablecido por ${req.userId} (${req.userRole})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Autenticación de dos factores restablecida. El usuario deberá configurarla nuevamente.'
+    });
+  } catch (error) {
+    logger.error(`Error restableciendo 2FA: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al restablecer la autenticación de dos factores',
+      error: error.message
+    });
+  }
+};
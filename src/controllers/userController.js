@@ -1,6 +1,30 @@
 import User from '../models/User.js';
-import jwt from 'jsonwebtoken';
 import logger from '../config/logger.js';
+import { sendPasswordResetEmail, sendVerificationEmail, sendMagicLinkEmail } from '../services/emailService.js';
+import { 
+  emitirTokens, 
+  rotarRefreshToken, 
+  revocarSesionesUsuario,
+  obtenerInfoDispositivo,
+  generarTokenDesafio2FA,
+  verificarTokenDesafio2FA,
+  generarTokenCambioPassword,
+  verificarTokenCambioPassword
+} from '../services/tokenService.js';
+import { verificarSegundoFactor } from '../services/totpService.js';
+import {
+  obtenerPoliticaLocales,
+  obtenerPoliticaUsuario,
+  validarPassword,
+  validarNuevaPassword,
+  passwordExpirada,
+  responderPasswordInvalida
+} from '../services/politicaSeguridadService.js';
+import {
+  detectarLoginSospechoso,
+  registrarLoginSospechoso,
+  registrarCuentaBloqueada
+} from '../services/seguridadService.js';
 
 // Crear un nuevo usuario
 export const register = async (req, res) => {
@@ -16,6 +40,13 @@ export const register = async (req, res) => {
       });
     }
     
+    // Validar la contraseña con la política del local elegido
+    const politica = await obtenerPoliticaLocales(local ? [local] : []);
+    const erroresPassword = validarPassword(password, politica.contrasena);
+    if (erroresPassword.length > 0) {
+      return responderPasswordInvalida(res, erroresPassword);
+    }
+    
     // Crear el nuevo usuario
     const user = new User({
       nombre,
@@ -29,6 +60,14 @@ export const register = async (req, res) => {
     
     await user.save();
     
+    // Enviar el código de verificación de email (si falla, puede reenviarse desde /verify/resend)
+    const codigo = await user.generarCodigoVerificacion();
+    const enviado = await sendVerificationEmail(user, codigo);
+    
+    if (!enviado) {
+      logger.warn(`No se pudo enviar el código de verificación a ${user.email}`);
+    }
+    
     // Responder sin devolver la contraseña
     const userResponse = {
       id: user._id,
@@ -37,12 +76,15 @@ export const register = async (req, res) => {
       role: user.role,
       locales: user.locales,
       primaryLocal: user.primaryLocal,
-      local: user.primaryLocal // Para compatibilidad con el frontend
+      local: user.primaryLocal, // Para compatibilidad con el frontend
+      verificado: user.verificado
     };
     
     res.status(201).json({ 
       success: true, 
-      message: 'Usuario creado exitosamente',
+      message: enviado
+        ? 'Usuario creado exitosamente. Revise su email para verificar la cuenta.'
+        : 'Usuario creado exitosamente. No se pudo enviar el código de verificación, solicite uno nuevo.',
       data: userResponse
     });
   } catch (error) {
@@ -55,6 +97,99 @@ export const register = async (req, res) => {
   }
 };
 
+// Verificar si la política exige email verificado para iniciar sesión
+const requiereVerificacionEmail = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Vigencia de los enlaces de inicio de sesión sin contraseña (en minutos)
+const MAGIC_LINK_EXPIRA_MINUTOS = parseInt(process.env.MAGIC_LINK_EXPIRA_MINUTOS) || 15;
+
+// Verificar si la política del local principal permite al usuario ingresar con enlace mágico
+// (requiere primaryLocal poblado; nunca para superAdmin ni cuentas de servicio)
+const permiteMagicLink = (user) => {
+  if (user.role === 'superAdmin' || user.tipoCuenta === 'servicio') return false;
+  return !!(user.primaryLocal && typeof user.primaryLocal.permiteMagicLink === 'function' &&
+    user.primaryLocal.permiteMagicLink(user.role));
+};
+
+// Completar el login: registrar el acceso, crear la sesión y responder con los tokens
+const completarLogin = async (user, req, res, opciones = {}) => {
+  // Registrar información del dispositivo
+  const infoDispositivo = obtenerInfoDispositivo(req);
+  
+  // Comparar con los accesos anteriores antes de que este se agregue al historial
+  const motivosSospecha = detectarLoginSospechoso(user, infoDispositivo);
+  
+  // Registrar login exitoso e IP (esto también actualiza enLinea a true)
+  await user.registrarLoginExitoso(infoDispositivo);
+  user.lastLoginIP = req.ip;
+  await user.save({ validateBeforeSave: false });
+  
+  // Crear sesión en el servidor y emitir token de acceso + refresh token
+  const { accessToken, refreshToken, expiresIn, session } = await emitirTokens(user, req, {
+    dosFactoresVerificado: !!opciones.dosFactoresVerificado
+  });
+  
+  // Dispositivo o IP nuevos: registrar el evento y avisar al usuario (sin demorar la respuesta)
+  if (motivosSospecha.length > 0) {
+    registrarLoginSospechoso(user, infoDispositivo, motivosSospecha, session);
+  }
+  
+  // Preparar respuesta para mantener compatibilidad con frontend
+  const userData = {
+    id: user._id,
+    nombre: user.nombre,
+    email: user.email,
+    role: user.role,
+    locales: user.locales,
+    primaryLocal: user.primaryLocal,
+    local: user.primaryLocal, // Para compatibilidad con código existente
+    enLinea: user.enLinea
+  };
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Login exitoso',
+    token: accessToken,
+    refreshToken,
+    expiresIn,
+    // La política exige 2FA para este rol pero el usuario todavía no lo configuró
+    requiereConfigurar2FA: user.requiere2FA() && !user.tiene2FAActivo(),
+    user: userData
+  });
+};
+
+// Si la contraseña superó su vigencia, exigir el cambio antes de emitir la sesión
+const responderPasswordExpirada = (user, res) => {
+  logger.info(`Contraseña expirada para usuario ${user.email}, se exige su cambio`);
+  return res.status(200).json({
+    success: true,
+    message: 'Su contraseña expiró, debe definir una nueva para continuar',
+    requiereCambioPassword: true,
+    cambioPasswordToken: generarTokenCambioPassword(user)
+  });
+};
+
+/**
+ * Finaliza un login cuyo primer factor ya fue verificado (contraseña o SSO):
+ * si el usuario tiene 2FA activo responde con el desafío, si no emite la sesión
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ */
+export const finalizarLogin = async (user, req, res) => {
+  // Si el usuario tiene 2FA activo, solicitar el segundo factor antes de emitir tokens
+  if (user.tiene2FAActivo()) {
+    return res.status(200).json({
+      success: true,
+      message: 'Ingrese el código de su aplicación autenticadora para completar el login',
+      requiere2FA: true,
+      challengeToken: generarTokenDesafio2FA(user)
+    });
+  }
+  
+  await completarLogin(user, req, res);
+};
+
 // Login de usuario
 export const login = async (req, res) => {
   try {
@@ -73,6 +208,14 @@ export const login = async (req, res) => {
       });
     }
     
+    // Las cuentas de servicio solo se autentican con claves de API
+    if (user.tipoCuenta === 'servicio') {
+      return res.status(403).json({
+        success: false,
+        message: 'Las cuentas de servicio no pueden iniciar sesión, utilice una clave de API'
+      });
+    }
+    
     // Verificar si la cuenta está bloqueada
     if (user.estaBloqueada()) {
       const tiempoRestante = Math.ceil((user.bloqueadoHasta - Date.now()) / (60 * 1000));
@@ -82,14 +225,17 @@ export const login = async (req, res) => {
       });
     }
     
+    const politica = await obtenerPoliticaUsuario(user);
+    
     // Verificar si la contraseña es correcta
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      // Registrar intento fallido
-      await user.registrarIntentoFallido();
+      // Registrar intento fallido (el bloqueo depende de la política del local)
+      await user.registrarIntentoFallido(politica.bloqueo);
       
       // Si ya está bloqueada, informar el tiempo restante
       if (user.estaBloqueada()) {
+        await registrarCuentaBloqueada(user, req);
         const tiempoRestante = Math.ceil((user.bloqueadoHasta - Date.now()) / (60 * 1000));
         return res.status(401).json({ 
           success: false, 
@@ -98,61 +244,35 @@ export const login = async (req, res) => {
       }
       
       // Informar intentos restantes
-      const intentosRestantes = 5 - user.intentosFallidos;
+      const intentosRestantes = politica.bloqueo.intentosMaximos - user.intentosFallidos;
       return res.status(401).json({ 
         success: false, 
         message: `Credenciales inválidas. Intentos restantes: ${intentosRestantes}` 
       });
     }
     
-    // Registrar información del dispositivo
-    const infoDispositivo = {
-      dispositivo: req.headers['user-agent'] || 'desconocido',
-      ip: req.ip,
-      ubicacion: req.headers['accept-language'] || 'desconocido'
-    };
-    
-    // Registrar login exitoso e IP (esto también actualiza enLinea a true)
-    await user.registrarLoginExitoso(infoDispositivo);
-    user.lastLoginIP = req.ip;
-    await user.save();
+    // Las cuentas desactivadas no pueden iniciar sesión
+    if (!user.activo) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Usuario desactivado' 
+      });
+    }
     
-    // Generar JWT con más datos y algoritmo más seguro
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        role: user.role,
-        email: user.email,
-        iat: Math.floor(Date.now() / 1000), // Issued at time
-        // Datos de seguridad adicionales
-        userAgent: req.headers['user-agent']?.substring(0, 100) || 'unknown',
-        tokenVersion: user.tokenVersion
-      },
-      process.env.JWT_SECRET,
-      { 
-        expiresIn: '8h',
-        algorithm: 'HS512'
-      }
-    );
+    // Impedir el acceso a cuentas cuyo email no fue verificado (si la política lo exige)
+    if (requiereVerificacionEmail() && !user.verificado) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NO_VERIFICADO',
+        message: 'Debe verificar su email antes de iniciar sesión. Revise su bandeja de entrada.'
+      });
+    }
     
-    // Preparar respuesta para mantener compatibilidad con frontend
-    const userData = {
-      id: user._id,
-      nombre: user.nombre,
-      email: user.email,
-      role: user.role,
-      locales: user.locales,
-      primaryLocal: user.primaryLocal,
-      local: user.primaryLocal, // Para compatibilidad con código existente
-      enLinea: user.enLinea
-    };
+    if (passwordExpirada(user, politica.contrasena)) {
+      return responderPasswordExpirada(user, res);
+    }
     
-    res.status(200).json({
-      success: true,
-      message: 'Login exitoso',
-      token,
-      user: userData
-    });
+    await finalizarLogin(user, req, res);
   } catch (error) {
     logger.error(`Error en login: ${error.message}`);
     res.status(500).json({ 
@@ -163,6 +283,146 @@ export const login = async (req, res) => {
   }
 };
 
+// Segundo paso del login para usuarios con 2FA activo
+export const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, codigo, codigoRecuperacion } = req.body;
+    
+    const desafio = await verificarTokenDesafio2FA(challengeToken);
+    if (!desafio) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'El desafío de autenticación es inválido o expiró, inicie sesión nuevamente' 
+      });
+    }
+    
+    const user = await User.findById(desafio.id)
+      .select('+dosFactores.secreto +dosFactores.codigosRecuperacion +dosFactores.ultimoPasoUsado')
+      .populate('locales', 'nombre direccion telefono email')
+      .populate('primaryLocal', 'nombre direccion telefono email');
+    
+    if (!user || !user.tiene2FAActivo() || user.tokenVersion !== desafio.tokenVersion) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'El desafío de autenticación es inválido o expiró, inicie sesión nuevamente' 
+      });
+    }
+    
+    // La cuenta pudo desactivarse después del primer paso
+    if (!user.activo) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Usuario desactivado' 
+      });
+    }
+    
+    // Verificar si la cuenta está bloqueada
+    if (user.estaBloqueada()) {
+      const tiempoRestante = Math.ceil((user.bloqueadoHasta - Date.now()) / (60 * 1000));
+      return res.status(401).json({ 
+        success: false, 
+        message: `Cuenta bloqueada por intentos fallidos. Intente nuevamente en ${tiempoRestante} minutos.` 
+      });
+    }
+    
+    const resultado = verificarSegundoFactor(user, { codigo, codigoRecuperacion });
+    if (!resultado.valido) {
+      const politica = await obtenerPoliticaUsuario(user);
+      await user.registrarIntentoFallido(politica.bloqueo);
+      if (user.estaBloqueada()) {
+        await registrarCuentaBloqueada(user, req);
+      }
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Código de verificación inválido' 
+      });
+    }
+    
+    if (resultado.metodo === 'recuperacion') {
+      logger.warn(`Usuario ${user.email} inició sesión con un código de recuperación 2FA (${user.dosFactores.codigosRecuperacion.length} restantes)`);
+    }
+    
+    await completarLogin(user, req, res, { dosFactoresVerificado: true });
+  } catch (error) {
+    logger.error(`Error en login 2FA: ${error.message}`);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error al verificar el segundo factor',
+      error: error.message 
+    });
+  }
+};
+
+// Definir una nueva contraseña cuando la actual expiró (segundo paso del login)
+export const changeExpiredPassword = async (req, res) => {
+  try {
+    const { cambioPasswordToken, newPassword } = req.body;
+    
+    const desafio = await verificarTokenCambioPassword(cambioPasswordToken);
+    if (!desafio) {
+      return res.status(401).json({
+        success: false,
+        message: 'El token de cambio de contraseña es inválido o expiró, inicie sesión nuevamente'
+      });
+    }
+    
+    const user = await User.findById(desafio.id)
+      .select('+password +historialPasswords')
+      .populate('locales', 'nombre direccion telefono email')
+      .populate('primaryLocal', 'nombre direccion telefono email');
+    
+    // El token deja de servir en cuanto cambia la versión (p. ej. tras usarlo una vez)
+    if (!user || user.tokenVersion !== desafio.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        message: 'El token de cambio de contraseña es inválido o expiró, inicie sesión nuevamente'
+      });
+    }
+    
+    // La cuenta pudo desactivarse después del login que emitió el token
+    if (!user.activo) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Usuario desactivado' 
+      });
+    }
+    
+    if (user.estaBloqueada()) {
+      const tiempoRestante = Math.ceil((user.bloqueadoHasta - Date.now()) / (60 * 1000));
+      return res.status(401).json({
+        success: false,
+        message: `Cuenta bloqueada por intentos fallidos. Intente nuevamente en ${tiempoRestante} minutos.`
+      });
+    }
+    
+    const politica = await obtenerPoliticaUsuario(user);
+    const erroresPassword = await validarNuevaPassword(user, newPassword, politica.contrasena);
+    if (erroresPassword.length > 0) {
+      return responderPasswordInvalida(res, erroresPassword, 'newPassword');
+    }
+    
+    user.establecerPassword(newPassword);
+    user.incrementTokenVersion();
+    user.ultimaModificacion = {
+      usuario: user._id,
+      fecha: Date.now()
+    };
+    await user.save();
+    await revocarSesionesUsuario(user._id, 'cambio_contrasena');
+    
+    logger.info(`Contraseña expirada renovada por usuario ${user.email} (${user.role})`);
+    
+    await finalizarLogin(user, req, res);
+  } catch (error) {
+    logger.error(`Error cambiando contraseña expirada: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error al cambiar la contraseña',
+      error: error.message
+    });
+  }
+};
+
 // Logout de usuario
 export const logout = async (req, res) => {
   try {
@@ -175,6 +435,28 @@ export const logout = async (req, res) => {
       });
     }
     
+    // Cerrar una impersonación no desconecta al usuario real
+    if (req.impersonador) {
+      await req.sesion.revocar('fin_impersonacion');
+      req.auditar({
+        accion: 'usuario.impersonar_fin',
+        recurso: 'User',
+        recursoId: user._id,
+        local: user.primaryLocal,
+        detalles: { sesion: req.sesion._id }
+      });
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Impersonación finalizada'
+      });
+    }
+    
+    // Revocar la sesión actual en el servidor
+    if (req.sesion) {
+      await req.sesion.revocar('logout');
+    }
+    
     // Actualizar estado a offline
     await user.registrarLogout();
     
@@ -192,6 +474,35 @@ export const logout = async (req, res) => {
   }
 };
 
+// Renovar el token de acceso usando un refresh token
+export const refreshToken = async (req, res) => {
+  try {
+    const resultado = await rotarRefreshToken(req.body.refreshToken, req);
+    
+    if (!resultado.success) {
+      return res.status(resultado.status).json({ 
+        success: false, 
+        message: resultado.message 
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Token renovado exitosamente',
+      token: resultado.accessToken,
+      refreshToken: resultado.refreshToken,
+      expiresIn: resultado.expiresIn
+    });
+  } catch (error) {
+    logger.error(`Error renovando token: ${error.message}`);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error al renovar el token',
+      error: error.message 
+    });
+  }
+};
+
 // Obtener perfil de usuario
 export const getProfile = async (req, res) => {
   try {
@@ -206,8 +517,8 @@ export const getProfile = async (req, res) => {
       });
     }
     
-    // Verificar si el usuario está en línea
-    if (!user.enLinea) {
+    // Verificar si el usuario está en línea (una impersonación no cambia su estado)
+    if (!user.enLinea && !req.impersonador) {
       // Si no está en línea, actualizar su estado
       user.enLinea = true;
       await user.save({ validateBeforeSave: false });
@@ -219,6 +530,18 @@ export const getProfile = async (req, res) => {
       userData.local = user.primaryLocal;
     }
     
+    // Informar al frontend que la sesión es una impersonación
+    if (req.impersonador) {
+      userData.impersonacion = {
+        impersonadoPor: {
+          id: req.impersonador._id,
+          nombre: req.impersonador.nombre,
+          email: req.impersonador.email
+        },
+        expiraEn: req.sesion.expiraEn
+      };
+    }
+    
     res.status(200).json({
       success: true,
       data: userData
@@ -238,8 +561,8 @@ export const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     
-    // Obtener usuario con contraseña
-    const user = await User.findById(req.userId).select('+password');
+    // Obtener usuario con contraseña e historial
+    const user = await User.findById(req.userId).select('+password +historialPasswords');
     
     if (!user) {
       logger.warn(`Intento de cambio de contraseña para usuario no encontrado (ID: ${req.userId})`);
@@ -261,14 +584,22 @@ export const changePassword = async (req, res) => {
       });
     }
     
+    // Validar la nueva contraseña con la política de sus locales (reglas e historial)
+    const politica = await obtenerPoliticaUsuario(user);
+    const erroresPassword = await validarNuevaPassword(user, newPassword, politica.contrasena);
+    if (erroresPassword.length > 0) {
+      return responderPasswordInvalida(res, erroresPassword, 'newPassword');
+    }
+    
     // Actualizar contraseña e incrementar versión del token para invalidar sesiones
-    user.password = newPassword;
+    user.establecerPassword(newPassword);
     user.incrementTokenVersion();
     user.ultimaModificacion = {
       usuario: req.userId,
       fecha: Date.now()
     };
     await user.save();
+    await revocarSesionesUsuario(user._id, 'cambio_contrasena');
     
     logger.info(`Contraseña actualizada correctamente para usuario ${user.email} (${user.role})`);
     
@@ -286,6 +617,82 @@ export const changePassword = async (req, res) => {
   }
 };
 
+// Verificar el email con el código enviado al registrarse.
+// Un email inexistente o ya verificado responde igual que un código inválido para no revelar qué cuentas existen
+export const verifyEmail = async (req, res) => {
+  try {
+    const { email, codigo } = req.body;
+    
+    const user = await User.findOne({ email }).select('+codigoVerificacion');
+    const valido = user && !user.verificado && await user.verificarCodigoVerificacion(codigo);
+    
+    if (!valido) {
+      return res.status(400).json({
+        success: false,
+        message: 'El código de verificación es incorrecto o expiró. Si superó los intentos permitidos, solicite uno nuevo.'
+      });
+    }
+    
+    logger.info(`Email verificado para el usuario ${user.email}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Email verificado exitosamente. Ya puede iniciar sesión.'
+    });
+  } catch (error) {
+    logger.error(`Error verificando email: ${error.message}`);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error al verificar el email',
+      error: error.message 
+    });
+  }
+};
+
+// Reenviar el código de verificación de email (la respuesta no revela si la cuenta existe)
+export const resendVerification = async (req, res) => {
+  const respuesta = {
+    success: true,
+    message: 'Si la cuenta existe y su email no fue verificado, recibirá un nuevo código. Revise su email.'
+  };
+  
+  try {
+    const { email } = req.body;
+    
+    const user = await User.findOne({ email });
+    if (!user || user.verificado) {
+      logger.info(`Código de verificación no reenviado a ${email}: cuenta inexistente o ya verificada`);
+      return res.status(200).json(respuesta);
+    }
+    
+    // Esperar al menos un minuto entre envíos
+    if (user.codigoVerificacionEnviado && Date.now() - user.codigoVerificacionEnviado.getTime() < 60 * 1000) {
+      logger.info(`Código de verificación no reenviado a ${email}: se envió otro hace menos de un minuto`);
+      return res.status(200).json(respuesta);
+    }
+    
+    const codigo = await user.generarCodigoVerificacion();
+    const enviado = await sendVerificationEmail(user, codigo);
+    
+    if (!enviado) {
+      return res.status(500).json({
+        success: false,
+        message: 'No se pudo enviar el código de verificación. Intente nuevamente más tarde.'
+      });
+    }
+    
+    logger.info(`Código de verificación reenviado a ${email}`);
+    res.status(200).json(respuesta);
+  } catch (error) {
+    logger.error(`Error reenviando código de verificación: ${error.message}`);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error al reenviar el código de verificación',
+      error: error.message 
+    });
+  }
+};
+
 // Solicitar reseteo de contraseña
 export const forgotPassword = async (req, res) => {
   try {
@@ -303,10 +710,24 @@ export const forgotPassword = async (req, res) => {
     const resetToken = user.createPasswordResetToken();
     await user.save({ validateBeforeSave: false });
     
-    // Aquí normalmente enviarías un email con el token
-    // Por simplicidad, solo retornamos un mensaje de éxito
+    // Enviar el enlace de reseteo por email
+    const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const resetURL = `${frontendURL}/reset-password/${resetToken}`;
+    const enviado = await sendPasswordResetEmail(user, resetURL);
     
-    logger.info(`Token de reseteo generado para ${email}: ${resetToken}`);
+    if (!enviado) {
+      // Si no se pudo enviar el email, invalidar el token generado
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      
+      return res.status(500).json({
+        success: false,
+        message: 'No se pudo enviar el email de reseteo. Intente nuevamente más tarde.'
+      });
+    }
+    
+    logger.info(`Email de reseteo de contraseña enviado a ${email}`);
     
     res.status(200).json({
       success: true,
@@ -320,4 +741,171 @@ export const forgotPassword = async (req, res) => {
       error: error.message 
     });
   }
-}; 
\ No newline at end of file
+};
+
+// Restablecer contraseña con el token recibido por email
+export const resetPassword = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { newPassword } = req.body;
+    
+    // Buscar usuario con token válido y no expirado
+    const user = await User.buscarPorTokenReseteo(token).select('+password +historialPasswords');
+    
+    if (!user) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'El token es inválido o ha expirado' 
+      });
+    }
+    
+    const politica = await obtenerPoliticaUsuario(user);
+    const erroresPassword = await validarNuevaPassword(user, newPassword, politica.contrasena);
+    if (erroresPassword.length > 0) {
+      return responderPasswordInvalida(res, erroresPassword, 'newPassword');
+    }
+    
+    // Actualizar contraseña y limpiar datos de reseteo
+    user.establecerPassword(newPassword);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.intentosFallidos = 0;
+    user.bloqueadoHasta = undefined;
+    
+    // Invalidar todas las sesiones abiertas
+    user.incrementTokenVersion();
+    user.enLinea = false;
+    user.ultimaModificacion = {
+      usuario: user._id,
+      fecha: Date.now()
+    };
+    await user.save();
+    await revocarSesionesUsuario(user._id, 'reseteo_contrasena');
+    
+    logger.info(`Contraseña restablecida mediante token para usuario ${user.email}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Contraseña restablecida correctamente. Inicie sesión con su nueva contraseña.'
+    });
+  } catch (error) {
+    logger.error(`Error en reset password: ${error.message}`);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error al restablecer la contraseña',
+      error: error.message 
+    });
+  }
+};
+
+// Solicitar un enlace de inicio de sesión sin contraseña.
+// La respuesta es siempre la misma para no revelar qué emails existen o tienen la opción habilitada
+export const requestMagicLink = async (req, res) => {
+  const respuesta = {
+    success: true,
+    message: 'Si la cuenta existe y tiene habilitado el acceso sin contraseña, recibirá un enlace por email.'
+  };
+  
+  try {
+    const { email } = req.body;
+    
+    const user = await User.findOne({ email }).populate('primaryLocal');
+    
+    if (!user || !permiteMagicLink(user)) {
+      logger.info(`Enlace mágico no enviado a ${email}: cuenta inexistente o política deshabilitada`);
+      return res.status(200).json(respuesta);
+    }
+    
+    if (user.estaBloqueada()) {
+      logger.info(`Enlace mágico no enviado a ${email}: cuenta bloqueada`);
+      return res.status(200).json(respuesta);
+    }
+    
+    const token = user.createMagicLinkToken(MAGIC_LINK_EXPIRA_MINUTOS);
+    await user.save({ validateBeforeSave: false });
+    
+    const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const enviado = await sendMagicLinkEmail(user, `${frontendURL}/magic-link/${token}`, MAGIC_LINK_EXPIRA_MINUTOS);
+    
+    if (!enviado) {
+      user.magicLinkToken = undefined;
+      user.magicLinkExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      
+      return res.status(500).json({
+        success: false,
+        message: 'No se pudo enviar el enlace. Intente nuevamente más tarde.'
+      });
+    }
+    
+    logger.info(`Enlace mágico enviado a ${email}`);
+    res.status(200).json(respuesta);
+  } catch (error) {
+    logger.error(`Error solicitando enlace mágico: ${error.message}`);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error al procesar la solicitud',
+      error: error.message 
+    });
+  }
+};
+
+// Iniciar sesión con el token del enlace mágico (un solo uso)
+export const consumeMagicLink = async (req, res) => {
+  try {
+    // El enlace se invalida al buscarlo, antes de cualquier otra verificación
+    const user = await User.consumirMagicLink(req.body.token).populate('primaryLocal');
+    
+    if (!user) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'El enlace es inválido o ha expirado' 
+      });
+    }
+    
+    if (!user.activo) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Usuario desactivado' 
+      });
+    }
+    
+    if (user.estaBloqueada()) {
+      const tiempoRestante = Math.ceil((user.bloqueadoHasta - Date.now()) / (60 * 1000));
+      return res.status(401).json({ 
+        success: false, 
+        message: `Cuenta bloqueada por intentos fallidos. Intente nuevamente en ${tiempoRestante} minutos.` 
+      });
+    }
+    
+    // La política pudo cambiar desde que se envió el enlace
+    if (!permiteMagicLink(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'El acceso sin contraseña no está habilitado para su cuenta'
+      });
+    }
+    
+    // Usar el enlace demuestra el control del email
+    if (!user.verificado) {
+      user.verificado = true;
+      await user.save({ validateBeforeSave: false });
+    }
+    
+    // El enlace no reemplaza el cambio de una contraseña vencida: igual que en el login con contraseña
+    const politica = await obtenerPoliticaUsuario(user);
+    if (passwordExpirada(user, politica.contrasena)) {
+      return responderPasswordExpirada(user, res);
+    }
+    
+    logger.info(`Login con enlace mágico de ${user.email}`);
+    await finalizarLogin(user, req, res);
+  } catch (error) {
+    logger.error(`Error en login con enlace mágico: ${error.message}`);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error al iniciar sesión',
+      error: error.message 
+    });
+  }
+};
@@ -14,6 +14,8 @@ import User from './models/User.js';
 import Local from './models/Local.js';
 import mongoose from 'mongoose';
 import { configurarTareasProgramadas } from './scripts/scheduledTasks.js';
+import { cargarLlavero } from './services/clavesFirmaService.js';
+import { marcarImportacionesInterrumpidas } from './services/importacionClientesService.js';
 // import allCors from './middlewares/allCors.js'; // Importar el middleware de CORS sin restricciones
 
 // Configuración de variables de entorno
@@ -40,7 +42,7 @@ app.options('*', (req, res) => {
   // Configurar headers CORS para solicitudes preflight
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.header('Access-Control-Allow-Methods', 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Max-Age', '86400'); // 24 horas
   // Responder exitosamente a la solicitud preflight
@@ -97,6 +99,23 @@ const authLimiter = rateLimit({
   }
 });
 app.use('/api/users/login', authLimiter);
+app.use('/api/users/forgot-password', authLimiter);
+app.use('/api/users/reset-password', authLimiter);
+app.use('/api/users/invitations', authLimiter);
+app.use('/api/users/magic-link', authLimiter);
+app.use('/api/users/security/not-me', authLimiter);
+app.use('/api/auth/sso', authLimiter);
+
+// Limitar la verificación de email para evitar fuerza bruta sobre los códigos y spam de reenvíos
+const verificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10, // 10 intentos por IP
+  message: {
+    success: false,
+    message: 'Demasiados intentos de verificación, intente más tarde'
+  }
+});
+app.use('/api/users/verify', verificationLimiter);
 
 // Configuración CORS más permisiva para desarrollo
 const corsOptions = {
@@ -118,7 +137,7 @@ const corsOptions = {
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
   credentials: true,
   maxAge: 86400, // 24 horas
   preflightContinue: false,
@@ -218,6 +237,16 @@ const actualizarEstadoSistema = async () => {
     } catch (localError) {
       logger.error(`Error al actualizar estadísticas de locales: ${localError.message}`);
     }
+    
+    // Marcar como fallidas las importaciones de clientes interrumpidas (al iniciar y en cada ejecución)
+    try {
+      const importacionesInterrumpidas = await marcarImportacionesInterrumpidas();
+      if (importacionesInterrumpidas > 0) {
+        logger.warn(`Se marcaron ${importacionesInterrumpidas} importaciones de clientes interrumpidas como fallidas`);
+      }
+    } catch (importacionError) {
+      logger.error(`Error al marcar importaciones interrumpidas: ${importacionError.message}`);
+    }
   } catch (error) {
     logger.error(`Error general en actualización automática: ${error.message}`);
     // No terminamos el proceso, simplemente registramos el error
@@ -234,6 +263,11 @@ const iniciarTareasProgramadas = () => {
     clearInterval(tareasProgramadas);
   }
   
+  // Cargar las claves de firma de JWT (hasta entonces se firma con JWT_SECRET)
+  cargarLlavero()
+    .then(llavero => logger.info(`Claves de firma JWT cargadas: ${llavero.claves.size} (activa: ${llavero.actual?.kid || 'JWT_SECRET'})`))
+    .catch(error => logger.error(`Error cargando las claves de firma JWT: ${error.message}`));
+  
   // Ejecutar actualización inicial después de confirmar conexión
   actualizarEstadoSistema();
   
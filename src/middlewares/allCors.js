@@ -6,7 +6,7 @@ const allCors = (req, res, next) => {
   // Configurar headers CORS para permitir todas las solicitudes
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
   
   // Manejar solicitudes preflight OPTIONS
   if (req.method === 'OPTIONS') {
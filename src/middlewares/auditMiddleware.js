@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import { registrarAuditoria, calcularCambios } from '../services/auditService.js';
+
+const METODOS_AUDITADOS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Rutas mutantes que no se auditan (tráfico automático de alto volumen)
+const RUTAS_EXCLUIDAS = [
+  /^\/api\/whatsapp\/messages\/webhook/,
+  /^\/api\/users\/refresh/
+];
+
+// Parámetros de ruta con secretos (enlaces de reseteo e invitaciones) que no se guardan
+const PARAMETROS_SECRETOS = ['token'];
+
+const VERBOS = {
+  POST: 'crear',
+  PUT: 'actualizar',
+  PATCH: 'actualizar',
+  DELETE: 'eliminar'
+};
+
+// Recurso por defecto a partir de la ruta: primer segmento literal después de /api (y /admin)
+const inferirRecurso = (ruta) => {
+  return ruta
+    .split('/')
+    .filter(parte => parte && !parte.startsWith(':') && !['api', 'admin'].includes(parte))[0] || 'api';
+};
+
+// URL de la petición con los parámetros secretos enmascarados
+const urlSinSecretos = (req) => {
+  return PARAMETROS_SECRETOS.reduce((url, nombre) => {
+    const valor = req.params?.[nombre];
+    return valor ? url.split(encodeURIComponent(valor)).join(`:${nombre}`) : url;
+  }, req.originalUrl);
+};
+
+// Primer parámetro de la ruta que no es un secreto
+const parametroRecurso = (params = {}) => {
+  return Object.entries(params).find(([nombre]) => !PARAMETROS_SECRETOS.includes(nombre))?.[1];
+};
+
+const aObjectIdValido = (valor) => {
+  const id = valor?._id || valor;
+  return id && mongoose.isValidObjectId(id) ? id : null;
+};
+
+/**
+ * Registra en AuditLog cada petición mutante (POST, PUT, PATCH, DELETE) al finalizar la respuesta.
+ * Los controladores pueden enriquecer la entrada con req.auditar({ accion, recurso, recursoId,
+ * local, antes, despues, detalles }); antes/despues se convierten en la lista de cambios.
+ */
+export const auditarPeticion = (req, res, next) => {
+  if (!METODOS_AUDITADOS.includes(req.method) || RUTAS_EXCLUIDAS.some(ruta => ruta.test(req.originalUrl))) {
+    req.auditar = () => {};
+    return next();
+  }
+
+  req.auditoria = {};
+  req.auditar = (datos) => {
+    Object.assign(req.auditoria, datos);
+  };
+
+  res.on('finish', () => {
+    const ruta = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+    const { accion, recurso, recursoId, local, antes, despues, detalles } = req.auditoria;
+    const recursoRuta = inferirRecurso(ruta);
+
+    // Durante una impersonación la acción se atribuye al superAdmin real
+    const actor = req.impersonador || req.user;
+
+    registrarAuditoria({
+      actor: actor?._id || null,
+      actorEmail: actor?.email,
+      actorRole: actor?.role,
+      impersonando: req.impersonador ? req.user._id : null,
+      claveAPI: req.apiKey?._id || null,
+      accion: accion || `${recursoRuta}.${VERBOS[req.method]}`,
+      metodo: req.method,
+      ruta,
+      url: urlSinSecretos(req),
+      recurso: recurso || recursoRuta,
+      recursoId: (recursoId || req.params?.id || parametroRecurso(req.params))?.toString(),
+      local: aObjectIdValido(local || req.params?.localId || req.body?.local || req.query?.local || req.tenant?.localActivo),
+      cambios: antes || despues ? calcularCambios(antes, despues) : [],
+      estadoHttp: res.statusCode,
+      exito: res.statusCode < 400,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      detalles
+    });
+  });
+
+  next();
+};
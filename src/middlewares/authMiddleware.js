@@ -1,11 +1,69 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
 import logger from '../config/logger.js';
+import { verificarJWT } from '../services/tokenService.js';
+import { establecerContextoTenant } from './tenantMiddleware.js';
 
-export const verifyToken = async (req, res, next) => {
+// Autenticación con una clave de API (header X-API-Key): la petición queda restringida
+// al local y a los permisos de la clave
+const autenticarConClaveAPI = async (req, res, next, clave) => {
+  const apiKey = await ApiKey.buscarPorClave(clave);
+  
+  if (!apiKey || !apiKey.estaActiva()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Clave de API inválida, revocada o expirada'
+    });
+  }
+  
+  const user = await User.findById(apiKey.usuario)
+    .populate('rolesPersonalizados', 'nombre permisos local activo');
+  
+  if (!user || !user.activo || (user.estaBloqueada && user.estaBloqueada())) {
+    return res.status(401).json({
+      success: false,
+      message: 'El usuario de la clave de API no está disponible'
+    });
+  }
+  
+  // Si el usuario perdió el acceso al local, la clave deja de ser válida
+  if (user.role !== 'superAdmin' && !user.perteneceALocal(apiKey.local)) {
+    return res.status(401).json({
+      success: false,
+      message: 'El usuario de la clave de API ya no pertenece a su local/marca'
+    });
+  }
+  
+  await apiKey.registrarUso(req.ip);
+  
+  req.userId = user._id.toString();
+  req.userRole = user.role;
+  req.user = user;
+  req.apiKey = apiKey;
+  
+  establecerContextoTenant(req, res, next);
+};
+
+// Autenticación común: token firmado, sesión del servidor activa y estado de la cuenta.
+// Con permitirPendientes se omite la exigencia de 2FA para que el usuario pueda configurarlo.
+// Sin permitirClaveAPI se rechazan las claves de API (perfil, sesiones, 2FA).
+const autenticar = async (req, res, next, { permitirPendientes = false, permitirClaveAPI = true } = {}) => {
   try {
     // Obtener el token del header
     const token = req.headers.authorization?.split(' ')[1];
+    const claveAPI = req.headers['x-api-key'];
+    
+    if (!token && claveAPI) {
+      if (!permitirClaveAPI) {
+        return res.status(403).json({
+          success: false,
+          code: 'CLAVE_API_NO_PERMITIDA',
+          message: 'Este endpoint no admite claves de API'
+        });
+      }
+      return await autenticarConClaveAPI(req, res, next, claveAPI);
+    }
     
     if (!token) {
       return res.status(401).json({ 
@@ -15,7 +73,7 @@ export const verifyToken = async (req, res, next) => {
     }
     
     // Verificar el token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verificarJWT(token);
     
     // Verificar si el token ha expirado
     const ahora = Math.floor(Date.now() / 1000);
@@ -31,7 +89,9 @@ export const verifyToken = async (req, res, next) => {
     req.userRole = decoded.role;
     
     // Verificar si el usuario existe en la base de datos
-    const user = await User.findById(decoded.id).select('+password');
+    const user = await User.findById(decoded.id)
+      .select('+password')
+      .populate('rolesPersonalizados', 'nombre permisos local activo');
     
     if (!user) {
       return res.status(401).json({ 
@@ -40,8 +100,23 @@ export const verifyToken = async (req, res, next) => {
       });
     }
     
+    // Verificar que la sesión del servidor asociada al token siga activa
+    const sesion = decoded.sid ? await Session.findById(decoded.sid) : null;
+    
+    if (!sesion || !sesion.estaActiva() || sesion.usuario.toString() !== user._id.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión inválida o revocada - inicie sesión nuevamente'
+      });
+    }
+    
+    // Registrar el último uso de la sesión (como máximo una vez por minuto)
+    if (!sesion.ultimoUso || Date.now() - sesion.ultimoUso.getTime() > 60 * 1000) {
+      await Session.updateOne({ _id: sesion._id }, { $set: { ultimoUso: Date.now() } });
+    }
+    
     // Verificar la versión del token (para invalidación forzada de tokens)
-    if (decoded.tokenVersion && user.tokenVersion > decoded.tokenVersion) {
+    if (decoded.tokenVersion !== undefined && user.tokenVersion > decoded.tokenVersion) {
       return res.status(401).json({
         success: false,
         message: 'Sesión inválida - inicie sesión nuevamente'
@@ -73,11 +148,43 @@ export const verifyToken = async (req, res, next) => {
       });
     }
     
+    // Exigir el segundo factor a los roles que lo tienen como obligatorio
+    if (!permitirPendientes && user.requiere2FA() && !sesion.dosFactoresVerificado) {
+      return res.status(403).json({
+        success: false,
+        code: '2FA_REQUERIDO',
+        message: user.tiene2FAActivo()
+          ? 'Esta sesión no completó la autenticación de dos factores, inicie sesión nuevamente'
+          : 'Debe configurar la autenticación de dos factores para continuar'
+      });
+    }
+    
+    // Sesión de impersonación: el token y la sesión deben indicar el mismo superAdmin,
+    // y este debe seguir activo con ese rol
+    if (decoded.imp || sesion.esImpersonacion()) {
+      const impersonador = decoded.imp && sesion.impersonadoPor &&
+        decoded.imp.toString() === sesion.impersonadoPor.toString()
+        ? await User.findById(sesion.impersonadoPor)
+        : null;
+      
+      if (!impersonador || !impersonador.activo || impersonador.role !== 'superAdmin') {
+        await sesion.revocar('impersonacion_invalida');
+        return res.status(401).json({
+          success: false,
+          message: 'Sesión de impersonación inválida - inicie sesión nuevamente'
+        });
+      }
+      
+      req.impersonador = impersonador;
+    }
+    
     // Guardar usuario completo para acceder a sus permisos
     req.user = user;
+    req.sesion = sesion;
+    req.sessionId = sesion._id;
     
-    // Todo está correcto, pasamos al siguiente middleware o controlador
-    next();
+    // Todo está correcto: continuar dentro del contexto de tenant (locales del usuario)
+    establecerContextoTenant(req, res, next);
   } catch (error) {
     logger.error(`Error en autenticación: ${error.message}`);
     
@@ -103,8 +210,47 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
+// Middleware de autenticación estándar (exige 2FA a los roles que lo requieren)
+export const verifyToken = (req, res, next) => autenticar(req, res, next);
+
+// Middleware de autenticación que admite sesiones con 2FA pendiente de configurar
+// (perfil, logout, sesiones y configuración de 2FA)
+export const verifyTokenAllowPending = (req, res, next) => {
+  return autenticar(req, res, next, { permitirPendientes: true, permitirClaveAPI: false });
+};
+
+// Las claves de API solo acceden a endpoints protegidos por permisos (tienePermiso), no por rol
+const rechazarClaveAPI = (req, res) => {
+  if (!req.apiKey) return false;
+  
+  res.status(403).json({
+    success: false,
+    code: 'CLAVE_API_NO_PERMITIDA',
+    message: 'Este endpoint no admite claves de API'
+  });
+  return true;
+};
+
+// Middleware que reserva las operaciones sensibles de la cuenta (contraseña, 2FA, sesiones)
+// a la sesión del propio usuario: las bloquea durante una impersonación o con una clave de API
+export const requiereSesionInteractiva = (req, res, next) => {
+  if (rechazarClaveAPI(req, res)) return;
+  
+  if (req.impersonador) {
+    logger.warn(`SuperAdmin ${req.impersonador._id} intentó ${req.method} ${req.originalUrl} impersonando al usuario ${req.userId}`);
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONACION_BLOQUEADA',
+      message: 'Esta operación no está permitida durante una impersonación'
+    });
+  }
+  next();
+};
+
 // Middleware para verificar si el usuario es admin o superAdmin
 export const isAdmin = (req, res, next) => {
+  if (rechazarClaveAPI(req, res)) return;
+  
   if (req.userRole !== 'admin') {
     return res.status(403).json({ 
       success: false, 
@@ -116,6 +262,8 @@ export const isAdmin = (req, res, next) => {
 
 // Middleware para verificar si el usuario es superAdmin
 export const isSuperAdmin = (req, res, next) => {
+  if (rechazarClaveAPI(req, res)) return;
+  
   if (req.userRole !== 'superAdmin') {
     return res.status(403).json({ 
       success: false, 
@@ -127,6 +275,8 @@ export const isSuperAdmin = (req, res, next) => {
 
 // Middleware para verificar si el usuario tiene rol de usuario
 export const isUser = (req, res, next) => {
+  if (rechazarClaveAPI(req, res)) return;
+  
   if (req.userRole !== 'usuario') {
     return res.status(403).json({ 
       success: false, 
@@ -137,9 +287,15 @@ export const isUser = (req, res, next) => {
 };
 
 // Middleware para verificar si el usuario tiene cualquiera de los roles especificados
+// (roles base o nombres de roles personalizados del local)
 export const hasRole = (roles) => {
   return (req, res, next) => {
-    if (!roles.includes(req.userRole)) {
+    if (rechazarClaveAPI(req, res)) return;
+    
+    const autorizado = roles.includes(req.userRole) ||
+      (req.user && roles.some(rol => req.user.tieneRol(rol)));
+    
+    if (!autorizado) {
       return res.status(403).json({ 
         success: false, 
         message: `Acceso denegado - requiere uno de estos roles: ${roles.join(', ')}` 
@@ -149,13 +305,25 @@ export const hasRole = (roles) => {
   };
 };
 
-// Middleware para verificar permisos específicos
+// Con una clave de API el permiso debe estar en la clave y, salvo en cuentas de servicio,
+// el usuario debe seguir teniéndolo en el local de la clave
+export const autorizaPermiso = (req, permiso) => {
+  if (!req.apiKey) return req.user.tienePermiso(permiso);
+  
+  return req.apiKey.otorga(permiso) &&
+    (req.user.tipoCuenta === 'servicio' || req.user.tienePermiso(permiso, req.apiKey.local));
+};
+
+// Middleware para verificar permisos específicos (recurso:acción del catálogo o permisos históricos).
+// Con un arreglo basta con tener cualquiera de los permisos indicados
 export const tienePermiso = (permiso) => {
+  const permisos = Array.isArray(permiso) ? permiso : [permiso];
+  
   return (req, res, next) => {
-    if (!req.user || !req.user.tienePermiso(permiso)) {
+    if (!req.user || !permisos.some(p => autorizaPermiso(req, p))) {
       return res.status(403).json({ 
         success: false, 
-        message: `Acceso denegado - se requiere el permiso: ${permiso}` 
+        message: `Acceso denegado - se requiere el permiso: ${permisos.join(' o ')}` 
       });
     }
     next();
@@ -198,9 +366,16 @@ export const puedeCrearUsuarioConRol = (req, res, next) => {
 export const verifyStrictToken = async (req, res, next) => {
   try {
     await verifyToken(req, res, () => {
-      // Verificamos la firma del token con una clave más larga/compleja
-      const token = req.headers.authorization?.split(' ')[1];
-      jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS512'] });
+      if (rechazarClaveAPI(req, res)) return;
+      
+      // Las operaciones sensibles requieren una sesión que haya superado el 2FA
+      if (!req.sesion.dosFactoresVerificado) {
+        return res.status(403).json({
+          success: false,
+          code: '2FA_REQUERIDO',
+          message: 'Esta operación requiere autenticación de dos factores'
+        });
+      }
       
       // Verificar IP si está disponible (opcional, requiere guardar IP al crear token)
       if (req.user.lastLoginIP && req.ip && req.user.lastLoginIP !== req.ip) {
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import logger from '../config/logger.js';
+import { ejecutarConTenant, esLocalPermitido } from '../config/tenantContext.js';
+
+// Obtener los locales a los que el usuario tiene acceso (null = todos, para superAdmin)
+const obtenerLocalesPermitidos = (user) => {
+  if (user.role === 'superAdmin') return null;
+
+  const locales = [...(user.locales || [])];
+  if (user.primaryLocal && !locales.some(local => local.toString() === user.primaryLocal.toString())) {
+    locales.push(user.primaryLocal);
+  }
+
+  return locales.map(local => local._id || local);
+};
+
+// Locales solicitados explícitamente en la petición (?local= y body.local)
+const obtenerLocalesSolicitados = (req) => {
+  return [req.query?.local, req.body?.local]
+    .flat()
+    .filter(local => local !== undefined && local !== null && local !== '');
+};
+
+/**
+ * Establece el contexto de tenant de la petición autenticada.
+ * Rechaza los locales solicitados a los que el usuario no tiene acceso y
+ * ejecuta el resto de la cadena dentro del contexto para que los modelos
+ * con tenantPlugin filtren automáticamente por los locales permitidos.
+ * Debe ejecutarse después de la autenticación (req.user).
+ */
+export const establecerContextoTenant = (req, res, next) => {
+  // Con una clave de API el acceso se limita al local de la clave
+  const contexto = {
+    userId: req.user._id,
+    role: req.user.role,
+    locales: req.apiKey ? [req.apiKey.local] : obtenerLocalesPermitidos(req.user),
+    localActivo: req.apiKey ? req.apiKey.local : (req.user.primaryLocal?._id || req.user.primaryLocal || null)
+  };
+
+  for (const local of obtenerLocalesSolicitados(req)) {
+    if (typeof local !== 'string' || !mongoose.Types.ObjectId.isValid(local)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de local no válido'
+      });
+    }
+
+    if (!esLocalPermitido(contexto, local)) {
+      logger.warn(`Usuario ${req.user._id} (${req.user.role}) intentó acceder al local ${local} sin permiso: ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene acceso a este local/marca'
+      });
+    }
+  }
+
+  // Si se indicó un local permitido, usarlo como local activo para los documentos nuevos
+  const [localSolicitado] = obtenerLocalesSolicitados(req);
+  if (localSolicitado) {
+    contexto.localActivo = new mongoose.Types.ObjectId(localSolicitado);
+  }
+
+  req.tenant = contexto;
+  ejecutarConTenant(contexto, () => next());
+};
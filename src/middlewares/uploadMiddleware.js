@@ -0,0 +1,54 @@
+import multer from 'multer';
+import path from 'path';
+
+// Tamaño máximo de los archivos de importación (en MB)
+const IMPORT_MAX_MB = parseInt(process.env.IMPORT_MAX_MB) || 10;
+
+const EXTENSIONES_IMPORTACION = ['.csv', '.xlsx'];
+
+// Los archivos se procesan en memoria: no se guardan en disco
+const subidaImportacion = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMPORT_MAX_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (!EXTENSIONES_IMPORTACION.includes(extension)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'El archivo debe ser CSV o XLSX';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('archivo');
+
+/**
+ * Recibe el archivo de una importación (campo multipart "archivo", CSV o XLSX)
+ * y responde 400 si falta, es demasiado grande o tiene otro formato
+ */
+export const subirArchivoImportacion = (req, res, next) => {
+  subidaImportacion(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `El archivo supera el máximo de ${IMPORT_MAX_MB} MB`
+        : error.message;
+
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe adjuntar el archivo a importar en el campo "archivo"'
+      });
+    }
+
+    next();
+  });
+};
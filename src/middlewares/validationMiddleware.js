@@ -1,5 +1,11 @@
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
+import { esPermisoValido } from '../config/permisos.js';
+import { LIMITES_POLITICA } from '../services/politicaSeguridadService.js';
+import { FORMATOS_EXPORTACION, esColumnaExportable } from '../services/exportacionClientesService.js';
+import { TIPOS_TIMELINE } from '../services/timelineClienteService.js';
+import { ENTIDADES_CAMPOS, TIPOS_CAMPO, PATRON_CLAVE, LONGITUD_MAXIMA_PATRON } from '../models/CampoPersonalizado.js';
+import { ALGORITMOS_FIRMA } from '../models/ClaveFirma.js';
 
 // Validación para registro de usuario
 export const validateRegister = [
@@ -16,9 +22,7 @@ export const validateRegister = [
   body('password')
     .trim()
     .notEmpty().withMessage('La contraseña es obligatoria')
-    .isLength({ min: 8 }).withMessage('La contraseña debe tener al menos 8 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('La contraseña debe contener al menos una letra mayúscula, una minúscula, un número y un carácter especial'),
+    .isLength({ min: 8 }).withMessage('La contraseña debe tener al menos 8 caracteres'),
   
   (req, res, next) => {
     const errors = validationResult(req);
@@ -55,6 +59,137 @@ export const validateLogin = [
   }
 ];
 
+// Validación para renovación de token
+export const validateRefreshToken = [
+  body('refreshToken')
+    .trim()
+    .notEmpty().withMessage('El refresh token es obligatorio')
+    .isHexadecimal().withMessage('Refresh token no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para el segundo paso del login con 2FA
+export const validateLoginTwoFactor = [
+  body('challengeToken')
+    .trim()
+    .notEmpty().withMessage('El token de desafío es obligatorio'),
+  
+  body('codigo')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/).withMessage('El código debe tener 6 dígitos'),
+  
+  body('codigoRecuperacion')
+    .optional()
+    .trim()
+    .matches(/^[a-f0-9]{5}-[a-f0-9]{5}$/i).withMessage('Código de recuperación no válido'),
+  
+  body().custom((value, { req }) => {
+    if (!req.body.codigo && !req.body.codigoRecuperacion) {
+      throw new Error('Debe enviar un código de verificación o un código de recuperación');
+    }
+    return true;
+  }),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de código TOTP (activar 2FA, regenerar códigos de recuperación)
+export const validateTwoFactorCode = [
+  body('codigo')
+    .trim()
+    .notEmpty().withMessage('El código de verificación es obligatorio')
+    .matches(/^\d{6}$/).withMessage('El código debe tener 6 dígitos'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para desactivar 2FA
+export const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty().withMessage('La contraseña es obligatoria'),
+  
+  body('codigo')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/).withMessage('El código debe tener 6 dígitos'),
+  
+  body('codigoRecuperacion')
+    .optional()
+    .trim()
+    .matches(/^[a-f0-9]{5}-[a-f0-9]{5}$/i).withMessage('Código de recuperación no válido'),
+  
+  body().custom((value, { req }) => {
+    if (!req.body.codigo && !req.body.codigoRecuperacion) {
+      throw new Error('Debe enviar un código de verificación o un código de recuperación');
+    }
+    return true;
+  }),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para verificación de email
+export const validateVerifyEmail = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('El email es obligatorio')
+    .isEmail().withMessage('Debe ser un email válido'),
+  
+  body('codigo')
+    .trim()
+    .notEmpty().withMessage('El código de verificación es obligatorio')
+    .matches(/^\d{6}$/).withMessage('El código debe tener 6 dígitos'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
 // Validación para cambio de contraseña
 export const validateChangePassword = [
   body('currentPassword')
@@ -65,8 +200,6 @@ export const validateChangePassword = [
     .trim()
     .notEmpty().withMessage('La nueva contraseña es obligatoria')
     .isLength({ min: 8 }).withMessage('La nueva contraseña debe tener al menos 8 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('La contraseña debe contener al menos una letra mayúscula, una minúscula, un número y un carácter especial')
     .custom((value, { req }) => {
       if (value === req.body.currentPassword) {
         throw new Error('La nueva contraseña debe ser diferente a la actual');
@@ -115,6 +248,99 @@ export const validateForgotPassword = [
   }
 ];
 
+// Validación para reenvío del código de verificación (solo requiere el email)
+export const validateResendVerification = validateForgotPassword;
+
+// Validación para solicitar un enlace de inicio de sesión sin contraseña
+export const validateMagicLinkRequest = validateForgotPassword;
+
+// Validación para iniciar sesión con el enlace mágico
+export const validateConsumeMagicLink = [
+  body('token')
+    .isHexadecimal().withMessage('Enlace no válido')
+    .isLength({ min: 64, max: 64 }).withMessage('Enlace no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para el enlace "no fui yo" del aviso de nuevo inicio de sesión
+export const validateNotMe = validateConsumeMagicLink;
+
+// Validación para reseteo de contraseña con token
+export const validateResetPassword = [
+  param('token')
+    .isHexadecimal().withMessage('Token de reseteo no válido')
+    .isLength({ min: 64, max: 64 }).withMessage('Token de reseteo no válido'),
+  
+  body('newPassword')
+    .trim()
+    .notEmpty().withMessage('La nueva contraseña es obligatoria')
+    .isLength({ min: 8 }).withMessage('La nueva contraseña debe tener al menos 8 caracteres'),
+  
+  body('confirmPassword')
+    .trim()
+    .notEmpty().withMessage('La confirmación de contraseña es obligatoria')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Las contraseñas no coinciden');
+      }
+      return true;
+    }),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para definir una nueva contraseña cuando la actual expiró
+export const validateExpiredPassword = [
+  body('cambioPasswordToken')
+    .notEmpty().withMessage('El token de cambio de contraseña es obligatorio')
+    .isJWT().withMessage('Token de cambio de contraseña no válido'),
+  
+  body('newPassword')
+    .trim()
+    .notEmpty().withMessage('La nueva contraseña es obligatoria')
+    .isLength({ min: 8 }).withMessage('La nueva contraseña debe tener al menos 8 caracteres'),
+  
+  body('confirmPassword')
+    .trim()
+    .notEmpty().withMessage('La confirmación de contraseña es obligatoria')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Las contraseñas no coinciden');
+      }
+      return true;
+    }),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
 // Validación para creación de usuario por admin
 export const validateCreateUser = [
   body('nombre')
@@ -130,9 +356,7 @@ export const validateCreateUser = [
   body('password')
     .trim()
     .notEmpty().withMessage('La contraseña es obligatoria')
-    .isLength({ min: 8 }).withMessage('La contraseña debe tener al menos 8 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('La contraseña debe contener al menos una letra mayúscula, una minúscula, un número y un carácter especial'),
+    .isLength({ min: 8 }).withMessage('La contraseña debe tener al menos 8 caracteres'),
   
   body('role')
     .optional()
@@ -241,9 +465,7 @@ export const validateUserPassword = [
   body('newPassword')
     .trim()
     .notEmpty().withMessage('La nueva contraseña es obligatoria')
-    .isLength({ min: 8 }).withMessage('La nueva contraseña debe tener al menos 8 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('La contraseña debe contener al menos una letra mayúscula, una minúscula, un número y un carácter especial'),
+    .isLength({ min: 8 }).withMessage('La nueva contraseña debe tener al menos 8 caracteres'),
   
   body('confirmPassword')
     .trim()
@@ -287,6 +509,50 @@ export const validateToggleStatus = [
   }
 ];
 
+// Validación para iniciar una impersonación
+export const validateImpersonation = [
+  param('id')
+    .isMongoId().withMessage('ID de usuario no válido'),
+  
+  body('motivo')
+    .trim()
+    .notEmpty().withMessage('El motivo de la impersonación es obligatorio')
+    .isLength({ min: 5, max: 300 }).withMessage('El motivo debe tener entre 5 y 300 caracteres'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de IDs para la gestión de sesiones
+export const validateSessionParams = [
+  param('id')
+    .optional()
+    .isMongoId().withMessage('ID no válido'),
+  
+  param('sessionId')
+    .optional()
+    .isMongoId().withMessage('ID de sesión no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
 // Validación para inicialización de superAdmin
 export const validateInitSuperAdmin = [
   body('nombre')
@@ -405,6 +671,75 @@ export const validateUpdateLocal = [
   }
 ];
 
+// Validación para actualizar las políticas de seguridad de un local
+export const validateLocalSecurity = [
+  param('localId')
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  body('magicLink')
+    .optional()
+    .isObject().withMessage('La política de enlace mágico debe ser un objeto'),
+  
+  body('magicLink.habilitado')
+    .optional()
+    .isBoolean().withMessage('El valor debe ser true o false'),
+  
+  body('magicLink.roles')
+    .optional()
+    .isArray().withMessage('Los roles deben ser un arreglo'),
+  
+  body('magicLink.roles.*')
+    .isIn(['usuario', 'admin']).withMessage('Rol no válido (usuario o admin)'),
+  
+  body('contrasena')
+    .optional()
+    .isObject().withMessage('La política de contraseñas debe ser un objeto'),
+  
+  body('contrasena.longitudMinima')
+    .optional()
+    .isInt(LIMITES_POLITICA.longitudMinima)
+    .withMessage(`La longitud mínima debe estar entre ${LIMITES_POLITICA.longitudMinima.min} y ${LIMITES_POLITICA.longitudMinima.max}`),
+  
+  body(['contrasena.requiereMayuscula', 'contrasena.requiereMinuscula', 'contrasena.requiereNumero', 'contrasena.requiereEspecial'])
+    .optional()
+    .isBoolean().withMessage('El valor debe ser true o false'),
+  
+  body('contrasena.historial')
+    .optional()
+    .isInt(LIMITES_POLITICA.historial)
+    .withMessage(`El historial debe estar entre ${LIMITES_POLITICA.historial.min} y ${LIMITES_POLITICA.historial.max} contraseñas`),
+  
+  body('contrasena.diasVigencia')
+    .optional()
+    .isInt(LIMITES_POLITICA.diasVigencia)
+    .withMessage(`La vigencia debe estar entre ${LIMITES_POLITICA.diasVigencia.min} y ${LIMITES_POLITICA.diasVigencia.max} días (0 = no expira)`),
+  
+  body('bloqueo')
+    .optional()
+    .isObject().withMessage('La política de bloqueo debe ser un objeto'),
+  
+  body('bloqueo.intentosMaximos')
+    .optional()
+    .isInt(LIMITES_POLITICA.intentosMaximos)
+    .withMessage(`Los intentos máximos deben estar entre ${LIMITES_POLITICA.intentosMaximos.min} y ${LIMITES_POLITICA.intentosMaximos.max}`),
+  
+  body('bloqueo.minutosBloqueo')
+    .optional()
+    .isInt(LIMITES_POLITICA.minutosBloqueo)
+    .withMessage(`Los minutos de bloqueo deben estar entre ${LIMITES_POLITICA.minutosBloqueo.min} y ${LIMITES_POLITICA.minutosBloqueo.max}`),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
 // Validación para asignar administrador a un local
 export const validateAssignAdmin = [
   param('localId')
@@ -449,4 +784,1440 @@ export const validateAssignUserToLocal = [
     }
     next();
   }
-]; 
\ No newline at end of file
+]; 
+
+// Validación para crear invitaciones
+export const validateCreateInvitation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('El email es obligatorio')
+    .isEmail().withMessage('Debe ser un email válido'),
+  
+  body('nombre')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 }).withMessage('El nombre debe tener entre 2 y 50 caracteres'),
+  
+  body('role')
+    .optional()
+    .isIn(['usuario', 'admin']).withMessage('Rol no válido para una invitación'),
+  
+  body('local')
+    .notEmpty().withMessage('El local/marca es obligatorio')
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de parámetros de invitación
+export const validateInvitationParams = [
+  param('id')
+    .isMongoId().withMessage('ID de invitación no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para consultar y aceptar invitaciones
+export const validateAcceptInvitation = [
+  param('token')
+    .isHexadecimal().withMessage('Token de invitación no válido')
+    .isLength({ min: 64, max: 64 }).withMessage('Token de invitación no válido'),
+  
+  body('nombre')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 }).withMessage('El nombre debe tener entre 2 y 50 caracteres'),
+  
+  body('password')
+    .trim()
+    .notEmpty().withMessage('La contraseña es obligatoria')
+    .isLength({ min: 8 }).withMessage('La contraseña debe tener al menos 8 caracteres'),
+  
+  body('confirmPassword')
+    .trim()
+    .notEmpty().withMessage('La confirmación de contraseña es obligatoria')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Las contraseñas no coinciden');
+      }
+      return true;
+    }),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del token de invitación
+export const validateInvitationToken = [
+  param('token')
+    .isHexadecimal().withMessage('Token de invitación no válido')
+    .isLength({ min: 64, max: 64 }).withMessage('Token de invitación no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para crear roles personalizados
+export const validateCreateRole = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('El nombre del rol es obligatorio')
+    .isLength({ min: 2, max: 50 }).withMessage('El nombre debe tener entre 2 y 50 caracteres'),
+  
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('La descripción no puede superar los 200 caracteres'),
+  
+  body('local')
+    .notEmpty().withMessage('El local/marca es obligatorio')
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  body('permisos')
+    .optional()
+    .isArray().withMessage('Los permisos deben ser un arreglo'),
+  
+  body('permisos.*')
+    .custom(esPermisoValido).withMessage('Permiso no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para actualizar roles personalizados
+export const validateUpdateRole = [
+  param('id')
+    .isMongoId().withMessage('ID de rol no válido'),
+  
+  body('nombre')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 }).withMessage('El nombre debe tener entre 2 y 50 caracteres'),
+  
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('La descripción no puede superar los 200 caracteres'),
+  
+  body('permisos')
+    .optional()
+    .isArray().withMessage('Los permisos deben ser un arreglo'),
+  
+  body('permisos.*')
+    .custom(esPermisoValido).withMessage('Permiso no válido'),
+  
+  body('activo')
+    .optional()
+    .isBoolean().withMessage('El campo activo debe ser un valor booleano'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de parámetros de rol (y usuario asignado)
+export const validateRoleParams = [
+  param('id')
+    .isMongoId().withMessage('ID de rol no válido'),
+  
+  param('userId')
+    .optional()
+    .isMongoId().withMessage('ID de usuario no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para asignar un rol a un usuario
+export const validateAssignRole = [
+  param('id')
+    .isMongoId().withMessage('ID de rol no válido'),
+  
+  body('userId')
+    .notEmpty().withMessage('El ID de usuario es obligatorio')
+    .isMongoId().withMessage('ID de usuario no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para consultar el log de auditoría
+export const validateAuditQuery = [
+  query(['actor', 'local'])
+    .optional()
+    .isMongoId().withMessage('ID no válido'),
+  
+  query(['desde', 'hasta'])
+    .optional()
+    .isISO8601().withMessage('La fecha debe tener formato ISO 8601'),
+  
+  query('metodo')
+    .optional()
+    .isIn(['POST', 'PUT', 'PATCH', 'DELETE']).withMessage('Método no válido'),
+  
+  query('exito')
+    .optional()
+    .isBoolean().withMessage('El filtro exito debe ser true o false'),
+  
+  query('formato')
+    .optional()
+    .isIn(['json', 'csv']).withMessage('Formato no válido (json o csv)'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('El límite debe estar entre 1 y 200'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para consultar los eventos de seguridad
+export const validateSecurityEventsQuery = [
+  query(['usuario', 'local'])
+    .optional()
+    .isMongoId().withMessage('ID no válido'),
+  
+  query('tipo')
+    .optional()
+    .isIn(['login_sospechoso', 'cuenta_bloqueada', 'reporte_no_fui_yo']).withMessage('Tipo de evento no válido'),
+  
+  query('severidad')
+    .optional()
+    .isIn(['info', 'advertencia', 'critica']).withMessage('Severidad no válida'),
+  
+  query('revisado')
+    .optional()
+    .isBoolean().withMessage('El filtro revisado debe ser true o false'),
+  
+  query(['desde', 'hasta'])
+    .optional()
+    .isISO8601().withMessage('La fecha debe tener formato ISO 8601'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('El límite debe estar entre 1 y 200'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de parámetros de eventos de seguridad
+export const validateSecurityEventParams = [
+  param('id')
+    .isMongoId().withMessage('ID de evento no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de la fecha de nacimiento de un cliente (se convierte a Date antes de cifrarla)
+const reglaFechaNacimiento = body('fechaNacimiento')
+  .optional({ values: 'null' })
+  .isISO8601().withMessage('La fecha de nacimiento debe tener formato ISO 8601')
+  .toDate();
+
+// Validación para creación de cliente
+export const validateCreateCliente = [
+  reglaFechaNacimiento,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para actualización de cliente
+export const validateUpdateCliente = [
+  param('id')
+    .isMongoId().withMessage('ID de cliente no válido'),
+  
+  reglaFechaNacimiento,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de parámetros de cliente
+export const validateClienteParams = [
+  param('id')
+    .isMongoId().withMessage('ID de cliente no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del timeline de un cliente
+export const validateTimelineCliente = [
+  param('id')
+    .isMongoId().withMessage('ID de cliente no válido'),
+  
+  query('tipos')
+    .optional()
+    .custom(valor => valor.split(',').every(tipo => TIPOS_TIMELINE.includes(tipo.trim())))
+    .withMessage(`Los tipos válidos son ${TIPOS_TIMELINE.join(', ')}`),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100')
+    .toInt(),
+  
+  query('desde')
+    .optional()
+    .isISO8601().withMessage('La fecha desde no es válida')
+    .toDate(),
+  
+  query('hasta')
+    .optional()
+    .isISO8601().withMessage('La fecha hasta no es válida')
+    .toDate(),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de la búsqueda de clientes duplicados
+export const validateDuplicadosQuery = [
+  query('local')
+    .optional()
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  query('criterios')
+    .optional()
+    .custom(valor => valor.split(',').every(criterio => ['telefono', 'email', 'documento', 'nombre'].includes(criterio.trim())))
+    .withMessage('Los criterios válidos son telefono, email, documento y nombre'),
+  
+  query('umbralNombre')
+    .optional()
+    .isFloat({ min: 0.5, max: 1 }).withMessage('El umbral de similitud de nombres debe estar entre 0.5 y 1')
+    .toFloat(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('El límite debe estar entre 1 y 200')
+    .toInt(),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para fusionar clientes duplicados
+export const validateMergeCliente = [
+  param('id')
+    .isMongoId().withMessage('ID de cliente no válido'),
+  
+  body('duplicados')
+    .isArray({ min: 1, max: 20 }).withMessage('Debe indicar entre 1 y 20 clientes duplicados'),
+  
+  body('duplicados.*')
+    .isMongoId().withMessage('ID de cliente duplicado no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para exportar el listado de clientes
+export const validateExportClientes = [
+  query('formato')
+    .optional()
+    .isIn(FORMATOS_EXPORTACION).withMessage(`El formato debe ser ${FORMATOS_EXPORTACION.join(', ')}`),
+  
+  query('columnas')
+    .optional()
+    .custom(valor => valor.split(',').every(columna => esColumnaExportable(columna.trim())))
+    .withMessage('Alguna de las columnas indicadas no se puede exportar'),
+  
+  query('local')
+    .optional()
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  query('categoria')
+    .optional()
+    .isIn(['POTENCIAL', 'NUEVO', 'RECURRENTE', 'VIP', 'INACTIVO']).withMessage('Categoría no válida'),
+  
+  query('segmento')
+    .optional()
+    .isMongoId().withMessage('ID de segmento no válido'),
+  
+  query('sort')
+    .optional()
+    .matches(/^-?[A-Za-z.]+$/).withMessage('Orden no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para importar clientes desde un archivo (multipart: archivo, mapeo, estrategia, simulacion)
+export const validateImportClientes = [
+  query('local')
+    .optional()
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  body('estrategia')
+    .optional()
+    .isIn(['omitir', 'actualizar', 'crear']).withMessage('La estrategia de duplicados debe ser omitir, actualizar o crear'),
+  
+  body('simulacion')
+    .optional()
+    .isBoolean().withMessage('simulacion debe ser true o false')
+    .toBoolean(),
+  
+  // El mapeo llega como JSON en un campo de texto: { "campo": "Encabezado de la columna" }
+  body('mapeo')
+    .optional()
+    .customSanitizer(valor => {
+      if (typeof valor !== 'string') return valor;
+      try {
+        return JSON.parse(valor);
+      } catch {
+        return null;
+      }
+    })
+    .custom(valor => valor !== null && typeof valor === 'object' && !Array.isArray(valor)
+      && Object.values(valor).every(columna => typeof columna === 'string'))
+    .withMessage('El mapeo debe ser un objeto JSON { campo: "columna del archivo" }'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del ID de una importación de clientes
+export const validateImportacionParams = [
+  param('importId')
+    .isMongoId().withMessage('ID de importación no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para suprimir los datos personales de un cliente
+export const validateEraseCliente = [
+  param('id')
+    .isMongoId().withMessage('ID de cliente no válido'),
+  
+  body('motivo')
+    .trim()
+    .notEmpty().withMessage('Debe indicar el motivo de la supresión')
+    .isLength({ min: 5, max: 300 }).withMessage('El motivo debe tener entre 5 y 300 caracteres'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para crear claves de API
+export const validateCreateApiKey = [
+  param('id')
+    .optional()
+    .isMongoId().withMessage('ID de cuenta no válido'),
+  
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('El nombre de la clave es obligatorio')
+    .isLength({ min: 2, max: 100 }).withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+  
+  body('local')
+    .optional()
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  body('permisos')
+    .isArray({ min: 1 }).withMessage('Debe indicar al menos un permiso'),
+  
+  body('permisos.*')
+    .custom(esPermisoValido).withMessage('Permiso no válido'),
+  
+  body('expiraEnDias')
+    .optional()
+    .isInt({ min: 1, max: 730 }).withMessage('La vigencia debe estar entre 1 y 730 días'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para actualizar claves de API
+export const validateUpdateApiKey = [
+  param('id')
+    .isMongoId().withMessage('ID de clave no válido'),
+  
+  body('nombre')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+  
+  body('permisos')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Debe indicar al menos un permiso'),
+  
+  body('permisos.*')
+    .custom(esPermisoValido).withMessage('Permiso no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de IDs de claves de API
+export const validateApiKeyParams = [
+  param('id')
+    .isMongoId().withMessage('ID de clave no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para crear cuentas de servicio
+export const validateCreateServiceAccount = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('El nombre de la cuenta es obligatorio')
+    .isLength({ min: 2, max: 100 }).withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+  
+  body('local')
+    .notEmpty().withMessage('El local/marca es obligatorio')
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del identificador de proveedor SSO
+export const validateSSOSlug = [
+  param('slug')
+    .matches(/^[a-z0-9-]+$/).withMessage('Proveedor no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del callback del login SSO
+export const validateSSOCallback = [
+  param('slug')
+    .matches(/^[a-z0-9-]+$/).withMessage('Proveedor no válido'),
+  
+  body('code')
+    .isString().withMessage('El código de autorización es obligatorio')
+    .notEmpty().withMessage('El código de autorización es obligatorio'),
+  
+  body('state')
+    .isString().withMessage('El parámetro state es obligatorio')
+    .notEmpty().withMessage('El parámetro state es obligatorio'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para crear proveedores SSO
+export const validateCreateSSOProvider = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('El nombre del proveedor es obligatorio'),
+  
+  body('slug')
+    .trim()
+    .matches(/^[a-z0-9-]+$/).withMessage('El identificador solo puede contener letras minúsculas, números y guiones'),
+  
+  body('emisor')
+    .isURL({ require_tld: false, require_protocol: true }).withMessage('El emisor debe ser una URL válida'),
+  
+  body('clientId')
+    .notEmpty().withMessage('El client_id es obligatorio'),
+  
+  body('local')
+    .notEmpty().withMessage('El local/marca es obligatorio')
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  body('redirectUri')
+    .optional()
+    .isURL({ require_tld: false, require_protocol: true }).withMessage('La URL de redirección no es válida'),
+  
+  body('dominiosPermitidos')
+    .optional()
+    .isArray().withMessage('Los dominios deben ser un arreglo'),
+  
+  body('mapeoRoles')
+    .optional()
+    .isArray().withMessage('El mapeo de roles debe ser un arreglo'),
+  
+  body('mapeoRoles.*.valor')
+    .notEmpty().withMessage('Cada mapeo debe indicar el valor del claim'),
+  
+  body('mapeoRoles.*.role')
+    .optional()
+    .isIn(['usuario', 'admin']).withMessage('Rol no válido en el mapeo'),
+  
+  body('mapeoRoles.*.rolPersonalizado')
+    .optional()
+    .isMongoId().withMessage('ID de rol personalizado no válido'),
+  
+  body('roleDefault')
+    .optional()
+    .isIn(['usuario', 'ninguno']).withMessage('El rol por defecto debe ser usuario o ninguno'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de IDs de proveedores SSO
+export const validateSSOProviderParams = [
+  param('id')
+    .isMongoId().withMessage('ID de proveedor no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para actualizar proveedores SSO
+export const validateUpdateSSOProvider = [
+  param('id')
+    .isMongoId().withMessage('ID de proveedor no válido'),
+  
+  body(['slug', 'local'])
+    .not().exists().withMessage('El identificador y el local del proveedor no se pueden modificar'),
+  
+  body('emisor')
+    .optional()
+    .isURL({ require_tld: false, require_protocol: true }).withMessage('El emisor debe ser una URL válida'),
+  
+  body('redirectUri')
+    .optional()
+    .isURL({ require_tld: false, require_protocol: true }).withMessage('La URL de redirección no es válida'),
+  
+  body('mapeoRoles')
+    .optional()
+    .isArray().withMessage('El mapeo de roles debe ser un arreglo'),
+  
+  body('mapeoRoles.*.valor')
+    .notEmpty().withMessage('Cada mapeo debe indicar el valor del claim'),
+  
+  body('mapeoRoles.*.role')
+    .optional()
+    .isIn(['usuario', 'admin']).withMessage('Rol no válido en el mapeo'),
+  
+  body('mapeoRoles.*.rolPersonalizado')
+    .optional()
+    .isMongoId().withMessage('ID de rol personalizado no válido'),
+  
+  body('roleDefault')
+    .optional()
+    .isIn(['usuario', 'ninguno']).withMessage('El rol por defecto debe ser usuario o ninguno'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para rotar la clave de firma de JWT
+export const validateRotateSigningKey = [
+  body('algoritmo')
+    .optional()
+    .isIn(ALGORITMOS_FIRMA).withMessage(`El algoritmo debe ser ${ALGORITMOS_FIRMA.join(', ')}`),
+  
+  body('graciaMinutos')
+    .optional()
+    .isInt({ min: 0, max: 10080 }).withMessage('El período de gracia debe estar entre 0 y 10080 minutos')
+    .toInt(),
+  
+  body('motivo')
+    .optional()
+    .trim()
+    .isLength({ max: 300 }).withMessage('El motivo no puede superar los 300 caracteres'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del identificador de una clave de firma
+export const validateSigningKeyParams = [
+  param('kid')
+    .matches(/^[A-Za-z0-9_-]{1,64}$/).withMessage('Identificador de clave no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Reglas de las etapas de un pipeline (al crear o reemplazar etapas)
+const reglasEtapas = [
+  body('etapas')
+    .optional()
+    .isArray({ min: 2, max: 20 }).withMessage('El pipeline debe tener entre 2 y 20 etapas'),
+  
+  body('etapas.*._id')
+    .optional()
+    .isMongoId().withMessage('ID de etapa no válido'),
+  
+  body('etapas.*.nombre')
+    .trim()
+    .notEmpty().withMessage('Cada etapa debe tener nombre')
+    .isLength({ max: 50 }).withMessage('El nombre de la etapa no puede superar los 50 caracteres'),
+  
+  body('etapas.*.probabilidad')
+    .optional()
+    .isInt({ min: 0, max: 100 }).withMessage('La probabilidad de la etapa debe estar entre 0 y 100')
+    .toInt(),
+  
+  body('etapas.*.tipo')
+    .optional()
+    .isIn(['ABIERTA', 'GANADA', 'PERDIDA']).withMessage('El tipo de etapa debe ser ABIERTA, GANADA o PERDIDA'),
+  
+  body('moneda')
+    .optional()
+    .isISO4217().withMessage('Código de moneda no válido (ISO 4217)')
+];
+
+// Validación para crear un pipeline de ventas
+export const validateCreatePipeline = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('El nombre del pipeline es obligatorio')
+    .isLength({ min: 2, max: 60 }).withMessage('El nombre debe tener entre 2 y 60 caracteres'),
+  
+  body('local')
+    .optional()
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  ...reglasEtapas,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para actualizar un pipeline de ventas
+export const validateUpdatePipeline = [
+  param('id')
+    .isMongoId().withMessage('ID de pipeline no válido'),
+  
+  body('nombre')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 60 }).withMessage('El nombre debe tener entre 2 y 60 caracteres'),
+  
+  ...reglasEtapas,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del ID de un pipeline
+export const validatePipelineParams = [
+  param('id')
+    .isMongoId().withMessage('ID de pipeline no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Reglas comunes de los datos de una oportunidad
+const reglasOportunidad = [
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('La descripción no puede superar los 2000 caracteres'),
+  
+  body('monto')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('El monto debe ser un número positivo')
+    .toFloat(),
+  
+  body('moneda')
+    .optional()
+    .isISO4217().withMessage('Código de moneda no válido (ISO 4217)'),
+  
+  body('probabilidad')
+    .optional()
+    .isInt({ min: 0, max: 100 }).withMessage('La probabilidad debe estar entre 0 y 100')
+    .toInt(),
+  
+  body('fechaCierreEsperada')
+    .optional()
+    .isISO8601().withMessage('La fecha de cierre esperada no es válida')
+    .toDate(),
+  
+  body('responsable')
+    .optional()
+    .isMongoId().withMessage('ID de responsable no válido'),
+  
+  body('eventos')
+    .optional()
+    .isArray({ max: 50 }).withMessage('Los eventos deben ser un arreglo de hasta 50 IDs'),
+  
+  body('eventos.*')
+    .isMongoId().withMessage('ID de evento no válido'),
+  
+  body('etiquetas')
+    .optional()
+    .isArray().withMessage('Las etiquetas deben ser un arreglo')
+];
+
+// Validación para crear una oportunidad
+export const validateCreateOportunidad = [
+  body('titulo')
+    .trim()
+    .notEmpty().withMessage('El título de la oportunidad es obligatorio')
+    .isLength({ max: 150 }).withMessage('El título no puede superar los 150 caracteres'),
+  
+  body('cliente')
+    .notEmpty().withMessage('El cliente es obligatorio')
+    .isMongoId().withMessage('ID de cliente no válido'),
+  
+  body('pipeline')
+    .optional()
+    .isMongoId().withMessage('ID de pipeline no válido'),
+  
+  body('etapa')
+    .optional()
+    .isMongoId().withMessage('ID de etapa no válido'),
+  
+  ...reglasOportunidad,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para actualizar una oportunidad
+export const validateUpdateOportunidad = [
+  param('id')
+    .isMongoId().withMessage('ID de oportunidad no válido'),
+  
+  body('titulo')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('El título no puede estar vacío')
+    .isLength({ max: 150 }).withMessage('El título no puede superar los 150 caracteres'),
+  
+  ...reglasOportunidad,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para mover una oportunidad de etapa
+export const validateCambiarEtapa = [
+  param('id')
+    .isMongoId().withMessage('ID de oportunidad no válido'),
+  
+  body('etapa')
+    .notEmpty().withMessage('La etapa es obligatoria')
+    .isMongoId().withMessage('ID de etapa no válido'),
+  
+  body('probabilidad')
+    .optional()
+    .isInt({ min: 0, max: 100 }).withMessage('La probabilidad debe estar entre 0 y 100')
+    .toInt(),
+  
+  body('motivoPerdida')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('El motivo de pérdida no puede superar los 200 caracteres'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación de los listados, el tablero y el reporte de oportunidades
+export const validateOportunidadesQuery = [
+  query(['local', 'pipeline', 'etapa', 'responsable', 'cliente'])
+    .optional()
+    .isMongoId().withMessage('ID no válido'),
+  
+  query('estado')
+    .optional()
+    .isIn(['ABIERTA', 'GANADA', 'PERDIDA']).withMessage('El estado debe ser ABIERTA, GANADA o PERDIDA'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('El límite debe estar entre 1 y 200')
+    .toInt(),
+  
+  query(['desde', 'hasta'])
+    .optional()
+    .isISO8601().withMessage('Fecha no válida')
+    .toDate(),
+  
+  query('moneda')
+    .optional()
+    .isISO4217().withMessage('Código de moneda no válido (ISO 4217)'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del ID de una oportunidad
+export const validateOportunidadParams = [
+  param('id')
+    .isMongoId().withMessage('ID de oportunidad no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Reglas comunes de la definición de un campo personalizado
+const reglasCampoPersonalizado = [
+  body('etiqueta')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 }).withMessage('La etiqueta debe tener entre 1 y 60 caracteres'),
+  
+  body('requerido')
+    .optional()
+    .isBoolean().withMessage('requerido debe ser booleano')
+    .toBoolean(),
+  
+  body('opciones')
+    .optional()
+    .isArray({ max: 100 }).withMessage('Las opciones deben ser una lista de hasta 100 valores'),
+  
+  body('opciones.*')
+    .trim()
+    .notEmpty().withMessage('Las opciones no pueden estar vacías')
+    .isLength({ max: 100 }).withMessage('Cada opción puede tener hasta 100 caracteres'),
+  
+  body('validacion.longitudMaxima')
+    .optional()
+    .isInt({ min: 1, max: 10000 }).withMessage('La longitud máxima debe estar entre 1 y 10000')
+    .toInt(),
+  
+  body('validacion.patron')
+    .optional()
+    .isString().withMessage('El patrón debe ser una expresión regular')
+    .isLength({ max: LONGITUD_MAXIMA_PATRON }).withMessage(`El patrón no puede superar los ${LONGITUD_MAXIMA_PATRON} caracteres`),
+  
+  body('ayuda')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('El texto de ayuda no puede superar los 200 caracteres'),
+  
+  body('orden')
+    .optional()
+    .isInt({ min: 0 }).withMessage('El orden debe ser un número entero positivo')
+    .toInt(),
+  
+  body('activo')
+    .optional()
+    .isBoolean().withMessage('activo debe ser booleano')
+    .toBoolean()
+];
+
+// Validación para crear un campo personalizado
+export const validateCreateCampoPersonalizado = [
+  body('entidad')
+    .isIn(ENTIDADES_CAMPOS).withMessage(`La entidad debe ser ${ENTIDADES_CAMPOS.join(', ')}`),
+  
+  body('clave')
+    .trim()
+    .matches(PATRON_CLAVE).withMessage('La clave debe empezar con una letra y tener hasta 40 letras, números o guiones bajos'),
+  
+  body('etiqueta')
+    .trim()
+    .notEmpty().withMessage('La etiqueta es obligatoria'),
+  
+  body('tipo')
+    .isIn(TIPOS_CAMPO).withMessage(`El tipo debe ser ${TIPOS_CAMPO.join(', ')}`),
+  
+  body('local')
+    .optional()
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  ...reglasCampoPersonalizado,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para actualizar un campo personalizado
+export const validateUpdateCampoPersonalizado = [
+  param('id')
+    .isMongoId().withMessage('ID de campo personalizado no válido'),
+  
+  body(['entidad', 'clave', 'tipo'])
+    .not().exists().withMessage('La entidad, la clave y el tipo de un campo no se pueden modificar'),
+  
+  ...reglasCampoPersonalizado,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del ID de un campo personalizado
+export const validateCampoPersonalizadoParams = [
+  param('id')
+    .isMongoId().withMessage('ID de campo personalizado no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del listado de campos personalizados
+export const validateCamposPersonalizadosQuery = [
+  query('entidad')
+    .optional()
+    .isIn(ENTIDADES_CAMPOS).withMessage(`La entidad debe ser ${ENTIDADES_CAMPOS.join(', ')}`),
+  
+  query('local')
+    .optional()
+    .isMongoId().withMessage('ID de local no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Local de un segmento: sin local se usa el principal del usuario, así que es obligatorio si no lo tiene
+const reglaLocalSegmento = body('local')
+  .if((local, { req }) => local !== undefined || !req.user?.primaryLocal)
+  .notEmpty().withMessage('Debe indicar el local: su usuario no tiene un local principal')
+  .bail()
+  .isMongoId().withMessage('ID de local no válido');
+
+// Reglas comunes de un segmento (el contenido de las reglas se valida al compilarlas)
+const reglasSegmento = [
+  body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('La descripción no puede superar los 500 caracteres'),
+  
+  body('reglas')
+    .optional()
+    .isObject().withMessage('Las reglas deben ser un objeto { todas | alguna | ninguna: [...] }')
+];
+
+// Validación para crear un segmento de clientes
+export const validateCreateSegmento = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('El nombre del segmento es obligatorio')
+    .isLength({ max: 80 }).withMessage('El nombre no puede superar los 80 caracteres'),
+  
+  body('reglas')
+    .exists().withMessage('Las reglas del segmento son obligatorias'),
+  
+  reglaLocalSegmento,
+  
+  ...reglasSegmento,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para actualizar un segmento de clientes
+export const validateUpdateSegmento = [
+  param('id')
+    .isMongoId().withMessage('ID de segmento no válido'),
+  
+  body('nombre')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('El nombre del segmento no puede estar vacío')
+    .isLength({ max: 80 }).withMessage('El nombre no puede superar los 80 caracteres'),
+  
+  ...reglasSegmento,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación para contar los clientes de unas reglas sin guardarlas
+export const validateContarSegmento = [
+  body('reglas')
+    .exists().withMessage('Las reglas son obligatorias')
+    .isObject().withMessage('Las reglas deben ser un objeto { todas | alguna | ninguna: [...] }'),
+  
+  reglaLocalSegmento,
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validación del ID de un segmento
+export const validateSegmentoParams = [
+  param('id')
+    .isMongoId().withMessage('ID de segmento no válido'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { esPermisoValido } from '../config/permisos.js';
+
+// Prefijo común de todas las claves (permite detectarlas en escáneres de secretos)
+const PREFIJO_CLAVE = 'evo_';
+
+const hashClave = (clave) => {
+  return crypto
+    .createHash('sha256')
+    .update(clave)
+    .digest('hex');
+};
+
+const apiKeySchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre de la clave es obligatorio'],
+    trim: true
+  },
+  // Primeros caracteres de la clave, visibles para identificarla (la clave completa no se guarda)
+  prefijo: {
+    type: String,
+    required: true
+  },
+  // Hash SHA-256 de la clave completa
+  hash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Usuario (persona o cuenta de servicio) en cuyo nombre actúa la clave
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Local/marca al que queda restringida la clave
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    required: [true, 'La clave debe estar asociada a un local/marca']
+  },
+  permisos: {
+    type: [String],
+    validate: {
+      validator: function(permisos) {
+        return permisos.length > 0 && permisos.every(esPermisoValido);
+      },
+      message: 'La clave debe tener al menos un permiso y todos deben existir en el catálogo'
+    }
+  },
+  expiraEn: Date,
+  ultimoUso: Date,
+  ultimaIP: String,
+  revocada: {
+    type: Boolean,
+    default: false
+  },
+  revocadaEn: Date,
+  revocadaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  creadaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+apiKeySchema.index({ hash: 1 }, { unique: true });
+apiKeySchema.index({ usuario: 1, revocada: 1 });
+apiKeySchema.index({ local: 1, revocada: 1 });
+
+// Verificar si la clave puede usarse
+apiKeySchema.methods.estaActiva = function() {
+  return !this.revocada && (!this.expiraEn || this.expiraEn > Date.now());
+};
+
+// Verificar si la clave incluye un permiso
+apiKeySchema.methods.otorga = function(permiso) {
+  return this.permisos.includes(permiso);
+};
+
+// Registrar el uso de la clave (como máximo una vez por minuto)
+apiKeySchema.methods.registrarUso = async function(ip) {
+  if (this.ultimoUso && Date.now() - this.ultimoUso.getTime() < 60 * 1000) return;
+
+  this.ultimoUso = Date.now();
+  this.ultimaIP = ip;
+  await this.constructor.updateOne({ _id: this._id }, { $set: { ultimoUso: this.ultimoUso, ultimaIP: ip } });
+};
+
+// Revocar la clave
+apiKeySchema.methods.revocar = async function(userId) {
+  if (this.revocada) return false;
+
+  this.revocada = true;
+  this.revocadaEn = Date.now();
+  this.revocadaPor = userId;
+
+  await this.save();
+  return true;
+};
+
+// Generar una clave nueva: asigna prefijo y hash, y devuelve la clave en texto plano (solo se muestra una vez)
+apiKeySchema.methods.generarClave = function() {
+  const clave = `${PREFIJO_CLAVE}${crypto.randomBytes(32).toString('hex')}`;
+
+  this.prefijo = clave.substring(0, PREFIJO_CLAVE.length + 8);
+  this.hash = hashClave(clave);
+
+  return clave;
+};
+
+// Buscar una clave a partir de su valor en texto plano
+apiKeySchema.statics.buscarPorClave = function(clave) {
+  if (typeof clave !== 'string' || !clave.startsWith(PREFIJO_CLAVE)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ hash: hashClave(clave) });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
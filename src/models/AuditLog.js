@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  // Usuario que realizó la acción (null en acciones públicas, p. ej. login fallido)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: String,
+  actorRole: String,
+  // Clave de API usada para autenticar la petición (si no se usó un token de sesión)
+  claveAPI: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  // Usuario impersonado cuando el actor (superAdmin) actuaba en su nombre
+  impersonando: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Acción realizada, p. ej. "users.eliminar" o "locales.actualizar"
+  accion: {
+    type: String,
+    required: true
+  },
+  metodo: {
+    type: String,
+    enum: ['POST', 'PUT', 'PATCH', 'DELETE'],
+    required: true
+  },
+  // Ruta con parámetros (/api/admin/users/:id) y URL real de la petición
+  ruta: String,
+  url: String,
+  // Recurso afectado
+  recurso: String,
+  recursoId: String,
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    default: null
+  },
+  // Campos modificados con su valor anterior y posterior
+  cambios: [{
+    _id: false,
+    campo: String,
+    antes: mongoose.Schema.Types.Mixed,
+    despues: mongoose.Schema.Types.Mixed
+  }],
+  estadoHttp: Number,
+  exito: Boolean,
+  ip: String,
+  userAgent: String,
+  detalles: mongoose.Schema.Types.Mixed,
+  fecha: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+auditLogSchema.index({ fecha: -1 });
+auditLogSchema.index({ actor: 1, fecha: -1 });
+auditLogSchema.index({ recurso: 1, recursoId: 1, fecha: -1 });
+auditLogSchema.index({ local: 1, fecha: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
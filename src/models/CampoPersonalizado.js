@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import tenantPlugin from './plugins/tenantPlugin.js';
+
+// Modelos que admiten campos personalizados
+export const ENTIDADES_CAMPOS = ['CLIENTE', 'EVENTO', 'NOTA'];
+
+export const TIPOS_CAMPO = ['TEXTO', 'NUMERO', 'FECHA', 'BOOLEANO', 'SELECCION', 'SELECCION_MULTIPLE'];
+
+// La clave se usa como nombre de la propiedad en camposPersonalizados y en los filtros
+export const PATRON_CLAVE = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+export const LONGITUD_MAXIMA_PATRON = 200;
+
+// Cuantificador que repite sin límite o más de una vez (*, +, {n,}, {n,m} o {n} con n > 1)
+const CUANTIFICADOR_REPETIDO = /^(?:[*+]|\{\d+,\d*\}|\{0*(?:[2-9]|[1-9]\d+)\})/;
+
+/**
+ * Compila el patrón de validación de un campo de texto. Para evitar expresiones con
+ * backtracking exponencial (ReDoS) se rechazan las referencias hacia atrás y los grupos
+ * repetidos que contienen otro cuantificador o una alternativa, como (a+)+ o (a|aa)*
+ * @param {String} patron - Expresión regular
+ * @returns {RegExp}
+ * @throws {Error} - Si el patrón es demasiado largo, no es válido o puede ser costoso de evaluar
+ */
+export const compilarPatron = (patron) => {
+  if (typeof patron !== 'string' || patron.length > LONGITUD_MAXIMA_PATRON) {
+    throw new Error(`El patrón de validación debe ser un texto de hasta ${LONGITUD_MAXIMA_PATRON} caracteres`);
+  }
+
+  let expresion;
+  try {
+    expresion = new RegExp(patron);
+  } catch (error) {
+    throw new Error('El patrón de validación no es una expresión regular válida');
+  }
+
+  const grupos = [{ cuantificado: false, alternativa: false }];
+  for (let i = 0; i < patron.length; i++) {
+    const caracter = patron[i];
+    const actual = grupos[grupos.length - 1];
+
+    if (caracter === '\\') {
+      if (/[1-9k]/.test(patron[i + 1] || '')) {
+        throw new Error('El patrón de validación no puede usar referencias hacia atrás');
+      }
+      i++;
+    } else if (caracter === '[') {
+      // Clase de caracteres: se saltea hasta el ] que la cierra
+      for (i++; i < patron.length && patron[i] !== ']'; i++) {
+        if (patron[i] === '\\') i++;
+      }
+    } else if (caracter === '(') {
+      grupos.push({ cuantificado: false, alternativa: false });
+    } else if (caracter === ')') {
+      const grupo = grupos.pop();
+      const repetido = CUANTIFICADOR_REPETIDO.test(patron.slice(i + 1));
+      if (repetido && (grupo.cuantificado || grupo.alternativa)) {
+        throw new Error('El patrón de validación es demasiado complejo: no repita grupos que contienen cuantificadores o alternativas');
+      }
+      grupos[grupos.length - 1].cuantificado ||= repetido || grupo.cuantificado;
+    } else if (caracter === '|') {
+      actual.alternativa = true;
+    } else if (CUANTIFICADOR_REPETIDO.test(patron.slice(i))) {
+      actual.cuantificado = true;
+    }
+  }
+
+  return expresion;
+};
+
+const campoPersonalizadoSchema = new mongoose.Schema({
+  entidad: {
+    type: String,
+    enum: ENTIDADES_CAMPOS,
+    required: [true, 'La entidad del campo es obligatoria'],
+    immutable: true
+  },
+  clave: {
+    type: String,
+    required: [true, 'La clave del campo es obligatoria'],
+    trim: true,
+    match: [PATRON_CLAVE, 'La clave debe empezar con una letra y tener solo letras, números o guiones bajos'],
+    immutable: true
+  },
+  etiqueta: {
+    type: String,
+    required: [true, 'La etiqueta del campo es obligatoria'],
+    trim: true
+  },
+  // El tipo no se puede cambiar porque los valores guardados dejarían de ser válidos
+  tipo: {
+    type: String,
+    enum: TIPOS_CAMPO,
+    required: [true, 'El tipo del campo es obligatorio'],
+    immutable: true
+  },
+  requerido: {
+    type: Boolean,
+    default: false
+  },
+  // Valores permitidos de SELECCION y SELECCION_MULTIPLE
+  opciones: [{
+    type: String,
+    trim: true
+  }],
+  // Reglas adicionales: min/max para NUMERO y FECHA, longitudMaxima y patron para TEXTO
+  validacion: {
+    min: mongoose.Schema.Types.Mixed,
+    max: mongoose.Schema.Types.Mixed,
+    longitudMaxima: Number,
+    patron: String
+  },
+  ayuda: {
+    type: String,
+    trim: true
+  },
+  orden: {
+    type: Number,
+    default: 0
+  },
+  // Los campos desactivados conservan los valores guardados pero no se validan ni se exportan
+  activo: {
+    type: Boolean,
+    default: true
+  },
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    required: true
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+campoPersonalizadoSchema.index({ local: 1, entidad: 1, clave: 1 }, { unique: true });
+campoPersonalizadoSchema.index({ local: 1, entidad: 1, activo: 1, orden: 1 });
+
+// Coherencia entre el tipo, las opciones y las reglas de validación
+campoPersonalizadoSchema.pre('validate', function(next) {
+  const { min, max, patron } = this.validacion || {};
+
+  if (this.tipo.startsWith('SELECCION')) {
+    if (this.opciones.length === 0) {
+      this.invalidate('opciones', 'Los campos de selección deben tener al menos una opción');
+    } else if (new Set(this.opciones).size !== this.opciones.length) {
+      this.invalidate('opciones', 'Las opciones no pueden repetirse');
+    }
+  }
+
+  if (patron) {
+    try {
+      compilarPatron(patron);
+    } catch (error) {
+      this.invalidate('validacion.patron', error.message);
+    }
+  }
+
+  if (this.tipo === 'NUMERO' || this.tipo === 'FECHA') {
+    const convertir = (valor) => this.tipo === 'NUMERO' ? Number(valor) : new Date(valor).getTime();
+    for (const [nombre, valor] of Object.entries({ min, max })) {
+      if (valor !== undefined && valor !== null && Number.isNaN(convertir(valor))) {
+        this.invalidate(`validacion.${nombre}`, `El ${nombre === 'min' ? 'mínimo' : 'máximo'} no es válido para un campo ${this.tipo.toLowerCase()}`);
+      }
+    }
+    if (min != null && max != null && convertir(min) > convertir(max)) {
+      this.invalidate('validacion.min', 'El mínimo no puede ser mayor que el máximo');
+    }
+  }
+
+  next();
+});
+
+// Aislamiento por local/marca en todas las consultas
+campoPersonalizadoSchema.plugin(tenantPlugin);
+
+const CampoPersonalizado = mongoose.model('CampoPersonalizado', campoPersonalizadoSchema);
+
+export default CampoPersonalizado;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import cifradoPlugin from './plugins/cifradoPlugin.js';
+
+// Algoritmos admitidos para firmar los JWT del sistema.
+// EdDSA queda fuera: jsonwebtoken 9 no lo implementa ni para firmar ni para verificar
+export const ALGORITMOS_FIRMA = ['HS512', 'RS256', 'ES256'];
+
+const claveFirmaSchema = new mongoose.Schema({
+  // Identificador que viaja en el header "kid" de cada token
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  algoritmo: {
+    type: String,
+    enum: ALGORITMOS_FIRMA,
+    default: 'HS512'
+  },
+  // Secreto compartido (HS512), en base64
+  secreto: {
+    type: String,
+    select: false
+  },
+  // Par de claves PEM (RS256 y ES256); la pública se publica en /api/auth/jwks
+  clavePrivada: {
+    type: String,
+    select: false
+  },
+  clavePublica: String,
+  // activa: firma los tokens nuevos (una sola a la vez)
+  // verificacion: ya no firma pero valida los tokens emitidos hasta verificarHasta
+  // retirada: los tokens firmados con ella se rechazan
+  estado: {
+    type: String,
+    enum: ['activa', 'verificacion', 'retirada'],
+    default: 'activa'
+  },
+  activadaEn: {
+    type: Date,
+    default: Date.now
+  },
+  reemplazadaEn: Date,
+  verificarHasta: Date,
+  retiradaEn: Date,
+  // Usuario que rotó o retiró la clave (vacío si lo hizo una tarea programada o el CLI)
+  creadaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  retiradaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  motivo: String
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+claveFirmaSchema.index({ estado: 1, activadaEn: -1 });
+// Como máximo una clave activa: dos rotaciones simultáneas no pueden crear dos claves que firmen
+claveFirmaSchema.index({ estado: 1 }, { unique: true, partialFilterExpression: { estado: 'activa' } });
+
+// El material secreto se guarda cifrado cuando PII_ENCRYPTION_KEYS está configurada
+claveFirmaSchema.plugin(cifradoPlugin, {
+  campos: [
+    { ruta: 'secreto' },
+    { ruta: 'clavePrivada' }
+  ]
+});
+
+const ClaveFirma = mongoose.model('ClaveFirma', claveFirmaSchema);
+
+export default ClaveFirma;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import tenantPlugin from './plugins/tenantPlugin.js';
+import cifradoPlugin from './plugins/cifradoPlugin.js';
 
 const clienteSchema = new mongoose.Schema({
   nombre: {
@@ -11,10 +13,10 @@ const clienteSchema = new mongoose.Schema({
     required: [true, 'El apellido del cliente es obligatorio'],
     trim: true
   },
+  // Único por local (ver índice local + email): una persona puede ser cliente de varios locales
   email: {
     type: String,
     required: [true, 'El email es obligatorio'],
-    unique: true,
     lowercase: true,
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Por favor ingrese un email válido']
@@ -30,7 +32,14 @@ const clienteSchema = new mongoose.Schema({
     codigoPostal: String,
     pais: String
   },
-  fechaNacimiento: Date,
+  // Mixed: se guarda cifrada (cifradoPlugin) y se lee como Date
+  fechaNacimiento: mongoose.Schema.Types.Mixed,
+  // Mes de nacimiento (1-12) sin cifrar, derivado de fechaNacimiento para segmentar por cumpleaños
+  mesNacimiento: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
   documentoIdentidad: {
     tipo: {
       type: String,
@@ -44,6 +53,10 @@ const clienteSchema = new mongoose.Schema({
     default: 'POTENCIAL'
   },
   etiquetas: [String],
+  // Valores de los campos personalizados del local ({ clave: valor }, ver CampoPersonalizado)
+  camposPersonalizados: {
+    type: mongoose.Schema.Types.Mixed
+  },
   notas: [{
     contenido: String,
     fecha: {
@@ -94,6 +107,27 @@ const clienteSchema = new mongoose.Schema({
     default: true
   },
   ultimoContacto: Date,
+  // Supresión de datos personales (se conservan solo los campos usados en estadísticas)
+  anonimizado: {
+    type: Boolean,
+    default: false
+  },
+  anonimizadoEn: Date,
+  anonimizadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Registro duplicado fusionado en otro cliente (queda inactivo como referencia)
+  fusionadoCon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cliente',
+    default: null
+  },
+  fusionadoEn: Date,
+  fusionadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   creadoPor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -109,19 +143,19 @@ const clienteSchema = new mongoose.Schema({
 
 // Índices para mejorar rendimiento en búsquedas comunes
 clienteSchema.index({ email: 1 });
-clienteSchema.index({ telefono: 1 });
+clienteSchema.index({ local: 1, email: 1 }, { unique: true });
 clienteSchema.index({ categoria: 1 });
 clienteSchema.index({ local: 1 });
 clienteSchema.index({ asignadoA: 1 });
+clienteSchema.index({ local: 1, mesNacimiento: 1 });
 clienteSchema.index({ activo: 1 });
-clienteSchema.index({ 'documentoIdentidad.numero': 1 });
 
 // Método virtual para nombre completo
 clienteSchema.virtual('nombreCompleto').get(function() {
   return `${this.nombre} ${this.apellido}`;
 });
 
-// Método para buscar clientes por texto
+// Método para buscar clientes por texto (el teléfono está cifrado: solo coincide el número completo)
 clienteSchema.statics.buscarPorTexto = function(texto) {
   return this.find({
     $or: [
@@ -133,6 +167,84 @@ clienteSchema.statics.buscarPorTexto = function(texto) {
   });
 };
 
+// Mes (1-12) de una fecha de nacimiento; null si no hay fecha o no es válida
+export const mesDeNacimiento = (fecha) => {
+  if (fecha === undefined || fecha === null || fecha === '') return null;
+
+  const valor = new Date(fecha);
+  return Number.isNaN(valor.getTime()) ? null : valor.getUTCMonth() + 1;
+};
+
+// Fecha de nacimiento como Date (null si se quita); undefined si no es una fecha válida
+const convertirFechaNacimiento = (valor) => {
+  if (valor === null || valor === '') return null;
+
+  const fecha = new Date(valor);
+  return Number.isNaN(fecha.getTime()) ? undefined : fecha;
+};
+
+// fechaNacimiento es Mixed por el cifrado: se convierte a Date antes de cifrarla y se rechazan
+// las fechas no válidas con un error de validación (cifradoPlugin solo cifra fechas válidas)
+clienteSchema.pre('validate', function(next) {
+  if (this.isModified('fechaNacimiento') && this.fechaNacimiento !== undefined) {
+    const fecha = convertirFechaNacimiento(this.fechaNacimiento);
+
+    if (fecha === undefined) {
+      this.invalidate('fechaNacimiento', 'La fecha de nacimiento no es válida', this.fechaNacimiento);
+    } else {
+      this.fechaNacimiento = fecha;
+    }
+  }
+  next();
+});
+
+// mesNacimiento se recalcula antes de que cifradoPlugin cifre fechaNacimiento
+clienteSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('fechaNacimiento')) {
+    this.mesNacimiento = mesDeNacimiento(this.fechaNacimiento) ?? undefined;
+  }
+  next();
+});
+
+clienteSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+
+  for (const objeto of [update, update.$set]) {
+    if (objeto && objeto.fechaNacimiento !== undefined) {
+      const fecha = convertirFechaNacimiento(objeto.fechaNacimiento);
+
+      if (fecha === undefined) {
+        return next(Object.assign(new Error('La fecha de nacimiento no es válida'), { status: 400 }));
+      }
+      objeto.fechaNacimiento = fecha;
+      objeto.mesNacimiento = mesDeNacimiento(fecha);
+    }
+  }
+  if (update.$unset && 'fechaNacimiento' in update.$unset) {
+    update.$unset.mesNacimiento = '';
+  }
+
+  this.setUpdate(update);
+  next();
+});
+
+// Aislamiento por local/marca en todas las consultas
+clienteSchema.plugin(tenantPlugin);
+
+// Cifrado de datos personales; teléfono y documento admiten búsqueda exacta por índice ciego
+export const CAMPOS_CIFRADOS_CLIENTE = [
+  { ruta: 'telefono', indice: 'telefono', normalizar: 'telefono' },
+  { ruta: 'documentoIdentidad.numero', indice: 'documentoIdentidad', normalizar: 'documento' },
+  { ruta: 'fechaNacimiento', tipo: 'date' },
+  { ruta: 'direccion.calle' },
+  { ruta: 'direccion.ciudad' },
+  { ruta: 'direccion.provincia' },
+  { ruta: 'direccion.codigoPostal' },
+  { ruta: 'direccion.pais' }
+];
+
+clienteSchema.plugin(cifradoPlugin, { campos: CAMPOS_CIFRADOS_CLIENTE });
+
 const Cliente = mongoose.model('Cliente', clienteSchema);
 
 export default Cliente; 
\ No newline at end of file
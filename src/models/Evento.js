@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantPlugin from './plugins/tenantPlugin.js';
 
 const eventoSchema = new mongoose.Schema({
   titulo: {
@@ -128,6 +129,10 @@ const eventoSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Valores de los campos personalizados del local ({ clave: valor }, ver CampoPersonalizado)
+  camposPersonalizados: {
+    type: mongoose.Schema.Types.Mixed
+  },
   metadata: {
     idCalendarioExterno: String, // ID en Google Calendar, Outlook, etc.
     urlCalendarioExterno: String
@@ -205,6 +210,9 @@ eventoSchema.pre('save', function(next) {
   next();
 });
 
+// Aislamiento por local/marca en todas las consultas
+eventoSchema.plugin(tenantPlugin);
+
 const Evento = mongoose.model('Evento', eventoSchema);
 
 export default Evento; 
\ No newline at end of file
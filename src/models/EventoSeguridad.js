@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const eventoSeguridadSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Local principal del usuario al momento del evento (para el feed de los administradores)
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    default: null
+  },
+  tipo: {
+    type: String,
+    enum: ['login_sospechoso', 'cuenta_bloqueada', 'reporte_no_fui_yo'],
+    required: true
+  },
+  severidad: {
+    type: String,
+    enum: ['info', 'advertencia', 'critica'],
+    default: 'advertencia'
+  },
+  // Motivos de un login sospechoso: nuevo_dispositivo, nueva_ip
+  motivos: [{
+    type: String,
+    enum: ['nuevo_dispositivo', 'nueva_ip']
+  }],
+  ip: String,
+  dispositivo: String,
+  ubicacion: String,
+  sesion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  detalles: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Hash SHA-256 del token del enlace "no fui yo" enviado por email (un solo uso)
+  tokenNoFuiYo: {
+    type: String,
+    select: false
+  },
+  tokenNoFuiYoExpira: Date,
+  reportadoEn: Date,
+  revisado: {
+    type: Boolean,
+    default: false
+  },
+  revisadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revisadoEn: Date,
+  fecha: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+eventoSeguridadSchema.index({ local: 1, fecha: -1 });
+eventoSeguridadSchema.index({ usuario: 1, fecha: -1 });
+eventoSeguridadSchema.index({ tokenNoFuiYo: 1 }, { sparse: true });
+
+// Generar el token del enlace "no fui yo" (se guarda solo el hash)
+eventoSeguridadSchema.methods.generarTokenNoFuiYo = function(diasVigencia = 7) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.tokenNoFuiYo = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+  this.tokenNoFuiYoExpira = Date.now() + diasVigencia * 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
+// Buscar un evento a partir del token "no fui yo" en texto plano (vigente y sin usar)
+eventoSeguridadSchema.statics.buscarPorTokenNoFuiYo = function(token) {
+  const tokenNoFuiYo = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  return this.findOne({
+    tokenNoFuiYo,
+    tokenNoFuiYoExpira: { $gt: Date.now() }
+  });
+};
+
+const EventoSeguridad = mongoose.model('EventoSeguridad', eventoSeguridadSchema);
+
+export default EventoSeguridad;
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import tenantPlugin from './plugins/tenantPlugin.js';
+
+const importacionClientesSchema = new mongoose.Schema({
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    required: true
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  archivo: {
+    nombre: String,
+    formato: {
+      type: String,
+      enum: ['csv', 'xlsx']
+    },
+    tamano: Number
+  },
+  // Columna del archivo que corresponde a cada campo del cliente
+  mapeo: [{
+    _id: false,
+    campo: String,
+    columna: String
+  }],
+  // Qué hacer con las filas de clientes que ya existen en el local
+  estrategiaDuplicados: {
+    type: String,
+    enum: ['omitir', 'actualizar', 'crear'],
+    default: 'omitir'
+  },
+  // Simulación: valida y cuenta sin guardar clientes
+  simulacion: {
+    type: Boolean,
+    default: false
+  },
+  estado: {
+    type: String,
+    enum: ['pendiente', 'procesando', 'completada', 'fallida'],
+    default: 'pendiente'
+  },
+  totalFilas: {
+    type: Number,
+    default: 0
+  },
+  filasProcesadas: {
+    type: Number,
+    default: 0
+  },
+  resumen: {
+    creados: { type: Number, default: 0 },
+    actualizados: { type: Number, default: 0 },
+    omitidos: { type: Number, default: 0 },
+    conErrores: { type: Number, default: 0 }
+  },
+  // Errores por fila (se guardan como máximo MAX_ERRORES_IMPORTACION)
+  errores: [{
+    _id: false,
+    fila: Number,
+    campo: String,
+    mensaje: String
+  }],
+  erroresOmitidos: {
+    type: Number,
+    default: 0
+  },
+  // Error que detuvo la importación completa
+  mensajeError: String,
+  iniciadaEn: Date,
+  finalizadaEn: Date
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+importacionClientesSchema.index({ local: 1, createdAt: -1 });
+
+// Aislamiento por local/marca en todas las consultas
+importacionClientesSchema.plugin(tenantPlugin);
+
+const ImportacionClientes = mongoose.model('ImportacionClientes', importacionClientesSchema);
+
+export default ImportacionClientes;
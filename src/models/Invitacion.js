@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const invitacionSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'El email es obligatorio'],
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Por favor ingrese un email válido']
+  },
+  nombre: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['usuario', 'admin'],
+    default: 'usuario'
+  },
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    required: [true, 'La invitación debe estar asociada a un local/marca']
+  },
+  // Hash SHA-256 del token del enlace (nunca se guarda el token en texto plano)
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiraEn: {
+    type: Date,
+    required: true
+  },
+  estado: {
+    type: String,
+    enum: ['pendiente', 'aceptada', 'revocada'],
+    default: 'pendiente'
+  },
+  invitadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  envios: {
+    type: Number,
+    default: 1
+  },
+  ultimoEnvio: {
+    type: Date,
+    default: Date.now
+  },
+  aceptadaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  aceptadaEn: Date,
+  revocadaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocadaEn: Date
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+invitacionSchema.index({ local: 1, estado: 1 });
+invitacionSchema.index({ email: 1, local: 1, estado: 1 });
+invitacionSchema.index({ tokenHash: 1 });
+
+// Verificar si la invitación todavía puede aceptarse
+invitacionSchema.methods.estaVigente = function() {
+  return this.estado === 'pendiente' && this.expiraEn > Date.now();
+};
+
+// Generar un nuevo token para el enlace (invalida el anterior) y renovar el vencimiento
+invitacionSchema.methods.generarToken = function(diasVigencia = 7) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.tokenHash = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+  this.expiraEn = Date.now() + diasVigencia * 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
+// Buscar una invitación a partir del token en texto plano
+invitacionSchema.statics.buscarPorToken = function(token) {
+  const tokenHash = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  return this.findOne({ tokenHash });
+};
+
+const Invitacion = mongoose.model('Invitacion', invitacionSchema);
+
+export default Invitacion;
@@ -33,6 +33,38 @@ const localSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Políticas de seguridad del local/marca
+  seguridad: {
+    // Inicio de sesión sin contraseña mediante un enlace enviado por email
+    magicLink: {
+      habilitado: {
+        type: Boolean,
+        default: false
+      },
+      roles: {
+        type: [String],
+        enum: ['usuario', 'admin'],
+        default: ['usuario']
+      }
+    },
+    // Reglas de contraseña para los usuarios del local (ver politicaSeguridadService)
+    contrasena: {
+      longitudMinima: { type: Number, default: 8, min: 8, max: 128 },
+      requiereMayuscula: { type: Boolean, default: true },
+      requiereMinuscula: { type: Boolean, default: true },
+      requiereNumero: { type: Boolean, default: true },
+      requiereEspecial: { type: Boolean, default: true },
+      // Cantidad de contraseñas recientes que no se pueden reutilizar (0 = sin control)
+      historial: { type: Number, default: 0, min: 0, max: 24 },
+      // Días de vigencia de la contraseña antes de exigir su cambio (0 = no expira)
+      diasVigencia: { type: Number, default: 0, min: 0, max: 365 }
+    },
+    // Bloqueo de la cuenta por intentos de login fallidos
+    bloqueo: {
+      intentosMaximos: { type: Number, default: 5, min: 3, max: 20 },
+      minutosBloqueo: { type: Number, default: 30, min: 1, max: 1440 }
+    }
+  },
   // Campos para estadísticas de usuarios (se actualizan periódicamente)
   estadisticasUsuarios: {
     totalUsuarios: {
@@ -135,6 +167,12 @@ localSchema.statics.actualizarTodasLasEstadisticas = async function() {
   return actualizados;
 };
 
+// Verificar si la política del local permite el login con enlace mágico para un rol
+localSchema.methods.permiteMagicLink = function(role) {
+  const politica = this.seguridad?.magicLink;
+  return !!(this.activo && politica?.habilitado && politica.roles.includes(role));
+};
+
 // Virtual para obtener usuarios conectados (no persiste en DB)
 localSchema.virtual('usuariosConectados', {
   ref: 'User',
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantPlugin from './plugins/tenantPlugin.js';
 
 const notaSchema = new mongoose.Schema({
   titulo: {
@@ -25,6 +26,10 @@ const notaSchema = new mongoose.Schema({
     ref: 'Evento'
   },
   etiquetas: [String],
+  // Valores de los campos personalizados del local ({ clave: valor }, ver CampoPersonalizado)
+  camposPersonalizados: {
+    type: mongoose.Schema.Types.Mixed
+  },
   archivosAdjuntos: [{
     nombre: String,
     url: String,
@@ -176,6 +181,9 @@ notaSchema.pre('save', function(next) {
   next();
 });
 
+// Aislamiento por local/marca en todas las consultas
+notaSchema.plugin(tenantPlugin);
+
 const Nota = mongoose.model('Nota', notaSchema);
 
 export default Nota; 
\ No newline at end of file
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import tenantPlugin from './plugins/tenantPlugin.js';
+
+const oportunidadSchema = new mongoose.Schema({
+  titulo: {
+    type: String,
+    required: [true, 'El título de la oportunidad es obligatorio'],
+    trim: true
+  },
+  descripcion: {
+    type: String,
+    trim: true
+  },
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cliente',
+    required: [true, 'La oportunidad debe estar vinculada a un cliente']
+  },
+  eventos: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evento'
+  }],
+  pipeline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline',
+    required: true
+  },
+  // ID de la etapa dentro de Pipeline.etapas
+  etapa: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Se deriva del tipo de la etapa actual
+  estado: {
+    type: String,
+    enum: ['ABIERTA', 'GANADA', 'PERDIDA'],
+    default: 'ABIERTA'
+  },
+  monto: {
+    type: Number,
+    min: [0, 'El monto no puede ser negativo'],
+    default: 0
+  },
+  moneda: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Probabilidad de cierre (0-100); si no se indica se toma la de la etapa
+  probabilidad: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  fechaCierreEsperada: Date,
+  fechaCierre: Date,
+  motivoPerdida: {
+    type: String,
+    trim: true
+  },
+  responsable: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  etiquetas: [String],
+  // Cambios de etapa (el primero es la etapa inicial)
+  historialEtapas: [{
+    etapaAnterior: mongoose.Schema.Types.ObjectId,
+    etapa: mongoose.Schema.Types.ObjectId,
+    nombreEtapa: String,
+    fecha: {
+      type: Date,
+      default: Date.now
+    },
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    required: true
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices para el tablero, los listados y los reportes
+oportunidadSchema.index({ pipeline: 1, etapa: 1, updatedAt: -1 });
+oportunidadSchema.index({ local: 1, estado: 1, fechaCierre: -1 });
+oportunidadSchema.index({ cliente: 1 });
+oportunidadSchema.index({ responsable: 1, estado: 1 });
+
+// Monto ponderado por la probabilidad de cierre
+oportunidadSchema.virtual('montoPonderado').get(function() {
+  return Math.round((this.monto || 0) * (this.probabilidad || 0)) / 100;
+});
+
+/**
+ * Mueve la oportunidad a una etapa del pipeline registrando el cambio en el historial.
+ * Al pasar a una etapa ganada o perdida se cierra; al volver a una abierta se reabre.
+ * @param {Object} etapa - Subdocumento de Pipeline.etapas
+ * @param {String} usuarioId - Usuario que hace el cambio
+ * @param {Object} opciones - { probabilidad, motivoPerdida }
+ */
+oportunidadSchema.methods.moverAEtapa = function(etapa, usuarioId, opciones = {}) {
+  const etapaAnterior = this.etapa;
+  const cambiaEstado = this.estado !== etapa.tipo || !this.fechaCierre;
+
+  this.etapa = etapa._id;
+  this.estado = etapa.tipo;
+  this.probabilidad = opciones.probabilidad ?? etapa.probabilidad;
+  if (etapa.tipo === 'ABIERTA') {
+    this.fechaCierre = undefined;
+  } else if (cambiaEstado) {
+    this.fechaCierre = Date.now();
+  }
+  this.motivoPerdida = etapa.tipo === 'PERDIDA' ? (opciones.motivoPerdida ?? this.motivoPerdida) : undefined;
+
+  this.historialEtapas.push({
+    etapaAnterior,
+    etapa: etapa._id,
+    nombreEtapa: etapa.nombre,
+    usuario: usuarioId
+  });
+  return this;
+};
+
+// Aislamiento por local/marca en todas las consultas
+oportunidadSchema.plugin(tenantPlugin);
+
+const Oportunidad = mongoose.model('Oportunidad', oportunidadSchema);
+
+export default Oportunidad;
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import tenantPlugin from './plugins/tenantPlugin.js';
+
+// Etapas con las que se crea el pipeline de un local si no se indican otras
+export const ETAPAS_PREDETERMINADAS = [
+  { nombre: 'Prospecto', probabilidad: 10, tipo: 'ABIERTA' },
+  { nombre: 'Contactado', probabilidad: 25, tipo: 'ABIERTA' },
+  { nombre: 'Propuesta', probabilidad: 50, tipo: 'ABIERTA' },
+  { nombre: 'Negociación', probabilidad: 75, tipo: 'ABIERTA' },
+  { nombre: 'Ganada', probabilidad: 100, tipo: 'GANADA' },
+  { nombre: 'Perdida', probabilidad: 0, tipo: 'PERDIDA' }
+];
+
+const etapaSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre de la etapa es obligatorio'],
+    trim: true
+  },
+  // Probabilidad de cierre por defecto de las oportunidades en la etapa (0-100)
+  probabilidad: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // GANADA y PERDIDA cierran la oportunidad
+  tipo: {
+    type: String,
+    enum: ['ABIERTA', 'GANADA', 'PERDIDA'],
+    default: 'ABIERTA'
+  },
+  color: {
+    type: String,
+    default: '#9E9E9E'
+  }
+});
+
+const pipelineSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre del pipeline es obligatorio'],
+    trim: true
+  },
+  // Etapas en el orden en que se muestran en el tablero
+  etapas: {
+    type: [etapaSchema],
+    validate: [
+      {
+        validator: (etapas) => etapas.some(etapa => etapa.tipo === 'ABIERTA'),
+        message: 'El pipeline debe tener al menos una etapa abierta'
+      },
+      {
+        validator: (etapas) => etapas.some(etapa => etapa.tipo === 'GANADA') && etapas.some(etapa => etapa.tipo === 'PERDIDA'),
+        message: 'El pipeline debe tener una etapa ganada y una perdida'
+      }
+    ]
+  },
+  moneda: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'ARS'
+  },
+  // Pipeline que se usa cuando una oportunidad no indica otro
+  predeterminado: {
+    type: Boolean,
+    default: false
+  },
+  activo: {
+    type: Boolean,
+    default: true
+  },
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    required: true
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+pipelineSchema.index({ local: 1, nombre: 1 }, { unique: true });
+pipelineSchema.index({ local: 1, predeterminado: 1 });
+
+// Buscar una etapa del pipeline por su ID
+pipelineSchema.methods.obtenerEtapa = function(etapaId) {
+  return this.etapas.id(etapaId);
+};
+
+// Primera etapa abierta (donde entran las oportunidades nuevas)
+pipelineSchema.methods.etapaInicial = function() {
+  return this.etapas.find(etapa => etapa.tipo === 'ABIERTA');
+};
+
+// Aislamiento por local/marca en todas las consultas
+pipelineSchema.plugin(tenantPlugin);
+
+const Pipeline = mongoose.model('Pipeline', pipelineSchema);
+
+export default Pipeline;
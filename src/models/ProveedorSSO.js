@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+const proveedorSSOSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre del proveedor es obligatorio'],
+    trim: true
+  },
+  // Identificador usado en las URLs de login (/api/auth/sso/:slug/...)
+  slug: {
+    type: String,
+    required: [true, 'El identificador del proveedor es obligatorio'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'El identificador solo puede contener letras minúsculas, números y guiones']
+  },
+  // URL del emisor OIDC (se usa para el descubrimiento en /.well-known/openid-configuration)
+  emisor: {
+    type: String,
+    required: [true, 'El emisor (issuer) es obligatorio'],
+    trim: true
+  },
+  clientId: {
+    type: String,
+    required: [true, 'El client_id es obligatorio']
+  },
+  // Vacío para clientes públicos (solo PKCE)
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  scopes: {
+    type: String,
+    default: 'openid email profile'
+  },
+  // URL del frontend a la que el proveedor redirige con el código (por defecto SSO_REDIRECT_URI)
+  redirectUri: String,
+  // Local/marca al que pertenecen los usuarios que ingresan con este proveedor
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    required: [true, 'El proveedor debe estar asociado a un local/marca']
+  },
+  // Dominios de email aceptados (vacío = cualquiera)
+  dominiosPermitidos: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Claim del ID token con los grupos/roles del usuario (admite rutas con puntos, p. ej. realm_access.roles)
+  claimRoles: {
+    type: String,
+    default: 'groups'
+  },
+  // Correspondencia entre valores del claim y roles del sistema en el local
+  mapeoRoles: [{
+    _id: false,
+    valor: {
+      type: String,
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['usuario', 'admin'],
+      default: 'usuario'
+    },
+    rolPersonalizado: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role'
+    }
+  }],
+  // Rol asignado cuando ningún valor del claim coincide ('ninguno' rechaza el acceso)
+  roleDefault: {
+    type: String,
+    enum: ['usuario', 'ninguno'],
+    default: 'usuario'
+  },
+  // Crear automáticamente los usuarios que todavía no existen
+  crearUsuarios: {
+    type: Boolean,
+    default: true
+  },
+  // Actualizar el rol y los roles personalizados mapeados en cada login
+  sincronizarRoles: {
+    type: Boolean,
+    default: true
+  },
+  activo: {
+    type: Boolean,
+    default: true
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+proveedorSSOSchema.index({ local: 1 });
+proveedorSSOSchema.index({ dominiosPermitidos: 1 });
+
+// Verificar si el proveedor acepta un email según sus dominios permitidos
+proveedorSSOSchema.methods.aceptaEmail = function(email) {
+  if (!this.dominiosPermitidos || this.dominiosPermitidos.length === 0) return true;
+
+  const dominio = String(email).split('@')[1]?.toLowerCase();
+  return this.dominiosPermitidos.includes(dominio);
+};
+
+const ProveedorSSO = mongoose.model('ProveedorSSO', proveedorSSOSchema);
+
+export default ProveedorSSO;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantPlugin from './plugins/tenantPlugin.js';
 
 const recordatorioSchema = new mongoose.Schema({
   titulo: {
@@ -137,6 +138,9 @@ recordatorioSchema.methods.marcarComoFallido = function(mensaje) {
   return this.save();
 };
 
+// Aislamiento por local/marca en todas las consultas
+recordatorioSchema.plugin(tenantPlugin);
+
 const Recordatorio = mongoose.model('Recordatorio', recordatorioSchema);
 
 export default Recordatorio; 
\ No newline at end of file
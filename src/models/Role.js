@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { esPermisoValido, ROLES_BASE } from '../config/permisos.js';
+
+const roleSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre del rol es obligatorio'],
+    trim: true,
+    validate: {
+      validator: function(valor) {
+        return !ROLES_BASE.some(rol => rol.toLowerCase() === valor.toLowerCase());
+      },
+      message: 'El nombre del rol está reservado para los roles del sistema'
+    }
+  },
+  descripcion: {
+    type: String,
+    trim: true
+  },
+  // Los roles personalizados pertenecen a un local/marca
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    required: [true, 'El rol debe estar asociado a un local/marca']
+  },
+  permisos: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(permisos) {
+        return permisos.every(esPermisoValido);
+      },
+      message: 'La lista contiene permisos que no existen en el catálogo'
+    }
+  },
+  activo: {
+    type: Boolean,
+    default: true
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ultimaModificacion: {
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    fecha: Date
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// El nombre de un rol es único dentro de cada local
+roleSchema.index({ local: 1, nombre: 1 }, { unique: true, collation: { locale: 'es', strength: 2 } });
+
+// Verificar si el rol otorga un permiso
+roleSchema.methods.otorga = function(permiso) {
+  return this.activo && this.permisos.includes(permiso);
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import tenantPlugin from './plugins/tenantPlugin.js';
+
+// Segmento de clientes guardado: sus reglas se evalúan en cada consulta (ver segmentosService)
+const segmentoSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre del segmento es obligatorio'],
+    trim: true
+  },
+  descripcion: {
+    type: String,
+    trim: true
+  },
+  // Árbol de reglas: { todas | alguna | ninguna: [condiciones o grupos] }
+  reglas: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Las reglas del segmento son obligatorias']
+  },
+  local: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Local',
+    required: true
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+segmentoSchema.index({ local: 1, nombre: 1 }, { unique: true });
+
+// Aislamiento por local/marca en todas las consultas
+segmentoSchema.plugin(tenantPlugin);
+
+const Segmento = mongoose.model('Segmento', segmentoSchema);
+
+export default Segmento;
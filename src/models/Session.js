@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'La sesión debe pertenecer a un usuario']
+  },
+  // Hash SHA-256 del refresh token vigente (nunca se guarda el token en texto plano)
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes de refresh tokens ya rotados, usados para detectar reutilización
+  tokensAnteriores: [String],
+  dispositivo: String,
+  ip: String,
+  ubicacion: String,
+  // Indica si la sesión completó el segundo factor de autenticación
+  dosFactoresVerificado: {
+    type: Boolean,
+    default: false
+  },
+  // SuperAdmin que abrió la sesión en nombre del usuario ("iniciar sesión como")
+  impersonadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  motivoImpersonacion: String,
+  ultimoUso: {
+    type: Date,
+    default: Date.now
+  },
+  expiraEn: {
+    type: Date,
+    required: true
+  },
+  revocada: {
+    type: Boolean,
+    default: false
+  },
+  revocadaEn: Date,
+  motivoRevocacion: String,
+  fechaCreacion: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+sessionSchema.index({ usuario: 1, revocada: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ tokensAnteriores: 1 });
+// Las sesiones se eliminan automáticamente una semana después de expirar
+sessionSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Verificar si la sesión sigue siendo válida
+sessionSchema.methods.estaActiva = function() {
+  return !this.revocada && this.expiraEn > Date.now();
+};
+
+// Verificar si la sesión fue abierta por un superAdmin en nombre del usuario
+sessionSchema.methods.esImpersonacion = function() {
+  return !!this.impersonadoPor;
+};
+
+// Revocar la sesión (y con ella toda la familia de refresh tokens)
+sessionSchema.methods.revocar = async function(motivo = 'logout') {
+  if (this.revocada) return false;
+
+  this.revocada = true;
+  this.revocadaEn = Date.now();
+  this.motivoRevocacion = motivo;
+
+  await this.save();
+  return true;
+};
+
+// Revocar todas las sesiones activas de un usuario, opcionalmente excepto una
+sessionSchema.statics.revocarTodasDelUsuario = async function(userId, motivo = 'revocacion_global', exceptoId = null) {
+  const filtro = { usuario: userId, revocada: false };
+
+  if (exceptoId) {
+    filtro._id = { $ne: exceptoId };
+  }
+
+  const resultado = await this.updateMany(filtro, {
+    $set: {
+      revocada: true,
+      revocadaEn: Date.now(),
+      motivoRevocacion: motivo
+    }
+  });
+
+  return resultado.modifiedCount;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
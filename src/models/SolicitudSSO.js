@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Estado de un login OIDC en curso (state, nonce y code_verifier de PKCE)
+const solicitudSSOSchema = new mongoose.Schema({
+  // Hash SHA-256 del parámetro state enviado al proveedor
+  stateHash: {
+    type: String,
+    required: true
+  },
+  proveedor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProveedorSSO',
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  ip: String,
+  expiraEn: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+solicitudSSOSchema.index({ stateHash: 1 }, { unique: true });
+// Las solicitudes se eliminan automáticamente al expirar
+solicitudSSOSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+const SolicitudSSO = mongoose.model('SolicitudSSO', solicitudSSOSchema);
+
+export default SolicitudSSO;
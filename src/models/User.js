@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { PERMISOS_POR_ROL, PERMISOS_HEREDADOS } from '../config/permisos.js';
+
+// Cantidad máxima de contraseñas anteriores que se conservan (la política del local decide cuántas se controlan)
+const MAX_HISTORIAL_PASSWORDS = 24;
 
 const userSchema = new mongoose.Schema({
   nombre: {
@@ -17,22 +22,26 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'La contraseña es obligatoria'],
+    // Las reglas de complejidad dependen de la política del local (politicaSeguridadService)
     minlength: [8, 'La contraseña debe tener al menos 8 caracteres'],
-    validate: {
-      validator: function(value) {
-        // Debe contener al menos una letra mayúscula, una minúscula, un número y un carácter especial
-        const regex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/;
-        return regex.test(value);
-      },
-      message: 'La contraseña debe contener al menos una letra mayúscula, una minúscula, un número y un carácter especial'
-    },
     select: false // No incluir por defecto en consultas
   },
+  // Hashes de contraseñas anteriores, del más reciente al más antiguo (para impedir su reutilización)
+  historialPasswords: {
+    type: [String],
+    select: false
+  },
   role: {
     type: String,
     enum: ['usuario', 'admin', 'superAdmin'],
     default: 'usuario'
   },
+  // Las cuentas de servicio no inician sesión: solo se autentican con claves de API
+  tipoCuenta: {
+    type: String,
+    enum: ['persona', 'servicio'],
+    default: 'persona'
+  },
   locales: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Local'
@@ -92,6 +101,11 @@ const userSchema = new mongoose.Schema({
       }
     }
   },
+  // Roles personalizados definidos por los locales (recepcionista, vendedor, etc.)
+  rolesPersonalizados: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }],
   imagenPerfil: {
     type: String,
     default: 'default.jpg'
@@ -115,11 +129,26 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  codigoVerificacion: String,
+  // Hash SHA-256 del código de verificación de email (nunca se guarda en texto plano)
+  codigoVerificacion: {
+    type: String,
+    select: false
+  },
   codigoVerificacionExpira: Date,
+  codigoVerificacionEnviado: Date,
+  intentosVerificacion: {
+    type: Number,
+    default: 0
+  },
   passwordChangedAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Hash SHA-256 del enlace de inicio de sesión sin contraseña (un solo uso)
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpires: Date,
   intentosFallidos: {
     type: Number,
     default: 0
@@ -131,12 +160,49 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  dosFactores: {
+    activo: {
+      type: Boolean,
+      default: false
+    },
+    secreto: {
+      type: String,
+      select: false
+    },
+    secretoPendiente: {
+      type: String,
+      select: false
+    },
+    codigosRecuperacion: {
+      type: [String],
+      select: false
+    },
+    ultimoPasoUsado: {
+      type: Number,
+      select: false
+    },
+    activadoEn: Date
+  },
   dispositivos: [{
     dispositivo: String,
     ip: String,
     ubicacion: String,
     fechaAcceso: Date
   }],
+  // Identidades de proveedores OIDC vinculadas a la cuenta (sub del ID token)
+  identidadesSSO: [{
+    _id: false,
+    proveedor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProveedorSSO'
+    },
+    sub: String,
+    vinculadaEn: {
+      type: Date,
+      default: Date.now
+    },
+    ultimoLogin: Date
+  }],
   creadoPor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -163,6 +229,7 @@ userSchema.index({ 'locales': 1 });
 userSchema.index({ primaryLocal: 1 });
 userSchema.index({ enLinea: 1 });
 userSchema.index({ role: 1, 'locales': 1 });
+userSchema.index({ 'identidadesSSO.proveedor': 1, 'identidadesSSO.sub': 1 });
 
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -213,9 +280,9 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
 };
 
 userSchema.methods.createPasswordResetToken = function() {
-  const resetToken = require('crypto').randomBytes(32).toString('hex');
+  const resetToken = crypto.randomBytes(32).toString('hex');
   
-  this.passwordResetToken = require('crypto')
+  this.passwordResetToken = crypto
     .createHash('sha256')
     .update(resetToken)
     .digest('hex');
@@ -225,11 +292,77 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
-userSchema.methods.registrarIntentoFallido = async function() {
+// Buscar un usuario a partir del token de reseteo en texto plano (solo si no expiró)
+userSchema.statics.buscarPorTokenReseteo = function(token) {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+  
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }
+  });
+};
+
+// Generar el token del enlace de inicio de sesión sin contraseña (invalida el anterior)
+userSchema.methods.createMagicLinkToken = function(minutosVigencia = 15) {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+  
+  this.magicLinkExpires = Date.now() + minutosVigencia * 60 * 1000;
+  
+  return token;
+};
+
+// Consumir el token del enlace mágico en texto plano: busca el usuario (solo si no expiró) e
+// invalida el enlace en la misma operación, así dos peticiones simultáneas no pueden usarlo ambas
+userSchema.statics.consumirMagicLink = function(token) {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+  
+  return this.findOneAndUpdate(
+    {
+      magicLinkToken: hashedToken,
+      magicLinkExpires: { $gt: Date.now() }
+    },
+    { $unset: { magicLinkToken: '', magicLinkExpires: '' } },
+    { new: true }
+  );
+};
+
+// Reemplazar la contraseña guardando la anterior en el historial.
+// Requiere el usuario cargado con +password +historialPasswords.
+userSchema.methods.establecerPassword = function(nuevaPassword) {
+  if (this.password && !this.isNew) {
+    this.historialPasswords = [this.password, ...(this.historialPasswords || [])].slice(0, MAX_HISTORIAL_PASSWORDS);
+  }
+  this.password = nuevaPassword;
+};
+
+// Verificar si la contraseña coincide con la actual o con alguna de las últimas (cantidad - 1) anteriores
+userSchema.methods.passwordUsadaRecientemente = async function(candidata, cantidad) {
+  const hashes = [this.password, ...(this.historialPasswords || [])].filter(Boolean).slice(0, cantidad);
+  
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidata, hash)) return true;
+  }
+  return false;
+};
+
+// Registrar un intento de login fallido y bloquear la cuenta según la política de bloqueo del local
+userSchema.methods.registrarIntentoFallido = async function(politica = {}) {
+  const { intentosMaximos = 5, minutosBloqueo = 30 } = politica;
   this.intentosFallidos += 1;
   
-  if (this.intentosFallidos >= 5) {
-    this.bloqueadoHasta = Date.now() + 30 * 60 * 1000;
+  if (this.intentosFallidos >= intentosMaximos) {
+    this.bloqueadoHasta = Date.now() + minutosBloqueo * 60 * 1000;
   }
   
   await this.save({ validateBeforeSave: false });
@@ -266,21 +399,116 @@ userSchema.methods.estaBloqueada = function() {
   return this.bloqueadoHasta && this.bloqueadoHasta > Date.now();
 };
 
-userSchema.methods.tienePermiso = function(permiso) {
-  return !!this.permisos[permiso];
+// Roles personalizados activos que aplican al usuario (requiere rolesPersonalizados poblado).
+// Solo cuentan los roles de locales a los que el usuario pertenece.
+userSchema.methods.obtenerRolesActivos = function(localId = null) {
+  return (this.rolesPersonalizados || []).filter(rol =>
+    rol && rol.permisos && rol.activo &&
+    this.perteneceALocal(rol.local) &&
+    (!localId || rol.local.toString() === localId.toString())
+  );
+};
+
+// Obtener los permisos efectivos del usuario: rol base, permisos históricos y roles personalizados.
+// Para el rol usuario, los roles personalizados reemplazan los permisos por defecto.
+userSchema.methods.obtenerPermisos = function(localId = null) {
+  const rolesActivos = this.obtenerRolesActivos(localId);
+  const permisos = new Set();
+  
+  if (!(this.role === 'usuario' && rolesActivos.length > 0)) {
+    (PERMISOS_POR_ROL[this.role] || []).forEach(permiso => permisos.add(permiso));
+  }
+  
+  Object.entries(PERMISOS_HEREDADOS).forEach(([campo, permiso]) => {
+    if (this.permisos && this.permisos[campo]) permisos.add(permiso);
+  });
+  
+  rolesActivos.forEach(rol => rol.permisos.forEach(permiso => permisos.add(permiso)));
+  
+  return [...permisos];
+};
+
+userSchema.methods.tienePermiso = function(permiso, localId = null) {
+  if (this.role === 'superAdmin') return true;
+  
+  // Permisos booleanos históricos (crearUsuarios, verEstadisticas, ...)
+  if (PERMISOS_HEREDADOS[permiso]) {
+    return !!this.permisos[permiso];
+  }
+  
+  return this.obtenerPermisos(localId).includes(permiso);
+};
+
+// Verificar si el usuario tiene un rol base o un rol personalizado activo con ese nombre
+userSchema.methods.tieneRol = function(nombre) {
+  if (this.role === nombre) return true;
+  
+  return this.obtenerRolesActivos().some(rol => rol.nombre.toLowerCase() === nombre.toLowerCase());
+};
+
+// Verificar si la política de seguridad exige 2FA para el rol del usuario
+userSchema.methods.requiere2FA = function() {
+  const rolesObligatorios = (process.env.ROLES_2FA_OBLIGATORIO || 'superAdmin')
+    .split(',')
+    .map(rol => rol.trim())
+    .filter(Boolean);
+  
+  return rolesObligatorios.includes(this.role);
+};
+
+userSchema.methods.tiene2FAActivo = function() {
+  return !!(this.dosFactores && this.dosFactores.activo);
 };
 
 userSchema.methods.generarCodigoVerificacion = async function() {
-  const codigo = Math.floor(100000 + Math.random() * 900000).toString();
+  const codigo = crypto.randomInt(100000, 1000000).toString();
   
-  this.codigoVerificacion = codigo;
+  this.codigoVerificacion = crypto
+    .createHash('sha256')
+    .update(codigo)
+    .digest('hex');
   this.codigoVerificacionExpira = Date.now() + 24 * 60 * 60 * 1000;
+  this.codigoVerificacionEnviado = Date.now();
+  this.intentosVerificacion = 0;
   
   await this.save({ validateBeforeSave: false });
   
   return codigo;
 };
 
+// Comprobar el código de verificación de email; tras 5 intentos fallidos el código se invalida.
+// Requiere haber seleccionado +codigoVerificacion
+userSchema.methods.verificarCodigoVerificacion = async function(codigo) {
+  if (!this.codigoVerificacion || !this.codigoVerificacionExpira || this.codigoVerificacionExpira < Date.now()) {
+    return false;
+  }
+  
+  const hashedCodigo = crypto
+    .createHash('sha256')
+    .update(String(codigo))
+    .digest('hex');
+  
+  if (hashedCodigo !== this.codigoVerificacion) {
+    this.intentosVerificacion += 1;
+    
+    if (this.intentosVerificacion >= 5) {
+      this.codigoVerificacion = undefined;
+      this.codigoVerificacionExpira = undefined;
+    }
+    
+    await this.save({ validateBeforeSave: false });
+    return false;
+  }
+  
+  this.verificado = true;
+  this.codigoVerificacion = undefined;
+  this.codigoVerificacionExpira = undefined;
+  this.intentosVerificacion = 0;
+  
+  await this.save({ validateBeforeSave: false });
+  return true;
+};
+
 userSchema.methods.puedeAdministrar = function(otroUsuario) {
   if (this.role === 'superAdmin') return true;
   
@@ -0,0 +1,306 @@
+import logger from '../../config/logger.js';
+import {
+  cifradoHabilitado,
+  estaCifrado,
+  cifrar,
+  descifrar,
+  indiceCiego
+} from '../../services/cifradoService.js';
+
+// Operaciones de consulta cuyos filtros se reescriben para usar los índices ciegos
+const OPERACIONES_CONSULTA = [
+  'count',
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'deleteOne',
+  'deleteMany',
+  'replaceOne',
+  'updateOne',
+  'updateMany'
+];
+
+const OPERACIONES_ACTUALIZACION = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+// Operaciones que pueden devolver documentos lean que hay que descifrar
+const OPERACIONES_LECTURA = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndRemove', 'findOneAndReplace'];
+
+// Condición que no coincide con ningún documento (búsqueda no soportada sobre un campo cifrado)
+const SIN_RESULTADOS = { _id: { $exists: false } };
+
+const esVacio = (valor) => valor === undefined || valor === null || valor === '';
+
+const obtenerRuta = (objeto, ruta) => ruta.split('.').reduce((actual, parte) => (actual == null ? undefined : actual[parte]), objeto);
+
+const asignarRuta = (objeto, ruta, valor) => {
+  const partes = ruta.split('.');
+  const ultima = partes.pop();
+  const destino = partes.reduce((actual, parte) => actual?.[parte], objeto);
+  if (destino && typeof destino === 'object') destino[ultima] = valor;
+};
+
+// Texto que se cifra para un valor (las fechas se guardan en ISO 8601)
+const textoPlano = (campo, valor) => {
+  if (campo.tipo !== 'date') return String(valor);
+
+  const fecha = new Date(valor);
+  if (Number.isNaN(fecha.getTime())) {
+    throw new Error(`Fecha no válida en ${campo.ruta}`);
+  }
+  return fecha.toISOString();
+};
+
+const valorDescifrado = (campo, valor) => {
+  const texto = descifrar(valor, campo.ruta);
+  return campo.tipo === 'date' ? new Date(texto) : texto;
+};
+
+/**
+ * Plugin de Mongoose que cifra campos con datos personales (AES-256-GCM, ver cifradoService).
+ * - Al guardar o actualizar, los campos configurados se cifran con la clave actual y se
+ *   calcula su índice ciego en indicesBusqueda.<indice> (oculto por defecto).
+ * - Al leer (documentos y consultas lean) se descifran con la clave indicada en cada valor,
+ *   por lo que los valores cifrados con claves anteriores siguen siendo legibles.
+ * - Los filtros de igualdad, $in, $ne, $nin y $regex sobre campos con índice se reescriben
+ *   como búsquedas exactas sobre el índice ciego. Las demás búsquedas sobre campos cifrados
+ *   no devuelven resultados. Las agregaciones no se reescriben.
+ * Sin PII_ENCRYPTION_KEYS el plugin no cifra ni reescribe filtros (solo descifra lo existente).
+ * @param {Object} schema - Esquema de Mongoose
+ * @param {Object} options - Opciones del plugin
+ * @param {Array<Object>} options.campos - { ruta, tipo: 'string'|'date', indice, normalizar }
+ */
+const cifradoPlugin = (schema, options = {}) => {
+  const campos = options.campos || [];
+  const porRuta = new Map(campos.map(campo => [campo.ruta, campo]));
+  const conIndice = campos.filter(campo => campo.indice);
+
+  if (conIndice.length > 0) {
+    schema.add({
+      indicesBusqueda: Object.fromEntries(conIndice.map(campo => [campo.indice, { type: String, select: false }]))
+    });
+    for (const campo of conIndice) {
+      schema.index({ [`indicesBusqueda.${campo.indice}`]: 1 });
+    }
+  }
+
+  // Rutas cifradas del modelo (la auditoría no guarda sus valores)
+  schema.statics.camposCifrados = campos.map(campo => campo.ruta);
+
+  const rutaIndice = (campo) => `indicesBusqueda.${campo.indice}`;
+
+  // Descifrar los campos de un objeto plano (resultado lean)
+  const descifrarObjeto = (objeto) => {
+    if (!objeto || typeof objeto !== 'object') return;
+
+    for (const campo of campos) {
+      const valor = obtenerRuta(objeto, campo.ruta);
+      if (!estaCifrado(valor)) continue;
+
+      try {
+        asignarRuta(objeto, campo.ruta, valorDescifrado(campo, valor));
+      } catch (error) {
+        logger.error(`No se pudo descifrar ${campo.ruta} del documento ${objeto._id}: ${error.message}`);
+      }
+    }
+  };
+
+  // Convertir una condición de filtro sobre un campo cifrado en una condición sobre su índice
+  const condicionCifrada = (campo, condicion) => {
+    const esOperador = condicion && typeof condicion === 'object' && !(condicion instanceof Date) && !(condicion instanceof RegExp);
+
+    // Los filtros de existencia funcionan igual sobre el valor cifrado
+    if (esOperador && Object.keys(condicion).every(operador => operador === '$exists')) {
+      return { [campo.ruta]: condicion };
+    }
+    if (condicion === null) {
+      return { [campo.ruta]: null };
+    }
+
+    if (!campo.indice) {
+      logger.warn(`Búsqueda sobre el campo cifrado ${campo.ruta} sin índice ciego: no devuelve resultados`);
+      return SIN_RESULTADOS;
+    }
+
+    const hash = (valor) => indiceCiego(campo.indice, campo.tipo === 'date' ? textoPlano(campo, valor) : valor, campo.normalizar);
+    const hashes = (valores) => valores.map(hash).filter(Boolean);
+    // Una expresión regular se interpreta como búsqueda exacta de su texto (sin anclas)
+    const textoRegex = (regex) => String(regex instanceof RegExp ? regex.source : regex).replace(/^\^|\$$/g, '');
+    // Un valor que queda vacío al normalizarse (p. ej. un nombre buscado como teléfono) no coincide con nada
+    const igualA = (valor) => {
+      const resultado = hash(valor);
+      return resultado ? { [rutaIndice(campo)]: resultado } : SIN_RESULTADOS;
+    };
+
+    if (!esOperador) {
+      return igualA(condicion instanceof RegExp ? textoRegex(condicion) : condicion);
+    }
+
+    const [operador, valor] = Object.entries(condicion).find(([clave]) => clave !== '$options') || [];
+    switch (operador) {
+      case '$eq': return igualA(valor);
+      case '$ne': return { [rutaIndice(campo)]: { $ne: hash(valor) } };
+      case '$in': return { [rutaIndice(campo)]: { $in: hashes(valor) } };
+      case '$nin': return { [rutaIndice(campo)]: { $nin: hashes(valor) } };
+      case '$regex': return igualA(textoRegex(valor));
+      default:
+        logger.warn(`Operador ${operador} no soportado sobre el campo cifrado ${campo.ruta}: no devuelve resultados`);
+        return SIN_RESULTADOS;
+    }
+  };
+
+  // Reescribir recursivamente un filtro (incluidos $or, $and y $nor)
+  const reescribirFiltro = (filtro) => {
+    const resultado = {};
+    const extra = [];
+
+    for (const [clave, condicion] of Object.entries(filtro || {})) {
+      if (['$or', '$and', '$nor'].includes(clave) && Array.isArray(condicion)) {
+        resultado[clave] = condicion.map(reescribirFiltro);
+      } else if (porRuta.has(clave)) {
+        extra.push(condicionCifrada(porRuta.get(clave), condicion));
+      } else {
+        resultado[clave] = condicion;
+      }
+    }
+
+    // Cada condición reescrita se agrega con $and para no pisar otras sobre el mismo índice
+    if (extra.length === 1 && !Object.keys(extra[0]).some(clave => clave in resultado)) {
+      return { ...resultado, ...extra[0] };
+    }
+    if (extra.length > 0) {
+      resultado.$and = [...(resultado.$and || []), ...extra];
+    }
+    return resultado;
+  };
+
+  // Cifrar los campos presentes en un objeto de actualización (claves con puntos u objetos anidados)
+  const cifrarActualizacion = (objeto, unset) => {
+    if (!objeto) return;
+
+    for (const campo of campos) {
+      const [raiz, ...resto] = campo.ruta.split('.');
+      let valor;
+      let asignar;
+
+      if (campo.ruta in objeto) {
+        valor = objeto[campo.ruta];
+        asignar = (nuevo) => { objeto[campo.ruta] = nuevo; };
+      } else if (resto.length > 0 && objeto[raiz] && typeof objeto[raiz] === 'object') {
+        valor = obtenerRuta(objeto[raiz], resto.join('.'));
+        asignar = (nuevo) => asignarRuta(objeto[raiz], resto.join('.'), nuevo);
+      } else {
+        continue;
+      }
+
+      if (esVacio(valor)) {
+        if (campo.indice && valor !== undefined) unset[rutaIndice(campo)] = '';
+        continue;
+      }
+      if (estaCifrado(valor)) continue;
+
+      const texto = textoPlano(campo, valor);
+      if (campo.indice) objeto[rutaIndice(campo)] = indiceCiego(campo.indice, texto, campo.normalizar);
+      asignar(cifrar(texto, campo.ruta));
+    }
+  };
+
+  schema.pre('save', function(next) {
+    if (!cifradoHabilitado()) return next();
+
+    try {
+      for (const campo of campos) {
+        if (!this.isNew && !this.isModified(campo.ruta)) continue;
+
+        const valor = this.get(campo.ruta);
+        if (esVacio(valor)) {
+          if (campo.indice) this.set(rutaIndice(campo), undefined);
+          continue;
+        }
+        if (estaCifrado(valor)) continue;
+
+        const texto = textoPlano(campo, valor);
+        if (campo.indice) this.set(rutaIndice(campo), indiceCiego(campo.indice, texto, campo.normalizar));
+        this.set(campo.ruta, cifrar(texto, campo.ruta));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Descifrar un documento en memoria sin marcar los campos como modificados
+  const descifrarDocumento = (doc) => {
+    for (const campo of campos) {
+      const valor = doc.get(campo.ruta, null, { getters: false });
+      if (!estaCifrado(valor)) continue;
+
+      try {
+        doc.set(campo.ruta, valorDescifrado(campo, valor));
+        doc.unmarkModified(campo.ruta);
+      } catch (error) {
+        logger.error(`No se pudo descifrar ${campo.ruta} del documento ${doc._id}: ${error.message}`);
+      }
+    }
+  };
+
+  schema.post('init', function(doc) {
+    descifrarDocumento(doc);
+  });
+
+  // Después de guardar, el documento en memoria vuelve a tener los valores en texto plano
+  schema.post('save', function(doc) {
+    descifrarDocumento(doc);
+  });
+
+  schema.pre(OPERACIONES_CONSULTA, { query: true, document: false }, function(next) {
+    if (!cifradoHabilitado()) return next();
+
+    try {
+      this.setQuery(reescribirFiltro(this.getFilter()));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.pre(OPERACIONES_ACTUALIZACION, { query: true, document: false }, function(next) {
+    if (!cifradoHabilitado()) return next();
+
+    try {
+      const update = this.getUpdate() || {};
+      const unset = {};
+
+      cifrarActualizacion(update, unset);
+      cifrarActualizacion(update.$set, unset);
+      cifrarActualizacion(update.$setOnInsert, unset);
+
+      // Al quitar un campo cifrado también se quita su índice ciego
+      for (const campo of conIndice) {
+        if (update.$unset && campo.ruta in update.$unset) unset[rutaIndice(campo)] = '';
+      }
+      if (Object.keys(unset).length > 0) {
+        update.$unset = { ...(update.$unset || {}), ...unset };
+      }
+
+      this.setUpdate(update);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post(OPERACIONES_LECTURA, { query: true, document: false }, function(resultado) {
+    if (!this.mongooseOptions().lean) return;
+
+    for (const objeto of Array.isArray(resultado) ? resultado : [resultado]) {
+      descifrarObjeto(objeto);
+    }
+  });
+};
+
+export default cifradoPlugin;
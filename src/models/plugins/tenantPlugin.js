@@ -0,0 +1,120 @@
+import { obtenerContextoTenant, esLocalPermitido } from '../../config/tenantContext.js';
+
+// Operaciones de consulta a las que se les agrega el filtro de locales permitidos
+const OPERACIONES_CONSULTA = [
+  'count',
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'deleteOne',
+  'deleteMany',
+  'replaceOne',
+  'updateOne',
+  'updateMany'
+];
+
+// Obtener el contexto restringido de la operación (null si no aplica el aislamiento)
+const contextoRestringido = (opciones = {}) => {
+  const contexto = obtenerContextoTenant();
+
+  if (!contexto || !contexto.locales || opciones.skipTenant) {
+    return null;
+  }
+
+  return contexto;
+};
+
+// Error lanzado al intentar escribir documentos de un local no permitido
+const errorTenant = (localId) => {
+  const error = new Error(`Acceso denegado al local/marca ${localId || '(sin local)'}`);
+  error.name = 'TenantError';
+  error.status = 403;
+  return error;
+};
+
+/**
+ * Plugin de Mongoose que aísla los documentos por local/marca.
+ * Dentro de una petición autenticada todas las consultas, actualizaciones, eliminaciones
+ * y agregaciones se restringen a los locales del usuario, y los documentos nuevos deben
+ * pertenecer a uno de ellos. Fuera de una petición (tareas programadas, scripts) no filtra.
+ * Para omitir el filtro en una consulta puntual: query.setOptions({ skipTenant: true }).
+ * @param {Object} schema - Esquema de Mongoose
+ * @param {Object} options - Opciones del plugin
+ * @param {String} options.campo - Campo que referencia al local (por defecto 'local')
+ */
+const tenantPlugin = (schema, options = {}) => {
+  const campo = options.campo || 'local';
+
+  schema.pre(OPERACIONES_CONSULTA, { query: true, document: false }, function(next) {
+    const contexto = contextoRestringido(this.getOptions());
+    if (!contexto) return next();
+
+    this.and([{ [campo]: { $in: contexto.locales } }]);
+
+    // En upserts, asignar el local activo al documento que se cree
+    if (this.getOptions().upsert && contexto.localActivo) {
+      const update = this.getUpdate() || {};
+      const asignaLocal = update[campo] !== undefined ||
+        (update.$set && update.$set[campo] !== undefined) ||
+        (update.$setOnInsert && update.$setOnInsert[campo] !== undefined);
+
+      if (!asignaLocal) {
+        this.setUpdate({
+          ...update,
+          $setOnInsert: { ...(update.$setOnInsert || {}), [campo]: contexto.localActivo }
+        });
+      }
+    }
+
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    const contexto = contextoRestringido(this.options);
+    if (!contexto) return next();
+
+    this.pipeline().unshift({ $match: { [campo]: { $in: contexto.locales } } });
+    next();
+  });
+
+  // Los documentos nuevos o modificados deben pertenecer a un local permitido
+  const verificarDocumento = (doc, contexto) => {
+    if (!doc.get(campo) && contexto.localActivo) {
+      doc.set(campo, contexto.localActivo);
+    }
+
+    const local = doc.get(campo);
+    return esLocalPermitido(contexto, local) ? null : errorTenant(local?._id || local);
+  };
+
+  schema.pre('save', function(next) {
+    const contexto = contextoRestringido(this.$locals);
+    if (!contexto || (!this.isNew && !this.isModified(campo))) return next();
+
+    next(verificarDocumento(this, contexto));
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const contexto = contextoRestringido();
+    if (!contexto) return next();
+
+    const documentos = Array.isArray(docs) ? docs : [docs];
+    for (const doc of documentos) {
+      if (!doc[campo] && contexto.localActivo) {
+        doc[campo] = contexto.localActivo;
+      }
+      if (!esLocalPermitido(contexto, doc[campo])) {
+        return next(errorTenant(doc[campo]));
+      }
+    }
+
+    next();
+  });
+};
+
+export default tenantPlugin;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantPlugin from '../plugins/tenantPlugin.js';
 
 const contactSchema = new mongoose.Schema({
   // Información del contacto
@@ -35,6 +36,12 @@ const contactSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Local',
   },
+  // Cliente al que corresponde el contacto (se mueve al fusionar clientes duplicados)
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cliente',
+    index: true,
+  },
   
   // Estado y metadatos
   status: {
@@ -85,6 +92,9 @@ contactSchema.index({ optIn: 1 });
 contactSchema.index({ lastActivity: -1 });
 contactSchema.index({ 'customFields.key': 1 });
 
+// Aislamiento por local/marca en todas las consultas
+contactSchema.plugin(tenantPlugin);
+
 const Contact = mongoose.model('WhatsAppContact', contactSchema);
 
 export default Contact; 
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantPlugin from '../plugins/tenantPlugin.js';
 
 const messageSchema = new mongoose.Schema({
   // Información del mensaje
@@ -79,6 +80,9 @@ messageSchema.index({ local: 1, createdAt: -1 });
 messageSchema.index({ relatedUser: 1, createdAt: -1 });
 messageSchema.index({ status: 1 });
 
+// Aislamiento por local/marca en todas las consultas
+messageSchema.plugin(tenantPlugin);
+
 const Message = mongoose.model('WhatsAppMessage', messageSchema);
 
 export default Message; 
\ No newline at end of file
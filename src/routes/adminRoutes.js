@@ -16,13 +16,61 @@ import {
   createDemoLocalAndAssign,
   createDemoUsersForAdmins
 } from '../controllers/adminController.js';
-import { verifyToken, isAdmin, isSuperAdmin, puedeCrearUsuarioConRol, verifyStrictToken, hasRole } from '../middlewares/authMiddleware.js';
+import {
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions
+} from '../controllers/sessionController.js';
+import { resetUserTwoFactor } from '../controllers/twoFactorController.js';
+import {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation
+} from '../controllers/invitacionController.js';
+import { getAuditLogs } from '../controllers/auditController.js';
+import { getSecurityEvents, reviewSecurityEvent } from '../controllers/seguridadController.js';
+import { startImpersonation } from '../controllers/impersonacionController.js';
+import {
+  getProviders,
+  createProvider,
+  updateProvider,
+  deleteProvider
+} from '../controllers/ssoController.js';
+import {
+  getApiKeys,
+  revokeApiKey,
+  createServiceAccount,
+  getServiceAccounts,
+  createServiceAccountApiKey
+} from '../controllers/apiKeyController.js';
+import {
+  getSigningKeys,
+  rotateSigningKey,
+  retireSigningKey
+} from '../controllers/clavesFirmaController.js';
+import { verifyToken, isAdmin, isSuperAdmin, puedeCrearUsuarioConRol, verifyStrictToken, hasRole, requiereSesionInteractiva } from '../middlewares/authMiddleware.js';
 import {
   validateCreateUser,
   validateUpdateUser,
   validateUserPassword,
   validateToggleStatus,
-  validateInitSuperAdmin
+  validateInitSuperAdmin,
+  validateSessionParams,
+  validateCreateInvitation,
+  validateInvitationParams,
+  validateAuditQuery,
+  validateImpersonation,
+  validateCreateApiKey,
+  validateApiKeyParams,
+  validateCreateServiceAccount,
+  validateCreateSSOProvider,
+  validateUpdateSSOProvider,
+  validateSSOProviderParams,
+  validateSecurityEventsQuery,
+  validateSecurityEventParams,
+  validateRotateSigningKey,
+  validateSigningKeyParams
 } from '../middlewares/validationMiddleware.js';
 import User from '../models/User.js';
 
@@ -87,14 +135,14 @@ router.put('/users/:id', verifyToken, hasRole(['admin', 'superAdmin']), validate
  * @desc Eliminar un usuario
  * @access Admin, SuperAdmin
  */
-router.delete('/users/:id', verifyToken, hasRole(['admin', 'superAdmin']), deleteUser);
+router.delete('/users/:id', verifyToken, hasRole(['admin', 'superAdmin']), requiereSesionInteractiva, deleteUser);
 
 /**
  * @route PUT /api/admin/users/:id/password
  * @desc Restablecer contraseña de un usuario
  * @access Privado (admin para usuarios, superAdmin para todos)
  */
-router.put('/users/:id/password', verifyToken, isAdmin, validateUserPassword, resetUserPassword);
+router.put('/users/:id/password', verifyToken, isAdmin, requiereSesionInteractiva, validateUserPassword, resetUserPassword);
 
 /**
  * @route PUT /api/admin/users/:id/toggle-status
@@ -103,7 +151,42 @@ router.put('/users/:id/password', verifyToken, isAdmin, validateUserPassword, re
  *       - Admin solo puede activar/desactivar usuarios regulares de sus locales
  * @access Admin, SuperAdmin
  */
-router.put('/users/:id/toggle-status', verifyToken, hasRole(['admin', 'superAdmin']), validateToggleStatus, toggleUserStatus);
+router.put('/users/:id/toggle-status', verifyToken, hasRole(['admin', 'superAdmin']), requiereSesionInteractiva, validateToggleStatus, toggleUserStatus);
+
+/**
+ * @route GET /api/admin/users/:id/sessions
+ * @desc Obtener las sesiones activas y el historial de accesos de un usuario
+ * @access Admin (usuarios de sus locales), SuperAdmin
+ */
+router.get('/users/:id/sessions', verifyToken, hasRole(['admin', 'superAdmin']), validateSessionParams, getUserSessions);
+
+/**
+ * @route DELETE /api/admin/users/:id/sessions
+ * @desc Cerrar todas las sesiones de un usuario
+ * @access Admin (usuarios de sus locales), SuperAdmin
+ */
+router.delete('/users/:id/sessions', verifyToken, hasRole(['admin', 'superAdmin']), requiereSesionInteractiva, validateSessionParams, revokeAllUserSessions);
+
+/**
+ * @route DELETE /api/admin/users/:id/2fa
+ * @desc Restablecer la autenticación de dos factores de un usuario (pérdida del dispositivo)
+ * @access Admin (usuarios de sus locales), SuperAdmin
+ */
+router.delete('/users/:id/2fa', verifyToken, hasRole(['admin', 'superAdmin']), requiereSesionInteractiva, validateSessionParams, resetUserTwoFactor);
+
+/**
+ * @route POST /api/admin/users/:id/impersonate
+ * @desc Iniciar sesión como otro usuario con un token de corta duración (requiere motivo)
+ * @access SuperAdmin (sesión con 2FA)
+ */
+router.post('/users/:id/impersonate', verifyStrictToken, isSuperAdmin, validateImpersonation, startImpersonation);
+
+/**
+ * @route DELETE /api/admin/users/:id/sessions/:sessionId
+ * @desc Cerrar una sesión específica de un usuario
+ * @access Admin (usuarios de sus locales), SuperAdmin
+ */
+router.delete('/users/:id/sessions/:sessionId', verifyToken, hasRole(['admin', 'superAdmin']), requiereSesionInteractiva, validateSessionParams, revokeUserSession);
 
 /**
  * @route GET /api/admin/admins/stats
@@ -154,4 +237,137 @@ router.post('/setup-demo-local', verifyToken, isSuperAdmin, createDemoLocalAndAs
  */
 router.post('/setup-demo-users', verifyToken, isSuperAdmin, createDemoUsersForAdmins);
 
+/**
+ * @route POST /api/admin/invitations
+ * @desc Invitar a un nuevo miembro del personal a un local/marca
+ * @access Admin (sus locales, solo rol usuario), SuperAdmin
+ */
+router.post('/invitations', verifyToken, hasRole(['admin', 'superAdmin']), validateCreateInvitation, createInvitation);
+
+/**
+ * @route GET /api/admin/invitations
+ * @desc Listar invitaciones (?local=ID&estado=pendiente|expirada|aceptada|revocada|todas)
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.get('/invitations', verifyToken, hasRole(['admin', 'superAdmin']), getInvitations);
+
+/**
+ * @route POST /api/admin/invitations/:id/resend
+ * @desc Reenviar una invitación pendiente con un enlace nuevo
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.post('/invitations/:id/resend', verifyToken, hasRole(['admin', 'superAdmin']), validateInvitationParams, resendInvitation);
+
+/**
+ * @route DELETE /api/admin/invitations/:id
+ * @desc Revocar una invitación pendiente
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.delete('/invitations/:id', verifyToken, hasRole(['admin', 'superAdmin']), validateInvitationParams, revokeInvitation);
+
+/**
+ * @route GET /api/admin/audit
+ * @desc Consultar el log de auditoría (?actor&recurso&recursoId&accion&metodo&exito&local&desde&hasta&page&limit&formato=csv)
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.get('/audit', verifyToken, hasRole(['admin', 'superAdmin']), validateAuditQuery, getAuditLogs);
+
+/**
+ * @route GET /api/admin/security-events
+ * @desc Eventos de seguridad: logins desde dispositivos o IPs nuevos, bloqueos y reportes "no fui yo" (?usuario&tipo&severidad&revisado&local&desde&hasta&page&limit)
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.get('/security-events', verifyToken, hasRole(['admin', 'superAdmin']), validateSecurityEventsQuery, getSecurityEvents);
+
+/**
+ * @route PUT /api/admin/security-events/:id/review
+ * @desc Marcar un evento de seguridad como revisado
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.put('/security-events/:id/review', verifyToken, hasRole(['admin', 'superAdmin']), validateSecurityEventParams, reviewSecurityEvent);
+
+/**
+ * @route GET /api/admin/api-keys
+ * @desc Listar las claves de API (?usuario=ID&local=ID&incluirRevocadas=true)
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.get('/api-keys', verifyToken, hasRole(['admin', 'superAdmin']), getApiKeys);
+
+/**
+ * @route DELETE /api/admin/api-keys/:id
+ * @desc Revocar cualquier clave de API del local
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.delete('/api-keys/:id', verifyToken, hasRole(['admin', 'superAdmin']), requiereSesionInteractiva, validateApiKeyParams, revokeApiKey);
+
+/**
+ * @route POST /api/admin/service-accounts
+ * @desc Crear una cuenta de servicio para integraciones de un local (no puede iniciar sesión)
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.post('/service-accounts', verifyToken, hasRole(['admin', 'superAdmin']), requiereSesionInteractiva, validateCreateServiceAccount, createServiceAccount);
+
+/**
+ * @route GET /api/admin/service-accounts
+ * @desc Listar las cuentas de servicio (?local=ID)
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.get('/service-accounts', verifyToken, hasRole(['admin', 'superAdmin']), getServiceAccounts);
+
+/**
+ * @route POST /api/admin/service-accounts/:id/api-keys
+ * @desc Crear una clave de API para una cuenta de servicio (se muestra una única vez)
+ * @access Admin (sus locales), SuperAdmin
+ */
+router.post('/service-accounts/:id/api-keys', verifyToken, hasRole(['admin', 'superAdmin']), requiereSesionInteractiva, validateCreateApiKey, createServiceAccountApiKey);
+
+/**
+ * @route GET /api/admin/sso-providers
+ * @desc Listar los proveedores OIDC configurados (?local=ID)
+ * @access SuperAdmin
+ */
+router.get('/sso-providers', verifyToken, isSuperAdmin, getProviders);
+
+/**
+ * @route POST /api/admin/sso-providers
+ * @desc Configurar un proveedor OIDC para un local (valida el descubrimiento del emisor)
+ * @access SuperAdmin
+ */
+router.post('/sso-providers', verifyToken, isSuperAdmin, requiereSesionInteractiva, validateCreateSSOProvider, createProvider);
+
+/**
+ * @route PUT /api/admin/sso-providers/:id
+ * @desc Actualizar un proveedor OIDC (mapeo de roles, dominios, credenciales, estado)
+ * @access SuperAdmin
+ */
+router.put('/sso-providers/:id', verifyToken, isSuperAdmin, requiereSesionInteractiva, validateUpdateSSOProvider, updateProvider);
+
+/**
+ * @route DELETE /api/admin/sso-providers/:id
+ * @desc Eliminar un proveedor OIDC y desvincular sus identidades
+ * @access SuperAdmin
+ */
+router.delete('/sso-providers/:id', verifyToken, isSuperAdmin, requiereSesionInteractiva, validateSSOProviderParams, deleteProvider);
+
+/**
+ * @route GET /api/admin/signing-keys
+ * @desc Listar las claves de firma de JWT y su estado (?estado=activa|verificacion|retirada)
+ * @access SuperAdmin
+ */
+router.get('/signing-keys', verifyToken, isSuperAdmin, getSigningKeys);
+
+/**
+ * @route POST /api/admin/signing-keys/rotate
+ * @desc Crear una nueva clave de firma; las anteriores validan tokens durante el período de gracia
+ * @access SuperAdmin
+ */
+router.post('/signing-keys/rotate', verifyToken, isSuperAdmin, requiereSesionInteractiva, validateRotateSigningKey, rotateSigningKey);
+
+/**
+ * @route DELETE /api/admin/signing-keys/:kid
+ * @desc Retirar una clave en verificación (los tokens firmados con ella dejan de ser válidos)
+ * @access SuperAdmin
+ */
+router.delete('/signing-keys/:kid', verifyToken, isSuperAdmin, requiereSesionInteractiva, validateSigningKeyParams, retireSigningKey);
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import {
+  getSSOProviders,
+  authorizeSSO,
+  callbackSSO
+} from '../controllers/ssoController.js';
+import { getJwks } from '../controllers/clavesFirmaController.js';
+import {
+  validateSSOSlug,
+  validateSSOCallback
+} from '../middlewares/validationMiddleware.js';
+
+const router = Router();
+
+/**
+ * @route GET /api/auth/sso/providers
+ * @desc Listar los proveedores SSO activos (?email= filtra por dominio, ?local=ID)
+ * @access Público
+ */
+router.get('/sso/providers', getSSOProviders);
+
+/**
+ * @route GET /api/auth/sso/:slug/authorize
+ * @desc Iniciar el login OIDC: devuelve la URL de autorización (?redirect=true redirige directamente)
+ * @access Público
+ */
+router.get('/sso/:slug/authorize', validateSSOSlug, authorizeSSO);
+
+/**
+ * @route POST /api/auth/sso/:slug/callback
+ * @desc Completar el login OIDC con el code y el state recibidos del proveedor
+ * @access Público (requiere state de una solicitud vigente)
+ */
+router.post('/sso/:slug/callback', validateSSOCallback, callbackSSO);
+
+/**
+ * @route GET /api/auth/jwks
+ * @desc Claves públicas (JWKS) de las claves de firma asimétricas vigentes
+ * @access Público
+ */
+router.get('/jwks', getJwks);
+
+export default router;
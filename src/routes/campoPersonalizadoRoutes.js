@@ -0,0 +1,46 @@
+import { Router } from 'express';
+import {
+  getCamposPersonalizados,
+  createCampoPersonalizado,
+  updateCampoPersonalizado,
+  deleteCampoPersonalizado
+} from '../controllers/campoPersonalizadoController.js';
+import { verifyToken, tienePermiso } from '../middlewares/authMiddleware.js';
+import {
+  validateCreateCampoPersonalizado,
+  validateUpdateCampoPersonalizado,
+  validateCampoPersonalizadoParams,
+  validateCamposPersonalizadosQuery
+} from '../middlewares/validationMiddleware.js';
+
+const router = Router();
+
+/**
+ * @route GET /api/campos-personalizados
+ * @desc Obtener las definiciones de campos personalizados del local (?entidad=CLIENTE|EVENTO|NOTA)
+ * @access Privado
+ */
+router.get('/', verifyToken, validateCamposPersonalizadosQuery, getCamposPersonalizados);
+
+/**
+ * @route POST /api/campos-personalizados
+ * @desc Crear un campo personalizado para clientes, eventos o notas del local
+ * @access Privado (permiso campos:manage)
+ */
+router.post('/', verifyToken, tienePermiso('campos:manage'), validateCreateCampoPersonalizado, createCampoPersonalizado);
+
+/**
+ * @route PUT /api/campos-personalizados/:id
+ * @desc Actualizar un campo personalizado (entidad, clave y tipo no se pueden cambiar)
+ * @access Privado (permiso campos:manage)
+ */
+router.put('/:id', verifyToken, tienePermiso('campos:manage'), validateUpdateCampoPersonalizado, updateCampoPersonalizado);
+
+/**
+ * @route DELETE /api/campos-personalizados/:id
+ * @desc Eliminar un campo personalizado (si tiene valores guardados se desactiva)
+ * @access Privado (permiso campos:manage)
+ */
+router.delete('/:id', verifyToken, tienePermiso('campos:manage'), validateCampoPersonalizadoParams, deleteCampoPersonalizado);
+
+export default router;
@@ -7,66 +7,149 @@ import {
   deleteCliente, 
   addNota, 
   addInteraccion,
-  getEstadisticas
+  getEstadisticas,
+  exportCliente,
+  eraseCliente,
+  getDuplicados,
+  mergeCliente,
+  exportClientes,
+  getTimelineCliente
 } from '../controllers/clienteController.js';
-import { verifyToken, hasRole } from '../middlewares/authMiddleware.js';
+import { getImportaciones, getImportacion, importClientes } from '../controllers/importacionController.js';
+import { verifyToken, tienePermiso, requiereSesionInteractiva } from '../middlewares/authMiddleware.js';
+import { subirArchivoImportacion } from '../middlewares/uploadMiddleware.js';
+import {
+  validateCreateCliente,
+  validateUpdateCliente,
+  validateClienteParams,
+  validateEraseCliente,
+  validateDuplicadosQuery,
+  validateMergeCliente,
+  validateImportClientes,
+  validateExportClientes,
+  validateTimelineCliente,
+  validateImportacionParams
+} from '../middlewares/validationMiddleware.js';
 
 const router = Router();
 
 /**
  * @route GET /api/clientes
  * @desc Obtener todos los clientes
- * @access Privado
+ * @access Privado (permiso clientes:read)
  */
-router.get('/', verifyToken, getClientes);
+router.get('/', verifyToken, tienePermiso('clientes:read'), getClientes);
 
 /**
  * @route GET /api/clientes/estadisticas
  * @desc Obtener estadísticas de clientes
- * @access Privado (admin y superAdmin)
+ * @access Privado (permiso estadisticas:read)
  */
-router.get('/estadisticas', verifyToken, hasRole(['admin', 'superAdmin']), getEstadisticas);
+router.get('/estadisticas', verifyToken, tienePermiso('estadisticas:read'), getEstadisticas);
+
+/**
+ * @route GET /api/clientes/duplicados
+ * @desc Buscar posibles duplicados en un local (?local=ID&criterios=telefono,email,documento,nombre&umbralNombre=0.85)
+ * @access Privado (permiso clientes:read)
+ */
+router.get('/duplicados', verifyToken, tienePermiso('clientes:read'), validateDuplicadosQuery, getDuplicados);
+
+/**
+ * @route GET /api/clientes/export
+ * @desc Exportar los clientes en CSV, XLSX o vCard con los filtros del listado (?formato=csv|xlsx|vcf&columnas=nombre,email,direccion&local&categoria&buscar&etiquetas)
+ * @access Privado (permiso clientes:export)
+ */
+router.get('/export', verifyToken, tienePermiso('clientes:export'), validateExportClientes, exportClientes);
+
+/**
+ * @route POST /api/clientes/import
+ * @desc Importar clientes desde un archivo CSV o XLSX (?local=ID; multipart: archivo, mapeo, estrategia, simulacion)
+ * @access Privado (permiso clientes:import)
+ */
+router.post('/import', verifyToken, tienePermiso('clientes:import'), subirArchivoImportacion, validateImportClientes, importClientes);
+
+/**
+ * @route GET /api/clientes/import
+ * @desc Listar las importaciones de clientes (?local=ID&limit=20)
+ * @access Privado (permiso clientes:import)
+ */
+router.get('/import', verifyToken, tienePermiso('clientes:import'), getImportaciones);
+
+/**
+ * @route GET /api/clientes/import/:importId
+ * @desc Estado, avance y reporte de errores por fila de una importación
+ * @access Privado (permiso clientes:import)
+ */
+router.get('/import/:importId', verifyToken, tienePermiso('clientes:import'), validateImportacionParams, getImportacion);
 
 /**
  * @route GET /api/clientes/:id
  * @desc Obtener un cliente por ID
- * @access Privado
+ * @access Privado (permiso clientes:read)
+ */
+router.get('/:id', verifyToken, tienePermiso('clientes:read'), getClienteById);
+
+/**
+ * @route GET /api/clientes/:id/timeline
+ * @desc Actividad del cliente en orden cronológico inverso (?tipos=evento,whatsapp&limit=30&cursor&desde&hasta)
+ * @access Privado (permiso clientes:read; cada tipo requiere además su permiso de lectura)
+ */
+router.get('/:id/timeline', verifyToken, tienePermiso('clientes:read'), validateTimelineCliente, getTimelineCliente);
+
+/**
+ * @route GET /api/clientes/:id/export
+ * @desc Exportar en JSON todos los datos del cliente (eventos, recordatorios, notas y WhatsApp)
+ * @access Privado (permiso clientes:privacy)
+ */
+router.get('/:id/export', verifyToken, tienePermiso('clientes:privacy'), validateClienteParams, exportCliente);
+
+/**
+ * @route POST /api/clientes/:id/erase
+ * @desc Suprimir los datos personales del cliente en todas las colecciones, conservando las estadísticas
+ * @access Privado (permiso clientes:privacy)
+ */
+router.post('/:id/erase', verifyToken, tienePermiso('clientes:privacy'), requiereSesionInteractiva, validateEraseCliente, eraseCliente);
+
+/**
+ * @route POST /api/clientes/:id/merge
+ * @desc Fusionar los clientes indicados en `duplicados` en este cliente (notas, interacciones, eventos, recordatorios y WhatsApp)
+ * @access Privado (permiso clientes:merge)
  */
-router.get('/:id', verifyToken, getClienteById);
+router.post('/:id/merge', verifyToken, tienePermiso('clientes:merge'), validateMergeCliente, mergeCliente);
 
 /**
  * @route POST /api/clientes
  * @desc Crear un nuevo cliente
- * @access Privado
+ * @access Privado (permiso clientes:write)
  */
-router.post('/', verifyToken, createCliente);
+router.post('/', verifyToken, tienePermiso('clientes:write'), validateCreateCliente, createCliente);
 
 /**
  * @route PUT /api/clientes/:id
  * @desc Actualizar un cliente existente
- * @access Privado
+ * @access Privado (permiso clientes:write)
  */
-router.put('/:id', verifyToken, updateCliente);
+router.put('/:id', verifyToken, tienePermiso('clientes:write'), validateUpdateCliente, updateCliente);
 
 /**
  * @route DELETE /api/clientes/:id
  * @desc Eliminar un cliente
- * @access Privado (admin y superAdmin)
+ * @access Privado (permiso clientes:delete)
  */
-router.delete('/:id', verifyToken, hasRole(['admin', 'superAdmin']), deleteCliente);
+router.delete('/:id', verifyToken, tienePermiso('clientes:delete'), deleteCliente);
 
 /**
  * @route POST /api/clientes/:id/notas
  * @desc Agregar una nota a un cliente
- * @access Privado
+ * @access Privado (permiso clientes:write)
  */
-router.post('/:id/notas', verifyToken, addNota);
+router.post('/:id/notas', verifyToken, tienePermiso('clientes:write'), addNota);
 
 /**
  * @route POST /api/clientes/:id/interacciones
  * @desc Registrar una interacción con un cliente
- * @access Privado
+ * @access Privado (permiso clientes:write)
  */
-router.post('/:id/interacciones', verifyToken, addInteraccion);
+router.post('/:id/interacciones', verifyToken, tienePermiso('clientes:write'), addInteraccion);
 
 export default router; 
\ No newline at end of file
@@ -11,78 +11,78 @@ import {
   getEventosLocal
 } from '../controllers/eventoController.js';
 import { descargarICalEvento } from '../services/calendarService.js';
-import { verifyToken } from '../middlewares/authMiddleware.js';
+import { verifyToken, tienePermiso } from '../middlewares/authMiddleware.js';
 
 const router = Router();
 
 /**
  * @route GET /api/eventos
  * @desc Obtener todos los eventos
- * @access Privado
+ * @access Privado (permiso eventos:read)
  */
-router.get('/', verifyToken, getEventos);
+router.get('/', verifyToken, tienePermiso('eventos:read'), getEventos);
 
 /**
  * @route GET /api/eventos/local
  * @desc Obtener todos los eventos del local
- * @access Privado
+ * @access Privado (permiso eventos:read)
  */
-router.get('/local', verifyToken, getEventosLocal);
+router.get('/local', verifyToken, tienePermiso('eventos:read'), getEventosLocal);
 
 /**
  * @route GET /api/eventos/:id
  * @desc Obtener un evento por ID
- * @access Privado
+ * @access Privado (permiso eventos:read)
  */
-router.get('/:id', verifyToken, getEventoById);
+router.get('/:id', verifyToken, tienePermiso('eventos:read'), getEventoById);
 
 /**
  * @route POST /api/eventos
  * @desc Crear un nuevo evento
- * @access Privado
+ * @access Privado (permiso eventos:write)
  */
-router.post('/', verifyToken, createEvento);
+router.post('/', verifyToken, tienePermiso('eventos:write'), createEvento);
 
 /**
  * @route PUT /api/eventos/:id
  * @desc Actualizar un evento existente
- * @access Privado
+ * @access Privado (permiso eventos:write)
  */
-router.put('/:id', verifyToken, updateEvento);
+router.put('/:id', verifyToken, tienePermiso('eventos:write'), updateEvento);
 
 /**
  * @route DELETE /api/eventos/:id
  * @desc Eliminar un evento
- * @access Privado
+ * @access Privado (permiso eventos:delete)
  */
-router.delete('/:id', verifyToken, deleteEvento);
+router.delete('/:id', verifyToken, tienePermiso('eventos:delete'), deleteEvento);
 
 /**
  * @route POST /api/eventos/:id/notas
  * @desc Agregar una nota a un evento
- * @access Privado
+ * @access Privado (permiso eventos:write)
  */
-router.post('/:id/notas', verifyToken, addNota);
+router.post('/:id/notas', verifyToken, tienePermiso('eventos:write'), addNota);
 
 /**
  * @route POST /api/eventos/:id/confirmar
  * @desc Confirmar participación en un evento
- * @access Privado
+ * @access Privado (permiso eventos:write)
  */
-router.post('/:id/confirmar', verifyToken, confirmarParticipacion);
+router.post('/:id/confirmar', verifyToken, tienePermiso('eventos:write'), confirmarParticipacion);
 
 /**
  * @route GET /api/eventos/cliente/:clienteId
  * @desc Obtener eventos por cliente
- * @access Privado
+ * @access Privado (permiso eventos:read)
  */
-router.get('/cliente/:clienteId', verifyToken, getEventosByCliente);
+router.get('/cliente/:clienteId', verifyToken, tienePermiso('eventos:read'), getEventosByCliente);
 
 /**
  * @route GET /api/eventos/:id/ical
  * @desc Descargar archivo iCal de un evento
- * @access Privado
+ * @access Privado (permiso eventos:read)
  */
-router.get('/:id/ical', verifyToken, descargarICalEvento);
+router.get('/:id/ical', verifyToken, tienePermiso('eventos:read'), descargarICalEvento);
 
 export default router; 
\ No newline at end of file
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-//import authRoutes from './authRoutes.js';
+import authRoutes from './authRoutes.js';
 import adminRoutes from './adminRoutes.js';
 import userRoutes from './userRoutes.js';
 import localRoutes from './localRoutes.js';
@@ -7,9 +7,15 @@ import clienteRoutes from './clienteRoutes.js';
 import eventoRoutes from './eventoRoutes.js';
 import recordatorioRoutes from './recordatorioRoutes.js';
 import notaRoutes from './notaRoutes.js';
+import roleRoutes from './roleRoutes.js';
+import oportunidadRoutes from './oportunidadRoutes.js';
+import pipelineRoutes from './pipelineRoutes.js';
+import campoPersonalizadoRoutes from './campoPersonalizadoRoutes.js';
+import segmentoRoutes from './segmentoRoutes.js';
 import whatsappMessageRoutes from './whatsapp/messageRoutes.js';
 import whatsappTemplateRoutes from './whatsapp/templateRoutes.js';
 import logger from '../config/logger.js';
+import { auditarPeticion } from '../middlewares/auditMiddleware.js';
 
 const router = Router();
 
@@ -19,15 +25,24 @@ router.use((req, res, next) => {
   next();
 });
 
+// Registrar en el log de auditoría las peticiones que modifican datos
+router.use(auditarPeticion);
+
 // Configuración de rutas principales
-//router.use('/auth', authRoutes);
+router.use('/auth', authRoutes);
 router.use('/admin', adminRoutes);
 router.use('/users', userRoutes);
 router.use('/locales', localRoutes);
+// Antes de /clientes para que /clientes/:id no capture /clientes/segmentos
+router.use('/clientes/segmentos', segmentoRoutes);
 router.use('/clientes', clienteRoutes);
 router.use('/eventos', eventoRoutes);
 router.use('/recordatorios', recordatorioRoutes);
 router.use('/notas', notaRoutes);
+router.use('/roles', roleRoutes);
+router.use('/oportunidades', oportunidadRoutes);
+router.use('/pipelines', pipelineRoutes);
+router.use('/campos-personalizados', campoPersonalizadoRoutes);
 
 // Rutas de WhatsApp
 router.use('/whatsapp/messages', whatsappMessageRoutes);
@@ -40,13 +55,18 @@ router.get('/', (req, res) => {
     message: 'API Evolution Backend',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
       users: '/api/users',
       admin: '/api/admin',
       locales: '/api/locales',
       clientes: '/api/clientes',
+      segmentos: '/api/clientes/segmentos',
       eventos: '/api/eventos',
       recordatorios: '/api/recordatorios',
       notas: '/api/notas',
+      oportunidades: '/api/oportunidades',
+      pipelines: '/api/pipelines',
+      camposPersonalizados: '/api/campos-personalizados',
       whatsapp: {
         messages: '/api/whatsapp/messages',
         templates: '/api/whatsapp/templates'
@@ -4,6 +4,7 @@ import {
   getAllLocales, 
   getLocalById, 
   updateLocal, 
+  updateLocalSecurity,
   toggleLocalStatus, 
   getLocalUsers, 
   assignLocalAdmin,
@@ -22,6 +23,7 @@ import {
 import { 
   validateCreateLocal, 
   validateUpdateLocal, 
+  validateLocalSecurity,
   validateToggleStatus, 
   validateAssignAdmin,
   validateAssignUserToLocal
@@ -57,6 +59,13 @@ router.get('/:localId', verifyToken, hasRole(['admin', 'superAdmin']), getLocalB
  */
 router.put('/:localId', verifyToken, hasRole(['admin', 'superAdmin']), validateUpdateLocal, updateLocal);
 
+/**
+ * @route PUT /api/locales/:localId/security
+ * @desc Actualizar las políticas de seguridad del local/marca (enlace mágico, contraseñas y bloqueo)
+ * @access Privado (admin del local y superAdmin)
+ */
+router.put('/:localId/security', verifyToken, hasRole(['admin', 'superAdmin']), validateLocalSecurity, updateLocalSecurity);
+
 /**
  * @route PATCH /api/locales/:localId/status
  * @desc Activar/Desactivar un local/marca
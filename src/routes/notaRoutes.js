@@ -10,7 +10,7 @@ import {
   getVersiones,
   toggleFavorita
 } from '../controllers/notaController.js';
-import { verifyToken } from '../middlewares/authMiddleware.js';
+import { verifyToken, tienePermiso } from '../middlewares/authMiddleware.js';
 import Nota from '../models/Nota.js';
 import logger from '../config/logger.js';
 
@@ -19,72 +19,72 @@ const router = Router();
 /**
  * @route GET /api/notas
  * @desc Obtener todas las notas
- * @access Privado
+ * @access Privado (permiso notas:read)
  */
-router.get('/', verifyToken, getNotas);
+router.get('/', verifyToken, tienePermiso('notas:read'), getNotas);
 
 /**
  * @route GET /api/notas/:id
  * @desc Obtener una nota por ID
- * @access Privado
+ * @access Privado (permiso notas:read)
  */
-router.get('/:id', verifyToken, getNotaById);
+router.get('/:id', verifyToken, tienePermiso('notas:read'), getNotaById);
 
 /**
  * @route POST /api/notas
  * @desc Crear una nueva nota
- * @access Privado
+ * @access Privado (permiso notas:write)
  */
-router.post('/', verifyToken, createNota);
+router.post('/', verifyToken, tienePermiso('notas:write'), createNota);
 
 /**
  * @route PUT /api/notas/:id
  * @desc Actualizar una nota existente
- * @access Privado
+ * @access Privado (permiso notas:write)
  */
-router.put('/:id', verifyToken, updateNota);
+router.put('/:id', verifyToken, tienePermiso('notas:write'), updateNota);
 
 /**
  * @route DELETE /api/notas/:id
  * @desc Eliminar una nota
- * @access Privado
+ * @access Privado (permiso notas:write)
  */
-router.delete('/:id', verifyToken, deleteNota);
+router.delete('/:id', verifyToken, tienePermiso('notas:write'), deleteNota);
 
 /**
  * @route POST /api/notas/:id/compartir
  * @desc Compartir una nota con otros usuarios
- * @access Privado
+ * @access Privado (permiso notas:share)
  */
-router.post('/:id/compartir', verifyToken, compartirNota);
+router.post('/:id/compartir', verifyToken, tienePermiso('notas:share'), compartirNota);
 
 /**
  * @route DELETE /api/notas/:id/compartir/:usuarioId
  * @desc Dejar de compartir una nota con un usuario
- * @access Privado
+ * @access Privado (permiso notas:share)
  */
-router.delete('/:id/compartir/:usuarioId', verifyToken, dejarDeCompartir);
+router.delete('/:id/compartir/:usuarioId', verifyToken, tienePermiso('notas:share'), dejarDeCompartir);
 
 /**
  * @route GET /api/notas/:id/versiones
  * @desc Obtener historial de versiones de una nota
- * @access Privado
+ * @access Privado (permiso notas:read)
  */
-router.get('/:id/versiones', verifyToken, getVersiones);
+router.get('/:id/versiones', verifyToken, tienePermiso('notas:read'), getVersiones);
 
 /**
  * @route PUT /api/notas/:id/favorita
  * @desc Marcar/desmarcar una nota como favorita
- * @access Privado
+ * @access Privado (permiso notas:read)
  */
-router.put('/:id/favorita', verifyToken, toggleFavorita);
+router.put('/:id/favorita', verifyToken, tienePermiso('notas:read'), toggleFavorita);
 
 /**
  * @route POST /api/notas/:id/limpiar
  * @desc Limpia entradas nulas en compartidaCon
- * @access Privado
+ * @access Privado (permiso notas:write)
  */
-router.post('/:id/limpiar', verifyToken, async (req, res) => {
+router.post('/:id/limpiar', verifyToken, tienePermiso('notas:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const nota = await Nota.findById(id);
@@ -0,0 +1,79 @@
+import { Router } from 'express';
+import {
+  getOportunidades,
+  getTablero,
+  getReporteOportunidades,
+  getOportunidadById,
+  createOportunidad,
+  updateOportunidad,
+  cambiarEtapaOportunidad,
+  deleteOportunidad
+} from '../controllers/oportunidadController.js';
+import { verifyToken, tienePermiso } from '../middlewares/authMiddleware.js';
+import {
+  validateCreateOportunidad,
+  validateUpdateOportunidad,
+  validateCambiarEtapa,
+  validateOportunidadesQuery,
+  validateOportunidadParams
+} from '../middlewares/validationMiddleware.js';
+
+const router = Router();
+
+/**
+ * @route GET /api/oportunidades
+ * @desc Obtener oportunidades (?local&pipeline&etapa&estado&responsable&cliente&etiquetas&misOportunidades=true&limit&skip&sort)
+ * @access Privado (permiso oportunidades:read)
+ */
+router.get('/', verifyToken, tienePermiso('oportunidades:read'), validateOportunidadesQuery, getOportunidades);
+
+/**
+ * @route GET /api/oportunidades/tablero
+ * @desc Tablero kanban de un pipeline: etapas con totales y oportunidades (?pipeline o ?local para el predeterminado)
+ * @access Privado (permiso oportunidades:read)
+ */
+router.get('/tablero', verifyToken, tienePermiso('oportunidades:read'), validateOportunidadesQuery, getTablero);
+
+/**
+ * @route GET /api/oportunidades/reporte
+ * @desc Reporte de oportunidades ganadas y perdidas (?local&pipeline&responsable&moneda&desde&hasta)
+ * @access Privado (permiso oportunidades:read)
+ */
+router.get('/reporte', verifyToken, tienePermiso('oportunidades:read'), validateOportunidadesQuery, getReporteOportunidades);
+
+/**
+ * @route GET /api/oportunidades/:id
+ * @desc Obtener una oportunidad con su historial de etapas
+ * @access Privado (permiso oportunidades:read)
+ */
+router.get('/:id', verifyToken, tienePermiso('oportunidades:read'), validateOportunidadParams, getOportunidadById);
+
+/**
+ * @route POST /api/oportunidades
+ * @desc Crear una oportunidad vinculada a un cliente
+ * @access Privado (permiso oportunidades:write)
+ */
+router.post('/', verifyToken, tienePermiso('oportunidades:write'), validateCreateOportunidad, createOportunidad);
+
+/**
+ * @route PUT /api/oportunidades/:id
+ * @desc Actualizar los datos de una oportunidad (sin cambiar de etapa)
+ * @access Privado (permiso oportunidades:write)
+ */
+router.put('/:id', verifyToken, tienePermiso('oportunidades:write'), validateUpdateOportunidad, updateOportunidad);
+
+/**
+ * @route PATCH /api/oportunidades/:id/etapa
+ * @desc Mover una oportunidad a otra etapa (ganada, perdida o de vuelta a una abierta)
+ * @access Privado (permiso oportunidades:write)
+ */
+router.patch('/:id/etapa', verifyToken, tienePermiso('oportunidades:write'), validateCambiarEtapa, cambiarEtapaOportunidad);
+
+/**
+ * @route DELETE /api/oportunidades/:id
+ * @desc Eliminar una oportunidad
+ * @access Privado (permiso oportunidades:delete)
+ */
+router.delete('/:id', verifyToken, tienePermiso('oportunidades:delete'), validateOportunidadParams, deleteOportunidad);
+
+export default router;
@@ -0,0 +1,45 @@
+import { Router } from 'express';
+import {
+  getPipelines,
+  createPipeline,
+  updatePipeline,
+  deletePipeline
+} from '../controllers/pipelineController.js';
+import { verifyToken, tienePermiso } from '../middlewares/authMiddleware.js';
+import {
+  validateCreatePipeline,
+  validateUpdatePipeline,
+  validatePipelineParams
+} from '../middlewares/validationMiddleware.js';
+
+const router = Router();
+
+/**
+ * @route GET /api/pipelines
+ * @desc Obtener los pipelines de venta activos del local (?local=ID)
+ * @access Privado (permiso oportunidades:read)
+ */
+router.get('/', verifyToken, tienePermiso('oportunidades:read'), getPipelines);
+
+/**
+ * @route POST /api/pipelines
+ * @desc Crear un pipeline de ventas con sus etapas
+ * @access Privado (permiso pipelines:manage)
+ */
+router.post('/', verifyToken, tienePermiso('pipelines:manage'), validateCreatePipeline, createPipeline);
+
+/**
+ * @route PUT /api/pipelines/:id
+ * @desc Actualizar un pipeline (nombre, moneda, predeterminado o etapas)
+ * @access Privado (permiso pipelines:manage)
+ */
+router.put('/:id', verifyToken, tienePermiso('pipelines:manage'), validateUpdatePipeline, updatePipeline);
+
+/**
+ * @route DELETE /api/pipelines/:id
+ * @desc Eliminar un pipeline (si tiene oportunidades se desactiva)
+ * @access Privado (permiso pipelines:manage)
+ */
+router.delete('/:id', verifyToken, tienePermiso('pipelines:manage'), validatePipelineParams, deletePipeline);
+
+export default router;
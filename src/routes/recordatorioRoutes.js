@@ -8,51 +8,51 @@ import {
   marcarEnviado,
   getRecordatoriosPendientes
 } from '../controllers/recordatorioController.js';
-import { verifyToken, hasRole } from '../middlewares/authMiddleware.js';
+import { verifyToken, hasRole, tienePermiso } from '../middlewares/authMiddleware.js';
 
 const router = Router();
 
 /**
  * @route GET /api/recordatorios
  * @desc Obtener todos los recordatorios
- * @access Privado
+ * @access Privado (permiso recordatorios:read)
  */
-router.get('/', verifyToken, getRecordatorios);
+router.get('/', verifyToken, tienePermiso('recordatorios:read'), getRecordatorios);
 
 /**
  * @route GET /api/recordatorios/:id
  * @desc Obtener un recordatorio por ID
- * @access Privado
+ * @access Privado (permiso recordatorios:read)
  */
-router.get('/:id', verifyToken, getRecordatorioById);
+router.get('/:id', verifyToken, tienePermiso('recordatorios:read'), getRecordatorioById);
 
 /**
  * @route POST /api/recordatorios
  * @desc Crear un nuevo recordatorio
- * @access Privado
+ * @access Privado (permiso recordatorios:write)
  */
-router.post('/', verifyToken, createRecordatorio);
+router.post('/', verifyToken, tienePermiso('recordatorios:write'), createRecordatorio);
 
 /**
  * @route PUT /api/recordatorios/:id
  * @desc Actualizar un recordatorio existente
- * @access Privado
+ * @access Privado (permiso recordatorios:write)
  */
-router.put('/:id', verifyToken, updateRecordatorio);
+router.put('/:id', verifyToken, tienePermiso('recordatorios:write'), updateRecordatorio);
 
 /**
  * @route DELETE /api/recordatorios/:id
  * @desc Eliminar un recordatorio
- * @access Privado
+ * @access Privado (permiso recordatorios:write)
  */
-router.delete('/:id', verifyToken, deleteRecordatorio);
+router.delete('/:id', verifyToken, tienePermiso('recordatorios:write'), deleteRecordatorio);
 
 /**
  * @route POST /api/recordatorios/:id/marcar-enviado
  * @desc Marcar un recordatorio como enviado
- * @access Privado
+ * @access Privado (permiso recordatorios:write)
  */
-router.post('/:id/marcar-enviado', verifyToken, marcarEnviado);
+router.post('/:id/marcar-enviado', verifyToken, tienePermiso('recordatorios:write'), marcarEnviado);
 
 /**
  * @route GET /api/recordatorios/sistema/pendientes
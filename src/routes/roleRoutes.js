@@ -0,0 +1,78 @@
+import { Router } from 'express';
+import {
+  getPermissionCatalog,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRoleToUser,
+  removeRoleFromUser
+} from '../controllers/roleController.js';
+import { verifyToken, tienePermiso } from '../middlewares/authMiddleware.js';
+import {
+  validateCreateRole,
+  validateUpdateRole,
+  validateRoleParams,
+  validateAssignRole
+} from '../middlewares/validationMiddleware.js';
+
+const router = Router();
+
+/**
+ * @route GET /api/roles/permisos
+ * @desc Obtener el catálogo de permisos y los permisos por defecto de los roles base
+ * @access Privado (permiso roles:manage)
+ */
+router.get('/permisos', verifyToken, tienePermiso('roles:manage'), getPermissionCatalog);
+
+/**
+ * @route GET /api/roles
+ * @desc Listar los roles personalizados (?local=ID)
+ * @access Privado (permiso roles:manage)
+ */
+router.get('/', verifyToken, tienePermiso('roles:manage'), getRoles);
+
+/**
+ * @route GET /api/roles/:id
+ * @desc Obtener un rol personalizado con sus usuarios
+ * @access Privado (permiso roles:manage)
+ */
+router.get('/:id', verifyToken, tienePermiso('roles:manage'), validateRoleParams, getRoleById);
+
+/**
+ * @route POST /api/roles
+ * @desc Crear un rol personalizado en un local
+ * @access Privado (permiso roles:manage)
+ */
+router.post('/', verifyToken, tienePermiso('roles:manage'), validateCreateRole, createRole);
+
+/**
+ * @route PUT /api/roles/:id
+ * @desc Actualizar un rol personalizado
+ * @access Privado (permiso roles:manage)
+ */
+router.put('/:id', verifyToken, tienePermiso('roles:manage'), validateUpdateRole, updateRole);
+
+/**
+ * @route DELETE /api/roles/:id
+ * @desc Eliminar un rol personalizado
+ * @access Privado (permiso roles:manage)
+ */
+router.delete('/:id', verifyToken, tienePermiso('roles:manage'), validateRoleParams, deleteRole);
+
+/**
+ * @route POST /api/roles/:id/usuarios
+ * @desc Asignar un rol personalizado a un usuario del local
+ * @access Privado (permiso roles:manage)
+ */
+router.post('/:id/usuarios', verifyToken, tienePermiso('roles:manage'), validateAssignRole, assignRoleToUser);
+
+/**
+ * @route DELETE /api/roles/:id/usuarios/:userId
+ * @desc Quitar un rol personalizado a un usuario
+ * @access Privado (permiso roles:manage)
+ */
+router.delete('/:id/usuarios/:userId', verifyToken, tienePermiso('roles:manage'), validateRoleParams, removeRoleFromUser);
+
+export default router;
@@ -0,0 +1,70 @@
+import { Router } from 'express';
+import {
+  getSegmentos,
+  contarSegmento,
+  getSegmentoById,
+  getClientesSegmento,
+  createSegmento,
+  updateSegmento,
+  deleteSegmento
+} from '../controllers/segmentoController.js';
+import { verifyToken, tienePermiso } from '../middlewares/authMiddleware.js';
+import {
+  validateCreateSegmento,
+  validateUpdateSegmento,
+  validateContarSegmento,
+  validateSegmentoParams
+} from '../middlewares/validationMiddleware.js';
+
+const router = Router();
+
+/**
+ * @route GET /api/clientes/segmentos
+ * @desc Obtener los segmentos del local con la cantidad actual de clientes (?local=ID)
+ * @access Privado (permiso clientes:read)
+ */
+router.get('/', verifyToken, tienePermiso('clientes:read'), getSegmentos);
+
+/**
+ * @route POST /api/clientes/segmentos/conteo
+ * @desc Contar los clientes que cumplen unas reglas sin guardar el segmento
+ * @access Privado (permiso clientes:read)
+ */
+router.post('/conteo', verifyToken, tienePermiso('clientes:read'), validateContarSegmento, contarSegmento);
+
+/**
+ * @route GET /api/clientes/segmentos/:id
+ * @desc Obtener un segmento con la cantidad actual de clientes
+ * @access Privado (permiso clientes:read)
+ */
+router.get('/:id', verifyToken, tienePermiso('clientes:read'), validateSegmentoParams, getSegmentoById);
+
+/**
+ * @route GET /api/clientes/segmentos/:id/clientes
+ * @desc Evaluar el segmento y obtener sus clientes (limit, skip, sort)
+ * @access Privado (permiso clientes:read)
+ */
+router.get('/:id/clientes', verifyToken, tienePermiso('clientes:read'), validateSegmentoParams, getClientesSegmento);
+
+/**
+ * @route POST /api/clientes/segmentos
+ * @desc Crear un segmento de clientes
+ * @access Privado (permiso segmentos:manage)
+ */
+router.post('/', verifyToken, tienePermiso('segmentos:manage'), validateCreateSegmento, createSegmento);
+
+/**
+ * @route PUT /api/clientes/segmentos/:id
+ * @desc Actualizar el nombre, la descripción o las reglas de un segmento
+ * @access Privado (permiso segmentos:manage)
+ */
+router.put('/:id', verifyToken, tienePermiso('segmentos:manage'), validateUpdateSegmento, updateSegmento);
+
+/**
+ * @route DELETE /api/clientes/segmentos/:id
+ * @desc Eliminar un segmento
+ * @access Privado (permiso segmentos:manage)
+ */
+router.delete('/:id', verifyToken, tienePermiso('segmentos:manage'), validateSegmentoParams, deleteSegmento);
+
+export default router;
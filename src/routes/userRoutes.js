@@ -2,17 +2,65 @@ import { Router } from 'express';
 import { 
   register, 
   login, 
+  loginTwoFactor,
+  changeExpiredPassword,
   logout,
+  refreshToken,
   getProfile, 
   changePassword, 
-  forgotPassword 
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  requestMagicLink,
+  consumeMagicLink
 } from '../controllers/userController.js';
-import { verifyToken, isUser, hasRole } from '../middlewares/authMiddleware.js';
+import {
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions
+} from '../controllers/sessionController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactorController.js';
+import { getInvitationByToken, acceptInvitation } from '../controllers/invitacionController.js';
+import { getMyPermissions } from '../controllers/roleController.js';
+import { stopImpersonation } from '../controllers/impersonacionController.js';
+import { reportNotMe } from '../controllers/seguridadController.js';
+import {
+  getMyApiKeys,
+  getMyApiKeyById,
+  createMyApiKey,
+  updateMyApiKey,
+  revokeMyApiKey
+} from '../controllers/apiKeyController.js';
+import { verifyToken, verifyTokenAllowPending, isUser, hasRole, requiereSesionInteractiva } from '../middlewares/authMiddleware.js';
 import { 
   validateRegister, 
   validateLogin,
+  validateVerifyEmail,
+  validateResendVerification,
+  validateLoginTwoFactor,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
+  validateRefreshToken,
   validateChangePassword,
-  validateForgotPassword
+  validateForgotPassword,
+  validateResetPassword,
+  validateExpiredPassword,
+  validateSessionParams,
+  validateInvitationToken,
+  validateAcceptInvitation,
+  validateCreateApiKey,
+  validateUpdateApiKey,
+  validateApiKeyParams,
+  validateMagicLinkRequest,
+  validateConsumeMagicLink,
+  validateNotMe
 } from '../middlewares/validationMiddleware.js';
 
 const router = Router();
@@ -24,6 +72,20 @@ const router = Router();
  */
 router.post('/register', validateRegister, register);
 
+/**
+ * @route POST /api/users/verify
+ * @desc Verificar el email con el código enviado al registrarse
+ * @access Público
+ */
+router.post('/verify', validateVerifyEmail, verifyEmail);
+
+/**
+ * @route POST /api/users/verify/resend
+ * @desc Reenviar el código de verificación de email
+ * @access Público
+ */
+router.post('/verify/resend', validateResendVerification, resendVerification);
+
 /**
  * @route POST /api/users/login
  * @desc Login de usuario
@@ -31,26 +93,75 @@ router.post('/register', validateRegister, register);
  */
 router.post('/login', validateLogin, login);
 
+/**
+ * @route POST /api/users/login/2fa
+ * @desc Completar el login con el código TOTP o un código de recuperación
+ * @access Público (requiere token de desafío del login)
+ */
+router.post('/login/2fa', validateLoginTwoFactor, loginTwoFactor);
+
+/**
+ * @route POST /api/users/login/password-expired
+ * @desc Definir una nueva contraseña cuando la actual expiró y completar el login
+ * @access Público (requiere token de cambio de contraseña del login)
+ */
+router.post('/login/password-expired', validateExpiredPassword, changeExpiredPassword);
+
 /**
  * @route POST /api/users/logout
  * @desc Cerrar sesión del usuario
  * @access Privado
  */
-router.post('/logout', verifyToken, logout);
+router.post('/logout', verifyTokenAllowPending, logout);
+
+/**
+ * @route POST /api/users/refresh
+ * @desc Renovar el token de acceso rotando el refresh token
+ * @access Público (requiere refresh token válido)
+ */
+router.post('/refresh', validateRefreshToken, refreshToken);
 
 /**
  * @route GET /api/users/profile
  * @desc Obtener perfil de usuario
  * @access Privado (todos los roles: superAdmin, admin, usuario)
  */
-router.get('/profile', verifyToken, getProfile);
+router.get('/profile', verifyTokenAllowPending, getProfile);
+
+/**
+ * @route GET /api/users/permissions
+ * @desc Obtener los permisos efectivos y roles personalizados del usuario
+ * @access Privado (todos los roles)
+ */
+router.get('/permissions', verifyToken, getMyPermissions);
 
 /**
  * @route PUT /api/users/change-password
  * @desc Cambiar contraseña de usuario
  * @access Privado (todos los roles: superAdmin, admin, usuario)
  */
-router.put('/change-password', verifyToken, validateChangePassword, changePassword);
+router.put('/change-password', verifyToken, requiereSesionInteractiva, validateChangePassword, changePassword);
+
+/**
+ * @route POST /api/users/magic-link
+ * @desc Enviar por email un enlace de inicio de sesión sin contraseña (si la política del local lo permite)
+ * @access Público
+ */
+router.post('/magic-link', validateMagicLinkRequest, requestMagicLink);
+
+/**
+ * @route POST /api/users/magic-link/consume
+ * @desc Iniciar sesión con el token del enlace mágico (un solo uso)
+ * @access Público (requiere token del enlace)
+ */
+router.post('/magic-link/consume', validateConsumeMagicLink, consumeMagicLink);
+
+/**
+ * @route POST /api/users/security/not-me
+ * @desc Informar que un inicio de sesión no fue propio: cierra todas las sesiones y envía un enlace para cambiar la contraseña
+ * @access Público (requiere token del email de aviso)
+ */
+router.post('/security/not-me', validateNotMe, reportNotMe);
 
 /**
  * @route POST /api/users/forgot-password
@@ -59,4 +170,123 @@ router.put('/change-password', verifyToken, validateChangePassword, changePasswo
  */
 router.post('/forgot-password', validateForgotPassword, forgotPassword);
 
+/**
+ * @route POST /api/users/reset-password/:token
+ * @desc Restablecer contraseña con el token enviado por email
+ * @access Público
+ */
+router.post('/reset-password/:token', validateResetPassword, resetPassword);
+
+/**
+ * @route GET /api/users/invitations/:token
+ * @desc Consultar los datos de una invitación pendiente
+ * @access Público (requiere token de invitación)
+ */
+router.get('/invitations/:token', validateInvitationToken, getInvitationByToken);
+
+/**
+ * @route POST /api/users/invitations/:token/accept
+ * @desc Aceptar una invitación definiendo la contraseña
+ * @access Público (requiere token de invitación)
+ */
+router.post('/invitations/:token/accept', validateAcceptInvitation, acceptInvitation);
+
+/**
+ * @route GET /api/users/sessions
+ * @desc Obtener las sesiones activas y el historial de accesos del usuario
+ * @access Privado (todos los roles)
+ */
+router.get('/sessions', verifyTokenAllowPending, getMySessions);
+
+/**
+ * @route DELETE /api/users/sessions
+ * @desc Cerrar todas las sesiones excepto la actual ("cerrar sesión en todos los demás dispositivos")
+ * @access Privado (todos los roles)
+ */
+router.delete('/sessions', verifyTokenAllowPending, requiereSesionInteractiva, revokeOtherSessions);
+
+/**
+ * @route DELETE /api/users/sessions/:id
+ * @desc Cerrar una sesión específica del usuario
+ * @access Privado (todos los roles)
+ */
+router.delete('/sessions/:id', verifyTokenAllowPending, requiereSesionInteractiva, validateSessionParams, revokeMySession);
+
+/**
+ * @route GET /api/users/2fa
+ * @desc Obtener el estado de la autenticación de dos factores
+ * @access Privado (todos los roles)
+ */
+router.get('/2fa', verifyTokenAllowPending, getTwoFactorStatus);
+
+/**
+ * @route POST /api/users/2fa/setup
+ * @desc Generar un secreto TOTP y la URI otpauth para el código QR
+ * @access Privado (todos los roles)
+ */
+router.post('/2fa/setup', verifyTokenAllowPending, requiereSesionInteractiva, setupTwoFactor);
+
+/**
+ * @route POST /api/users/2fa/enable
+ * @desc Confirmar el secreto con un código y activar 2FA (devuelve los códigos de recuperación)
+ * @access Privado (todos los roles)
+ */
+router.post('/2fa/enable', verifyTokenAllowPending, requiereSesionInteractiva, validateTwoFactorCode, enableTwoFactor);
+
+/**
+ * @route POST /api/users/2fa/disable
+ * @desc Desactivar 2FA (no permitido para roles con 2FA obligatorio)
+ * @access Privado (todos los roles)
+ */
+router.post('/2fa/disable', verifyToken, requiereSesionInteractiva, validateDisableTwoFactor, disableTwoFactor);
+
+/**
+ * @route POST /api/users/2fa/recovery-codes
+ * @desc Regenerar los códigos de recuperación
+ * @access Privado (todos los roles)
+ */
+router.post('/2fa/recovery-codes', verifyToken, requiereSesionInteractiva, validateTwoFactorCode, regenerateRecoveryCodes);
+
+/**
+ * @route POST /api/users/impersonation/stop
+ * @desc Finalizar la sesión de impersonación actual
+ * @access Privado (sesión de impersonación de un superAdmin)
+ */
+router.post('/impersonation/stop', verifyTokenAllowPending, stopImpersonation);
+
+/**
+ * @route GET /api/users/api-keys
+ * @desc Listar las claves de API del usuario
+ * @access Privado (todos los roles)
+ */
+router.get('/api-keys', verifyToken, requiereSesionInteractiva, getMyApiKeys);
+
+/**
+ * @route POST /api/users/api-keys
+ * @desc Crear una clave de API limitada a un local y a permisos del usuario (se muestra una única vez)
+ * @access Privado (todos los roles)
+ */
+router.post('/api-keys', verifyToken, requiereSesionInteractiva, validateCreateApiKey, createMyApiKey);
+
+/**
+ * @route GET /api/users/api-keys/:id
+ * @desc Obtener una clave de API del usuario
+ * @access Privado (todos los roles)
+ */
+router.get('/api-keys/:id', verifyToken, requiereSesionInteractiva, validateApiKeyParams, getMyApiKeyById);
+
+/**
+ * @route PUT /api/users/api-keys/:id
+ * @desc Cambiar el nombre o los permisos de una clave de API
+ * @access Privado (todos los roles)
+ */
+router.put('/api-keys/:id', verifyToken, requiereSesionInteractiva, validateUpdateApiKey, updateMyApiKey);
+
+/**
+ * @route DELETE /api/users/api-keys/:id
+ * @desc Revocar una clave de API
+ * @access Privado (todos los roles)
+ */
+router.delete('/api-keys/:id', verifyToken, requiereSesionInteractiva, validateApiKeyParams, revokeMyApiKey);
+
 export default router; 
\ No newline at end of file
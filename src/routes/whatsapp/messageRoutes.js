@@ -12,7 +12,7 @@ import {
   getConversations,
   getConversationMessages
 } from '../../controllers/whatsapp/messageController.js';
-import { verifyToken, isAdmin } from '../../middlewares/authMiddleware.js';
+import { verifyToken, tienePermiso } from '../../middlewares/authMiddleware.js';
 import {
   validateTextMessage,
   validateTemplateMessage,
@@ -24,72 +24,72 @@ const router = Router();
 /**
  * @route POST /api/whatsapp/messages/text
  * @desc Enviar un mensaje de texto por WhatsApp
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:send)
  */
-router.post('/text', verifyToken, isAdmin, validateTextMessage, sendTextMessage);
+router.post('/text', verifyToken, tienePermiso('whatsapp:send'), validateTextMessage, sendTextMessage);
 
 /**
  * @route POST /api/whatsapp/messages/bulk
  * @desc Enviar mensajes de texto a múltiples destinatarios
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:send)
  */
-router.post('/bulk', verifyToken, isAdmin, sendBulkTextMessage);
+router.post('/bulk', verifyToken, tienePermiso('whatsapp:send'), sendBulkTextMessage);
 
 /**
  * @route POST /api/whatsapp/messages/template
  * @desc Enviar un mensaje con plantilla por WhatsApp
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:send)
  */
-router.post('/template', verifyToken, isAdmin, validateTemplateMessage, sendTemplateMessage);
+router.post('/template', verifyToken, tienePermiso('whatsapp:send'), validateTemplateMessage, sendTemplateMessage);
 
 /**
  * @route POST /api/whatsapp/messages/bulk-template
  * @desc Enviar mensajes con plantilla a múltiples destinatarios
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:send)
  */
-router.post('/bulk-template', verifyToken, isAdmin, sendBulkTemplateMessage);
+router.post('/bulk-template', verifyToken, tienePermiso('whatsapp:send'), sendBulkTemplateMessage);
 
 /**
  * @route POST /api/whatsapp/messages/check-whitelist
  * @desc Verificar si un número está en la whitelist
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:send)
  */
-router.post('/check-whitelist', verifyToken, isAdmin, checkWhitelistStatus);
+router.post('/check-whitelist', verifyToken, tienePermiso('whatsapp:send'), checkWhitelistStatus);
 
 /**
  * @route POST /api/whatsapp/messages/evolution-template
  * @desc Enviar un mensaje con la plantilla personalizada de Evolution
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:send)
  */
-router.post('/evolution-template', verifyToken, isAdmin, sendEvolutionTemplateMessage);
+router.post('/evolution-template', verifyToken, tienePermiso('whatsapp:send'), sendEvolutionTemplateMessage);
 
 /**
  * @route POST /api/whatsapp/messages/test-template
  * @desc Enviar un mensaje con la plantilla de prueba en inglés
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:send)
  */
-router.post('/test-template', verifyToken, isAdmin, sendTestWhatsAppTemplate);
+router.post('/test-template', verifyToken, tienePermiso('whatsapp:send'), sendTestWhatsAppTemplate);
 
 /**
  * @route POST /api/whatsapp/messages/image
  * @desc Enviar un mensaje con imagen por WhatsApp
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:send)
  */
-router.post('/image', verifyToken, isAdmin, validateImageMessage, sendImageMessage);
+router.post('/image', verifyToken, tienePermiso('whatsapp:send'), validateImageMessage, sendImageMessage);
 
 /**
  * @route GET /api/whatsapp/messages/conversations
  * @desc Obtener todas las conversaciones
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:read)
  */
-router.get('/conversations', verifyToken, isAdmin, getConversations);
+router.get('/conversations', verifyToken, tienePermiso('whatsapp:read'), getConversations);
 
 /**
  * @route GET /api/whatsapp/messages/conversations/:contactNumber
  * @desc Obtener los mensajes de una conversación
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:read)
  */
-router.get('/conversations/:contactNumber', verifyToken, isAdmin, getConversationMessages);
+router.get('/conversations/:contactNumber', verifyToken, tienePermiso('whatsapp:read'), getConversationMessages);
 
 /**
  * @route POST /api/whatsapp/messages/webhook
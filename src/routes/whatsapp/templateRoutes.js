@@ -7,7 +7,7 @@ import {
   deleteTemplate,
   syncTemplates
 } from '../../controllers/whatsapp/templateController.js';
-import { verifyToken, isAdmin, isSuperAdmin } from '../../middlewares/authMiddleware.js';
+import { verifyToken, isSuperAdmin, tienePermiso } from '../../middlewares/authMiddleware.js';
 import {
   validateCreateTemplate,
   validateUpdateTemplate
@@ -18,37 +18,37 @@ const router = Router();
 /**
  * @route GET /api/whatsapp/templates
  * @desc Obtener todas las plantillas
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:templates)
  */
-router.get('/', verifyToken, isAdmin, getAllTemplates);
+router.get('/', verifyToken, tienePermiso('whatsapp:templates'), getAllTemplates);
 
 /**
  * @route GET /api/whatsapp/templates/:templateId
  * @desc Obtener una plantilla por ID
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:templates)
  */
-router.get('/:templateId', verifyToken, isAdmin, getTemplateById);
+router.get('/:templateId', verifyToken, tienePermiso('whatsapp:templates'), getTemplateById);
 
 /**
  * @route POST /api/whatsapp/templates
  * @desc Crear una nueva plantilla
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:templates)
  */
-router.post('/', verifyToken, isAdmin, validateCreateTemplate, createTemplate);
+router.post('/', verifyToken, tienePermiso('whatsapp:templates'), validateCreateTemplate, createTemplate);
 
 /**
  * @route PUT /api/whatsapp/templates/:templateId
  * @desc Actualizar una plantilla existente
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:templates)
  */
-router.put('/:templateId', verifyToken, isAdmin, validateUpdateTemplate, updateTemplate);
+router.put('/:templateId', verifyToken, tienePermiso('whatsapp:templates'), validateUpdateTemplate, updateTemplate);
 
 /**
  * @route DELETE /api/whatsapp/templates/:templateId
  * @desc Eliminar una plantilla
- * @access Privado (admin o superAdmin)
+ * @access Privado (permiso whatsapp:templates)
  */
-router.delete('/:templateId', verifyToken, isAdmin, deleteTemplate);
+router.delete('/:templateId', verifyToken, tienePermiso('whatsapp:templates'), deleteTemplate);
 
 /**
  * @route POST /api/whatsapp/templates/sync
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Cifra los datos personales de los clientes existentes y los recifra con la clave actual.
+// Uso: node src/scripts/cifrarClientes.js [--dry-run]
+// Procesa los clientes con campos en texto plano, cifrados con otra clave (kid) o sin índice ciego.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+// Los modelos leen las claves al importarse: se cargan después de dotenv
+const { default: Cliente, CAMPOS_CIFRADOS_CLIENTE } = await import('../models/Cliente.js');
+const { cifradoHabilitado, obtenerKidActual, estaCifrado, kidDeValor } = await import('../services/cifradoService.js');
+
+const SIMULACION = process.argv.includes('--dry-run');
+
+const obtenerRuta = (objeto, ruta) => ruta.split('.').reduce((actual, parte) => (actual == null ? undefined : actual[parte]), objeto);
+
+const tieneValor = (valor) => valor !== undefined && valor !== null && valor !== '';
+
+// Campos de un documento (sin procesar) que hay que cifrar o recifrar
+const camposPendientes = (documento) => {
+  const kidActual = obtenerKidActual();
+
+  return CAMPOS_CIFRADOS_CLIENTE.filter(campo => {
+    const valor = obtenerRuta(documento, campo.ruta);
+    if (!tieneValor(valor)) return false;
+
+    return !estaCifrado(valor) ||
+      kidDeValor(valor) !== kidActual ||
+      (campo.indice && !obtenerRuta(documento, `indicesBusqueda.${campo.indice}`));
+  });
+};
+
+const ejecutar = async () => {
+  if (!cifradoHabilitado()) {
+    throw new Error('PII_ENCRYPTION_KEYS no está configurada: no hay clave con la que cifrar');
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('La variable de entorno MONGODB_URI no está configurada');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Cifrando clientes con la clave "${obtenerKidActual()}"${SIMULACION ? ' (simulación)' : ''}`);
+
+  let revisados = 0;
+  let actualizados = 0;
+  let errores = 0;
+
+  // Se recorre la colección directamente para ver los valores tal como están guardados
+  const cursor = Cliente.collection.find({});
+
+  for await (const documento of cursor) {
+    revisados++;
+    const pendientes = camposPendientes(documento);
+    if (pendientes.length === 0) continue;
+
+    if (SIMULACION) {
+      actualizados++;
+      console.log(`- ${documento._id}: ${pendientes.map(campo => campo.ruta).join(', ')}`);
+      continue;
+    }
+
+    try {
+      // Al cargarse el documento se descifra; marcar los campos hace que se vuelvan a cifrar al guardar
+      const cliente = await Cliente.findById(documento._id);
+      for (const campo of pendientes) {
+        cliente.markModified(campo.ruta);
+      }
+      await cliente.save({ validateBeforeSave: false, timestamps: false });
+      actualizados++;
+    } catch (error) {
+      errores++;
+      console.error(`Error cifrando el cliente ${documento._id}: ${error.message}`);
+    }
+  }
+
+  console.log(`Clientes revisados: ${revisados}. ${SIMULACION ? 'Por cifrar' : 'Cifrados'}: ${actualizados}. Errores: ${errores}.`);
+  return errores;
+};
+
+ejecutar()
+  .then(async (errores) => {
+    await mongoose.disconnect();
+    process.exit(errores > 0 ? 1 : 0);
+  })
+  .catch(async (error) => {
+    console.error(`Error en el cifrado de clientes: ${error.message}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
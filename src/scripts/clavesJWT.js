@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Administra las claves de firma de JWT desde la línea de comandos (p. ej. desde un cron del sistema).
+// Uso:
+//   node src/scripts/clavesJWT.js listar
+//   node src/scripts/clavesJWT.js rotar [--algoritmo HS512|RS256|ES256] [--gracia minutos]
+//   node src/scripts/clavesJWT.js retirar <kid>
+//   node src/scripts/clavesJWT.js programada   (retira las vencidas y rota según JWT_KEY_ROTATION_DAYS)
+// Las instancias en ejecución recargan las claves en menos de un minuto.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+// Los servicios leen la configuración al importarse: se cargan después de dotenv
+const { default: ClaveFirma, ALGORITMOS_FIRMA } = await import('../models/ClaveFirma.js');
+const {
+  rotarClave,
+  retirarClave,
+  ejecutarRotacionProgramada,
+  formatearClave
+} = await import('../services/clavesFirmaService.js');
+
+const [comando, ...argumentos] = process.argv.slice(2);
+
+const opcion = (nombre) => {
+  const indice = argumentos.indexOf(`--${nombre}`);
+  return indice >= 0 ? argumentos[indice + 1] : undefined;
+};
+
+const comandos = {
+  listar: async () => {
+    const claves = await ClaveFirma.find().sort({ activadaEn: -1 });
+    console.table(claves.map(formatearClave).map(({ kid, algoritmo, estado, activadaEn, verificarHasta }) => ({
+      kid, algoritmo, estado, activadaEn, verificarHasta
+    })));
+  },
+
+  rotar: async () => {
+    const algoritmo = opcion('algoritmo') || 'HS512';
+    const gracia = opcion('gracia');
+
+    if (!ALGORITMOS_FIRMA.includes(algoritmo)) {
+      throw new Error(`El algoritmo debe ser ${ALGORITMOS_FIRMA.join(', ')}`);
+    }
+    if (gracia !== undefined && !(parseInt(gracia) >= 0)) {
+      throw new Error('El período de gracia debe ser un número de minutos');
+    }
+
+    const { clave, anteriores } = await rotarClave({
+      algoritmo,
+      graciaMinutos: gracia !== undefined ? parseInt(gracia) : undefined,
+      motivo: 'Rotación desde la línea de comandos'
+    });
+    console.log(`Nueva clave activa: ${clave.kid} (${clave.algoritmo}). En verificación: ${anteriores.join(', ') || 'ninguna'}`);
+  },
+
+  retirar: async () => {
+    const [kid] = argumentos;
+    if (!kid) throw new Error('Indique el kid de la clave a retirar');
+
+    const resultado = await retirarClave(kid);
+    if (!resultado.success) throw new Error(resultado.message);
+    console.log(`Clave retirada: ${kid}`);
+  },
+
+  programada: async () => {
+    const { retiradas, rotada } = await ejecutarRotacionProgramada();
+    console.log(`Claves retiradas: ${retiradas}. ${rotada ? `Nueva clave activa: ${rotada}` : 'Sin rotación pendiente'}`);
+  }
+};
+
+const ejecutar = async () => {
+  if (!comandos[comando]) {
+    throw new Error(`Comando desconocido "${comando || ''}". Comandos: ${Object.keys(comandos).join(', ')}`);
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('La variable de entorno MONGODB_URI no está configurada');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await comandos[comando]();
+};
+
+ejecutar()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error(`Error administrando las claves de firma: ${error.message}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Completa mesNacimiento en los clientes creados antes de que existiera (lo usan los segmentos).
+// Uso: node src/scripts/mesNacimientoClientes.js [--dry-run]
+// Las fechas cifradas se descifran al cargar cada cliente, así que hace falta la misma configuración que la API.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+// Los modelos leen las claves al importarse: se cargan después de dotenv
+const { default: Cliente, mesDeNacimiento } = await import('../models/Cliente.js');
+
+const SIMULACION = process.argv.includes('--dry-run');
+
+const ejecutar = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('La variable de entorno MONGODB_URI no está configurada');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Completando el mes de nacimiento de los clientes${SIMULACION ? ' (simulación)' : ''}`);
+
+  let revisados = 0;
+  let actualizados = 0;
+  let errores = 0;
+
+  // Sobre campos cifrados solo se admiten filtros de existencia
+  const cursor = Cliente.find({ fechaNacimiento: { $exists: true }, mesNacimiento: { $exists: false } })
+    .select('fechaNacimiento')
+    .cursor();
+
+  for await (const cliente of cursor) {
+    revisados++;
+    const mes = mesDeNacimiento(cliente.fechaNacimiento);
+    if (mes === null) continue;
+
+    if (SIMULACION) {
+      actualizados++;
+      continue;
+    }
+
+    try {
+      // Se actualiza solo el mes para no volver a cifrar la fecha
+      await Cliente.collection.updateOne({ _id: cliente._id }, { $set: { mesNacimiento: mes } });
+      actualizados++;
+    } catch (error) {
+      errores++;
+      console.error(`Error actualizando el cliente ${cliente._id}: ${error.message}`);
+    }
+  }
+
+  console.log(`Clientes revisados: ${revisados}. ${SIMULACION ? 'Por completar' : 'Completados'}: ${actualizados}. Errores: ${errores}.`);
+  return errores;
+};
+
+ejecutar()
+  .then(async (errores) => {
+    await mongoose.disconnect();
+    process.exit(errores > 0 ? 1 : 0);
+  })
+  .catch(async (error) => {
+    console.error(`Error al completar el mes de nacimiento: ${error.message}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
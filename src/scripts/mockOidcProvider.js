@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Proveedor OIDC de prueba para desarrollo local: aprueba automáticamente cada login.
+// Uso: node src/scripts/mockOidcProvider.js
+// Configurar el proveedor con emisor http://localhost:4010, clientId "evolution" y clientSecret "secreto".
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const EMISOR = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'evolution';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'secreto';
+
+// Usuario que "inicia sesión" (login_hint permite cambiar el email en cada solicitud)
+const USUARIO = {
+  email: process.env.MOCK_OIDC_EMAIL || 'empleado@empresa.test',
+  name: process.env.MOCK_OIDC_NAME || 'Empleado de Prueba',
+  groups: (process.env.MOCK_OIDC_GROUPS || 'staff').split(',').map(grupo => grupo.trim()).filter(Boolean)
+};
+
+// Par de claves RSA generado en cada arranque
+const KID = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Códigos de autorización emitidos (un solo uso, 60 segundos)
+const codigos = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: EMISOR,
+    authorization_endpoint: `${EMISOR}/authorize`,
+    token_endpoint: `${EMISOR}/token`,
+    jwks_uri: `${EMISOR}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+  if (client_id !== CLIENT_ID || !redirect_uri || code_challenge_method !== 'S256' || !code_challenge) {
+    return res.status(400).send('Solicitud de autorización inválida');
+  }
+
+  const email = login_hint || USUARIO.email;
+  const code = crypto.randomBytes(16).toString('hex');
+  codigos.set(code, {
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    usuario: { ...USUARIO, email },
+    expira: Date.now() + 60 * 1000
+  });
+
+  const destino = new URL(redirect_uri);
+  destino.searchParams.set('code', code);
+  destino.searchParams.set('state', state);
+
+  console.log(`[mock-oidc] Login aprobado para ${email}, redirigiendo a ${destino.origin}${destino.pathname}`);
+  res.redirect(302, destino.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, code_verifier } = req.body;
+  const [usuarioCliente, secreto] = Buffer.from((req.headers.authorization || '').replace('Basic ', ''), 'base64')
+    .toString()
+    .split(':')
+    .map(decodeURIComponent);
+
+  if (usuarioCliente !== CLIENT_ID || secreto !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const solicitud = codigos.get(code);
+  codigos.delete(code);
+
+  if (grant_type !== 'authorization_code' || !solicitud || solicitud.expira < Date.now() || solicitud.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const desafio = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (desafio !== solicitud.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE inválido' });
+  }
+
+  const { email, name, groups } = solicitud.usuario;
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(email).digest('hex').substring(0, 24),
+      email,
+      email_verified: true,
+      name,
+      groups,
+      nonce: solicitud.nonce
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: KID, issuer: EMISOR, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`[mock-oidc] Proveedor OIDC de prueba en ${EMISOR} (client_id=${CLIENT_ID}, usuario=${USUARIO.email}, grupos=${USUARIO.groups.join(',')})`);
+});
@@ -1,5 +1,6 @@
 import cron from 'node-cron';
 import { procesarRecordatoriosPendientes } from '../services/recordatorioService.js';
+import { cargarLlavero, ejecutarRotacionProgramada } from '../services/clavesFirmaService.js';
 import logger from '../config/logger.js';
 
 /**
@@ -20,6 +21,27 @@ export const configurarTareasProgramadas = () => {
     }
   });
   
+  // Recargar las claves de firma de JWT cada minuto (rotaciones hechas por otras instancias o el CLI)
+  cron.schedule('* * * * *', async () => {
+    try {
+      await cargarLlavero();
+    } catch (error) {
+      logger.error(`Error recargando las claves de firma JWT: ${error.message}`);
+    }
+  });
+  
+  // Retirar claves de firma vencidas y rotar la activa según JWT_KEY_ROTATION_DAYS cada hora
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const resultado = await ejecutarRotacionProgramada();
+      if (resultado.retiradas > 0 || resultado.rotada) {
+        logger.info(`Claves de firma JWT: ${resultado.retiradas} retiradas${resultado.rotada ? `, nueva clave activa ${resultado.rotada}` : ''}`);
+      }
+    } catch (error) {
+      logger.error(`Error en tarea programada de claves de firma JWT: ${error.message}`);
+    }
+  });
+  
   // Otras tareas programadas pueden agregarse aquí
   
   logger.info('Tareas programadas configuradas exitosamente');
@@ -0,0 +1,160 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import logger from '../config/logger.js';
+
+// Campos cuyo valor nunca se guarda en la auditoría (solo se registra que cambiaron)
+const CAMPOS_SENSIBLES = [
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'magicLinkToken',
+  'refreshTokenHash',
+  'tokensAnteriores',
+  'tokenHash',
+  'hash',
+  'clave',
+  'tokenVersion',
+  'codigoVerificacion',
+  'secreto',
+  'secretoPendiente',
+  'codigosRecuperacion',
+  'ultimoPasoUsado',
+  'indicesBusqueda'
+];
+
+// Campos de control que no aportan a la auditoría
+const CAMPOS_IGNORADOS = ['updatedAt', 'ultimaModificacion.fecha', 'ultimaConexion', 'ultimoUso'];
+
+const VALOR_REDACTADO = '[REDACTADO]';
+
+// Convertir un documento de Mongoose a objeto plano sin poblar referencias
+const aObjetoPlano = (documento) => {
+  if (!documento) return {};
+  if (typeof documento.toObject === 'function') {
+    return documento.toObject({ depopulate: true });
+  }
+  return documento;
+};
+
+// Normalizar un valor para poder compararlo y guardarlo
+const normalizarValor = (valor) => {
+  if (valor === undefined || valor === null) return null;
+  if (valor instanceof mongoose.Types.ObjectId) return valor.toString();
+  if (valor instanceof Date) return valor.toISOString();
+  if (Array.isArray(valor)) return valor.map(normalizarValor);
+  if (typeof valor === 'object' && valor._id && Object.keys(valor).length === 1) return valor._id.toString();
+  return valor;
+};
+
+const esCampoSensible = (ruta, rutasCifradas = []) => {
+  return ruta.split('.').some(parte => CAMPOS_SENSIBLES.includes(parte)) ||
+    rutasCifradas.some(cifrada => ruta === cifrada || ruta.startsWith(`${cifrada}.`));
+};
+
+// Rutas que el modelo del documento guarda cifradas (declaradas por cifradoPlugin)
+const rutasCifradasDe = (...documentos) => [...new Set(documentos.flatMap(documento => documento?.constructor?.camposCifrados || []))];
+
+// Aplanar un objeto en rutas con notación de puntos (los arreglos se tratan como un valor)
+const aplanar = (objeto, prefijo = '', resultado = {}) => {
+  for (const [clave, valor] of Object.entries(objeto || {})) {
+    const ruta = prefijo ? `${prefijo}.${clave}` : clave;
+
+    if (valor && typeof valor === 'object' && !Array.isArray(valor) &&
+        !(valor instanceof Date) && !(valor instanceof mongoose.Types.ObjectId) &&
+        !Buffer.isBuffer(valor)) {
+      aplanar(valor, ruta, resultado);
+    } else {
+      resultado[ruta] = normalizarValor(valor);
+    }
+  }
+
+  return resultado;
+};
+
+/**
+ * Calcula los campos que cambiaron entre dos versiones de un documento
+ * @param {Object} antes - Documento u objeto antes del cambio (null en creaciones)
+ * @param {Object} despues - Documento u objeto después del cambio (null en eliminaciones)
+ * @returns {Array<Object>} - Lista de { campo, antes, despues } con valores sensibles redactados
+ */
+export const calcularCambios = (antes, despues) => {
+  const planoAntes = aplanar(aObjetoPlano(antes));
+  const planoDespues = aplanar(aObjetoPlano(despues));
+  const campos = new Set([...Object.keys(planoAntes), ...Object.keys(planoDespues)]);
+  const cambios = [];
+  const rutasCifradas = rutasCifradasDe(antes, despues);
+
+  for (const campo of campos) {
+    if (CAMPOS_IGNORADOS.includes(campo)) continue;
+
+    const valorAntes = planoAntes[campo] ?? null;
+    const valorDespues = planoDespues[campo] ?? null;
+
+    if (JSON.stringify(valorAntes) === JSON.stringify(valorDespues)) continue;
+
+    if (esCampoSensible(campo, rutasCifradas)) {
+      cambios.push({ campo, antes: VALOR_REDACTADO, despues: VALOR_REDACTADO });
+    } else {
+      cambios.push({ campo, antes: valorAntes, despues: valorDespues });
+    }
+  }
+
+  return cambios;
+};
+
+/**
+ * Registra una entrada en el log de auditoría. Nunca lanza errores:
+ * un fallo al auditar no debe interrumpir la operación auditada.
+ * @param {Object} datos - Datos de la entrada (actor, accion, metodo, recurso, cambios, ...)
+ * @returns {Promise<Object|null>} - Entrada creada o null si falló
+ */
+export const registrarAuditoria = async (datos) => {
+  try {
+    return await AuditLog.create(datos);
+  } catch (error) {
+    logger.error(`Error registrando auditoría (${datos.accion}): ${error.message}`);
+    return null;
+  }
+};
+
+// Escapar un valor para CSV. Los que empiezan con = + - @, tabulación o retorno se anteponen
+// con ' para que las planillas no los evalúen como fórmulas (URLs y cambios los controla el usuario)
+const escaparCSV = (valor) => {
+  if (valor === undefined || valor === null) return '';
+  const texto = typeof valor === 'object' ? JSON.stringify(valor) : String(valor);
+  if (/^[=+\-@\t\r]/.test(texto)) return `"'${texto.replace(/"/g, '""')}"`;
+  return /[",\n\r;]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Genera un CSV con las entradas de auditoría
+ * @param {Array<Object>} registros - Entradas de AuditLog (lean o documentos)
+ * @returns {String} - Contenido CSV
+ */
+export const generarCSVAuditoria = (registros) => {
+  const columnas = [
+    'fecha', 'actorEmail', 'actorRole', 'impersonando', 'accion', 'metodo', 'url',
+    'recurso', 'recursoId', 'local', 'estadoHttp', 'exito', 'ip', 'cambios'
+  ];
+
+  const filas = registros.map(registro => [
+    registro.fecha instanceof Date ? registro.fecha.toISOString() : registro.fecha,
+    registro.actorEmail,
+    registro.actorRole,
+    registro.impersonando,
+    registro.accion,
+    registro.metodo,
+    registro.url,
+    registro.recurso,
+    registro.recursoId,
+    registro.local?._id || registro.local,
+    registro.estadoHttp,
+    registro.exito,
+    registro.ip,
+    (registro.cambios || [])
+      .map(cambio => `${cambio.campo}: ${JSON.stringify(cambio.antes)} -> ${JSON.stringify(cambio.despues)}`)
+      .join(' | ')
+  ].map(escaparCSV).join(','));
+
+  return [columnas.join(','), ...filas].join('\n');
+};
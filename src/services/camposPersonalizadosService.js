@@ -0,0 +1,270 @@
+import CampoPersonalizado, { compilarPatron } from '../models/CampoPersonalizado.js';
+import Cliente from '../models/Cliente.js';
+import Evento from '../models/Evento.js';
+import Nota from '../models/Nota.js';
+
+const MODELOS_POR_ENTIDAD = {
+  CLIENTE: Cliente,
+  EVENTO: Evento,
+  NOTA: Nota
+};
+
+// Error con el código HTTP que debe responder el controlador
+const errorCampos = (status, mensaje, errores) => Object.assign(new Error(mensaje), { status, errores });
+
+/**
+ * Responde un error con status (campos personalizados, segmentos) con el detalle por campo si lo hay
+ * @param {Object} res - Respuesta de Express
+ * @param {Error} error - Error con status y, opcionalmente, errores
+ */
+export const responderErrorCampos = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message,
+  errors: error.errores
+});
+
+const VALORES_VERDADEROS = ['true', '1', 'si', 'sí'];
+const VALORES_FALSOS = ['false', '0', 'no'];
+
+// Longitud máxima de los campos de texto sin validacion.longitudMaxima
+const LONGITUD_MAXIMA_TEXTO = 1000;
+
+const esVacio = (valor) => valor === undefined || valor === null || valor === '' || (Array.isArray(valor) && valor.length === 0);
+
+const esObjetoPlano = (valor) => valor !== null && typeof valor === 'object' && !Array.isArray(valor);
+
+// Patrón de un campo de texto; null si la definición tiene un patrón no válido o inseguro
+// (guardado antes de que se controlara su complejidad)
+const patronDeTexto = (patron) => {
+  try {
+    return compilarPatron(patron);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Definiciones activas de los campos personalizados de una entidad
+ * @param {String} entidad - CLIENTE, EVENTO o NOTA
+ * @param {String} local - Local de las definiciones (sin local, las de todos los locales accesibles)
+ * @returns {Promise<Array<Object>>} - Definiciones ordenadas
+ */
+export const obtenerDefiniciones = (entidad, local) => {
+  const filtro = { entidad, activo: true };
+  if (local) filtro.local = local;
+
+  return CampoPersonalizado.find(filtro).sort({ orden: 1, etiqueta: 1 }).lean();
+};
+
+/**
+ * Convierte un valor al tipo del campo y aplica sus reglas
+ * @param {Object} definicion - Definición del campo
+ * @param {*} valor - Valor recibido (no vacío)
+ * @returns {Object} - { valor } convertido o { error }
+ */
+export const convertirValor = (definicion, valor) => {
+  const { tipo, opciones = [], validacion = {} } = definicion;
+
+  switch (tipo) {
+    case 'TEXTO': {
+      if (typeof valor === 'object') return { error: 'debe ser un texto' };
+
+      const texto = String(valor).trim();
+      const longitudMaxima = validacion.longitudMaxima || LONGITUD_MAXIMA_TEXTO;
+      if (texto.length > longitudMaxima) return { error: `no puede superar los ${longitudMaxima} caracteres` };
+      if (validacion.patron) {
+        const patron = patronDeTexto(validacion.patron);
+        if (!patron) return { error: 'tiene un patrón de validación no válido; revise la definición del campo' };
+        if (!patron.test(texto)) return { error: 'no tiene el formato esperado' };
+      }
+      return { valor: texto };
+    }
+
+    case 'NUMERO': {
+      const numero = typeof valor === 'string' ? Number(valor.trim().replace(',', '.')) : valor;
+      if (typeof numero !== 'number' || !Number.isFinite(numero)) return { error: 'debe ser un número' };
+      if (validacion.min != null && numero < Number(validacion.min)) return { error: `debe ser mayor o igual a ${validacion.min}` };
+      if (validacion.max != null && numero > Number(validacion.max)) return { error: `debe ser menor o igual a ${validacion.max}` };
+      return { valor: numero };
+    }
+
+    case 'FECHA': {
+      const fecha = valor instanceof Date ? valor : new Date(typeof valor === 'object' ? NaN : valor);
+      if (Number.isNaN(fecha.getTime())) return { error: 'debe ser una fecha válida' };
+      if (validacion.min != null && fecha < new Date(validacion.min)) return { error: `no puede ser anterior a ${validacion.min}` };
+      if (validacion.max != null && fecha > new Date(validacion.max)) return { error: `no puede ser posterior a ${validacion.max}` };
+      return { valor: fecha };
+    }
+
+    case 'BOOLEANO': {
+      if (typeof valor === 'boolean') return { valor };
+
+      const texto = String(valor).trim().toLowerCase();
+      if (VALORES_VERDADEROS.includes(texto)) return { valor: true };
+      if (VALORES_FALSOS.includes(texto)) return { valor: false };
+      return { error: 'debe ser verdadero o falso' };
+    }
+
+    case 'SELECCION': {
+      const opcion = typeof valor === 'object' ? null : String(valor).trim();
+      if (!opciones.includes(opcion)) return { error: `debe ser una de las opciones: ${opciones.join(', ')}` };
+      return { valor: opcion };
+    }
+
+    case 'SELECCION_MULTIPLE': {
+      // Se acepta un array o una lista separada por comas (p. ej. desde una importación)
+      const elegidas = (Array.isArray(valor) ? valor : String(valor).split(','))
+        .map(opcion => String(opcion).trim())
+        .filter(Boolean);
+      const invalidas = elegidas.filter(opcion => !opciones.includes(opcion));
+      if (invalidas.length > 0) return { error: `opciones no válidas: ${invalidas.join(', ')}` };
+      return { valor: [...new Set(elegidas)] };
+    }
+
+    default:
+      return { error: 'tipo de campo desconocido' };
+  }
+};
+
+/**
+ * Valida y convierte los campos personalizados recibidos en un alta o modificación.
+ * Los valores se combinan con los actuales: null o '' quitan el campo.
+ * Los campos requeridos se controlan sobre el resultado combinado.
+ * @param {String} entidad - CLIENTE, EVENTO o NOTA
+ * @param {String} local - Local del registro
+ * @param {Object} valores - Campos recibidos ({ clave: valor })
+ * @param {Object} actuales - Valores guardados (en una modificación)
+ * @returns {Promise<Object>} - Valores a guardar (undefined si no queda ninguno)
+ * @throws {Error} - status 400 con la lista de errores por campo
+ */
+export const validarCamposPersonalizados = async (entidad, local, valores, actuales = {}) => {
+  if (valores !== undefined && valores !== null && !esObjetoPlano(valores)) {
+    throw errorCampos(400, 'Los campos personalizados deben enviarse como un objeto { clave: valor }', []);
+  }
+
+  const definiciones = await obtenerDefiniciones(entidad, local);
+  const porClave = new Map(definiciones.map(definicion => [definicion.clave, definicion]));
+  const resultado = { ...(actuales || {}) };
+  const errores = [];
+
+  for (const [clave, valor] of Object.entries(valores || {})) {
+    const definicion = porClave.get(clave);
+
+    if (!definicion) {
+      errores.push({ campo: clave, mensaje: 'El campo personalizado no existe o está desactivado' });
+      continue;
+    }
+    if (esVacio(valor)) {
+      delete resultado[clave];
+      continue;
+    }
+
+    const convertido = convertirValor(definicion, valor);
+    if (convertido.error) {
+      errores.push({ campo: clave, mensaje: `${definicion.etiqueta} ${convertido.error}` });
+    } else {
+      resultado[clave] = convertido.valor;
+    }
+  }
+
+  for (const definicion of definiciones) {
+    if (definicion.requerido && esVacio(resultado[definicion.clave]) && !errores.some(error => error.campo === definicion.clave)) {
+      errores.push({ campo: definicion.clave, mensaje: `${definicion.etiqueta} es obligatorio` });
+    }
+  }
+
+  if (errores.length > 0) {
+    throw errorCampos(400, 'Campos personalizados no válidos', errores);
+  }
+
+  return Object.keys(resultado).length > 0 ? resultado : undefined;
+};
+
+// Condición de un filtro: lista separada por comas o rango { min, max } en números y fechas
+const condicionFiltro = (definicion, condicion) => {
+  const convertir = (valor) => {
+    const convertido = convertirValor({ ...definicion, validacion: {} }, valor);
+    if (convertido.error) {
+      throw errorCampos(400, `Filtro no válido para ${definicion.etiqueta}: ${convertido.error}`);
+    }
+    return convertido.valor;
+  };
+
+  if (esObjetoPlano(condicion)) {
+    if (definicion.tipo !== 'NUMERO' && definicion.tipo !== 'FECHA') {
+      throw errorCampos(400, `El campo ${definicion.etiqueta} no admite filtros por rango`);
+    }
+
+    const rango = {};
+    if (!esVacio(condicion.min)) rango.$gte = convertir(condicion.min);
+    if (!esVacio(condicion.max)) rango.$lte = convertir(condicion.max);
+    return Object.keys(rango).length > 0 ? rango : { $exists: true };
+  }
+
+  // Con ?cp[clave]=- se buscan los registros sin valor en el campo
+  if (condicion === '-') return { $exists: false };
+
+  const valores = String(condicion).split(',').map(valor => valor.trim()).filter(Boolean);
+  const convertidos = valores.flatMap(valor => definicion.tipo === 'SELECCION_MULTIPLE' ? convertir(valor) : [convertir(valor)]);
+
+  return convertidos.length === 1 ? convertidos[0] : { $in: convertidos };
+};
+
+/**
+ * Filtro de Mongoose para los parámetros cp[clave] de los listados
+ * (?cp[talle]=M,L, ?cp[edad][min]=18, ?cp[vencimiento][max]=2024-12-31, ?cp[patente]=-)
+ * @param {String} entidad - CLIENTE, EVENTO o NOTA
+ * @param {String} local - Local del listado
+ * @param {Object} parametros - req.query.cp
+ * @returns {Promise<Object>} - Condiciones sobre camposPersonalizados.<clave>
+ * @throws {Error} - status 400 si un campo no existe o un valor no corresponde a su tipo
+ */
+export const filtroCamposPersonalizados = async (entidad, local, parametros) => {
+  if (!parametros) return {};
+  if (!esObjetoPlano(parametros)) {
+    throw errorCampos(400, 'Los filtros de campos personalizados se indican como cp[clave]=valor');
+  }
+
+  const definiciones = await obtenerDefiniciones(entidad, local);
+  const filtro = {};
+
+  for (const [clave, condicion] of Object.entries(parametros)) {
+    const definicion = definiciones.find(item => item.clave === clave);
+    if (!definicion) {
+      throw errorCampos(400, `El campo personalizado ${clave} no existe`);
+    }
+    filtro[`camposPersonalizados.${clave}`] = condicionFiltro(definicion, condicion);
+  }
+
+  return filtro;
+};
+
+/**
+ * Cantidad de registros que tienen valor en un campo personalizado
+ * @param {Object} definicion - Definición del campo
+ * @param {Array<String>} opciones - Si se indican, solo se cuentan los que usan alguna de estas opciones
+ * @returns {Promise<Number>}
+ */
+export const contarUsos = (definicion, opciones) => {
+  const ruta = `camposPersonalizados.${definicion.clave}`;
+
+  return MODELOS_POR_ENTIDAD[definicion.entidad].countDocuments({
+    local: definicion.local,
+    [ruta]: opciones ? { $in: opciones } : { $exists: true }
+  });
+};
+
+/**
+ * Verifica que las opciones que se quitan de un campo de selección no estén en uso
+ * @param {Object} definicion - Definición antes del cambio
+ * @param {Array<String>} opciones - Nuevas opciones
+ */
+export const verificarOpcionesEliminadas = async (definicion, opciones) => {
+  const eliminadas = definicion.opciones.filter(opcion => !opciones.includes(opcion));
+  if (eliminadas.length === 0) return;
+
+  const enUso = await contarUsos(definicion, eliminadas);
+  if (enUso > 0) {
+    throw errorCampos(409, `No se pueden quitar opciones en uso (${enUso} registros): ${eliminadas.join(', ')}`);
+  }
+};
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import logger from '../config/logger.js';
+
+dotenv.config();
+
+// Formato de los valores cifrados: enc:v1:<kid>:<iv>:<tag>:<texto cifrado> (base64)
+const PREFIJO = 'enc:v1:';
+const ALGORITMO = 'aes-256-gcm';
+const FORMATO_KID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Lee el llavero de PII_ENCRYPTION_KEYS ("kid:claveBase64,kid2:claveBase64").
+ * Cada clave debe tener 32 bytes. Una configuración inválida detiene el arranque.
+ * @returns {Map<String, Buffer>}
+ */
+const cargarClaves = () => {
+  const claves = new Map();
+  const definicion = (process.env.PII_ENCRYPTION_KEYS || '').trim();
+  if (!definicion) return claves;
+
+  for (const entrada of definicion.split(',').map(valor => valor.trim()).filter(Boolean)) {
+    const separador = entrada.indexOf(':');
+    const kid = entrada.slice(0, separador);
+    const clave = Buffer.from(entrada.slice(separador + 1), 'base64');
+
+    if (separador <= 0 || !FORMATO_KID.test(kid) || clave.length !== 32) {
+      throw new Error(`PII_ENCRYPTION_KEYS inválida: cada entrada debe ser "kid:clave" con una clave base64 de 32 bytes (${kid || entrada.slice(0, 8)})`);
+    }
+    claves.set(kid, clave);
+  }
+
+  return claves;
+};
+
+const CLAVES = cargarClaves();
+const KID_ACTUAL = process.env.PII_ENCRYPTION_KEY_ID || [...CLAVES.keys()].pop();
+const CLAVE_INDICE = process.env.PII_BLIND_INDEX_KEY ? Buffer.from(process.env.PII_BLIND_INDEX_KEY, 'base64') : null;
+
+if (CLAVES.size > 0 && !CLAVES.has(KID_ACTUAL)) {
+  throw new Error(`PII_ENCRYPTION_KEY_ID (${KID_ACTUAL}) no corresponde a ninguna clave de PII_ENCRYPTION_KEYS`);
+}
+
+if (CLAVES.size > 0 && (!CLAVE_INDICE || CLAVE_INDICE.length < 32)) {
+  throw new Error('PII_BLIND_INDEX_KEY es obligatoria con el cifrado activo y debe tener al menos 32 bytes en base64');
+}
+
+if (CLAVES.size === 0) {
+  logger.warn('PII_ENCRYPTION_KEYS no está configurada: los datos personales de clientes se guardan sin cifrar');
+}
+
+/**
+ * Indica si el cifrado de datos personales está configurado
+ * @returns {Boolean}
+ */
+export const cifradoHabilitado = () => CLAVES.size > 0;
+
+/**
+ * Identificador de la clave con la que se cifran los valores nuevos
+ * @returns {String|undefined}
+ */
+export const obtenerKidActual = () => KID_ACTUAL;
+
+/**
+ * Indica si un valor ya está cifrado
+ * @param {*} valor - Valor guardado
+ * @returns {Boolean}
+ */
+export const estaCifrado = (valor) => typeof valor === 'string' && valor.startsWith(PREFIJO);
+
+/**
+ * Obtiene el kid con el que se cifró un valor
+ * @param {String} valor - Valor cifrado
+ * @returns {String|null}
+ */
+export const kidDeValor = (valor) => (estaCifrado(valor) ? valor.slice(PREFIJO.length).split(':')[0] : null);
+
+/**
+ * Cifra un texto con la clave actual (AES-256-GCM). El contexto (p. ej. la ruta del campo)
+ * se autentica junto al valor, de modo que un valor cifrado no puede copiarse a otro campo.
+ * @param {String} texto - Texto plano
+ * @param {String} contexto - Datos adicionales autenticados
+ * @returns {String} - Valor cifrado
+ */
+export const cifrar = (texto, contexto = '') => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITMO, CLAVES.get(KID_ACTUAL), iv);
+  cipher.setAAD(Buffer.from(contexto));
+
+  const cifrado = Buffer.concat([cipher.update(String(texto), 'utf8'), cipher.final()]);
+
+  return `${PREFIJO}${KID_ACTUAL}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${cifrado.toString('base64')}`;
+};
+
+/**
+ * Descifra un valor con la clave indicada en su kid
+ * @param {String} valor - Valor cifrado
+ * @param {String} contexto - Datos adicionales autenticados usados al cifrar
+ * @returns {String} - Texto plano
+ */
+export const descifrar = (valor, contexto = '') => {
+  const [kid, iv, tag, cifrado] = valor.slice(PREFIJO.length).split(':');
+  const clave = CLAVES.get(kid);
+
+  if (!clave) {
+    throw new Error(`No se encuentra la clave de cifrado "${kid}" en PII_ENCRYPTION_KEYS`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITMO, clave, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(contexto));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(cifrado, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Normalizaciones aplicadas antes de calcular un índice ciego
+const NORMALIZADORES = {
+  telefono: (valor) => String(valor).replace(/\D/g, ''),
+  documento: (valor) => String(valor).toUpperCase().replace(/[^A-Z0-9]/g, ''),
+  texto: (valor) => String(valor).trim().toLowerCase()
+};
+
+/**
+ * Calcula el índice ciego (HMAC-SHA256) de un valor para búsquedas exactas sobre campos cifrados
+ * @param {String} indice - Nombre del índice (separa los dominios de cada campo)
+ * @param {*} valor - Valor en texto plano
+ * @param {String} normalizar - telefono, documento o texto
+ * @returns {String|null} - Hash hexadecimal o null si el valor está vacío
+ */
+export const indiceCiego = (indice, valor, normalizar = 'texto') => {
+  if (valor === undefined || valor === null || !CLAVE_INDICE) return null;
+
+  const normalizado = (NORMALIZADORES[normalizar] || NORMALIZADORES.texto)(valor);
+  if (!normalizado) return null;
+
+  return crypto.createHmac('sha256', CLAVE_INDICE).update(`${indice}:${normalizado}`).digest('hex');
+};
@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import ClaveFirma from '../models/ClaveFirma.js';
+import logger from '../config/logger.js';
+import { estaCifrado } from './cifradoService.js';
+
+// Minutos durante los que una clave reemplazada sigue validando los tokens que firmó
+const JWT_KEY_GRACE_MINUTES = parseInt(process.env.JWT_KEY_GRACE_MINUTES) || 60;
+// Días de vigencia de la clave activa antes de la rotación automática (0 = solo rotación manual)
+const JWT_KEY_ROTATION_DAYS = parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 0;
+// Segundos mínimos entre recargas provocadas por tokens con un kid desconocido
+const RECARGA_MINIMA_SEGUNDOS = 10;
+
+// Claves en memoria: firmarJWT es síncrono y no puede consultar la base de datos
+let llavero = {
+  actual: null,
+  claves: new Map(),
+  cargadoEn: 0
+};
+
+// Entrada del llavero a partir de un documento ClaveFirma (con +secreto +clavePrivada)
+const aEntrada = (clave) => {
+  const simetrica = clave.algoritmo.startsWith('HS');
+  const material = simetrica ? clave.secreto : clave.clavePrivada;
+
+  if (!material || estaCifrado(material)) {
+    throw new Error('material de la clave no disponible o no se pudo descifrar');
+  }
+
+  return {
+    kid: clave.kid,
+    algoritmo: clave.algoritmo,
+    firma: simetrica ? Buffer.from(material, 'base64') : material,
+    verificacion: simetrica ? Buffer.from(material, 'base64') : clave.clavePublica,
+    activadaEn: clave.activadaEn,
+    verificarHasta: clave.verificarHasta || null
+  };
+};
+
+const vigente = (entrada) => !entrada.verificarHasta || entrada.verificarHasta > Date.now();
+
+/**
+ * Carga en memoria las claves activas y en verificación.
+ * Se ejecuta al conectar con MongoDB, periódicamente (para ver las rotaciones de otras
+ * instancias) y después de cada rotación o retiro.
+ * @returns {Promise<Object>} - Llavero cargado
+ */
+export const cargarLlavero = async () => {
+  const claves = await ClaveFirma.find({ estado: { $in: ['activa', 'verificacion'] } })
+    .select('+secreto +clavePrivada')
+    .sort({ activadaEn: -1 });
+
+  const mapa = new Map();
+  let actual = null;
+
+  for (const clave of claves) {
+    try {
+      const entrada = aEntrada(clave);
+      if (!vigente(entrada)) continue;
+
+      mapa.set(clave.kid, entrada);
+      if (clave.estado === 'activa' && !actual) actual = entrada;
+    } catch (error) {
+      logger.error(`No se pudo cargar la clave de firma ${clave.kid}: ${error.message}`);
+    }
+  }
+
+  llavero = { actual, claves: mapa, cargadoEn: Date.now() };
+  return llavero;
+};
+
+/**
+ * Clave con la que se firman los tokens nuevos
+ * @returns {Object|null} - { kid, algoritmo, firma } o null si todavía no hay claves (se usa JWT_SECRET)
+ */
+export const obtenerClaveFirma = () => llavero.actual;
+
+/**
+ * Busca la clave que valida un token según su kid. Si no está en memoria recarga el
+ * llavero (otra instancia pudo haber rotado), como máximo una vez cada pocos segundos.
+ * @param {String} kid - Header kid del token
+ * @returns {Promise<Object|null>} - Entrada del llavero o null si no existe, venció o fue retirada
+ */
+export const obtenerClaveVerificacion = async (kid) => {
+  if (!llavero.claves.has(kid) && Date.now() - llavero.cargadoEn > RECARGA_MINIMA_SEGUNDOS * 1000) {
+    await cargarLlavero();
+  }
+
+  const entrada = llavero.claves.get(kid);
+  return entrada && vigente(entrada) ? entrada : null;
+};
+
+/**
+ * Indica si se aceptan los tokens sin kid firmados con JWT_SECRET (anteriores al llavero)
+ * @returns {Boolean}
+ */
+export const aceptaSecretoLegado = () => process.env.JWT_ACCEPT_LEGACY !== 'false' && !!process.env.JWT_SECRET;
+
+// Genera el material de una clave nueva según el algoritmo
+const generarMaterial = (algoritmo) => {
+  const formatos = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+
+  switch (algoritmo) {
+    case 'RS256': {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...formatos });
+      return { clavePublica: publicKey, clavePrivada: privateKey };
+    }
+    case 'ES256': {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1', ...formatos });
+      return { clavePublica: publicKey, clavePrivada: privateKey };
+    }
+    default:
+      return { secreto: crypto.randomBytes(64).toString('base64') };
+  }
+};
+
+// Otra rotación reemplazó la clave activa mientras se rotaba
+const errorRotacionSimultanea = () => Object.assign(
+  new Error('Otra rotación de la clave de firma se completó al mismo tiempo; revise el llavero antes de volver a rotar'),
+  { status: 409 }
+);
+
+// kid legible y único: fecha de creación más un sufijo aleatorio
+const generarKid = () => `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Rota la clave de firma: crea una clave activa nueva y deja las anteriores en verificación
+ * durante el período de gracia, para que los tokens ya emitidos sigan siendo válidos.
+ * @param {Object} opciones
+ * @param {String} opciones.algoritmo - HS512, RS256 o ES256 (ver ALGORITMOS_FIRMA)
+ * @param {Number} opciones.graciaMinutos - Minutos que las claves anteriores siguen validando
+ * @param {String} opciones.usuarioId - Usuario que rota (vacío si es automático)
+ * @param {String} opciones.motivo - Motivo de la rotación
+ * @returns {Promise<Object>} - { clave, anteriores }
+ * @throws {Error} - Con status 409 si otra rotación simultánea reemplazó la clave activa
+ */
+export const rotarClave = async ({ algoritmo = 'HS512', graciaMinutos = JWT_KEY_GRACE_MINUTES, usuarioId = null, motivo } = {}) => {
+  // El material se genera antes de reemplazar la clave activa (los pares RSA tardan)
+  const material = generarMaterial(algoritmo);
+  const ahora = Date.now();
+  const anterior = await ClaveFirma.findOne({ estado: 'activa' });
+
+  // Solo continúa la rotación que logra pasar a verificación la clave activa que leyó;
+  // el índice único parcial sobre las claves activas resuelve las rotaciones simultáneas sin clave previa
+  if (anterior) {
+    const resultado = await ClaveFirma.updateOne(
+      { _id: anterior._id, estado: 'activa' },
+      {
+        $set: {
+          estado: 'verificacion',
+          reemplazadaEn: ahora,
+          verificarHasta: ahora + graciaMinutos * 60 * 1000
+        }
+      }
+    );
+    if (resultado.modifiedCount === 0) {
+      throw errorRotacionSimultanea();
+    }
+  }
+
+  let clave;
+  try {
+    clave = await ClaveFirma.create({
+      kid: generarKid(),
+      algoritmo,
+      ...material,
+      estado: 'activa',
+      activadaEn: ahora,
+      creadaPor: usuarioId,
+      motivo
+    });
+  } catch (error) {
+    // Si no se pudo crear la clave nueva, la anterior vuelve a firmar (salvo que otra rotación ya haya activado una)
+    if (anterior) {
+      await ClaveFirma.updateOne(
+        { _id: anterior._id, estado: 'verificacion' },
+        { $set: { estado: 'activa' }, $unset: { reemplazadaEn: '', verificarHasta: '' } }
+      ).catch(() => {});
+    }
+    throw error.code === 11000 ? errorRotacionSimultanea() : error;
+  }
+
+  const anteriores = anterior ? [anterior.kid] : [];
+
+  await cargarLlavero();
+  logger.info(`Clave de firma JWT rotada: ${clave.kid} (${algoritmo}). Claves anteriores en verificación por ${graciaMinutos} minutos: ${anteriores.join(', ') || 'ninguna'}`);
+
+  return { clave, anteriores };
+};
+
+/**
+ * Retira una clave: los tokens firmados con ella dejan de ser válidos de inmediato
+ * @param {String} kid - Clave a retirar
+ * @param {String} usuarioId - Usuario que la retira
+ * @returns {Promise<Object>} - { success, status, message } o { success, clave }
+ */
+export const retirarClave = async (kid, usuarioId = null) => {
+  const clave = await ClaveFirma.findOne({ kid });
+
+  if (!clave) {
+    return { success: false, status: 404, message: 'Clave de firma no encontrada' };
+  }
+
+  if (clave.estado === 'activa') {
+    return { success: false, status: 400, message: 'No se puede retirar la clave activa: rote primero para reemplazarla' };
+  }
+
+  if (clave.estado === 'retirada') {
+    return { success: false, status: 400, message: 'La clave ya está retirada' };
+  }
+
+  clave.estado = 'retirada';
+  clave.retiradaEn = Date.now();
+  clave.retiradaPor = usuarioId;
+  await clave.save();
+
+  await cargarLlavero();
+  logger.info(`Clave de firma JWT retirada: ${kid}`);
+
+  return { success: true, clave };
+};
+
+/**
+ * Marca como retiradas las claves cuyo período de verificación terminó
+ * @returns {Promise<Number>} - Cantidad de claves retiradas
+ */
+export const retirarClavesVencidas = async () => {
+  const resultado = await ClaveFirma.updateMany(
+    { estado: 'verificacion', verificarHasta: { $lte: Date.now() } },
+    { $set: { estado: 'retirada', retiradaEn: Date.now() } }
+  );
+
+  if (resultado.modifiedCount > 0) {
+    await cargarLlavero();
+  }
+
+  return resultado.modifiedCount;
+};
+
+/**
+ * Tarea programada: retira las claves vencidas y, si JWT_KEY_ROTATION_DAYS está configurado,
+ * rota la clave activa cuando supera esa antigüedad (o crea la primera si no hay ninguna)
+ * @returns {Promise<Object>} - { retiradas, rotada }
+ */
+export const ejecutarRotacionProgramada = async () => {
+  const retiradas = await retirarClavesVencidas();
+  let rotada = null;
+
+  if (JWT_KEY_ROTATION_DAYS > 0) {
+    const activa = await ClaveFirma.findOne({ estado: 'activa' }).sort({ activadaEn: -1 });
+    const limite = Date.now() - JWT_KEY_ROTATION_DAYS * 24 * 60 * 60 * 1000;
+
+    if (!activa || activa.activadaEn.getTime() <= limite) {
+      const { clave } = await rotarClave({
+        algoritmo: activa?.algoritmo || 'HS512',
+        motivo: 'Rotación programada'
+      });
+      rotada = clave.kid;
+    }
+  }
+
+  return { retiradas, rotada };
+};
+
+/**
+ * Claves públicas de las claves asimétricas vigentes en formato JWKS
+ * @returns {Object} - { keys: [...] }
+ */
+export const obtenerJWKS = () => ({
+  keys: [...llavero.claves.values()]
+    .filter(entrada => !entrada.algoritmo.startsWith('HS') && vigente(entrada))
+    .map(entrada => ({
+      ...crypto.createPublicKey(entrada.verificacion).export({ format: 'jwk' }),
+      kid: entrada.kid,
+      alg: entrada.algoritmo,
+      use: 'sig'
+    }))
+});
+
+/**
+ * Datos públicos de una clave (sin material secreto)
+ * @param {Object} clave - Documento ClaveFirma
+ * @returns {Object}
+ */
+export const formatearClave = (clave) => ({
+  kid: clave.kid,
+  algoritmo: clave.algoritmo,
+  estado: clave.estado,
+  activadaEn: clave.activadaEn,
+  reemplazadaEn: clave.reemplazadaEn,
+  verificarHasta: clave.verificarHasta,
+  retiradaEn: clave.retiradaEn,
+  creadaPor: clave.creadaPor,
+  retiradaPor: clave.retiradaPor,
+  motivo: clave.motivo
+});
@@ -0,0 +1,312 @@
+import Cliente from '../models/Cliente.js';
+import Evento from '../models/Evento.js';
+import Recordatorio from '../models/Recordatorio.js';
+import Nota from '../models/Nota.js';
+import Oportunidad from '../models/Oportunidad.js';
+import Contact from '../models/whatsapp/Contact.js';
+import { variantesTelefono } from './privacidadService.js';
+
+export const CRITERIOS_DUPLICADOS = ['telefono', 'email', 'documento', 'nombre'];
+
+// Similitud mínima entre nombres completos para considerarlos el mismo cliente
+const UMBRAL_NOMBRE_DEFECTO = 0.85;
+
+// Campos que el cliente que se conserva toma del duplicado cuando no los tiene
+const CAMPOS_COMPLETABLES = [
+  'direccion.calle',
+  'direccion.ciudad',
+  'direccion.provincia',
+  'direccion.codigoPostal',
+  'direccion.pais',
+  'fechaNacimiento',
+  'documentoIdentidad.tipo',
+  'documentoIdentidad.numero',
+  'asignadoA',
+  'preferencias.horarioPreferido'
+];
+
+const esVacio = (valor) => valor === undefined || valor === null || valor === '';
+
+const quitarAcentos = (texto) => String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Últimos 10 dígitos: el mismo número con y sin código de país coincide
+export const normalizarTelefono = (telefono) => {
+  const digitos = String(telefono || '').replace(/\D/g, '');
+  return digitos.length >= 6 ? digitos.slice(-10) : null;
+};
+
+// Minúsculas y sin etiqueta "+algo" en la parte local
+export const normalizarEmail = (email) => {
+  const [usuario, dominio] = String(email || '').trim().toLowerCase().split('@');
+  return usuario && dominio ? `${usuario.split('+')[0]}@${dominio}` : null;
+};
+
+export const normalizarDocumento = (numero) => {
+  const normalizado = String(numero || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalizado.length >= 4 ? normalizado : null;
+};
+
+// Palabras del nombre completo sin acentos y ordenadas ("Pérez Juan" = "Juan Perez")
+export const normalizarNombre = (nombre, apellido) => {
+  return quitarAcentos(`${nombre || ''} ${apellido || ''}`)
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+};
+
+const distanciaLevenshtein = (a, b) => {
+  let anterior = Array.from({ length: b.length + 1 }, (_, indice) => indice);
+
+  for (let i = 1; i <= a.length; i++) {
+    const actual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      actual[j] = Math.min(
+        anterior[j] + 1,
+        actual[j - 1] + 1,
+        anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    anterior = actual;
+  }
+
+  return anterior[b.length];
+};
+
+/**
+ * Similitud entre dos textos normalizados (1 = iguales)
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number} - Entre 0 y 1
+ */
+export const similitudTexto = (a, b) => {
+  if (!a || !b) return 0;
+  return 1 - distanciaLevenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// Agrupa los clientes que comparten la misma clave normalizada y devuelve los pares
+const paresPorClave = (clientes, obtenerClave) => {
+  const grupos = new Map();
+
+  for (const cliente of clientes) {
+    const clave = obtenerClave(cliente);
+    if (!clave) continue;
+    if (!grupos.has(clave)) grupos.set(clave, []);
+    grupos.get(clave).push(cliente);
+  }
+
+  const pares = [];
+  for (const grupo of grupos.values()) {
+    for (let i = 0; i < grupo.length; i++) {
+      for (let j = i + 1; j < grupo.length; j++) {
+        pares.push([grupo[i], grupo[j]]);
+      }
+    }
+  }
+  return pares;
+};
+
+// Pares con nombres parecidos. Solo se comparan los clientes que comparten el comienzo de
+// alguna palabra del nombre, para no comparar todos contra todos.
+const paresPorNombre = (clientes, umbral) => {
+  const bloques = new Map();
+
+  for (const cliente of clientes) {
+    for (const palabra of new Set(cliente.nombreNormalizado.split(' '))) {
+      if (palabra.length < 3) continue;
+      const bloque = palabra.slice(0, 3);
+      if (!bloques.has(bloque)) bloques.set(bloque, []);
+      bloques.get(bloque).push(cliente);
+    }
+  }
+
+  const comparados = new Set();
+  const pares = [];
+
+  for (const bloque of bloques.values()) {
+    for (let i = 0; i < bloque.length; i++) {
+      for (let j = i + 1; j < bloque.length; j++) {
+        const clave = [bloque[i].id, bloque[j].id].sort().join(':');
+        if (comparados.has(clave)) continue;
+        comparados.add(clave);
+
+        const similitud = similitudTexto(bloque[i].nombreNormalizado, bloque[j].nombreNormalizado);
+        if (similitud >= umbral) pares.push([bloque[i], bloque[j], similitud]);
+      }
+    }
+  }
+  return pares;
+};
+
+// Datos del cliente que se muestran en un grupo de duplicados
+const resumirCliente = (cliente) => ({
+  id: cliente._id,
+  nombre: cliente.nombre,
+  apellido: cliente.apellido,
+  email: cliente.email,
+  telefono: cliente.telefono,
+  documentoIdentidad: cliente.documentoIdentidad?.numero || null,
+  categoria: cliente.categoria,
+  activo: cliente.activo,
+  createdAt: cliente.createdAt
+});
+
+/**
+ * Busca posibles clientes duplicados dentro de un local.
+ * Compara teléfono (últimos 10 dígitos), email (sin etiqueta +), documento (sin símbolos)
+ * y nombre completo aproximado. Los clientes anonimizados o ya fusionados se ignoran.
+ * @param {Object} opciones
+ * @param {String} opciones.local - Local en el que se buscan duplicados
+ * @param {Array<String>} opciones.criterios - Subconjunto de CRITERIOS_DUPLICADOS
+ * @param {Number} opciones.umbralNombre - Similitud mínima de nombres (0 a 1)
+ * @returns {Promise<Array<Object>>} - Grupos { clientes, motivos, coincidencias }, los más grandes primero
+ */
+export const buscarDuplicados = async ({ local, criterios = CRITERIOS_DUPLICADOS, umbralNombre = UMBRAL_NOMBRE_DEFECTO }) => {
+  const documentos = await Cliente.find({ local, anonimizado: { $ne: true }, fusionadoCon: null })
+    .select('nombre apellido email telefono documentoIdentidad categoria activo createdAt')
+    .lean();
+
+  const clientes = documentos.map(cliente => ({
+    ...cliente,
+    id: cliente._id.toString(),
+    nombreNormalizado: normalizarNombre(cliente.nombre, cliente.apellido)
+  }));
+
+  const pares = [];
+  if (criterios.includes('telefono')) {
+    pares.push(...paresPorClave(clientes, cliente => normalizarTelefono(cliente.telefono)).map(par => [...par, 'telefono']));
+  }
+  if (criterios.includes('email')) {
+    pares.push(...paresPorClave(clientes, cliente => normalizarEmail(cliente.email)).map(par => [...par, 'email']));
+  }
+  if (criterios.includes('documento')) {
+    pares.push(...paresPorClave(clientes, cliente => normalizarDocumento(cliente.documentoIdentidad?.numero)).map(par => [...par, 'documento']));
+  }
+  if (criterios.includes('nombre')) {
+    pares.push(...paresPorNombre(clientes, umbralNombre).map(([a, b, similitud]) => [a, b, 'nombre', similitud]));
+  }
+
+  // Unir los pares en grupos (un cliente duplicado por teléfono con otro y por email con un tercero
+  // forma un único grupo de tres)
+  const padres = new Map();
+  const raiz = (id) => {
+    while (padres.has(id) && padres.get(id) !== id) id = padres.get(id);
+    return id;
+  };
+
+  const coincidencias = new Map();
+  for (const [a, b, motivo, similitud] of pares) {
+    padres.set(raiz(a.id), raiz(b.id));
+
+    const clave = [a.id, b.id].sort().join(':');
+    if (!coincidencias.has(clave)) {
+      coincidencias.set(clave, { clientes: [a._id, b._id], motivos: [] });
+    }
+    const coincidencia = coincidencias.get(clave);
+    coincidencia.motivos.push(motivo);
+    if (similitud !== undefined) coincidencia.similitudNombre = Math.round(similitud * 100) / 100;
+  }
+
+  const porId = new Map(clientes.map(cliente => [cliente.id, cliente]));
+  const grupos = new Map();
+
+  for (const [clave, coincidencia] of coincidencias) {
+    const grupoId = raiz(clave.split(':')[0]);
+    if (!grupos.has(grupoId)) grupos.set(grupoId, { ids: new Set(), coincidencias: [] });
+
+    const grupo = grupos.get(grupoId);
+    clave.split(':').forEach(id => grupo.ids.add(id));
+    grupo.coincidencias.push(coincidencia);
+  }
+
+  return [...grupos.values()]
+    .map(grupo => ({
+      clientes: [...grupo.ids].map(id => resumirCliente(porId.get(id))),
+      motivos: [...new Set(grupo.coincidencias.flatMap(coincidencia => coincidencia.motivos))],
+      coincidencias: grupo.coincidencias
+    }))
+    .sort((a, b) => b.clientes.length - a.clientes.length);
+};
+
+/**
+ * Fusiona clientes duplicados en el cliente que se conserva:
+ * - Completa los datos y campos personalizados que le faltan y une etiquetas, notas e historial de interacciones
+ * - Reasigna eventos, recordatorios (como cliente o destinatario), notas, oportunidades y contactos de WhatsApp
+ * - Los duplicados quedan inactivos con fusionadoCon apuntando al cliente conservado
+ * @param {Object} destino - Documento Cliente que se conserva
+ * @param {Array<Object>} duplicados - Documentos Cliente que se fusionan en el destino
+ * @param {String} usuarioId - Usuario que realiza la fusión
+ * @returns {Promise<Object>} - Cantidad de documentos reasignados por colección
+ */
+export const fusionarClientes = async (destino, duplicados, usuarioId) => {
+  const ids = duplicados.map(duplicado => duplicado._id);
+
+  for (const duplicado of duplicados) {
+    for (const ruta of CAMPOS_COMPLETABLES) {
+      if (esVacio(destino.get(ruta)) && !esVacio(duplicado.get(ruta))) {
+        destino.set(ruta, duplicado.get(ruta));
+      }
+    }
+    if (duplicado.camposPersonalizados) {
+      destino.camposPersonalizados = { ...duplicado.camposPersonalizados, ...destino.camposPersonalizados };
+    }
+
+    destino.etiquetas = [...new Set([...destino.etiquetas, ...duplicado.etiquetas])];
+    destino.notas.push(...duplicado.notas.map(nota => nota.toObject()));
+    destino.historialInteracciones.push(...duplicado.historialInteracciones.map(interaccion => interaccion.toObject()));
+
+    if (duplicado.ultimoContacto && (!destino.ultimoContacto || duplicado.ultimoContacto > destino.ultimoContacto)) {
+      destino.ultimoContacto = duplicado.ultimoContacto;
+    }
+  }
+
+  destino.notas.sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+  destino.historialInteracciones.sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+  await destino.save();
+
+  const telefonos = duplicados.flatMap(duplicado => variantesTelefono(duplicado.telefono));
+
+  const [eventos, recordatorios, destinatarios, notas, oportunidades, contactos] = await Promise.all([
+    Evento.updateMany({ cliente: { $in: ids } }, { $set: { cliente: destino._id } }),
+    Recordatorio.updateMany({ cliente: { $in: ids } }, { $set: { cliente: destino._id } }),
+    Recordatorio.updateMany(
+      { destinatarios: { $elemMatch: { tipo: 'CLIENTE', id: { $in: ids } } } },
+      { $set: { 'destinatarios.$[destinatario].id': destino._id } },
+      { arrayFilters: [{ 'destinatario.tipo': 'CLIENTE', 'destinatario.id': { $in: ids } }] }
+    ),
+    Nota.updateMany({ cliente: { $in: ids } }, { $set: { cliente: destino._id } }),
+    Oportunidad.updateMany({ cliente: { $in: ids } }, { $set: { cliente: destino._id } }),
+    // Contactos vinculados a un duplicado o con su teléfono en el mismo local y sin cliente asignado
+    Contact.updateMany(
+      {
+        $or: [
+          { cliente: { $in: ids } },
+          { phoneNumber: { $in: telefonos }, local: destino.local, cliente: null }
+        ]
+      },
+      { $set: { cliente: destino._id } }
+    )
+  ]);
+
+  for (const duplicado of duplicados) {
+    duplicado.set({
+      activo: false,
+      fusionadoCon: destino._id,
+      fusionadoEn: Date.now(),
+      fusionadoPor: usuarioId
+    });
+    await duplicado.save({ validateBeforeSave: false });
+  }
+
+  return {
+    clientesFusionados: duplicados.length,
+    eventos: eventos.modifiedCount,
+    recordatorios: recordatorios.modifiedCount,
+    destinatariosRecordatorios: destinatarios.modifiedCount,
+    notas: notas.modifiedCount,
+    oportunidades: oportunidades.modifiedCount,
+    contactosWhatsApp: contactos.modifiedCount
+  };
+};
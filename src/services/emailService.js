@@ -4,6 +4,11 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Escapar valores provenientes del cliente (p. ej. el user agent) antes de incluirlos en el HTML
+const escaparHTML = (texto) => String(texto).replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
 // Configurar transporte de correo
 let transporter;
 
@@ -93,4 +98,108 @@ export const sendAdminNotification = async (subject, message) => {
     logger.error(`Error al enviar notificación admin: ${error.message}`);
     return false;
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Envía el email con el enlace para restablecer la contraseña
+ * @param {Object} user - Usuario que solicitó el reseteo
+ * @param {String} resetURL - Enlace de reseteo con el token en texto plano
+ * @returns {Promise<Boolean>} - True si se envió correctamente
+ */
+export const sendPasswordResetEmail = async (user, resetURL) => {
+  return await sendEmail({
+    to: user.email,
+    subject: '[Evolution] Restablecer contraseña',
+    html: `
+      <p>Hola ${user.nombre},</p>
+      <p>Recibimos una solicitud para restablecer la contraseña de su cuenta.</p>
+      <p><a href="${resetURL}">Restablecer contraseña</a></p>
+      <p>El enlace es válido por 10 minutos. Si no solicitó el cambio, puede ignorar este mensaje.</p>
+    `
+  });
+};
+
+/**
+ * Envía el enlace de inicio de sesión sin contraseña
+ * @param {Object} user - Usuario que solicitó el enlace
+ * @param {String} magicLinkURL - Enlace con el token en texto plano
+ * @param {Number} minutosVigencia - Minutos de validez del enlace
+ * @returns {Promise<Boolean>} - True si se envió correctamente
+ */
+export const sendMagicLinkEmail = async (user, magicLinkURL, minutosVigencia) => {
+  return await sendEmail({
+    to: user.email,
+    subject: '[Evolution] Su enlace para iniciar sesión',
+    html: `
+      <p>Hola ${user.nombre},</p>
+      <p>Use el siguiente enlace para iniciar sesión sin contraseña:</p>
+      <p><a href="${magicLinkURL}">Iniciar sesión</a></p>
+      <p>El enlace puede usarse una sola vez y es válido por ${minutosVigencia} minutos. Si no lo solicitó, puede ignorar este mensaje.</p>
+    `
+  });
+};
+
+/**
+ * Avisa al usuario de un inicio de sesión desde un dispositivo o IP nuevos
+ * @param {Object} user - Usuario que inició sesión
+ * @param {Object} evento - EventoSeguridad registrado (ip, dispositivo, ubicacion, fecha)
+ * @param {String} noFuiYoURL - Enlace para informar que el acceso no fue propio
+ * @returns {Promise<Boolean>} - True si se envió correctamente
+ */
+export const sendNewLoginEmail = async (user, evento, noFuiYoURL) => {
+  return await sendEmail({
+    to: user.email,
+    subject: '[Evolution] Nuevo inicio de sesión en su cuenta',
+    html: `
+      <p>Hola ${user.nombre},</p>
+      <p>Detectamos un inicio de sesión en su cuenta desde un dispositivo o ubicación que no habíamos visto antes:</p>
+      <ul>
+        <li><strong>Fecha:</strong> ${new Date(evento.fecha).toLocaleString('es-ES')}</li>
+        <li><strong>IP:</strong> ${escaparHTML(evento.ip || 'desconocida')}</li>
+        <li><strong>Dispositivo:</strong> ${escaparHTML(evento.dispositivo || 'desconocido')}</li>
+        <li><strong>Idioma:</strong> ${escaparHTML(evento.ubicacion || 'desconocido')}</li>
+      </ul>
+      <p>Si fue usted, no necesita hacer nada.</p>
+      <p>Si no reconoce este acceso, <a href="${noFuiYoURL}">informe que no fue usted</a>: cerraremos todas las sesiones abiertas y le enviaremos un enlace para cambiar su contraseña.</p>
+    `
+  });
+};
+
+/**
+ * Envía el código de verificación de la cuenta
+ * @param {Object} user - Usuario registrado
+ * @param {String} codigo - Código de verificación en texto plano
+ * @returns {Promise<Boolean>} - True si se envió correctamente
+ */
+export const sendVerificationEmail = async (user, codigo) => {
+  return await sendEmail({
+    to: user.email,
+    subject: '[Evolution] Verifique su email',
+    html: `
+      <p>Hola ${user.nombre},</p>
+      <p>Gracias por registrarse. Su código de verificación es:</p>
+      <p style="font-size: 24px; font-weight: bold; letter-spacing: 4px;">${codigo}</p>
+      <p>El código es válido por 24 horas. Si no creó una cuenta, puede ignorar este mensaje.</p>
+    `
+  });
+};
+
+/**
+ * Envía la invitación para unirse a un local/marca
+ * @param {Object} invitacion - Invitación registrada
+ * @param {Object} local - Local/marca al que se invita
+ * @param {String} invitacionURL - Enlace de aceptación con el token en texto plano
+ * @returns {Promise<Boolean>} - True si se envió correctamente
+ */
+export const sendInvitationEmail = async (invitacion, local, invitacionURL) => {
+  return await sendEmail({
+    to: invitacion.email,
+    subject: `[Evolution] Invitación para unirse a ${local.nombre}`,
+    html: `
+      <p>Hola${invitacion.nombre ? ` ${invitacion.nombre}` : ''},</p>
+      <p>Fue invitado a unirse a <strong>${local.nombre}</strong> en Evolution.</p>
+      <p><a href="${invitacionURL}">Aceptar invitación y crear contraseña</a></p>
+      <p>El enlace es válido hasta el ${new Date(invitacion.expiraEn).toLocaleDateString('es-ES')}. Si no esperaba esta invitación, puede ignorar este mensaje.</p>
+    `
+  });
+};
@@ -0,0 +1,274 @@
+import ExcelJS from 'exceljs';
+import { once } from 'events';
+
+export const FORMATOS_EXPORTACION = ['csv', 'xlsx', 'vcf'];
+
+// Columnas exportables (rutas del modelo). Los encabezados usan la misma ruta para poder reimportar el archivo
+export const COLUMNAS_EXPORTABLES = [
+  'nombre',
+  'apellido',
+  'email',
+  'telefono',
+  'documentoIdentidad.tipo',
+  'documentoIdentidad.numero',
+  'fechaNacimiento',
+  'direccion.calle',
+  'direccion.ciudad',
+  'direccion.provincia',
+  'direccion.codigoPostal',
+  'direccion.pais',
+  'categoria',
+  'etiquetas',
+  'preferencias.medioContactoPreferido',
+  'preferencias.horarioPreferido',
+  'preferencias.recibirNotificaciones',
+  'asignadoA',
+  'activo',
+  'ultimoContacto',
+  'fechaCreacion'
+];
+
+// Grupos que se pueden pedir por su nombre (p. ej. columnas=direccion)
+const GRUPOS_COLUMNAS = ['direccion', 'preferencias', 'documentoIdentidad'];
+
+// Los campos personalizados del local se exportan como camposPersonalizados.<clave>
+const PREFIJO_PERSONALIZADOS = 'camposPersonalizados';
+const PATRON_COLUMNA_PERSONALIZADA = /^camposPersonalizados(\.[a-zA-Z][a-zA-Z0-9_]*)?$/;
+
+export const COLUMNAS_POR_DEFECTO = [
+  'nombre',
+  'apellido',
+  'email',
+  'telefono',
+  'categoria',
+  'etiquetas',
+  'direccion.ciudad',
+  'fechaCreacion'
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  vcf: 'text/vcard; charset=utf-8'
+};
+
+/**
+ * Convierte la lista de columnas pedida (separada por comas) en rutas exportables.
+ * Sin lista se exportan las columnas por defecto y todos los campos personalizados activos
+ * @param {String} columnas - Rutas o grupos (direccion, preferencias, documentoIdentidad, camposPersonalizados)
+ * @param {Array<String>} clavesPersonalizadas - Claves de los campos personalizados activos del local
+ * @returns {Array<String>} - Rutas en el orden indicado, sin repetir
+ */
+export const resolverColumnas = (columnas, clavesPersonalizadas = []) => {
+  const personalizadas = clavesPersonalizadas.map(clave => `${PREFIJO_PERSONALIZADOS}.${clave}`);
+  if (!columnas) return [...COLUMNAS_POR_DEFECTO, ...personalizadas];
+
+  const exportables = [...COLUMNAS_EXPORTABLES, ...personalizadas];
+  const rutas = columnas
+    .split(',')
+    .map(columna => columna.trim())
+    .flatMap(columna => GRUPOS_COLUMNAS.includes(columna) || columna === PREFIJO_PERSONALIZADOS
+      ? exportables.filter(ruta => ruta.startsWith(`${columna}.`))
+      : [columna])
+    .filter(ruta => exportables.includes(ruta));
+
+  return [...new Set(rutas)];
+};
+
+// Columna válida o grupo de columnas (los campos personalizados se comprueban contra el local al exportar)
+export const esColumnaExportable = (columna) => COLUMNAS_EXPORTABLES.includes(columna) ||
+  GRUPOS_COLUMNAS.includes(columna) ||
+  PATRON_COLUMNA_PERSONALIZADA.test(columna);
+
+const fechaISO = (fecha) => fecha.toISOString().slice(0, 10);
+
+// Valor de una columna con el tipo que corresponde en XLSX (fechas, booleanos y números se conservan)
+const valorColumna = (cliente, ruta) => {
+  const valor = cliente.get(ruta);
+
+  if (valor === undefined || valor === null) return '';
+  if (Array.isArray(valor)) return valor.join(', ');
+  if (ruta === 'asignadoA') return valor.nombre || String(valor._id || valor);
+  return valor;
+};
+
+// Valor como texto para CSV (las fechas de nacimiento van sin hora)
+const textoColumna = (cliente, ruta) => {
+  const valor = valorColumna(cliente, ruta);
+
+  if (valor instanceof Date) {
+    return ruta === 'fechaNacimiento' ? fechaISO(valor) : valor.toISOString();
+  }
+  return String(valor);
+};
+
+// Las celdas que empiezan con = + - @, tabulación o retorno se anteponen con ' para que
+// las planillas no las interpreten como fórmulas (inyección de fórmulas en CSV)
+const escaparCSV = (texto) => {
+  if (/^[=+\-@\t\r]/.test(texto)) {
+    return `"'${texto.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+// Error con el que se deja de leer el cursor cuando el cliente cierra la conexión
+const conexionCerrada = () => Object.assign(new Error('El cliente cerró la conexión durante la exportación'), { code: 'CONEXION_CERRADA' });
+
+// Escribir respetando la contrapresión de la respuesta; si la conexión se cierra
+// mientras se espera 'drain' se corta la exportación en lugar de esperar indefinidamente
+const escribir = async (salida, texto) => {
+  if (salida.destroyed) throw conexionCerrada();
+  if (salida.write(texto)) return;
+
+  const espera = new AbortController();
+  try {
+    const evento = await Promise.race([
+      once(salida, 'drain', { signal: espera.signal }).then(() => 'drain'),
+      once(salida, 'close', { signal: espera.signal }).then(() => 'close')
+    ]);
+    if (evento === 'close') throw conexionCerrada();
+  } finally {
+    espera.abort();
+  }
+};
+
+const exportarCSV = async (cursor, columnas, salida) => {
+  // BOM para que Excel abra el archivo como UTF-8
+  await escribir(salida, `\uFEFF${columnas.map(escaparCSV).join(',')}\r\n`);
+
+  let total = 0;
+  for await (const cliente of cursor) {
+    await escribir(salida, `${columnas.map(ruta => escaparCSV(textoColumna(cliente, ruta))).join(',')}\r\n`);
+    total++;
+  }
+  salida.end();
+  return total;
+};
+
+const exportarXLSX = async (cursor, columnas, salida) => {
+  const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: salida, useStyles: true });
+  const hoja = libro.addWorksheet('Clientes');
+
+  hoja.columns = columnas.map(ruta => ({
+    header: ruta,
+    key: ruta,
+    width: Math.max(ruta.length + 2, 14),
+    style: ruta === 'fechaNacimiento' ? { numFmt: 'yyyy-mm-dd' } : {}
+  }));
+
+  let total = 0;
+  for await (const cliente of cursor) {
+    // ExcelJS escribe sin esperar a la respuesta: se corta si el cliente se desconectó
+    if (salida.destroyed) throw conexionCerrada();
+    hoja.addRow(columnas.map(ruta => valorColumna(cliente, ruta))).commit();
+    total++;
+  }
+
+  hoja.commit();
+  await libro.commit();
+  return total;
+};
+
+// Texto de una propiedad vCard (RFC 6350, sección 3.4)
+const escaparVCard = (texto) => String(texto ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/,/g, '\\,')
+  .replace(/;/g, '\\;');
+
+// Las líneas de más de 75 octetos continúan en la siguiente con un espacio inicial (sin cortar caracteres UTF-8)
+const plegarLinea = (linea) => {
+  const partes = [''];
+  let octetos = 0;
+
+  for (const caracter of linea) {
+    const tamano = Buffer.byteLength(caracter);
+    if (octetos + tamano > 75) {
+      partes.push(' ');
+      octetos = 1;
+    }
+    partes[partes.length - 1] += caracter;
+    octetos += tamano;
+  }
+  return partes.join('\r\n');
+};
+
+/**
+ * Tarjeta vCard 4.0 de un cliente. Nombre y apellido se incluyen siempre;
+ * el resto de las propiedades solo si su columna está seleccionada
+ * @param {Object} cliente - Documento Cliente
+ * @param {Set<String>} columnas - Rutas seleccionadas
+ * @returns {String}
+ */
+export const tarjetaVCard = (cliente, columnas) => {
+  const incluye = (ruta) => columnas.has(ruta) && cliente.get(ruta) !== undefined && cliente.get(ruta) !== null && cliente.get(ruta) !== '';
+  const direccion = ['calle', 'ciudad', 'provincia', 'codigoPostal', 'pais']
+    .map(campo => incluye(`direccion.${campo}`) ? escaparVCard(cliente.get(`direccion.${campo}`)) : '');
+
+  const lineas = [
+    'BEGIN:VCARD',
+    'VERSION:4.0',
+    `UID;VALUE=text:${cliente._id}`,
+    `FN:${escaparVCard(`${cliente.nombre} ${cliente.apellido}`)}`,
+    `N:${escaparVCard(cliente.apellido)};${escaparVCard(cliente.nombre)};;;`
+  ];
+
+  if (incluye('email')) lineas.push(`EMAIL;TYPE=home:${escaparVCard(cliente.email)}`);
+  if (incluye('telefono')) {
+    const telefono = String(cliente.telefono).replace(/[^\d+]/g, '');
+    lineas.push(`TEL;VALUE=uri;TYPE=cell:tel:${telefono}`);
+  }
+  if (direccion.some(Boolean)) lineas.push(`ADR;TYPE=home:;;${direccion.join(';')}`);
+  const nacimiento = cliente.fechaNacimiento ? new Date(cliente.fechaNacimiento) : null;
+  if (incluye('fechaNacimiento') && nacimiento && !Number.isNaN(nacimiento.getTime())) {
+    lineas.push(`BDAY:${fechaISO(nacimiento).replace(/-/g, '')}`);
+  }
+  if (incluye('etiquetas') && cliente.etiquetas.length > 0) {
+    lineas.push(`CATEGORIES:${cliente.etiquetas.map(escaparVCard).join(',')}`);
+  }
+  if (incluye('categoria')) lineas.push(`NOTE:${escaparVCard(`Categoría: ${cliente.categoria}`)}`);
+  lineas.push(`REV:${new Date(cliente.updatedAt || Date.now()).toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+  lineas.push('END:VCARD');
+
+  return lineas.map(plegarLinea).join('\r\n') + '\r\n';
+};
+
+const exportarVCard = async (cursor, columnas, salida) => {
+  const seleccion = new Set(columnas);
+
+  let total = 0;
+  for await (const cliente of cursor) {
+    await escribir(salida, tarjetaVCard(cliente, seleccion));
+    total++;
+  }
+  salida.end();
+  return total;
+};
+
+const EXPORTADORES = {
+  csv: exportarCSV,
+  xlsx: exportarXLSX,
+  vcf: exportarVCard
+};
+
+/**
+ * Escribe los clientes del cursor en la respuesta a medida que se leen.
+ * Si el cliente se desconecta se deja de leer, se cierra el cursor y se lanza un error con code CONEXION_CERRADA
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} cursor - Cursor de Mongoose con los clientes
+ * @param {Object} opciones - { formato, columnas }
+ * @returns {Promise<Number>} - Cantidad de clientes exportados
+ */
+export const exportarClientes = async (res, cursor, { formato, columnas }) => {
+  const nombreArchivo = `clientes-${fechaISO(new Date())}.${formato}`;
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[formato]);
+  res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+
+  try {
+    return await EXPORTADORES[formato](cursor, columnas, res);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+};
@@ -0,0 +1,472 @@
+import path from 'path';
+import ExcelJS from 'exceljs';
+import Cliente from '../models/Cliente.js';
+import ImportacionClientes from '../models/ImportacionClientes.js';
+import logger from '../config/logger.js';
+import { validarCamposPersonalizados } from './camposPersonalizadosService.js';
+
+// Campos del cliente que se pueden importar (rutas del modelo)
+export const CAMPOS_IMPORTABLES = [
+  'nombre',
+  'apellido',
+  'email',
+  'telefono',
+  'documentoIdentidad.tipo',
+  'documentoIdentidad.numero',
+  'fechaNacimiento',
+  'direccion.calle',
+  'direccion.ciudad',
+  'direccion.provincia',
+  'direccion.codigoPostal',
+  'direccion.pais',
+  'categoria',
+  'etiquetas',
+  'preferencias.medioContactoPreferido',
+  'preferencias.horarioPreferido'
+];
+
+const CAMPOS_OBLIGATORIOS = ['nombre', 'apellido', 'email', 'telefono'];
+
+// Los campos personalizados se importan como camposPersonalizados.<clave> (igual que en la exportación)
+const PREFIJO_PERSONALIZADOS = 'camposPersonalizados.';
+
+// Encabezados que se reconocen automáticamente cuando no se indica un mapeo (ya normalizados)
+const SINONIMOS = {
+  nombre: ['nombre', 'nombres', 'firstname', 'name'],
+  apellido: ['apellido', 'apellidos', 'lastname', 'surname'],
+  email: ['email', 'correo', 'correoelectronico', 'mail'],
+  telefono: ['telefono', 'celular', 'movil', 'whatsapp', 'phone'],
+  'documentoIdentidad.tipo': ['tipodocumento', 'tipodoc'],
+  'documentoIdentidad.numero': ['documento', 'dni', 'nrodocumento', 'numerodocumento', 'pasaporte'],
+  fechaNacimiento: ['fechanacimiento', 'fechadenacimiento', 'nacimiento', 'cumpleanos', 'birthdate'],
+  'direccion.calle': ['direccion', 'calle', 'domicilio', 'address'],
+  'direccion.ciudad': ['ciudad', 'localidad', 'city'],
+  'direccion.provincia': ['provincia', 'estado', 'region'],
+  'direccion.codigoPostal': ['codigopostal', 'cp', 'zip'],
+  'direccion.pais': ['pais', 'country'],
+  categoria: ['categoria'],
+  etiquetas: ['etiquetas', 'tags'],
+  'preferencias.medioContactoPreferido': ['mediocontacto', 'mediocontactopreferido'],
+  'preferencias.horarioPreferido': ['horario', 'horariopreferido']
+};
+
+const VALORES_PERMITIDOS = {
+  categoria: ['POTENCIAL', 'NUEVO', 'RECURRENTE', 'VIP', 'INACTIVO'],
+  'documentoIdentidad.tipo': ['DNI', 'PASAPORTE', 'NIE', 'OTRO'],
+  'preferencias.medioContactoPreferido': ['EMAIL', 'TELEFONO', 'SMS', 'WHATSAPP']
+};
+
+// Hasta esta cantidad de filas la importación se procesa dentro de la petición
+export const IMPORTACION_SINCRONA_MAX_FILAS = 500;
+// Errores por fila que se guardan en el reporte (el resto solo se cuenta)
+const MAX_ERRORES_IMPORTACION = 1000;
+// Cada cuántas filas se guarda el progreso de una importación en segundo plano
+const FILAS_POR_AVANCE = 100;
+// Una importación sin avances durante este tiempo se considera interrumpida
+const MINUTOS_IMPORTACION_INTERRUMPIDA = 15;
+
+const normalizarEncabezado = (texto) => String(texto || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+// CSV con separador "," o ";" (el que más aparezca en el encabezado) y campos entre comillas
+const parsearCSV = (texto) => {
+  const contenido = texto.replace(/^\uFEFF/, '');
+  const encabezado = contenido.split(/\r?\n/, 1)[0];
+  const separador = (encabezado.match(/;/g) || []).length > (encabezado.match(/,/g) || []).length ? ';' : ',';
+
+  const filas = [];
+  let fila = [];
+  let campo = '';
+  let entreComillas = false;
+
+  for (let i = 0; i < contenido.length; i++) {
+    const caracter = contenido[i];
+
+    if (entreComillas) {
+      if (caracter === '"' && contenido[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (caracter === '"') {
+        entreComillas = false;
+      } else {
+        campo += caracter;
+      }
+    } else if (caracter === '"') {
+      entreComillas = true;
+    } else if (caracter === separador) {
+      fila.push(campo);
+      campo = '';
+    } else if (caracter === '\n' || caracter === '\r') {
+      if (caracter === '\r' && contenido[i + 1] === '\n') i++;
+      fila.push(campo);
+      filas.push(fila);
+      fila = [];
+      campo = '';
+    } else {
+      campo += caracter;
+    }
+  }
+
+  if (campo || fila.length > 0) {
+    fila.push(campo);
+    filas.push(fila);
+  }
+
+  return filas;
+};
+
+// Valor de una celda de Excel como texto, número o fecha
+const valorCelda = (valor) => {
+  if (valor === null || valor === undefined) return '';
+  if (valor instanceof Date || typeof valor !== 'object') return valor;
+  if (valor.richText) return valor.richText.map(parte => parte.text).join('');
+  if (valor.text !== undefined) return valor.text;
+  if (valor.result !== undefined) return valorCelda(valor.result);
+  return '';
+};
+
+const leerXLSX = async (buffer) => {
+  const libro = new ExcelJS.Workbook();
+  await libro.xlsx.load(buffer);
+
+  const hoja = libro.worksheets[0];
+  if (!hoja) return [];
+
+  const filas = [];
+  hoja.eachRow({ includeEmpty: true }, (fila, numero) => {
+    filas[numero - 1] = Array.from({ length: hoja.columnCount }, (_, indice) => valorCelda(fila.getCell(indice + 1).value));
+  });
+
+  return Array.from(filas, fila => fila || []);
+};
+
+/**
+ * Lee un archivo CSV o XLSX. La primera fila debe contener los encabezados.
+ * @param {Object} archivo - Archivo recibido por multer (originalname, buffer)
+ * @returns {Promise<Object>} - { formato, encabezados, filas: [{ numero, valores: { encabezado: valor } }] }
+ */
+export const leerArchivo = async (archivo) => {
+  const formato = path.extname(archivo.originalname).toLowerCase() === '.xlsx' ? 'xlsx' : 'csv';
+
+  let tabla;
+  if (formato === 'xlsx') {
+    tabla = await leerXLSX(archivo.buffer);
+  } else {
+    // Los CSV exportados por Excel en español suelen estar en Latin-1
+    const texto = archivo.buffer.toString('utf8');
+    tabla = parsearCSV(texto.includes('\uFFFD') ? archivo.buffer.toString('latin1') : texto);
+  }
+
+  const [encabezados = [], ...resto] = tabla;
+  const nombres = encabezados.map(encabezado => String(encabezado).trim());
+
+  const filas = resto
+    .map((valores, indice) => ({
+      numero: indice + 2,
+      valores: Object.fromEntries(nombres.map((nombre, columna) => [nombre, valores[columna] ?? '']))
+    }))
+    .filter(fila => Object.values(fila.valores).some(valor => String(valor).trim() !== ''));
+
+  return { formato, encabezados: nombres.filter(Boolean), filas };
+};
+
+/**
+ * Combina el mapeo indicado (campo -> encabezado) con el reconocimiento automático de encabezados
+ * @param {Array<String>} encabezados - Encabezados del archivo
+ * @param {Object} mapeoIndicado - Mapeo enviado en la petición
+ * @param {Array<Object>} definiciones - Campos personalizados activos del local (se reconocen por ruta o etiqueta)
+ * @returns {Object} - { mapeo, errores }
+ */
+export const resolverMapeo = (encabezados, mapeoIndicado = {}, definiciones = []) => {
+  const errores = [];
+  const mapeo = {};
+  const sinonimos = { ...SINONIMOS };
+  for (const definicion of definiciones) {
+    sinonimos[`${PREFIJO_PERSONALIZADOS}${definicion.clave}`] = [normalizarEncabezado(definicion.etiqueta)];
+  }
+  const importables = [...CAMPOS_IMPORTABLES, ...Object.keys(sinonimos).filter(campo => campo.startsWith(PREFIJO_PERSONALIZADOS))];
+
+  for (const [campo, encabezado] of Object.entries(mapeoIndicado)) {
+    if (!importables.includes(campo)) {
+      errores.push(`El campo "${campo}" no se puede importar`);
+    } else if (!encabezados.includes(encabezado)) {
+      errores.push(`La columna "${encabezado}" indicada para ${campo} no existe en el archivo`);
+    } else {
+      mapeo[campo] = encabezado;
+    }
+  }
+
+  const usados = new Set(Object.values(mapeo));
+  for (const campo of importables) {
+    if (mapeo[campo] || mapeoIndicado[campo]) continue;
+
+    // También se reconoce la ruta del campo (encabezados de la exportación de clientes)
+    const aceptados = [normalizarEncabezado(campo), ...sinonimos[campo]];
+    const encabezado = encabezados.find(nombre => !usados.has(nombre) && aceptados.includes(normalizarEncabezado(nombre)));
+    if (encabezado) {
+      mapeo[campo] = encabezado;
+      usados.add(encabezado);
+    }
+  }
+
+  const faltantes = CAMPOS_OBLIGATORIOS.filter(campo => !mapeo[campo]);
+  if (faltantes.length > 0 && errores.length === 0) {
+    errores.push(`Falta indicar la columna de: ${faltantes.join(', ')}`);
+  }
+
+  return { mapeo, errores };
+};
+
+// Fechas de Excel, ISO (aaaa-mm-dd) o con día primero (dd/mm/aaaa)
+const parsearFecha = (valor) => {
+  if (valor instanceof Date) return Number.isNaN(valor.getTime()) ? null : valor;
+
+  const texto = String(valor).trim();
+  const iso = texto.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const diaPrimero = texto.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  const [anio, mes, dia] = iso
+    ? [iso[1], iso[2], iso[3]]
+    : diaPrimero ? [diaPrimero[3], diaPrimero[2], diaPrimero[1]] : [];
+
+  if (!anio) return null;
+
+  const fecha = new Date(Date.UTC(Number(anio), Number(mes) - 1, Number(dia)));
+  return fecha.getUTCMonth() === Number(mes) - 1 && fecha.getUTCDate() === Number(dia) ? fecha : null;
+};
+
+/**
+ * Convierte y valida una fila según el mapeo
+ * @param {Object} fila - { numero, valores }
+ * @param {Object} mapeo - Campo -> encabezado
+ * @returns {Object} - { datos: { ruta: valor }, errores: [{ campo, mensaje }] }
+ *   Los campos personalizados quedan sin convertir en datos.camposPersonalizados ({ clave: valor })
+ *   si el mapeo incluye alguno; se validan al aplicar la fila
+ */
+export const validarFila = (fila, mapeo) => {
+  const datos = {};
+  const errores = [];
+
+  if (Object.keys(mapeo).some(campo => campo.startsWith(PREFIJO_PERSONALIZADOS))) {
+    datos.camposPersonalizados = {};
+  }
+
+  for (const [campo, encabezado] of Object.entries(mapeo)) {
+    const original = fila.valores[encabezado];
+    // Se quita el ' que la exportación antepone a los valores que parecen fórmulas (+54..., -, =...)
+    const valor = original instanceof Date ? original : String(original ?? '').trim().replace(/^'(?=[=+\-@\t\r])/, '');
+    if (valor === '') continue;
+
+    if (campo.startsWith(PREFIJO_PERSONALIZADOS)) {
+      datos.camposPersonalizados[campo.slice(PREFIJO_PERSONALIZADOS.length)] = valor;
+    } else if (campo === 'fechaNacimiento') {
+      const fecha = parsearFecha(valor);
+      if (!fecha || fecha > new Date()) {
+        errores.push({ campo, mensaje: `Fecha de nacimiento no válida: ${original}` });
+      } else {
+        datos[campo] = fecha;
+      }
+    } else if (campo === 'etiquetas') {
+      datos[campo] = valor.split(/[,;|]/).map(etiqueta => etiqueta.trim()).filter(Boolean);
+    } else if (VALORES_PERMITIDOS[campo]) {
+      const normalizado = valor.toUpperCase();
+      if (!VALORES_PERMITIDOS[campo].includes(normalizado)) {
+        errores.push({ campo, mensaje: `Valor no válido "${valor}" (${VALORES_PERMITIDOS[campo].join(', ')})` });
+      } else {
+        datos[campo] = normalizado;
+      }
+    } else {
+      datos[campo] = String(valor);
+    }
+  }
+
+  for (const campo of CAMPOS_OBLIGATORIOS) {
+    if (datos[campo] === undefined) errores.push({ campo, mensaje: 'Campo obligatorio vacío' });
+  }
+
+  if (datos.email !== undefined) {
+    datos.email = datos.email.toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(datos.email)) errores.push({ campo: 'email', mensaje: `Email no válido: ${datos.email}` });
+  }
+
+  if (datos.telefono !== undefined && datos.telefono.replace(/\D/g, '').length < 6) {
+    errores.push({ campo: 'telefono', mensaje: `Teléfono no válido: ${datos.telefono}` });
+  }
+
+  return { datos, errores };
+};
+
+// Cliente existente del local con el mismo email, teléfono o documento
+const buscarExistente = async (local, datos) => {
+  const base = { local, anonimizado: { $ne: true }, fusionadoCon: null };
+
+  const porEmail = await Cliente.findOne({ ...base, email: datos.email });
+  if (porEmail) return porEmail;
+
+  const porTelefono = await Cliente.findOne({ ...base, telefono: datos.telefono });
+  if (porTelefono) return porTelefono;
+
+  if (datos['documentoIdentidad.numero']) {
+    return Cliente.findOne({ ...base, 'documentoIdentidad.numero': datos['documentoIdentidad.numero'] });
+  }
+  return null;
+};
+
+const asignarDatos = (cliente, datos) => {
+  for (const [ruta, valor] of Object.entries(datos)) {
+    cliente.set(ruta, ruta === 'etiquetas' ? [...new Set([...(cliente.etiquetas || []), ...valor])] : valor);
+  }
+};
+
+// Error de una fila que no se pudo guardar
+const errorFila = (campo, mensaje) => Object.assign(new Error(mensaje), { campo });
+
+/**
+ * Aplica una fila válida según la estrategia de duplicados.
+ * Los campos personalizados se validan con las definiciones del local: siempre al crear y,
+ * al actualizar, solo si el archivo tiene columnas de campos personalizados
+ * @returns {Promise<String>} - creados, actualizados u omitidos
+ */
+const aplicarFila = async (importacion, { camposPersonalizados, ...datos }) => {
+  const existente = await buscarExistente(importacion.local, datos);
+
+  if (existente && importacion.estrategiaDuplicados === 'omitir') {
+    return 'omitidos';
+  }
+
+  if (existente && importacion.estrategiaDuplicados === 'actualizar') {
+    if (camposPersonalizados) {
+      existente.camposPersonalizados = await validarCamposPersonalizados('CLIENTE', importacion.local, camposPersonalizados, existente.camposPersonalizados);
+    }
+    asignarDatos(existente, datos);
+    await (importacion.simulacion ? existente.validate() : existente.save());
+    return 'actualizados';
+  }
+
+  // Estrategia "crear": se crea aunque coincida el teléfono o el documento, pero el email es único por local
+  if (existente && existente.email === datos.email) {
+    throw errorFila('email', 'Ya existe un cliente con este email en el local');
+  }
+
+  const cliente = new Cliente({
+    local: importacion.local,
+    asignadoA: importacion.usuario,
+    creadoPor: importacion.usuario,
+    camposPersonalizados: await validarCamposPersonalizados('CLIENTE', importacion.local, camposPersonalizados)
+  });
+  asignarDatos(cliente, datos);
+  await (importacion.simulacion ? cliente.validate() : cliente.save());
+  return 'creados';
+};
+
+// Convertir el error al guardar una fila en errores del reporte
+const erroresDeExcepcion = (error) => {
+  // Errores de validarCamposPersonalizados (uno por campo)
+  if (error.errores) {
+    return error.errores.map(({ campo, mensaje }) => ({ campo: `${PREFIJO_PERSONALIZADOS}${campo}`, mensaje }));
+  }
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(detalle => ({ campo: detalle.path, mensaje: detalle.message }));
+  }
+  if (error.code === 11000) {
+    return [{ campo: 'email', mensaje: 'Ya existe un cliente con este email en el local' }];
+  }
+  return [{ campo: error.campo || null, mensaje: error.message }];
+};
+
+const registrarErrores = (importacion, numero, errores) => {
+  for (const error of errores) {
+    if (importacion.errores.length < MAX_ERRORES_IMPORTACION) {
+      importacion.errores.push({ fila: numero, ...error });
+    } else {
+      importacion.erroresOmitidos++;
+    }
+  }
+};
+
+/**
+ * Procesa las filas de una importación y guarda el avance y el reporte en el documento.
+ * No lanza errores: un fallo general deja la importación como fallida.
+ * @param {Object} importacion - Documento ImportacionClientes
+ * @param {Array<Object>} filas - Filas leídas con leerArchivo
+ * @returns {Promise<Object>} - Importación actualizada
+ */
+export const procesarImportacion = async (importacion, filas) => {
+  try {
+    importacion.estado = 'procesando';
+    importacion.iniciadaEn = Date.now();
+    importacion.totalFilas = filas.length;
+    await importacion.save();
+
+    const mapeo = Object.fromEntries(importacion.mapeo.map(({ campo, columna }) => [campo, columna]));
+    const emailsVistos = new Map();
+
+    for (const [indice, fila] of filas.entries()) {
+      const { datos, errores } = validarFila(fila, mapeo);
+
+      if (errores.length === 0 && emailsVistos.has(datos.email)) {
+        errores.push({ campo: 'email', mensaje: `Email repetido en la fila ${emailsVistos.get(datos.email)} del archivo` });
+      }
+
+      if (errores.length > 0) {
+        registrarErrores(importacion, fila.numero, errores);
+        importacion.resumen.conErrores++;
+      } else {
+        emailsVistos.set(datos.email, fila.numero);
+        try {
+          const resultado = await aplicarFila(importacion, datos);
+          importacion.resumen[resultado]++;
+        } catch (error) {
+          registrarErrores(importacion, fila.numero, erroresDeExcepcion(error));
+          importacion.resumen.conErrores++;
+        }
+      }
+
+      importacion.filasProcesadas = indice + 1;
+      if (importacion.filasProcesadas % FILAS_POR_AVANCE === 0) {
+        importacion.markModified('errores');
+        await importacion.save();
+      }
+    }
+
+    importacion.estado = 'completada';
+    logger.info(`Importación de clientes ${importacion._id} completada: ${JSON.stringify(importacion.resumen)}`);
+  } catch (error) {
+    importacion.estado = 'fallida';
+    importacion.mensajeError = error.message;
+    logger.error(`Error en la importación de clientes ${importacion._id}: ${error.message}`);
+  }
+
+  importacion.finalizadaEn = Date.now();
+  try {
+    await importacion.save();
+  } catch (error) {
+    logger.error(`Error guardando el resultado de la importación ${importacion._id}: ${error.message}`);
+  }
+
+  return importacion;
+};
+
+/**
+ * Marca como fallidas las importaciones que quedaron pendientes o procesando sin avances recientes.
+ * El procesamiento en segundo plano es best-effort: las filas solo están en la memoria del proceso,
+ * así que una importación interrumpida por un reinicio no se puede retomar y hay que volver a subir el archivo.
+ * @returns {Promise<Number>} - Cantidad de importaciones marcadas como fallidas
+ */
+export const marcarImportacionesInterrumpidas = async () => {
+  const limite = new Date(Date.now() - MINUTOS_IMPORTACION_INTERRUMPIDA * 60 * 1000);
+
+  const resultado = await ImportacionClientes.updateMany(
+    { estado: { $in: ['pendiente', 'procesando'] }, updatedAt: { $lt: limite } },
+    {
+      $set: {
+        estado: 'fallida',
+        mensajeError: 'La importación se interrumpió (por ejemplo, por un reinicio del servidor). Vuelva a subir el archivo',
+        finalizadaEn: new Date()
+      }
+    }
+  );
+  return resultado.modifiedCount;
+};
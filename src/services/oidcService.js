@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import logger from '../config/logger.js';
+
+// Tiempo que se conservan en memoria los documentos de descubrimiento y las claves JWKS
+const CACHE_TTL_MS = 60 * 60 * 1000;
+// Tolerancia de reloj al validar el ID token (en segundos)
+const TOLERANCIA_RELOJ = 60;
+// Algoritmos asimétricos aceptados para el ID token (nunca "none" ni HMAC)
+const ALGORITMOS_PERMITIDOS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const cacheDescubrimiento = new Map();
+const cacheJWKS = new Map();
+
+const clienteHTTP = axios.create({
+  timeout: 10000,
+  headers: { 'Accept': 'application/json' }
+});
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const quitarBarraFinal = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Genera los valores aleatorios de una solicitud de login OIDC
+ * @returns {Object} - state, nonce, codeVerifier y codeChallenge (PKCE S256)
+ */
+export const generarParametrosAutorizacion = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(32)),
+    nonce: base64url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+/**
+ * Obtiene la configuración del proveedor mediante OIDC Discovery
+ * @param {String} emisor - URL del emisor (issuer)
+ * @returns {Promise<Object>} - Documento openid-configuration
+ */
+export const obtenerConfiguracion = async (emisor) => {
+  const clave = quitarBarraFinal(emisor);
+  const enCache = cacheDescubrimiento.get(clave);
+
+  if (enCache && enCache.expira > Date.now()) {
+    return enCache.configuracion;
+  }
+
+  const { data: configuracion } = await clienteHTTP.get(`${clave}/.well-known/openid-configuration`);
+
+  // El emisor declarado debe coincidir con el configurado (OIDC Discovery 4.3)
+  if (quitarBarraFinal(configuracion.issuer || '') !== clave) {
+    throw new Error(`El emisor del proveedor (${configuracion.issuer}) no coincide con el configurado (${emisor})`);
+  }
+
+  for (const campo of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!configuracion[campo]) {
+      throw new Error(`La configuración del proveedor no incluye ${campo}`);
+    }
+  }
+
+  cacheDescubrimiento.set(clave, { configuracion, expira: Date.now() + CACHE_TTL_MS });
+  return configuracion;
+};
+
+// Obtener las claves públicas del proveedor; se recargan si aparece un kid desconocido (rotación)
+const obtenerClavePublica = async (jwksUri, kid) => {
+  const buscar = (claves) => claves.find(clave => !kid || clave.kid === kid);
+
+  let enCache = cacheJWKS.get(jwksUri);
+  let jwk = enCache && enCache.expira > Date.now() ? buscar(enCache.claves) : null;
+
+  if (!jwk) {
+    const { data } = await clienteHTTP.get(jwksUri);
+    enCache = { claves: (data.keys || []).filter(clave => !clave.use || clave.use === 'sig'), expira: Date.now() + CACHE_TTL_MS };
+    cacheJWKS.set(jwksUri, enCache);
+    jwk = buscar(enCache.claves);
+  }
+
+  if (!jwk) {
+    throw new Error(`No se encontró la clave de firma ${kid || ''} del proveedor`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Construye la URL de autorización (authorization code + PKCE)
+ * @param {Object} proveedor - ProveedorSSO
+ * @param {Object} configuracion - Documento de descubrimiento
+ * @param {Object} parametros - state, nonce, codeChallenge y redirectUri
+ * @returns {String} - URL a la que debe dirigirse el navegador
+ */
+export const construirURLAutorizacion = (proveedor, configuracion, { state, nonce, codeChallenge, redirectUri, loginHint }) => {
+  const url = new URL(configuracion.authorization_endpoint);
+
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', proveedor.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', proveedor.scopes || 'openid email profile');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+
+  return url.toString();
+};
+
+/**
+ * Intercambia el código de autorización por los tokens del proveedor
+ * @param {Object} proveedor - ProveedorSSO (con +clientSecret si es un cliente confidencial)
+ * @param {Object} configuracion - Documento de descubrimiento
+ * @param {Object} datos - code, codeVerifier y redirectUri
+ * @returns {Promise<Object>} - Respuesta del token endpoint (id_token, access_token, ...)
+ */
+export const intercambiarCodigo = async (proveedor, configuracion, { code, codeVerifier, redirectUri }) => {
+  const cuerpo = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // Clientes confidenciales: client_secret_basic; clientes públicos: solo client_id
+  if (proveedor.clientSecret) {
+    const credenciales = `${encodeURIComponent(proveedor.clientId)}:${encodeURIComponent(proveedor.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credenciales).toString('base64')}`;
+  } else {
+    cuerpo.set('client_id', proveedor.clientId);
+  }
+
+  try {
+    const { data } = await clienteHTTP.post(configuracion.token_endpoint, cuerpo.toString(), { headers });
+
+    if (!data.id_token) {
+      throw new Error('El proveedor no devolvió un id_token');
+    }
+
+    return data;
+  } catch (error) {
+    if (error.response) {
+      logger.error(`Error en el token endpoint del proveedor ${proveedor.slug}: ${error.response.status} ${JSON.stringify(error.response.data)}`);
+      throw new Error(`El proveedor rechazó el código de autorización (${error.response.data?.error || error.response.status})`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Valida un ID token: firma (JWKS), emisor, audiencia, vencimiento y nonce
+ * @param {String} idToken - ID token recibido
+ * @param {Object} proveedor - ProveedorSSO
+ * @param {Object} configuracion - Documento de descubrimiento
+ * @param {String} nonce - Nonce enviado en la solicitud de autorización
+ * @returns {Promise<Object>} - Claims del ID token
+ */
+export const verificarIdToken = async (idToken, proveedor, configuracion, nonce) => {
+  const decodificado = jwt.decode(idToken, { complete: true });
+
+  if (!decodificado || !ALGORITMOS_PERMITIDOS.includes(decodificado.header.alg)) {
+    throw new Error('ID token con formato o algoritmo no permitido');
+  }
+
+  const clavePublica = await obtenerClavePublica(configuracion.jwks_uri, decodificado.header.kid);
+
+  const claims = jwt.verify(idToken, clavePublica, {
+    algorithms: ALGORITMOS_PERMITIDOS,
+    issuer: configuracion.issuer,
+    audience: proveedor.clientId,
+    clockTolerance: TOLERANCIA_RELOJ
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('El nonce del ID token no coincide con la solicitud');
+  }
+
+  // Con varias audiencias, el cliente autorizado debe ser este (OIDC Core 3.1.3.7)
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== proveedor.clientId) {
+    throw new Error('El ID token fue emitido para otro cliente');
+  }
+
+  if (!claims.sub) {
+    throw new Error('El ID token no incluye el identificador del usuario (sub)');
+  }
+
+  return claims;
+};
+
+/**
+ * Obtiene un claim admitiendo rutas con puntos (p. ej. realm_access.roles)
+ * @param {Object} claims - Claims del ID token
+ * @param {String} ruta - Nombre o ruta del claim
+ * @returns {Array<String>} - Valores del claim como arreglo
+ */
+export const obtenerValoresClaim = (claims, ruta) => {
+  const valor = String(ruta || '')
+    .split('.')
+    .reduce((actual, parte) => (actual && typeof actual === 'object' ? actual[parte] : undefined), claims);
+
+  if (valor === undefined || valor === null) return [];
+  return (Array.isArray(valor) ? valor : [valor]).map(String);
+};
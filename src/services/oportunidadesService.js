@@ -0,0 +1,242 @@
+import mongoose from 'mongoose';
+import Pipeline, { ETAPAS_PREDETERMINADAS } from '../models/Pipeline.js';
+import Oportunidad from '../models/Oportunidad.js';
+
+// Error con el código HTTP que debe responder el controlador
+const errorOportunidades = (status, mensaje) => Object.assign(new Error(mensaje), { status });
+
+const aObjectId = (valor) => new mongoose.Types.ObjectId(String(valor));
+
+const redondearMonto = (valor) => Math.round((valor || 0) * 100) / 100;
+
+// Montos por moneda ordenados por código (los montos de distintas monedas nunca se suman entre sí)
+const montosPorMoneda = (montos) => montos
+  .map(({ moneda, ...valores }) => ({
+    moneda: moneda || null,
+    ...Object.fromEntries(Object.entries(valores).map(([clave, valor]) => [clave, redondearMonto(valor)]))
+  }))
+  .sort((a, b) => String(a.moneda).localeCompare(String(b.moneda)));
+
+/**
+ * Pipeline indicado o, si no se indica, el predeterminado del local.
+ * Si el local todavía no tiene pipelines se crea uno con las etapas predeterminadas
+ * (solo al escribir: las lecturas usan crear: false y reciben null).
+ * @param {String} pipelineId - Pipeline indicado (opcional)
+ * @param {String} local - Local de la oportunidad
+ * @param {String} usuarioId - Usuario que lo solicita (creador del pipeline predeterminado)
+ * @param {Object} opciones - { crear } (por defecto true)
+ * @returns {Promise<Object|null>} - Documento Pipeline
+ */
+export const resolverPipeline = async (pipelineId, local, usuarioId, { crear = true } = {}) => {
+  if (pipelineId) {
+    const pipeline = await Pipeline.findById(pipelineId);
+    if (!pipeline || !pipeline.activo) {
+      throw errorOportunidades(404, 'Pipeline no encontrado');
+    }
+    if (local && String(pipeline.local) !== String(local)) {
+      throw errorOportunidades(400, 'El pipeline no pertenece al local indicado');
+    }
+    return pipeline;
+  }
+
+  if (!local) {
+    throw errorOportunidades(400, 'Debe indicar el pipeline o el local');
+  }
+
+  const existente = await Pipeline.findOne({ local, activo: true }).sort({ predeterminado: -1, createdAt: 1 });
+  if (existente || !crear) return existente;
+
+  return Pipeline.create({
+    nombre: 'Ventas',
+    etapas: ETAPAS_PREDETERMINADAS,
+    predeterminado: true,
+    local,
+    creadoPor: usuarioId
+  });
+};
+
+/**
+ * Verifica que las etapas que se quitan de un pipeline no tengan oportunidades
+ * @param {Object} pipeline - Pipeline antes del cambio
+ * @param {Array<Object>} etapas - Nuevas etapas (las existentes conservan su _id)
+ */
+export const verificarEtapasEliminadas = async (pipeline, etapas) => {
+  const conservadas = new Set(etapas.filter(etapa => etapa._id).map(etapa => String(etapa._id)));
+  const eliminadas = pipeline.etapas.filter(etapa => !conservadas.has(String(etapa._id)));
+  if (eliminadas.length === 0) return;
+
+  const enUso = await Oportunidad.countDocuments({ pipeline: pipeline._id, etapa: { $in: eliminadas.map(etapa => etapa._id) } });
+  if (enUso > 0) {
+    throw errorOportunidades(409, `No se pueden quitar etapas con oportunidades (${enUso}); muévalas antes a otra etapa`);
+  }
+};
+
+/**
+ * Tablero kanban de un pipeline: cada etapa con sus totales y sus oportunidades más recientes
+ * @param {Object} pipeline - Documento Pipeline
+ * @param {Object} opciones - { filtro (responsable, cliente, etiquetas), limitePorEtapa }
+ * @returns {Promise<Array<Object>>} - [{ etapa, total, montos: [{ moneda, monto, montoPonderado }], oportunidades }]
+ */
+export const armarTablero = async (pipeline, { filtro = {}, limitePorEtapa = 50 }) => {
+  const base = { ...filtro, pipeline: pipeline._id };
+
+  // Los IDs se convierten porque las agregaciones no aplican los tipos del esquema
+  const coincidencia = { ...base, pipeline: aObjectId(pipeline._id) };
+  if (filtro.responsable) coincidencia.responsable = aObjectId(filtro.responsable);
+  if (filtro.cliente) coincidencia.cliente = aObjectId(filtro.cliente);
+
+  const totales = await Oportunidad.aggregate([
+    { $match: coincidencia },
+    {
+      $group: {
+        _id: { etapa: '$etapa', moneda: '$moneda' },
+        total: { $sum: 1 },
+        monto: { $sum: '$monto' },
+        montoPonderado: { $sum: { $divide: [{ $multiply: ['$monto', { $ifNull: ['$probabilidad', 0] }] }, 100] } }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.etapa',
+        total: { $sum: '$total' },
+        montos: { $push: { moneda: '$_id.moneda', monto: '$monto', montoPonderado: '$montoPonderado' } }
+      }
+    }
+  ]);
+  const totalesPorEtapa = new Map(totales.map(total => [String(total._id), total]));
+
+  return Promise.all(pipeline.etapas.map(async (etapa) => {
+    const oportunidades = await Oportunidad.find({ ...base, etapa: etapa._id })
+      .select('-historialEtapas')
+      .populate('cliente', 'nombre apellido email')
+      .populate('responsable', 'nombre email')
+      .sort({ updatedAt: -1 })
+      .limit(limitePorEtapa);
+
+    const total = totalesPorEtapa.get(String(etapa._id));
+    return {
+      etapa,
+      total: total?.total || 0,
+      montos: montosPorMoneda(total?.montos || []),
+      oportunidades
+    };
+  }));
+};
+
+/**
+ * Reporte de oportunidades ganadas y perdidas cerradas en un período.
+ * Los montos se informan por moneda ([{ moneda, monto }]).
+ * @param {Object} opciones - { local, pipeline, responsable, moneda, desde, hasta }
+ * @returns {Promise<Object>} - Totales, tasa de conversión, motivos de pérdida y detalle por responsable
+ */
+export const reporteGanadasPerdidas = async ({ local, pipeline, responsable, moneda, desde, hasta }) => {
+  const coincidencia = { estado: { $in: ['GANADA', 'PERDIDA'] } };
+  if (local) coincidencia.local = aObjectId(local);
+  if (pipeline) coincidencia.pipeline = aObjectId(pipeline);
+  if (responsable) coincidencia.responsable = aObjectId(responsable);
+  if (moneda) coincidencia.moneda = moneda;
+  if (desde || hasta) {
+    coincidencia.fechaCierre = {};
+    if (desde) coincidencia.fechaCierre.$gte = desde;
+    if (hasta) coincidencia.fechaCierre.$lte = hasta;
+  }
+
+  const [resultado] = await Oportunidad.aggregate([
+    { $match: coincidencia },
+    {
+      $facet: {
+        porEstado: [
+          {
+            $group: {
+              _id: { estado: '$estado', moneda: '$moneda' },
+              cantidad: { $sum: 1 },
+              monto: { $sum: '$monto' },
+              // Días desde la creación hasta el cierre
+              dias: { $sum: { $divide: [{ $subtract: ['$fechaCierre', '$createdAt'] }, 86400000] } }
+            }
+          },
+          {
+            $group: {
+              _id: '$_id.estado',
+              cantidad: { $sum: '$cantidad' },
+              dias: { $sum: '$dias' },
+              montos: { $push: { moneda: '$_id.moneda', monto: '$monto' } }
+            }
+          }
+        ],
+        motivosPerdida: [
+          { $match: { estado: 'PERDIDA' } },
+          {
+            $group: {
+              _id: { motivo: { $ifNull: ['$motivoPerdida', 'Sin motivo'] }, moneda: '$moneda' },
+              cantidad: { $sum: 1 },
+              monto: { $sum: '$monto' }
+            }
+          },
+          {
+            $group: {
+              _id: '$_id.motivo',
+              cantidad: { $sum: '$cantidad' },
+              montos: { $push: { moneda: '$_id.moneda', monto: '$monto' } }
+            }
+          },
+          { $sort: { cantidad: -1 } },
+          { $limit: 20 }
+        ],
+        porResponsable: [
+          {
+            $group: {
+              _id: { responsable: '$responsable', moneda: '$moneda' },
+              ganadas: { $sum: { $cond: [{ $eq: ['$estado', 'GANADA'] }, 1, 0] } },
+              perdidas: { $sum: { $cond: [{ $eq: ['$estado', 'PERDIDA'] }, 1, 0] } },
+              montoGanado: { $sum: { $cond: [{ $eq: ['$estado', 'GANADA'] }, '$monto', 0] } }
+            }
+          },
+          {
+            $group: {
+              _id: '$_id.responsable',
+              ganadas: { $sum: '$ganadas' },
+              perdidas: { $sum: '$perdidas' },
+              montosGanados: { $push: { moneda: '$_id.moneda', monto: '$montoGanado' } }
+            }
+          },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'usuario' } },
+          {
+            $project: {
+              _id: 0,
+              responsable: { $arrayElemAt: ['$usuario', 0] },
+              ganadas: 1,
+              perdidas: 1,
+              montosGanados: 1
+            }
+          },
+          { $sort: { ganadas: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const redondear = (valor) => valor === null ? null : Math.round(valor * 10) / 10;
+  const estado = (nombre) => {
+    const item = resultado.porEstado.find(actual => actual._id === nombre);
+    if (!item) return { cantidad: 0, montos: [], diasPromedioCierre: null };
+    return { cantidad: item.cantidad, montos: montosPorMoneda(item.montos), diasPromedioCierre: redondear(item.dias / item.cantidad) };
+  };
+  const ganadas = estado('GANADA');
+  const perdidas = estado('PERDIDA');
+  const cerradas = ganadas.cantidad + perdidas.cantidad;
+
+  return {
+    ganadas,
+    perdidas,
+    tasaConversion: cerradas > 0 ? redondear((ganadas.cantidad / cerradas) * 100) : null,
+    motivosPerdida: resultado.motivosPerdida.map(({ _id, cantidad, montos }) => ({ motivo: _id, cantidad, montos: montosPorMoneda(montos) })),
+    porResponsable: resultado.porResponsable.map(item => ({
+      responsable: item.responsable ? { _id: item.responsable._id, nombre: item.responsable.nombre, email: item.responsable.email } : null,
+      ganadas: item.ganadas,
+      perdidas: item.perdidas,
+      montosGanados: montosPorMoneda(item.montosGanados),
+      tasaConversion: redondear((item.ganadas / (item.ganadas + item.perdidas)) * 100)
+    }))
+  };
+};
@@ -0,0 +1,167 @@
+import Local from '../models/Local.js';
+
+// Política de contraseñas por defecto (la que aplicaba el sistema antes de ser configurable)
+export const POLITICA_CONTRASENA_DEFECTO = {
+  longitudMinima: 8,
+  requiereMayuscula: true,
+  requiereMinuscula: true,
+  requiereNumero: true,
+  requiereEspecial: true,
+  historial: 0,     // Cantidad de contraseñas recientes que no se pueden reutilizar (0 = sin control)
+  diasVigencia: 0   // Días hasta que la contraseña debe cambiarse (0 = no expira)
+};
+
+// Política de bloqueo por defecto
+export const POLITICA_BLOQUEO_DEFECTO = {
+  intentosMaximos: 5,
+  minutosBloqueo: 30
+};
+
+// Límites aceptados al configurar las políticas de un local
+export const LIMITES_POLITICA = {
+  longitudMinima: { min: 8, max: 128 },
+  historial: { min: 0, max: 24 },
+  diasVigencia: { min: 0, max: 365 },
+  intentosMaximos: { min: 3, max: 20 },
+  minutosBloqueo: { min: 1, max: 1440 }
+};
+
+const REGLAS_CARACTERES = [
+  { campo: 'requiereMayuscula', regex: /[A-Z]/, mensaje: 'una letra mayúscula' },
+  { campo: 'requiereMinuscula', regex: /[a-z]/, mensaje: 'una letra minúscula' },
+  { campo: 'requiereNumero', regex: /\d/, mensaje: 'un número' },
+  { campo: 'requiereEspecial', regex: /[^A-Za-z\d]/, mensaje: 'un carácter especial' }
+];
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Completar la política guardada en un local con los valores por defecto
+const politicaDeLocal = (local) => ({
+  contrasena: { ...POLITICA_CONTRASENA_DEFECTO, ...(local?.seguridad?.contrasena || {}) },
+  bloqueo: { ...POLITICA_BLOQUEO_DEFECTO, ...(local?.seguridad?.bloqueo || {}) }
+});
+
+// El menor valor positivo (0 significa "sin límite" en historial y vigencia)
+const menorPositivo = (a, b) => (!a ? b : !b ? a : Math.min(a, b));
+
+/**
+ * Combina las políticas de varios locales quedándose con la regla más estricta de cada una
+ * @param {Array<Object>} locales - Locales con el campo seguridad
+ * @returns {Object} - { contrasena, bloqueo }
+ */
+export const combinarPoliticas = (locales = []) => {
+  if (locales.length === 0) return politicaDeLocal(null);
+
+  return locales.map(politicaDeLocal).reduce((acumulada, actual) => ({
+    contrasena: {
+      longitudMinima: Math.max(acumulada.contrasena.longitudMinima, actual.contrasena.longitudMinima),
+      requiereMayuscula: acumulada.contrasena.requiereMayuscula || actual.contrasena.requiereMayuscula,
+      requiereMinuscula: acumulada.contrasena.requiereMinuscula || actual.contrasena.requiereMinuscula,
+      requiereNumero: acumulada.contrasena.requiereNumero || actual.contrasena.requiereNumero,
+      requiereEspecial: acumulada.contrasena.requiereEspecial || actual.contrasena.requiereEspecial,
+      historial: Math.max(acumulada.contrasena.historial, actual.contrasena.historial),
+      diasVigencia: menorPositivo(acumulada.contrasena.diasVigencia, actual.contrasena.diasVigencia)
+    },
+    bloqueo: {
+      intentosMaximos: Math.min(acumulada.bloqueo.intentosMaximos, actual.bloqueo.intentosMaximos),
+      minutosBloqueo: Math.max(acumulada.bloqueo.minutosBloqueo, actual.bloqueo.minutosBloqueo)
+    }
+  }));
+};
+
+/**
+ * Obtiene la política efectiva para un conjunto de locales
+ * @param {Array} localIds - IDs (o documentos) de locales
+ * @returns {Promise<Object>} - { contrasena, bloqueo }
+ */
+export const obtenerPoliticaLocales = async (localIds = []) => {
+  const ids = localIds.filter(Boolean).map(local => local._id || local);
+  if (ids.length === 0) return combinarPoliticas([]);
+
+  const locales = await Local.find({ _id: { $in: ids } }).select('seguridad').lean();
+  return combinarPoliticas(locales);
+};
+
+/**
+ * Obtiene la política efectiva de un usuario: la más estricta entre sus locales.
+ * El superAdmin no pertenece a ningún local y usa la política por defecto.
+ * @param {Object} user - Usuario
+ * @returns {Promise<Object>} - { contrasena, bloqueo }
+ */
+export const obtenerPoliticaUsuario = async (user) => {
+  if (!user || user.role === 'superAdmin') return combinarPoliticas([]);
+  return obtenerPoliticaLocales(user.locales || []);
+};
+
+/**
+ * Valida una contraseña contra la política de contraseñas
+ * @param {String} password - Contraseña en texto plano
+ * @param {Object} politica - Política de contraseñas (campo contrasena)
+ * @returns {Array<String>} - Mensajes de las reglas incumplidas (vacío si es válida)
+ */
+export const validarPassword = (password, politica = POLITICA_CONTRASENA_DEFECTO) => {
+  const valor = String(password || '');
+  const errores = [];
+
+  if (valor.length < politica.longitudMinima) {
+    errores.push(`La contraseña debe tener al menos ${politica.longitudMinima} caracteres`);
+  }
+
+  const faltantes = REGLAS_CARACTERES
+    .filter(regla => politica[regla.campo] && !regla.regex.test(valor))
+    .map(regla => regla.mensaje);
+
+  if (faltantes.length > 0) {
+    errores.push(`La contraseña debe contener al menos ${faltantes.join(', ')}`);
+  }
+
+  return errores;
+};
+
+/**
+ * Valida una nueva contraseña para un usuario existente: reglas de la política e historial.
+ * El usuario debe estar cargado con +password +historialPasswords.
+ * @param {Object} user - Usuario
+ * @param {String} password - Nueva contraseña en texto plano
+ * @param {Object} politica - Política de contraseñas (campo contrasena)
+ * @returns {Promise<Array<String>>} - Mensajes de las reglas incumplidas
+ */
+export const validarNuevaPassword = async (user, password, politica) => {
+  const errores = validarPassword(password, politica);
+
+  if (politica.historial > 0 && await user.passwordUsadaRecientemente(password, politica.historial)) {
+    errores.push(`La contraseña no puede ser igual a ninguna de las últimas ${politica.historial} utilizadas`);
+  }
+
+  return errores;
+};
+
+/**
+ * Verifica si la contraseña del usuario superó los días de vigencia de la política
+ * @param {Object} user - Usuario
+ * @param {Object} politica - Política de contraseñas (campo contrasena)
+ * @returns {Boolean}
+ */
+export const passwordExpirada = (user, politica) => {
+  if (!politica.diasVigencia) return false;
+
+  const ultimoCambio = user.passwordChangedAt || user.createdAt;
+  if (!ultimoCambio) return false;
+
+  return new Date(ultimoCambio).getTime() + politica.diasVigencia * DIA_MS < Date.now();
+};
+
+/**
+ * Respuesta 400 uniforme para contraseñas que no cumplen la política
+ * @param {Object} res - Respuesta de Express
+ * @param {Array<String>} errores - Reglas incumplidas
+ * @param {String} campo - Campo del body con la contraseña
+ */
+export const responderPasswordInvalida = (res, errores, campo = 'password') => {
+  return res.status(400).json({
+    success: false,
+    code: 'POLITICA_CONTRASENA',
+    message: 'La contraseña no cumple la política de seguridad',
+    errors: errores.map(msg => ({ msg, path: campo, location: 'body' }))
+  });
+};
@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import Evento from '../models/Evento.js';
+import Recordatorio from '../models/Recordatorio.js';
+import Nota from '../models/Nota.js';
+import Oportunidad from '../models/Oportunidad.js';
+import AuditLog from '../models/AuditLog.js';
+import Contact from '../models/whatsapp/Contact.js';
+import Message from '../models/whatsapp/Message.js';
+
+const VALOR_ANONIMIZADO = '[ANONIMIZADO]';
+
+/**
+ * Formas en que puede estar guardado el teléfono del cliente en WhatsApp
+ * (tal como se cargó, solo dígitos y con prefijo +)
+ * @param {String} telefono - Teléfono del cliente
+ * @returns {Array<String>}
+ */
+export const variantesTelefono = (telefono) => {
+  if (!telefono) return [];
+  const digitos = String(telefono).replace(/\D/g, '');
+  return [...new Set([String(telefono).trim(), digitos, `+${digitos}`].filter(valor => valor && valor !== '+'))];
+};
+
+// Identificador aleatorio que reemplaza un teléfono (no se puede revertir ni recalcular)
+const generarSeudonimo = () => `anonimo-${crypto.randomBytes(8).toString('hex')}`;
+
+// Filtro de contactos de WhatsApp del cliente (vinculados o con alguno de sus teléfonos en su local)
+export const filtroContactos = (cliente, telefonos) => ({
+  $or: [
+    { cliente: cliente._id },
+    { phoneNumber: { $in: telefonos }, local: cliente.local }
+  ]
+});
+
+// Filtro de mensajes de WhatsApp de los teléfonos del cliente en su local
+// (el mismo número puede ser cliente de otro local)
+export const filtroMensajes = (cliente, telefonos) => ({
+  contactNumber: { $in: telefonos },
+  local: cliente.local
+});
+
+// Filtro de recordatorios vinculados al cliente (directamente o como destinatario)
+export const filtroRecordatorios = (clienteId) => ({
+  $or: [
+    { cliente: clienteId },
+    { destinatarios: { $elemMatch: { tipo: 'CLIENTE', id: clienteId } } }
+  ]
+});
+
+/**
+ * Contactos de WhatsApp del cliente y todos los teléfonos con los que figura en los mensajes
+ * @param {Object} cliente - Documento Cliente
+ * @returns {Promise<Object>} - { contactos, telefonos }
+ */
+export const buscarWhatsAppCliente = async (cliente) => {
+  const contactos = await Contact.find(filtroContactos(cliente, variantesTelefono(cliente.telefono))).lean();
+  const telefonos = [...new Set([...variantesTelefono(cliente.telefono), ...contactos.map(contacto => contacto.phoneNumber)])];
+  return { contactos, telefonos };
+};
+
+/**
+ * Reúne todos los datos vinculados a un cliente en un documento exportable
+ * (derecho de acceso y portabilidad)
+ * @param {Object} cliente - Documento Cliente
+ * @returns {Promise<Object>} - Paquete con el cliente, eventos, recordatorios, notas, oportunidades y WhatsApp
+ */
+export const exportarDatosCliente = async (cliente) => {
+  const { contactos, telefonos } = await buscarWhatsAppCliente(cliente);
+
+  const [eventos, recordatorios, notas, oportunidades, mensajes] = await Promise.all([
+    Evento.find({ cliente: cliente._id }).sort({ fechaInicio: 1 }).lean(),
+    Recordatorio.find(filtroRecordatorios(cliente._id)).sort({ fechaProgramada: 1 }).lean(),
+    Nota.find({ cliente: cliente._id }).select('-historialVersiones').sort({ fechaCreacion: 1 }).lean(),
+    Oportunidad.find({ cliente: cliente._id }).sort({ createdAt: 1 }).lean(),
+    Message.find(filtroMensajes(cliente, telefonos))
+      .select('-rawResponse -errorDetails')
+      .sort({ createdAt: 1 })
+      .lean()
+  ]);
+
+  return {
+    formato: 'evolution.exportacion-cliente',
+    version: 1,
+    generadoEn: new Date().toISOString(),
+    cliente: cliente.toObject({ virtuals: true }),
+    eventos,
+    recordatorios,
+    notas,
+    oportunidades,
+    whatsapp: {
+      contactos,
+      mensajes
+    }
+  };
+};
+
+// Actualización que quita el contenido de los mensajes de WhatsApp de los teléfonos del cliente
+const anonimizarMensajes = (cliente, telefonos, seudonimo) => Message.updateMany(
+  filtroMensajes(cliente, telefonos),
+  {
+    $set: { contactNumber: seudonimo, content: {} },
+    $unset: { contactName: '', rawResponse: '', errorDetails: '' }
+  }
+);
+
+/**
+ * Suprime los datos personales de un cliente en todas las colecciones (derecho de supresión).
+ * Se conservan los documentos y los campos que alimentan las estadísticas (categoría, local,
+ * fechas, tipo y estado de eventos, montos y etapas de oportunidades, contadores de WhatsApp)
+ * y se elimina todo lo que identifica a la persona:
+ * - Cliente: se reemplazan nombre, email, teléfono, documento, dirección (salvo provincia y país),
+ *   fecha de nacimiento y notas
+ * - Eventos y recordatorios: se reemplazan títulos y se quitan descripciones, ubicaciones y notas;
+ *   los recordatorios pendientes se cancelan
+ * - Oportunidades: se reemplazan títulos y se quitan descripciones, motivos de pérdida y etiquetas
+ * - Notas del cliente: se eliminan (solo contienen texto libre)
+ * - WhatsApp: el teléfono se reemplaza por un seudónimo aleatorio y se quita el contenido de los mensajes
+ * - Auditoría: se ocultan los valores anteriores y posteriores de los cambios del cliente
+ * @param {Object} cliente - Documento Cliente
+ * @param {String} usuarioId - Usuario que solicita la supresión
+ * @returns {Promise<Object>} - Cantidad de documentos afectados por colección
+ */
+export const anonimizarCliente = async (cliente, usuarioId) => {
+  const telefonos = variantesTelefono(cliente.telefono);
+
+  // WhatsApp: cada contacto recibe su propio seudónimo, compartido con sus mensajes
+  const contactos = await Contact.find(filtroContactos(cliente, telefonos));
+  let mensajes = 0;
+
+  for (const contacto of contactos) {
+    const seudonimo = generarSeudonimo();
+    const resultado = await anonimizarMensajes(cliente, [contacto.phoneNumber], seudonimo);
+    mensajes += resultado.modifiedCount;
+
+    contacto.set({
+      phoneNumber: seudonimo,
+      waId: undefined,
+      name: undefined,
+      profileName: undefined,
+      firstName: undefined,
+      lastName: undefined,
+      email: undefined,
+      customFields: undefined,
+      tags: [],
+      optIn: false,
+      optOutDate: Date.now(),
+      status: 'inactive',
+      interactionHistory: contacto.interactionHistory.map(({ type, timestamp }) => ({ type, timestamp }))
+    });
+    await contacto.save();
+  }
+
+  // Mensajes de números del cliente sin contacto registrado
+  const restantes = await anonimizarMensajes(cliente, telefonos, generarSeudonimo());
+  mensajes += restantes.modifiedCount;
+
+  await Recordatorio.updateMany(
+    { ...filtroRecordatorios(cliente._id), estado: 'PENDIENTE' },
+    { $set: { estado: 'CANCELADO' } }
+  );
+
+  const [eventos, recordatorios, notas, oportunidades, auditoria] = await Promise.all([
+    Evento.updateMany(
+      { cliente: cliente._id },
+      {
+        $set: { titulo: 'Evento de cliente anonimizado', notas: [], archivosAdjuntos: [] },
+        $unset: { descripcion: '', 'ubicacion.direccion': '', 'ubicacion.coordenadas': '', 'ubicacion.enlaceVirtual': '', camposPersonalizados: '' }
+      }
+    ),
+    Recordatorio.updateMany(
+      filtroRecordatorios(cliente._id),
+      {
+        $set: { titulo: 'Recordatorio de cliente anonimizado' },
+        $unset: { descripcion: '', plantillaPersonalizada: '', mensajeError: '' }
+      }
+    ),
+    Nota.deleteMany({ cliente: cliente._id }),
+    Oportunidad.updateMany(
+      { cliente: cliente._id },
+      {
+        $set: { titulo: 'Oportunidad de cliente anonimizado', etiquetas: [] },
+        $unset: { descripcion: '', motivoPerdida: '' }
+      }
+    ),
+    AuditLog.updateMany(
+      { recurso: 'Cliente', recursoId: cliente._id.toString() },
+      {
+        $set: { 'cambios.$[].antes': VALOR_ANONIMIZADO, 'cambios.$[].despues': VALOR_ANONIMIZADO },
+        $unset: { detalles: '' }
+      }
+    )
+  ]);
+
+  cliente.set({
+    nombre: 'Cliente',
+    apellido: 'Anonimizado',
+    email: `anonimizado-${cliente._id}@anonimizado.invalid`,
+    telefono: VALOR_ANONIMIZADO,
+    // Provincia y país se conservan a propósito: son dimensiones agregadas de las estadísticas
+    // y no identifican a la persona sin el resto de la dirección
+    'direccion.calle': undefined,
+    'direccion.ciudad': undefined,
+    'direccion.codigoPostal': undefined,
+    fechaNacimiento: undefined,
+    documentoIdentidad: undefined,
+    etiquetas: [],
+    camposPersonalizados: undefined,
+    notas: [],
+    historialInteracciones: cliente.historialInteracciones.map(({ tipo, fecha, usuario }) => ({ tipo, fecha, usuario })),
+    activo: false,
+    anonimizado: true,
+    anonimizadoEn: Date.now(),
+    anonimizadoPor: usuarioId
+  });
+  await cliente.save();
+
+  return {
+    eventos: eventos.modifiedCount,
+    recordatorios: recordatorios.modifiedCount,
+    notas: notas.deletedCount,
+    oportunidades: oportunidades.modifiedCount,
+    contactosWhatsApp: contactos.length,
+    mensajesWhatsApp: mensajes,
+    registrosAuditoria: auditoria.modifiedCount
+  };
+};
@@ -0,0 +1,312 @@
+import mongoose from 'mongoose';
+import Cliente from '../models/Cliente.js';
+import Evento from '../models/Evento.js';
+import Segmento from '../models/Segmento.js';
+import { obtenerDefiniciones, convertirValor } from './camposPersonalizadosService.js';
+
+// Error con el código HTTP que debe responder el controlador
+const errorSegmento = (status, mensaje) => Object.assign(new Error(mensaje), { status });
+
+const aObjectId = (valor) => new mongoose.Types.ObjectId(String(valor));
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Límites del árbol de reglas
+const MAX_CONDICIONES = 50;
+const MAX_PROFUNDIDAD = 4;
+
+// Grupos de condiciones y su operador de MongoDB
+const GRUPOS = {
+  todas: '$and',
+  alguna: '$or',
+  ninguna: '$nor'
+};
+
+const COMPARACIONES = {
+  mayor: '$gt',
+  mayor_igual: '$gte',
+  menor: '$lt',
+  menor_igual: '$lte'
+};
+
+// Operadores admitidos por tipo de dato
+const OPERADORES_POR_TIPO = {
+  TEXTO: ['igual', 'distinto', 'en', 'no_en', 'contiene', 'vacio', 'no_vacio'],
+  SELECCION: ['igual', 'distinto', 'en', 'no_en', 'vacio', 'no_vacio'],
+  SELECCION_MULTIPLE: ['incluye_alguna', 'incluye_todas', 'no_incluye', 'vacio', 'no_vacio'],
+  NUMERO: ['igual', 'distinto', 'mayor', 'mayor_igual', 'menor', 'menor_igual', 'entre', 'vacio', 'no_vacio'],
+  FECHA: ['mayor', 'mayor_igual', 'menor', 'menor_igual', 'entre', 'hace_mas_de_dias', 'hace_menos_de_dias', 'vacio', 'no_vacio'],
+  BOOLEANO: ['igual'],
+  MES: ['igual', 'distinto', 'en', 'no_en', 'mes_actual', 'mes_siguiente', 'vacio', 'no_vacio'],
+  CONTEO: ['igual', 'distinto', 'mayor', 'mayor_igual', 'menor', 'menor_igual']
+};
+
+// Campos fijos de las reglas (los personalizados se indican como camposPersonalizados.<clave>)
+export const CAMPOS_SEGMENTO = {
+  categoria: { tipo: 'SELECCION', opciones: Cliente.schema.path('categoria').enumValues },
+  etiquetas: { tipo: 'SELECCION_MULTIPLE' },
+  ultimoContacto: { tipo: 'FECHA' },
+  mesNacimiento: { tipo: 'MES' },
+  cantidadEventos: { tipo: 'CONTEO' },
+  medioContactoPreferido: {
+    tipo: 'SELECCION',
+    ruta: 'preferencias.medioContactoPreferido',
+    opciones: Cliente.schema.path('preferencias.medioContactoPreferido').enumValues
+  },
+  recibirNotificaciones: { tipo: 'BOOLEANO', ruta: 'preferencias.recibirNotificaciones' },
+  activo: { tipo: 'BOOLEANO' }
+};
+
+const OPERADORES_SIN_VALOR = ['vacio', 'no_vacio', 'mes_actual', 'mes_siguiente'];
+
+const ESTADOS_EVENTO = Evento.schema.path('estado').enumValues;
+
+const escaparRegex = (texto) => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comparar una cantidad con el operador de una condición de conteo
+const cumpleConteo = (cantidad, operador, valor) => ({
+  igual: cantidad === valor,
+  distinto: cantidad !== valor,
+  mayor: cantidad > valor,
+  mayor_igual: cantidad >= valor,
+  menor: cantidad < valor,
+  menor_igual: cantidad <= valor
+})[operador];
+
+/**
+ * Compila el árbol de reglas de un segmento en un filtro de Mongoose sobre Cliente.
+ * Las fechas relativas y el mes actual se calculan en cada evaluación.
+ * @param {Object} reglas - { todas | alguna | ninguna: [condiciones o grupos] }
+ * @param {String} local - Local del segmento (campos personalizados y eventos)
+ * @returns {Promise<Object>} - Filtro de Mongoose
+ * @throws {Error} - status 400 con la ruta de la regla no válida o si no se indica el local
+ */
+export const compilarReglas = async (reglas, local) => {
+  if (!local) {
+    throw errorSegmento(400, 'Debe indicar el local del segmento');
+  }
+
+  const definiciones = await obtenerDefiniciones('CLIENTE', local);
+  const porClave = new Map(definiciones.map(definicion => [definicion.clave, definicion]));
+  let condiciones = 0;
+
+  // Tipo, ruta y opciones del campo de una condición
+  const resolverCampo = (campo, ruta) => {
+    if (typeof campo === 'string' && campo.startsWith('camposPersonalizados.')) {
+      const definicion = porClave.get(campo.slice('camposPersonalizados.'.length));
+      if (!definicion) {
+        throw errorSegmento(400, `${ruta}.campo: el campo personalizado no existe o está desactivado`);
+      }
+      return { ...definicion, ruta: campo };
+    }
+
+    const fijo = CAMPOS_SEGMENTO[campo];
+    if (!fijo) {
+      throw errorSegmento(400, `${ruta}.campo: campo no válido (${Object.keys(CAMPOS_SEGMENTO).join(', ')} o camposPersonalizados.<clave>)`);
+    }
+    return { ...fijo, ruta: fijo.ruta || campo };
+  };
+
+  // Convertir un valor al tipo del campo (números y fechas sin las reglas de validación de la definición)
+  const convertir = (definicion, valor, ruta) => {
+    if (definicion.tipo === 'MES' || definicion.tipo === 'CONTEO') {
+      const numero = Number(valor);
+      const valido = Number.isInteger(numero) && (definicion.tipo === 'CONTEO' ? numero >= 0 : numero >= 1 && numero <= 12);
+      if (!valido) {
+        throw errorSegmento(400, `${ruta}: ${definicion.tipo === 'MES' ? 'el mes debe estar entre 1 y 12' : 'la cantidad debe ser un entero positivo'}`);
+      }
+      return numero;
+    }
+
+    const tipo = definicion.tipo === 'SELECCION_MULTIPLE' && !definicion.opciones ? 'TEXTO' : definicion.tipo;
+    const convertido = convertirValor({ tipo, opciones: definicion.opciones, validacion: {} }, valor);
+    if (convertido.error) {
+      throw errorSegmento(400, `${ruta}: el valor ${convertido.error}`);
+    }
+    return Array.isArray(convertido.valor) ? convertido.valor[0] : convertido.valor;
+  };
+
+  const lista = (definicion, valor, ruta) => {
+    if (!Array.isArray(valor) || valor.length === 0) {
+      throw errorSegmento(400, `${ruta}: se espera una lista de valores`);
+    }
+    return valor.map((item, indice) => convertir(definicion, item, `${ruta}[${indice}]`));
+  };
+
+  // Clientes con una cantidad de eventos: se resuelve contando los eventos del local por cliente
+  const compilarConteo = async ({ operador, valor, dias, estado }, ruta) => {
+    const cantidad = convertir({ tipo: 'CONTEO' }, valor, `${ruta}.valor`);
+    const coincidencia = { local: aObjectId(local), cliente: { $ne: null } };
+
+    if (dias !== undefined) {
+      const numeroDias = Number(dias);
+      if (!Number.isInteger(numeroDias) || numeroDias < 1) {
+        throw errorSegmento(400, `${ruta}.dias: debe ser un entero positivo`);
+      }
+      coincidencia.fechaInicio = { $gte: new Date(Date.now() - numeroDias * MS_POR_DIA) };
+    }
+    if (estado !== undefined) {
+      if (!ESTADOS_EVENTO.includes(estado)) {
+        throw errorSegmento(400, `${ruta}.estado: debe ser ${ESTADOS_EVENTO.join(', ')}`);
+      }
+      coincidencia.estado = estado;
+    }
+
+    const conteos = await Evento.aggregate([
+      { $match: coincidencia },
+      { $group: { _id: '$cliente', total: { $sum: 1 } } }
+    ]);
+
+    // Si los clientes sin eventos cumplen la condición se excluyen los que no la cumplen
+    if (cumpleConteo(0, operador, cantidad)) {
+      return { _id: { $nin: conteos.filter(conteo => !cumpleConteo(conteo.total, operador, cantidad)).map(conteo => conteo._id) } };
+    }
+    return { _id: { $in: conteos.filter(conteo => cumpleConteo(conteo.total, operador, cantidad)).map(conteo => conteo._id) } };
+  };
+
+  const compilarCondicion = async (condicion, ruta) => {
+    const { campo, operador, valor } = condicion;
+    const definicion = resolverCampo(campo, ruta);
+
+    if (!OPERADORES_POR_TIPO[definicion.tipo].includes(operador)) {
+      throw errorSegmento(400, `${ruta}.operador: debe ser ${OPERADORES_POR_TIPO[definicion.tipo].join(', ')} para ${campo}`);
+    }
+    if (valor === undefined && !OPERADORES_SIN_VALOR.includes(operador)) {
+      throw errorSegmento(400, `${ruta}.valor: el operador ${operador} necesita un valor`);
+    }
+
+    if (definicion.tipo === 'CONTEO') {
+      return compilarConteo(condicion, ruta);
+    }
+
+    const { ruta: camino, tipo } = definicion;
+    const rutaValor = `${ruta}.valor`;
+    const esLista = tipo === 'SELECCION_MULTIPLE';
+
+    switch (operador) {
+      case 'igual':
+        return { [camino]: convertir(definicion, valor, rutaValor) };
+      case 'distinto':
+        return { [camino]: { $ne: convertir(definicion, valor, rutaValor) } };
+      case 'en':
+        return { [camino]: { $in: lista(definicion, valor, rutaValor) } };
+      case 'no_en':
+        return { [camino]: { $nin: lista(definicion, valor, rutaValor) } };
+      case 'contiene':
+        return { [camino]: { $regex: escaparRegex(String(convertir(definicion, valor, rutaValor))), $options: 'i' } };
+      case 'incluye_alguna':
+        return { [camino]: { $in: lista(definicion, valor, rutaValor) } };
+      case 'incluye_todas':
+        return { [camino]: { $all: lista(definicion, valor, rutaValor) } };
+      case 'no_incluye':
+        return { [camino]: { $nin: lista(definicion, valor, rutaValor) } };
+      case 'mayor':
+      case 'mayor_igual':
+      case 'menor':
+      case 'menor_igual':
+        return { [camino]: { [COMPARACIONES[operador]]: convertir(definicion, valor, rutaValor) } };
+      case 'entre': {
+        const [desde, hasta] = Array.isArray(valor) && valor.length === 2
+          ? lista(definicion, valor, rutaValor)
+          : [];
+        if (desde === undefined) {
+          throw errorSegmento(400, `${rutaValor}: se espera [desde, hasta]`);
+        }
+        return { [camino]: { $gte: desde, $lte: hasta } };
+      }
+      // Hace más de N días incluye a los que no tienen fecha (p. ej. clientes nunca contactados)
+      case 'hace_mas_de_dias':
+      case 'hace_menos_de_dias': {
+        const dias = convertir({ tipo: 'CONTEO' }, valor, rutaValor);
+        const limite = new Date(Date.now() - dias * MS_POR_DIA);
+        return operador === 'hace_mas_de_dias'
+          ? { [camino]: { $not: { $gte: limite } } }
+          : { [camino]: { $gte: limite } };
+      }
+      case 'mes_actual':
+      case 'mes_siguiente': {
+        // En UTC, igual que mesDeNacimiento al guardar el cliente
+        const mes = new Date().getUTCMonth() + 1;
+        return { [camino]: operador === 'mes_actual' ? mes : (mes % 12) + 1 };
+      }
+      case 'vacio':
+        return esLista ? { [`${camino}.0`]: { $exists: false } } : { [camino]: null };
+      case 'no_vacio':
+        return esLista ? { [`${camino}.0`]: { $exists: true } } : { [camino]: { $ne: null } };
+      default:
+        throw errorSegmento(400, `${ruta}.operador: operador no válido`);
+    }
+  };
+
+  const compilarNodo = async (nodo, ruta, profundidad) => {
+    if (!nodo || typeof nodo !== 'object' || Array.isArray(nodo)) {
+      throw errorSegmento(400, `${ruta}: se espera un objeto`);
+    }
+
+    const grupo = Object.keys(GRUPOS).find(nombre => nombre in nodo);
+    if (!grupo) {
+      if (profundidad === 0) {
+        throw errorSegmento(400, `${ruta}: las reglas deben empezar con un grupo todas, alguna o ninguna`);
+      }
+      if (++condiciones > MAX_CONDICIONES) {
+        throw errorSegmento(400, `Un segmento puede tener hasta ${MAX_CONDICIONES} condiciones`);
+      }
+      return compilarCondicion(nodo, ruta);
+    }
+
+    if (profundidad >= MAX_PROFUNDIDAD) {
+      throw errorSegmento(400, `${ruta}: los grupos pueden anidarse hasta ${MAX_PROFUNDIDAD} niveles`);
+    }
+    if (Object.keys(nodo).length !== 1) {
+      throw errorSegmento(400, `${ruta}: un grupo tiene una sola clave (todas, alguna o ninguna)`);
+    }
+
+    const hijos = nodo[grupo];
+    if (!Array.isArray(hijos) || hijos.length === 0) {
+      throw errorSegmento(400, `${ruta}.${grupo}: se espera una lista de condiciones`);
+    }
+
+    const compilados = [];
+    for (const [indice, hijo] of hijos.entries()) {
+      compilados.push(await compilarNodo(hijo, `${ruta}.${grupo}[${indice}]`, profundidad + 1));
+    }
+    return { [GRUPOS[grupo]]: compilados };
+  };
+
+  return compilarNodo(reglas, 'reglas', 0);
+};
+
+/**
+ * Filtro completo de los clientes de un segmento (reglas y local)
+ * @param {Object} segmento - { reglas, local }
+ * @returns {Promise<Object>} - Filtro de Mongoose
+ */
+export const filtroSegmento = async (segmento) => ({
+  local: segmento.local,
+  ...(await compilarReglas(segmento.reglas, segmento.local))
+});
+
+/**
+ * Cantidad de clientes que cumplen las reglas de un segmento en este momento
+ * @param {Object} segmento - { reglas, local }
+ * @returns {Promise<Number>}
+ */
+export const contarClientesSegmento = async (segmento) => Cliente.countDocuments(await filtroSegmento(segmento));
+
+/**
+ * Filtro de un segmento guardado para combinar con los del listado (?segmento=ID)
+ * @param {String} segmentoId - ID del segmento
+ * @returns {Promise<Object>} - Filtro de Mongoose
+ * @throws {Error} - status 400/404 si el ID no es válido o el segmento no existe
+ */
+export const filtroSegmentoGuardado = async (segmentoId) => {
+  if (!mongoose.isValidObjectId(segmentoId)) {
+    throw errorSegmento(400, 'ID de segmento no válido');
+  }
+
+  const segmento = await Segmento.findById(segmentoId).lean();
+  if (!segmento) {
+    throw errorSegmento(404, 'Segmento no encontrado');
+  }
+  return filtroSegmento(segmento);
+};
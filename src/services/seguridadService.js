@@ -0,0 +1,141 @@
+import EventoSeguridad from '../models/EventoSeguridad.js';
+import logger from '../config/logger.js';
+import { sendNewLoginEmail } from './emailService.js';
+
+// Días de validez del enlace "no fui yo" enviado al detectar un acceso nuevo
+const ALERTA_LOGIN_EXPIRA_DIAS = parseInt(process.env.ALERTA_LOGIN_EXPIRA_DIAS) || 7;
+
+const NAVEGADORES = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+
+const SISTEMAS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const primeraCoincidencia = (lista, texto) => (lista.find(([, regex]) => regex.test(texto)) || ['otro'])[0];
+
+/**
+ * Resume el user agent en navegador y sistema operativo, para que una actualización
+ * del navegador no se considere un dispositivo nuevo
+ * @param {String} userAgent - Header User-Agent
+ * @returns {String} - p. ej. "Chrome/Windows"
+ */
+export const resumirDispositivo = (userAgent = '') => {
+  const texto = String(userAgent || '');
+  return `${primeraCoincidencia(NAVEGADORES, texto)}/${primeraCoincidencia(SISTEMAS, texto)}`;
+};
+
+/**
+ * Compara un acceso con el historial de dispositivos del usuario.
+ * Debe llamarse antes de registrar el login (que agrega el dispositivo al historial).
+ * @param {Object} user - Usuario con dispositivos y lastLoginIP
+ * @param {Object} infoDispositivo - { dispositivo, ip, ubicacion } del acceso actual
+ * @returns {Array<String>} - Motivos de sospecha (vacío si el acceso es conocido o es el primero)
+ */
+export const detectarLoginSospechoso = (user, infoDispositivo) => {
+  const historial = user.dispositivos || [];
+
+  // Sin accesos previos no hay con qué comparar
+  if (historial.length === 0) return [];
+
+  const motivos = [];
+  const firma = resumirDispositivo(infoDispositivo.dispositivo);
+
+  if (!historial.some(acceso => resumirDispositivo(acceso.dispositivo) === firma)) {
+    motivos.push('nuevo_dispositivo');
+  }
+
+  const ipsConocidas = new Set(historial.map(acceso => acceso.ip).filter(Boolean));
+  if (user.lastLoginIP) ipsConocidas.add(user.lastLoginIP);
+
+  if (infoDispositivo.ip && !ipsConocidas.has(infoDispositivo.ip)) {
+    motivos.push('nueva_ip');
+  }
+
+  return motivos;
+};
+
+// Local del evento: el local principal del usuario (poblado o como ID)
+const localDelUsuario = (user) => user.primaryLocal?._id || user.primaryLocal || null;
+
+/**
+ * Registra un evento de seguridad. Nunca lanza errores: un fallo al registrar
+ * no debe impedir la operación que lo originó.
+ * @param {Object} datos - usuario, tipo, severidad, ip, dispositivo, detalles, etc.
+ * @returns {Promise<Object|null>} - Evento creado o null si falló
+ */
+export const registrarEventoSeguridad = async (datos) => {
+  try {
+    return await EventoSeguridad.create(datos);
+  } catch (error) {
+    logger.error(`Error registrando evento de seguridad ${datos.tipo}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Registra un login desde un dispositivo o IP nuevos y avisa al usuario por email
+ * con un enlace "no fui yo" que cierra todas sus sesiones
+ * @param {Object} user - Usuario que inició sesión
+ * @param {Object} infoDispositivo - { dispositivo, ip, ubicacion } del acceso
+ * @param {Array<String>} motivos - Resultado de detectarLoginSospechoso
+ * @param {Object} sesion - Sesión creada para el acceso
+ * @returns {Promise<Object|null>} - Evento creado o null si falló
+ */
+export const registrarLoginSospechoso = async (user, infoDispositivo, motivos, sesion = null) => {
+  try {
+    const evento = new EventoSeguridad({
+      usuario: user._id,
+      local: localDelUsuario(user),
+      tipo: 'login_sospechoso',
+      severidad: 'advertencia',
+      motivos,
+      ip: infoDispositivo.ip,
+      dispositivo: infoDispositivo.dispositivo,
+      ubicacion: infoDispositivo.ubicacion,
+      sesion: sesion?._id || null
+    });
+    const token = evento.generarTokenNoFuiYo(ALERTA_LOGIN_EXPIRA_DIAS);
+    await evento.save();
+
+    const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const enviado = await sendNewLoginEmail(user, evento, `${frontendURL}/no-fui-yo/${token}`);
+
+    if (!enviado) {
+      logger.warn(`No se pudo enviar el aviso de nuevo inicio de sesión a ${user.email}`);
+    }
+
+    logger.warn(`Login sospechoso de ${user.email} desde IP ${infoDispositivo.ip} (${motivos.join(', ')})`);
+    return evento;
+  } catch (error) {
+    logger.error(`Error registrando login sospechoso de ${user.email}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Registra el bloqueo de una cuenta por intentos fallidos
+ * @param {Object} user - Usuario bloqueado
+ * @param {Object} req - Petición de Express que provocó el bloqueo
+ */
+export const registrarCuentaBloqueada = (user, req) => {
+  return registrarEventoSeguridad({
+    usuario: user._id,
+    local: localDelUsuario(user),
+    tipo: 'cuenta_bloqueada',
+    severidad: 'advertencia',
+    ip: req.ip,
+    dispositivo: req.headers['user-agent'] || 'desconocido',
+    ubicacion: req.headers['accept-language'] || 'desconocido',
+    detalles: { intentosFallidos: user.intentosFallidos, bloqueadoHasta: user.bloqueadoHasta }
+  });
+};
@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import Evento from '../models/Evento.js';
+import Recordatorio from '../models/Recordatorio.js';
+import Nota from '../models/Nota.js';
+import User from '../models/User.js';
+import Message from '../models/whatsapp/Message.js';
+import { buscarWhatsAppCliente, filtroMensajes, filtroRecordatorios } from './privacidadService.js';
+
+/**
+ * Tipos de actividad del timeline. El orden desempata las actividades con la misma fecha
+ * - nota_cliente: notas guardadas en la ficha del cliente (Cliente.notas)
+ * - interaccion: historial de interacciones (Cliente.historialInteracciones)
+ * - nota: notas independientes vinculadas al cliente (visibles para el usuario)
+ */
+export const TIPOS_TIMELINE = ['nota_cliente', 'interaccion', 'evento', 'recordatorio', 'nota', 'whatsapp'];
+
+// Permiso necesario para ver cada tipo (además de clientes:read)
+export const PERMISOS_TIMELINE = {
+  nota_cliente: 'clientes:read',
+  interaccion: 'clientes:read',
+  evento: 'eventos:read',
+  recordatorio: 'recordatorios:read',
+  nota: 'notas:read',
+  whatsapp: 'whatsapp:read'
+};
+
+const orden = (tipo) => TIPOS_TIMELINE.indexOf(tipo);
+
+// Cursor opaco con la posición de la última actividad devuelta
+const codificarCursor = ({ fecha, tipo, id }) =>
+  Buffer.from(`${fecha.toISOString()}|${tipo}|${id}`).toString('base64url');
+
+/**
+ * Decodifica el cursor de paginación del timeline
+ * @param {String} cursor - Valor de "siguiente" de la página anterior
+ * @returns {Object|null} - { fecha, tipo, id } o null si no es válido
+ */
+export const decodificarCursor = (cursor) => {
+  const [fecha, tipo, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const valor = new Date(fecha);
+
+  if (Number.isNaN(valor.getTime()) || !TIPOS_TIMELINE.includes(tipo) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { fecha: valor, tipo, id };
+};
+
+// Orden descendente por fecha, tipo e ID (negativo si "a" va antes que "b")
+const compararActividades = (a, b) =>
+  (b.fecha - a.fecha) || (orden(b.tipo) - orden(a.tipo)) || (String(b.id) < String(a.id) ? -1 : String(b.id) > String(a.id) ? 1 : 0);
+
+// Condición de fecha para una fuente: rango pedido y posición posterior al cursor
+const filtroPosicion = (tipo, campo, { cursor, desde, hasta }) => {
+  const condiciones = [];
+
+  if (desde) condiciones.push({ [campo]: { $gte: desde } });
+  if (hasta) condiciones.push({ [campo]: { $lte: hasta } });
+
+  if (cursor) {
+    if (orden(tipo) < orden(cursor.tipo)) {
+      condiciones.push({ [campo]: { $lte: cursor.fecha } });
+    } else if (orden(tipo) > orden(cursor.tipo)) {
+      condiciones.push({ [campo]: { $lt: cursor.fecha } });
+    } else {
+      condiciones.push({
+        $or: [
+          { [campo]: { $lt: cursor.fecha } },
+          { [campo]: cursor.fecha, _id: { $lt: new mongoose.Types.ObjectId(cursor.id) } }
+        ]
+      });
+    }
+  }
+
+  return condiciones.length > 0 ? { $and: condiciones } : {};
+};
+
+// Las actividades guardadas en la ficha del cliente se filtran en memoria con el mismo criterio
+const dentroDeLaPagina = (actividad, { cursor, desde, hasta }) =>
+  (!desde || actividad.fecha >= desde) &&
+  (!hasta || actividad.fecha <= hasta) &&
+  (!cursor || compararActividades(actividad, cursor) > 0);
+
+// Fuentes del timeline: las consultas devuelven como máximo "limite" actividades posteriores al cursor
+const FUENTES = {
+  nota_cliente: async (cliente) => cliente.notas.map(nota => ({
+    tipo: 'nota_cliente',
+    id: nota._id,
+    fecha: nota.fecha || cliente.fechaCreacion,
+    titulo: 'Nota en la ficha',
+    descripcion: nota.contenido,
+    usuario: nota.autor
+  })),
+
+  interaccion: async (cliente) => cliente.historialInteracciones.map(interaccion => ({
+    tipo: 'interaccion',
+    id: interaccion._id,
+    fecha: interaccion.fecha || cliente.fechaCreacion,
+    titulo: interaccion.tipo,
+    descripcion: interaccion.descripcion,
+    usuario: interaccion.usuario,
+    datos: { tipo: interaccion.tipo, resultado: interaccion.resultado }
+  })),
+
+  evento: async (cliente, opciones, limite) => {
+    const eventos = await Evento.buscarPorCliente(cliente._id)
+      .where(filtroPosicion('evento', 'fechaInicio', opciones))
+      .sort({ fechaInicio: -1, _id: -1 })
+      .limit(limite)
+      .select('titulo descripcion tipo estado fechaInicio fechaFin todoElDia creadoPor')
+      .lean();
+
+    return eventos.map(evento => ({
+      tipo: 'evento',
+      id: evento._id,
+      fecha: evento.fechaInicio,
+      titulo: evento.titulo,
+      descripcion: evento.descripcion,
+      usuario: evento.creadoPor,
+      datos: { tipo: evento.tipo, estado: evento.estado, fechaFin: evento.fechaFin, todoElDia: evento.todoElDia }
+    }));
+  },
+
+  recordatorio: async (cliente, opciones, limite) => {
+    const recordatorios = await Recordatorio.find({
+      ...filtroRecordatorios(cliente._id),
+      ...filtroPosicion('recordatorio', 'fechaProgramada', opciones)
+    })
+      .sort({ fechaProgramada: -1, _id: -1 })
+      .limit(limite)
+      .select('titulo descripcion tipo estado fechaProgramada evento creadoPor')
+      .lean();
+
+    return recordatorios.map(recordatorio => ({
+      tipo: 'recordatorio',
+      id: recordatorio._id,
+      fecha: recordatorio.fechaProgramada,
+      titulo: recordatorio.titulo,
+      descripcion: recordatorio.descripcion,
+      usuario: recordatorio.creadoPor,
+      datos: { tipo: recordatorio.tipo, estado: recordatorio.estado, evento: recordatorio.evento }
+    }));
+  },
+
+  // Solo las notas que el usuario puede leer (propias, compartidas con él, de equipo o públicas)
+  nota: async (cliente, opciones, limite, usuario) => {
+    const notas = await Nota.find({
+      cliente: cliente._id,
+      esArchivada: { $ne: true },
+      $and: [
+        {
+          $or: [
+            { creadoPor: usuario._id },
+            { 'compartidaCon.usuario': usuario._id, 'compartidaCon.permisos.lectura': true },
+            { visibilidad: { $in: ['EQUIPO', 'PUBLICA'] } }
+          ]
+        },
+        filtroPosicion('nota', 'fechaCreacion', opciones)
+      ]
+    })
+      .sort({ fechaCreacion: -1, _id: -1 })
+      .limit(limite)
+      .select('titulo contenido tipo etiquetas color fechaCreacion creadoPor')
+      .lean();
+
+    return notas.map(nota => ({
+      tipo: 'nota',
+      id: nota._id,
+      fecha: nota.fechaCreacion,
+      titulo: nota.titulo,
+      descripcion: nota.contenido,
+      usuario: nota.creadoPor,
+      datos: { tipo: nota.tipo, etiquetas: nota.etiquetas, color: nota.color }
+    }));
+  },
+
+  whatsapp: async (cliente, opciones, limite) => {
+    const { telefonos } = await buscarWhatsAppCliente(cliente);
+    if (telefonos.length === 0) return [];
+
+    const mensajes = await Message.find({
+      ...filtroMensajes(cliente, telefonos),
+      ...filtroPosicion('whatsapp', 'createdAt', opciones)
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limite)
+      .select('direction type content status contactNumber relatedUser createdAt')
+      .lean();
+
+    return mensajes.map(mensaje => ({
+      tipo: 'whatsapp',
+      id: mensaje._id,
+      fecha: mensaje.createdAt,
+      titulo: mensaje.direction === 'inbound' ? 'Mensaje recibido' : 'Mensaje enviado',
+      descripcion: mensaje.content?.text || mensaje.content?.caption || mensaje.content?.templateName || mensaje.content?.fileName,
+      usuario: mensaje.relatedUser,
+      datos: { direccion: mensaje.direction, tipo: mensaje.type, estado: mensaje.status, telefono: mensaje.contactNumber }
+    }));
+  }
+};
+
+/**
+ * Timeline de actividad de un cliente: notas e interacciones de la ficha, eventos, recordatorios,
+ * notas y mensajes de WhatsApp, del más reciente al más antiguo.
+ * Cada fuente aporta como máximo limite + 1 actividades posteriores al cursor y se toman las
+ * primeras "limite" de la mezcla, por lo que las páginas no se repiten ni saltean actividades.
+ * @param {Object} cliente - Documento Cliente
+ * @param {Object} opciones - { tipos, limite, cursor, desde, hasta, usuario }
+ * @returns {Promise<Object>} - { actividades, siguiente }
+ */
+export const obtenerTimelineCliente = async (cliente, { tipos = TIPOS_TIMELINE, limite = 30, cursor = null, desde, hasta, usuario }) => {
+  const opciones = { cursor, desde, hasta };
+
+  const porFuente = await Promise.all(tipos.map(async (tipo) => {
+    const actividades = await FUENTES[tipo](cliente, opciones, limite + 1, usuario);
+    return actividades.filter(actividad => actividad.fecha && dentroDeLaPagina(actividad, opciones));
+  }));
+
+  const mezcla = porFuente.flat().sort(compararActividades);
+  const actividades = mezcla.slice(0, limite);
+  const siguiente = mezcla.length > limite ? codificarCursor(actividades[actividades.length - 1]) : null;
+
+  // Nombres de los usuarios de la página en una sola consulta
+  const idsUsuarios = [...new Set(actividades.map(actividad => actividad.usuario).filter(Boolean).map(String))];
+  const usuarios = idsUsuarios.length > 0
+    ? await User.find({ _id: { $in: idsUsuarios } }).select('nombre email').lean()
+    : [];
+  const usuariosPorId = new Map(usuarios.map(item => [String(item._id), item]));
+
+  return {
+    actividades: actividades.map(actividad => ({
+      ...actividad,
+      usuario: actividad.usuario ? usuariosPorId.get(String(actividad.usuario)) || { _id: actividad.usuario } : null
+    })),
+    siguiente
+  };
+};
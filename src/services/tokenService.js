@@ -0,0 +1,321 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import logger from '../config/logger.js';
+import { obtenerClaveFirma, obtenerClaveVerificacion, aceptaSecretoLegado } from './clavesFirmaService.js';
+
+// Duración de los tokens de acceso (formato de jsonwebtoken) y de los refresh tokens (en días)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+// Duración máxima de una sesión de impersonación (en minutos)
+const IMPERSONATION_EXPIRES_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 30;
+
+/**
+ * Firma un JWT con la clave activa del llavero (header kid). Mientras no haya claves
+ * en el llavero se firma con JWT_SECRET, sin kid.
+ * @param {Object} payload - Datos a incluir en el token
+ * @param {Object} options - Opciones de jsonwebtoken (expiresIn, etc.)
+ * @returns {String} - Token firmado
+ */
+export const firmarJWT = (payload, options = {}) => {
+  const clave = obtenerClaveFirma();
+
+  if (!clave) {
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+      algorithm: 'HS512',
+      ...options
+    });
+  }
+
+  return jwt.sign(payload, clave.firma, {
+    algorithm: clave.algoritmo,
+    keyid: clave.kid,
+    ...options
+  });
+};
+
+/**
+ * Verifica un JWT firmado por el sistema con la clave indicada en su kid
+ * (activa o en período de verificación). Los tokens sin kid se validan con JWT_SECRET
+ * salvo que JWT_ACCEPT_LEGACY=false.
+ * @param {String} token - Token a verificar
+ * @returns {Promise<Object>} - Payload decodificado (lanza error si es inválido)
+ */
+export const verificarJWT = async (token) => {
+  const decodificado = jwt.decode(token, { complete: true });
+
+  if (!decodificado) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid } = decodificado.header;
+
+  if (!kid) {
+    if (!aceptaSecretoLegado()) {
+      throw new jwt.JsonWebTokenError('Token sin identificador de clave');
+    }
+    return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS512'] });
+  }
+
+  const clave = await obtenerClaveVerificacion(kid);
+
+  if (!clave) {
+    throw new jwt.JsonWebTokenError(`Clave de firma desconocida o retirada: ${kid}`);
+  }
+
+  return jwt.verify(token, clave.verificacion, { algorithms: [clave.algoritmo] });
+};
+
+/**
+ * Calcula el hash SHA-256 de un token opaco
+ * @param {String} token - Token en texto plano
+ * @returns {String} - Hash hexadecimal
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Extrae la información del dispositivo desde la petición
+ * @param {Object} req - Petición de Express
+ * @returns {Object} - Dispositivo, IP y ubicación
+ */
+export const obtenerInfoDispositivo = (req) => ({
+  dispositivo: req.headers['user-agent'] || 'desconocido',
+  ip: req.ip,
+  ubicacion: req.headers['accept-language'] || 'desconocido'
+});
+
+/**
+ * Genera un token de acceso de corta duración asociado a una sesión
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} session - Sesión del servidor
+ * @param {Object} req - Petición de Express
+ * @returns {String} - Token de acceso firmado
+ */
+export const generarAccessToken = (user, session, req) => {
+  return firmarJWT(
+    {
+      id: user._id,
+      role: user.role,
+      email: user.email,
+      sid: session._id,
+      iat: Math.floor(Date.now() / 1000),
+      userAgent: req.headers['user-agent']?.substring(0, 100) || 'unknown',
+      tokenVersion: user.tokenVersion
+    },
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Crea una sesión nueva en el servidor y emite el par de tokens
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} req - Petición de Express
+ * @param {Object} opciones - Opciones de la sesión
+ * @param {Boolean} opciones.dosFactoresVerificado - Si la sesión completó el segundo factor
+ * @returns {Promise<Object>} - accessToken, refreshToken, expiresIn y la sesión creada
+ */
+export const emitirTokens = async (user, req, opciones = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const info = obtenerInfoDispositivo(req);
+
+  const session = await Session.create({
+    usuario: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    dispositivo: info.dispositivo,
+    ip: info.ip,
+    ubicacion: info.ubicacion,
+    dosFactoresVerificado: !!opciones.dosFactoresVerificado,
+    ultimoUso: Date.now(),
+    expiraEn: Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+  });
+
+  return {
+    accessToken: generarAccessToken(user, session, req),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    session
+  };
+};
+
+/**
+ * Crea una sesión de impersonación: un superAdmin actúa como otro usuario.
+ * La sesión es de corta duración, no tiene refresh token utilizable y el token
+ * de acceso lleva ambas identidades (id del usuario e imp del superAdmin).
+ * @param {Object} impersonador - SuperAdmin que inicia la impersonación
+ * @param {Object} user - Usuario impersonado
+ * @param {Object} req - Petición de Express
+ * @param {String} motivo - Motivo declarado por el superAdmin
+ * @returns {Promise<Object>} - accessToken, expiresIn y la sesión creada
+ */
+export const emitirTokenImpersonacion = async (impersonador, user, req, motivo) => {
+  const info = obtenerInfoDispositivo(req);
+  const duracionMs = IMPERSONATION_EXPIRES_MINUTES * 60 * 1000;
+
+  const session = await Session.create({
+    usuario: user._id,
+    // Hash de un valor aleatorio descartado: la sesión no puede renovarse
+    refreshTokenHash: hashToken(crypto.randomBytes(48).toString('hex')),
+    dispositivo: info.dispositivo,
+    ip: info.ip,
+    ubicacion: info.ubicacion,
+    // El superAdmin ya superó su propio segundo factor para iniciar la impersonación
+    dosFactoresVerificado: true,
+    impersonadoPor: impersonador._id,
+    motivoImpersonacion: motivo,
+    ultimoUso: Date.now(),
+    expiraEn: Date.now() + duracionMs
+  });
+
+  const accessToken = firmarJWT(
+    {
+      id: user._id,
+      role: user.role,
+      email: user.email,
+      sid: session._id,
+      imp: impersonador._id,
+      iat: Math.floor(Date.now() / 1000),
+      userAgent: req.headers['user-agent']?.substring(0, 100) || 'unknown',
+      tokenVersion: user.tokenVersion
+    },
+    { expiresIn: IMPERSONATION_EXPIRES_MINUTES * 60 }
+  );
+
+  return {
+    accessToken,
+    expiresIn: `${IMPERSONATION_EXPIRES_MINUTES}m`,
+    session
+  };
+};
+
+/**
+ * Genera el token de desafío que habilita el segundo paso del login con 2FA
+ * @param {Object} user - Usuario que superó el primer factor
+ * @returns {String} - Token de desafío de corta duración
+ */
+export const generarTokenDesafio2FA = (user) => {
+  return firmarJWT(
+    {
+      id: user._id,
+      tipo: 'desafio_2fa',
+      tokenVersion: user.tokenVersion
+    },
+    { expiresIn: '5m' }
+  );
+};
+
+/**
+ * Verifica un token de desafío 2FA
+ * @param {String} token - Token de desafío
+ * @returns {Promise<Object|null>} - Payload si es válido, null en caso contrario
+ */
+export const verificarTokenDesafio2FA = async (token) => {
+  try {
+    const decoded = await verificarJWT(token);
+    return decoded.tipo === 'desafio_2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Genera el token que permite definir una nueva contraseña cuando la actual expiró
+ * @param {Object} user - Usuario que ingresó su contraseña correctamente
+ * @returns {String} - Token de corta duración
+ */
+export const generarTokenCambioPassword = (user) => {
+  return firmarJWT(
+    {
+      id: user._id,
+      tipo: 'cambio_password',
+      tokenVersion: user.tokenVersion
+    },
+    { expiresIn: '10m' }
+  );
+};
+
+/**
+ * Verifica un token de cambio de contraseña expirada
+ * @param {String} token - Token de cambio de contraseña
+ * @returns {Promise<Object|null>} - Payload si es válido, null en caso contrario
+ */
+export const verificarTokenCambioPassword = async (token) => {
+  try {
+    const decoded = await verificarJWT(token);
+    return decoded.tipo === 'cambio_password' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Rota un refresh token: invalida el recibido y emite un par nuevo sobre la misma sesión.
+ * Si se presenta un refresh token ya rotado se asume robo y se revoca toda la sesión.
+ * @param {String} refreshToken - Refresh token en texto plano
+ * @param {Object} req - Petición de Express
+ * @returns {Promise<Object>} - { success, status, message } o { success, user, accessToken, refreshToken, expiresIn }
+ */
+export const rotarRefreshToken = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: hash });
+
+  if (!session) {
+    // Verificar si es un token ya rotado (reutilización)
+    const sesionComprometida = await Session.findOne({ tokensAnteriores: hash });
+
+    if (sesionComprometida) {
+      await sesionComprometida.revocar('reutilizacion_refresh_token');
+      logger.warn(`Reutilización de refresh token detectada en sesión ${sesionComprometida._id} (usuario ${sesionComprometida.usuario}) desde IP ${req.ip}. Sesión revocada.`);
+    }
+
+    return { success: false, status: 401, message: 'Refresh token inválido' };
+  }
+
+  if (!session.estaActiva()) {
+    return { success: false, status: 401, message: 'Sesión expirada o revocada, inicie sesión nuevamente' };
+  }
+
+  const user = await User.findById(session.usuario);
+
+  if (!user || (user.estaBloqueada && user.estaBloqueada())) {
+    await session.revocar('usuario_no_disponible');
+    return { success: false, status: 401, message: 'Usuario no disponible, inicie sesión nuevamente' };
+  }
+
+  // Un usuario desactivado no renueva tokens: se revoca la sesión y con ella toda la cadena de refresh tokens
+  if (!user.activo) {
+    await session.revocar('usuario_desactivado');
+    return { success: false, status: 401, message: 'Usuario desactivado' };
+  }
+
+  // Rotar el refresh token
+  const nuevoRefreshToken = crypto.randomBytes(48).toString('hex');
+  session.tokensAnteriores.push(session.refreshTokenHash);
+  session.refreshTokenHash = hashToken(nuevoRefreshToken);
+  session.ultimoUso = Date.now();
+  session.ip = req.ip;
+  await session.save();
+
+  return {
+    success: true,
+    user,
+    session,
+    accessToken: generarAccessToken(user, session, req),
+    refreshToken: nuevoRefreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+/**
+ * Revoca todas las sesiones de un usuario
+ * @param {String} userId - ID del usuario
+ * @param {String} motivo - Motivo de la revocación
+ * @param {String} exceptoId - Sesión que debe conservarse (opcional)
+ * @returns {Promise<Number>} - Cantidad de sesiones revocadas
+ */
+export const revocarSesionesUsuario = async (userId, motivo, exceptoId = null) => {
+  return await Session.revocarTodasDelUsuario(userId, motivo, exceptoId);
+};
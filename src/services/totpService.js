@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+
+// Parámetros estándar de TOTP (RFC 6238) compatibles con Google Authenticator, Authy, etc.
+const PERIODO_SEGUNDOS = 30;
+const DIGITOS = 6;
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Codifica un buffer en base32 (RFC 4648, sin padding)
+ * @param {Buffer} buffer - Datos a codificar
+ * @returns {String} - Cadena en base32
+ */
+const codificarBase32 = (buffer) => {
+  let bits = 0;
+  let valor = 0;
+  let salida = '';
+
+  for (const byte of buffer) {
+    valor = (valor << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      salida += ALFABETO_BASE32[(valor >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    salida += ALFABETO_BASE32[(valor << (5 - bits)) & 31];
+  }
+
+  return salida;
+};
+
+/**
+ * Decodifica una cadena base32 a buffer
+ * @param {String} texto - Cadena en base32
+ * @returns {Buffer} - Datos decodificados
+ */
+const decodificarBase32 = (texto) => {
+  const limpio = texto.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let valor = 0;
+  const bytes = [];
+
+  for (const caracter of limpio) {
+    const indice = ALFABETO_BASE32.indexOf(caracter);
+    if (indice === -1) {
+      throw new Error('Secreto base32 inválido');
+    }
+
+    valor = (valor << 5) | indice;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((valor >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Genera el código HOTP para un contador dado (RFC 4226)
+ * @param {String} secreto - Secreto en base32
+ * @param {Number} contador - Contador (paso de tiempo)
+ * @returns {String} - Código numérico con ceros a la izquierda
+ */
+const generarHOTP = (secreto, contador) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(contador));
+
+  const hmac = crypto.createHmac('sha1', decodificarBase32(secreto)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binario = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binario % 10 ** DIGITOS).toString().padStart(DIGITOS, '0');
+};
+
+/**
+ * Obtiene el paso de tiempo TOTP actual
+ * @param {Number} timestamp - Momento en milisegundos (por defecto ahora)
+ * @returns {Number} - Paso de tiempo
+ */
+export const obtenerPasoActual = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / PERIODO_SEGUNDOS);
+};
+
+/**
+ * Genera un secreto TOTP aleatorio de 160 bits
+ * @returns {String} - Secreto en base32
+ */
+export const generarSecreto = () => {
+  return codificarBase32(crypto.randomBytes(20));
+};
+
+/**
+ * Genera el código TOTP vigente para un secreto
+ * @param {String} secreto - Secreto en base32
+ * @param {Number} timestamp - Momento en milisegundos (por defecto ahora)
+ * @returns {String} - Código de 6 dígitos
+ */
+export const generarCodigo = (secreto, timestamp = Date.now()) => {
+  return generarHOTP(secreto, obtenerPasoActual(timestamp));
+};
+
+/**
+ * Verifica un código TOTP tolerando un desfase de reloj
+ * @param {String} secreto - Secreto en base32
+ * @param {String} codigo - Código ingresado por el usuario
+ * @param {Number} ventana - Pasos de tolerancia hacia atrás y adelante
+ * @returns {Number|null} - Paso de tiempo que coincidió o null si el código es inválido
+ */
+export const verificarCodigo = (secreto, codigo, ventana = 1) => {
+  if (!secreto || !codigo || !/^\d{6}$/.test(String(codigo))) {
+    return null;
+  }
+
+  const pasoActual = obtenerPasoActual();
+
+  for (let desfase = -ventana; desfase <= ventana; desfase++) {
+    const esperado = Buffer.from(generarHOTP(secreto, pasoActual + desfase));
+    if (crypto.timingSafeEqual(esperado, Buffer.from(String(codigo)))) {
+      return pasoActual + desfase;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Construye la URI otpauth:// para registrar el secreto en una app autenticadora (vía QR)
+ * @param {String} secreto - Secreto en base32
+ * @param {String} cuenta - Identificador de la cuenta (email)
+ * @param {String} emisor - Nombre de la aplicación
+ * @returns {String} - URI otpauth
+ */
+export const generarURIOtpauth = (secreto, cuenta, emisor = process.env.TOTP_ISSUER || 'Evolution') => {
+  const etiqueta = encodeURIComponent(`${emisor}:${cuenta}`);
+  const parametros = new URLSearchParams({
+    secret: secreto,
+    issuer: emisor,
+    algorithm: 'SHA1',
+    digits: String(DIGITOS),
+    period: String(PERIODO_SEGUNDOS)
+  });
+
+  return `otpauth://totp/${etiqueta}?${parametros.toString()}`;
+};
+
+/**
+ * Genera códigos de recuperación de un solo uso
+ * @param {Number} cantidad - Cantidad de códigos
+ * @returns {Array<String>} - Códigos con formato xxxxx-xxxxx
+ */
+export const generarCodigosRecuperacion = (cantidad = 10) => {
+  return Array.from({ length: cantidad }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+  });
+};
+
+/**
+ * Calcula el hash con el que se almacenan los códigos de recuperación
+ * @param {String} codigo - Código de recuperación en texto plano
+ * @returns {String} - Hash SHA-256 hexadecimal
+ */
+export const hashCodigoRecuperacion = (codigo) => {
+  return crypto.createHash('sha256').update(String(codigo).trim().toLowerCase()).digest('hex');
+};
+
+/**
+ * Verifica el segundo factor de un usuario con un código TOTP o un código de recuperación.
+ * Actualiza el usuario (paso usado / código consumido) pero no lo guarda.
+ * @param {Object} user - Usuario con los campos de dosFactores seleccionados
+ * @param {Object} datos - Datos ingresados
+ * @param {String} datos.codigo - Código TOTP
+ * @param {String} datos.codigoRecuperacion - Código de recuperación
+ * @returns {Object} - { valido, metodo }
+ */
+export const verificarSegundoFactor = (user, { codigo, codigoRecuperacion } = {}) => {
+  const dosFactores = user.dosFactores || {};
+
+  if (codigo) {
+    const paso = verificarCodigo(dosFactores.secreto, codigo);
+
+    // Rechazar códigos ya utilizados (protección contra repetición)
+    if (paso === null || (dosFactores.ultimoPasoUsado && paso <= dosFactores.ultimoPasoUsado)) {
+      return { valido: false };
+    }
+
+    user.dosFactores.ultimoPasoUsado = paso;
+    return { valido: true, metodo: 'totp' };
+  }
+
+  if (codigoRecuperacion) {
+    const hash = hashCodigoRecuperacion(codigoRecuperacion);
+    const codigos = dosFactores.codigosRecuperacion || [];
+
+    if (!codigos.includes(hash)) {
+      return { valido: false };
+    }
+
+    user.dosFactores.codigosRecuperacion = codigos.filter(c => c !== hash);
+    return { valido: true, metodo: 'recuperacion' };
+  }
+
+  return { valido: false };
+};
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import CampoPersonalizado, { compilarPatron } from '../src/models/CampoPersonalizado.js';
+import { convertirValor } from '../src/services/camposPersonalizadosService.js';
+
+const nuevoCampo = (datos) => new CampoPersonalizado({
+  entidad: 'CLIENTE',
+  clave: 'talle',
+  etiqueta: 'Talle',
+  local: new mongoose.Types.ObjectId(),
+  ...datos
+});
+
+const erroresDe = async (campo) => {
+  const error = await campo.validate().then(() => null, (error) => error);
+  return error ? Object.keys(error.errors).sort() : [];
+};
+
+test('los campos de selección necesitan opciones sin repetir', async () => {
+  assert.deepEqual(await erroresDe(nuevoCampo({ tipo: 'SELECCION', opciones: [] })), ['opciones']);
+  assert.deepEqual(await erroresDe(nuevoCampo({ tipo: 'SELECCION_MULTIPLE', opciones: ['S', 'M', 'S'] })), ['opciones']);
+  assert.deepEqual(await erroresDe(nuevoCampo({ tipo: 'SELECCION', opciones: ['S', 'M'] })), []);
+});
+
+test('las reglas de validación deben corresponder al tipo del campo', async () => {
+  assert.deepEqual(await erroresDe(nuevoCampo({ tipo: 'TEXTO', validacion: { patron: '(abc' } })), ['validacion.patron']);
+  assert.deepEqual(await erroresDe(nuevoCampo({ tipo: 'NUMERO', validacion: { min: 10, max: 5 } })), ['validacion.min']);
+  assert.deepEqual(await erroresDe(nuevoCampo({ tipo: 'FECHA', validacion: { max: 'no es una fecha' } })), ['validacion.max']);
+});
+
+test('la clave debe poder usarse como nombre de propiedad', async () => {
+  assert.deepEqual(await erroresDe(nuevoCampo({ tipo: 'TEXTO', clave: '1talle.color' })), ['clave']);
+});
+
+test('compilarPatron acepta patrones simples', () => {
+  for (const patron of ['^[A-Z]{3}\\d{3}$', '^\\d{4}-\\d{2}$', '^(?:AB|CD)-\\d+$', '^[a-z(]+$', '^(\\d{2})?[a-z]+$', '^(ab){2}$', '^(a+){1}$']) {
+    assert.ok(compilarPatron(patron) instanceof RegExp, patron);
+  }
+});
+
+test('compilarPatron rechaza patrones con backtracking exponencial', () => {
+  for (const patron of ['^(a+)+$', '^(a|aa)*$', '^((ab)*)+$', '^(\\w+\\s?)*$', '^(a{1,3}){2,}$', '^(a)\\1$', '(.*a){20}', '^(a|b){3}$']) {
+    assert.throws(() => compilarPatron(patron), patron);
+  }
+});
+
+test('compilarPatron rechaza patrones no válidos o demasiado largos', () => {
+  assert.throws(() => compilarPatron('(abc'), /no es una expresión regular válida/);
+  assert.throws(() => compilarPatron('a'.repeat(201)), /hasta 200 caracteres/);
+});
+
+test('un patrón guardado no válido es un error del valor y no una excepción', () => {
+  const definicion = { tipo: 'TEXTO', validacion: { patron: '^(a+)+$' } };
+
+  assert.ok(convertirValor(definicion, 'aaaa').error);
+  assert.deepEqual(convertirValor({ tipo: 'TEXTO', validacion: { patron: '^\\d+$' } }, '123'), { valor: '123' });
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Cliente from '../src/models/Cliente.js';
+
+const datosCliente = (fechaNacimiento) => ({
+  nombre: 'Ana',
+  apellido: 'Pérez',
+  email: 'ana@example.com',
+  telefono: '1122334455',
+  local: new mongoose.Types.ObjectId(),
+  creadoPor: new mongoose.Types.ObjectId(),
+  fechaNacimiento
+});
+
+// Ejecuta los middlewares "pre" de una operación sin llegar a la base de datos
+const ejecutarPre = (hooks, operacion, contextoHook, argumentos = []) => new Promise((resolver, rechazar) => {
+  hooks.execPre(operacion, contextoHook, argumentos, (error) => (error ? rechazar(error) : resolver()));
+});
+
+test('mesNacimiento se deriva de la fecha de nacimiento al guardar', async () => {
+  const cliente = new Cliente(datosCliente(new Date('1990-05-10T00:00:00Z')));
+
+  await ejecutarPre(Cliente.hooks, 'save', cliente, [{}]);
+
+  assert.equal(cliente.mesNacimiento, 5);
+});
+
+test('mesNacimiento se actualiza o se quita junto con la fecha de nacimiento', async () => {
+  const cambio = Cliente.updateOne({}, { $set: { fechaNacimiento: '1990-12-31' } });
+  const quitada = Cliente.updateOne({}, { $unset: { fechaNacimiento: '' } });
+
+  await ejecutarPre(cambio._queryMiddleware, 'updateOne', cambio);
+  await ejecutarPre(quitada._queryMiddleware, 'updateOne', quitada);
+
+  assert.equal(cambio.getUpdate().$set.mesNacimiento, 12);
+  assert.deepEqual(quitada.getUpdate().$unset, { fechaNacimiento: '', mesNacimiento: '' });
+});
+
+test('la fecha de nacimiento se convierte a Date al validar', async () => {
+  const cliente = new Cliente(datosCliente('1990-05-10'));
+  await cliente.validate();
+
+  assert.ok(cliente.fechaNacimiento instanceof Date);
+  assert.equal(cliente.fechaNacimiento.toISOString(), '1990-05-10T00:00:00.000Z');
+});
+
+test('una fecha de nacimiento no válida es un error de validación', async () => {
+  const cliente = new Cliente(datosCliente('no es una fecha'));
+
+  await assert.rejects(cliente.validate(), (error) => {
+    assert.equal(error.name, 'ValidationError');
+    assert.ok(error.errors.fechaNacimiento);
+    return true;
+  });
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Oportunidad from '../src/models/Oportunidad.js';
+import Pipeline, { ETAPAS_PREDETERMINADAS } from '../src/models/Pipeline.js';
+
+const pipeline = new Pipeline({ nombre: 'Ventas', etapas: ETAPAS_PREDETERMINADAS, local: new mongoose.Types.ObjectId() });
+const etapa = (nombre) => pipeline.etapas.find(actual => actual.nombre === nombre);
+
+test('moverAEtapa registra el cambio, cierra al perder y reabre al volver a una etapa abierta', () => {
+  const usuarioId = new mongoose.Types.ObjectId();
+  const oportunidad = new Oportunidad({ titulo: 'Renovación', monto: 1000, etapa: etapa('Propuesta')._id, estado: 'ABIERTA' });
+
+  oportunidad.moverAEtapa(etapa('Perdida'), usuarioId, { motivoPerdida: 'Precio' });
+
+  assert.equal(oportunidad.estado, 'PERDIDA');
+  assert.ok(oportunidad.fechaCierre instanceof Date);
+  assert.equal(oportunidad.motivoPerdida, 'Precio');
+  assert.equal(oportunidad.probabilidad, 0);
+  assert.equal(String(oportunidad.historialEtapas[0].etapaAnterior), String(etapa('Propuesta')._id));
+  assert.equal(oportunidad.historialEtapas[0].nombreEtapa, 'Perdida');
+
+  oportunidad.moverAEtapa(etapa('Negociación'), usuarioId, { probabilidad: 60 });
+
+  assert.equal(oportunidad.estado, 'ABIERTA');
+  assert.equal(oportunidad.fechaCierre, undefined);
+  assert.equal(oportunidad.motivoPerdida, undefined);
+  assert.equal(oportunidad.montoPonderado, 600);
+  assert.equal(oportunidad.historialEtapas.length, 2);
+});
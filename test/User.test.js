@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Role from '../src/models/Role.js';
+import User from '../src/models/User.js';
+
+const nuevoUsuario = (datos = {}) => {
+  const usuario = new User({ nombre: 'Ana', apellido: 'Pérez', email: 'ana@ejemplo.com', password: 'Secreta123!', ...datos });
+  usuario.save = async () => usuario;
+  return usuario;
+};
+
+test('generarCodigoVerificacion guarda solo el hash del código enviado', async () => {
+  const usuario = nuevoUsuario();
+
+  const codigo = await usuario.generarCodigoVerificacion();
+
+  assert.match(codigo, /^\d{6}$/);
+  assert.equal(usuario.codigoVerificacion, crypto.createHash('sha256').update(codigo).digest('hex'));
+  assert.ok(usuario.codigoVerificacionExpira > Date.now());
+});
+
+test('verificarCodigoVerificacion marca el email como verificado y consume el código', async () => {
+  const usuario = nuevoUsuario();
+  const codigo = await usuario.generarCodigoVerificacion();
+
+  assert.equal(await usuario.verificarCodigoVerificacion(codigo), true);
+  assert.equal(usuario.verificado, true);
+  assert.equal(usuario.codigoVerificacion, undefined);
+});
+
+test('verificarCodigoVerificacion invalida el código tras cinco intentos fallidos', async () => {
+  const usuario = nuevoUsuario();
+  const codigo = await usuario.generarCodigoVerificacion();
+  const incorrecto = codigo === '999999' ? '100000' : '999999';
+
+  for (let intento = 0; intento < 5; intento++) {
+    assert.equal(await usuario.verificarCodigoVerificacion(incorrecto), false);
+  }
+
+  assert.equal(await usuario.verificarCodigoVerificacion(codigo), false);
+  assert.equal(usuario.verificado, false);
+});
+
+test('los roles personalizados reemplazan los permisos por defecto del rol usuario', () => {
+  const local = new mongoose.Types.ObjectId();
+  const recepcionista = new Role({ nombre: 'Recepcionista', local, permisos: ['clientes:read', 'whatsapp:send'] });
+  const usuario = nuevoUsuario({ role: 'usuario', primaryLocal: local, locales: [local] });
+  usuario.rolesPersonalizados = [recepcionista];
+
+  assert.equal(usuario.tienePermiso('whatsapp:send'), true);
+  assert.equal(usuario.tienePermiso('clientes:write'), false);
+  assert.equal(usuario.tieneRol('recepcionista'), true);
+});
+
+test('los roles personalizados inactivos o de locales ajenos no otorgan permisos', () => {
+  const local = new mongoose.Types.ObjectId();
+  const inactivo = new Role({ nombre: 'Vendedor', local, permisos: ['whatsapp:send'], activo: false });
+  const ajeno = new Role({ nombre: 'Cajero', local: new mongoose.Types.ObjectId(), permisos: ['whatsapp:read'] });
+  const usuario = nuevoUsuario({ role: 'usuario', primaryLocal: local, locales: [local] });
+  usuario.rolesPersonalizados = [inactivo, ajeno];
+
+  assert.equal(usuario.tienePermiso('whatsapp:send'), false);
+  assert.equal(usuario.tienePermiso('whatsapp:read'), false);
+  assert.equal(usuario.tienePermiso('clientes:write'), true);
+});
+
+test('Role rechaza nombres reservados y permisos que no están en el catálogo', () => {
+  const error = new Role({ nombre: 'Admin', local: new mongoose.Types.ObjectId(), permisos: ['clientes:volar'] }).validateSync();
+
+  assert.ok(error.errors.nombre);
+  assert.ok(error.errors.permisos);
+});
+
+test('consumirMagicLink busca el enlace vigente y lo invalida en una sola operación', async () => {
+  const llamadas = [];
+  User.findOneAndUpdate = (...argumentos) => {
+    llamadas.push(argumentos);
+    return null;
+  };
+
+  await User.consumirMagicLink('token-del-enlace');
+
+  assert.equal(llamadas.length, 1);
+  const [filtro, actualizacion] = llamadas[0];
+  assert.equal(filtro.magicLinkToken, crypto.createHash('sha256').update('token-del-enlace').digest('hex'));
+  assert.ok(filtro.magicLinkExpires.$gt <= Date.now());
+  assert.deepEqual(actualizacion, { $unset: { magicLinkToken: '', magicLinkExpires: '' } });
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import AuditLog from '../src/models/AuditLog.js';
+import { auditarPeticion } from '../src/middlewares/auditMiddleware.js';
+
+// Ejecuta el middleware sobre una petición y devuelve la entrada registrada al finalizar la respuesta
+const auditar = async (req, statusCode = 200) => {
+  const entradas = [];
+  AuditLog.create = async (datos) => {
+    entradas.push(datos);
+    return datos;
+  };
+  const res = new EventEmitter();
+  res.statusCode = statusCode;
+
+  auditarPeticion({ params: {}, query: {}, body: {}, headers: {}, ...req }, res, () => {});
+  res.emit('finish');
+  await new Promise(resolver => setImmediate(resolver));
+
+  return entradas;
+};
+
+test('auditarPeticion registra las peticiones mutantes con la acción inferida de la ruta', async () => {
+  const actor = { _id: new mongoose.Types.ObjectId(), email: 'admin@ejemplo.com', role: 'admin' };
+  const id = String(new mongoose.Types.ObjectId());
+
+  const [entrada] = await auditar({
+    method: 'DELETE',
+    originalUrl: `/api/admin/users/${id}`,
+    baseUrl: '/api/admin',
+    route: { path: '/users/:id' },
+    params: { id },
+    user: actor
+  }, 404);
+
+  assert.equal(entrada.accion, 'users.eliminar');
+  assert.equal(entrada.ruta, '/api/admin/users/:id');
+  assert.equal(entrada.recursoId, id);
+  assert.equal(entrada.actorEmail, 'admin@ejemplo.com');
+  assert.equal(entrada.exito, false);
+});
+
+test('auditarPeticion no registra lecturas ni las rutas excluidas', async () => {
+  assert.deepEqual(await auditar({ method: 'GET', originalUrl: '/api/clientes' }), []);
+  assert.deepEqual(await auditar({ method: 'POST', originalUrl: '/api/users/refresh' }), []);
+});
+
+test('los controladores pueden completar la entrada con req.auditar', async () => {
+  const entradas = [];
+  AuditLog.create = async (datos) => {
+    entradas.push(datos);
+    return datos;
+  };
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  const req = { method: 'PUT', originalUrl: '/api/locales/1', params: {}, query: {}, body: {}, headers: {} };
+
+  auditarPeticion(req, res, () => {});
+  req.auditar({ accion: 'locales.renombrar', antes: { nombre: 'Viejo' }, despues: { nombre: 'Nuevo' } });
+  res.emit('finish');
+  await new Promise(resolver => setImmediate(resolver));
+
+  assert.equal(entradas[0].accion, 'locales.renombrar');
+  assert.deepEqual(entradas[0].cambios, [{ campo: 'nombre', antes: 'Viejo', despues: 'Nuevo' }]);
+});
+
+test('durante una impersonación la acción se atribuye al superAdmin', async () => {
+  const superAdmin = { _id: new mongoose.Types.ObjectId(), email: 'root@ejemplo.com', role: 'superAdmin' };
+  const usuario = { _id: new mongoose.Types.ObjectId(), email: 'ana@ejemplo.com', role: 'usuario' };
+
+  const [entrada] = await auditar({ method: 'POST', originalUrl: '/api/clientes', user: usuario, impersonador: superAdmin }, 201);
+
+  assert.equal(entrada.actorEmail, 'root@ejemplo.com');
+  assert.equal(entrada.impersonando, usuario._id);
+});
+
+test('auditarPeticion no guarda el token de los enlaces de reseteo de contraseña', async () => {
+  const token = 'a1b2c3d4e5f6';
+
+  const [entrada] = await auditar({
+    method: 'POST',
+    originalUrl: `/api/users/reset-password/${token}`,
+    baseUrl: '/api/users',
+    route: { path: '/reset-password/:token' },
+    params: { token }
+  });
+
+  assert.equal(entrada.url, '/api/users/reset-password/:token');
+  assert.equal(entrada.recursoId, undefined);
+  assert.ok(!JSON.stringify(entrada).includes(token));
+});
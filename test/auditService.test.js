@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { calcularCambios, generarCSVAuditoria } from '../src/services/auditService.js';
+
+test('calcularCambios lista solo los campos modificados y redacta los valores sensibles', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  const cambios = calcularCambios(
+    { nombre: 'Ana', password: 'hash-viejo', local: id, updatedAt: new Date(1) },
+    { nombre: 'Ana María', password: 'hash-nuevo', local: id, updatedAt: new Date(2) }
+  );
+
+  assert.deepEqual(cambios, [
+    { campo: 'nombre', antes: 'Ana', despues: 'Ana María' },
+    { campo: 'password', antes: '[REDACTADO]', despues: '[REDACTADO]' }
+  ]);
+});
+
+test('calcularCambios compara los subdocumentos campo por campo', () => {
+  const cambios = calcularCambios(null, { dosFactores: { activo: true, secreto: 'ABC' } });
+
+  assert.deepEqual(cambios, [
+    { campo: 'dosFactores.activo', antes: null, despues: true },
+    { campo: 'dosFactores.secreto', antes: '[REDACTADO]', despues: '[REDACTADO]' }
+  ]);
+});
+
+test('generarCSVAuditoria escapa separadores y comillas', () => {
+  const csv = generarCSVAuditoria([{
+    fecha: new Date('2026-01-02T03:04:05.000Z'),
+    actorEmail: 'ana@ejemplo.com',
+    accion: 'clientes.actualizar',
+    url: '/api/clientes?orden=a,b',
+    exito: true,
+    cambios: [{ campo: 'nombre', antes: 'Ana', despues: 'Ana; jefa' }]
+  }]);
+
+  const [encabezado, fila] = csv.split('\n');
+  assert.equal(encabezado.split(',')[0], 'fecha');
+  assert.ok(fila.startsWith('2026-01-02T03:04:05.000Z,ana@ejemplo.com,,,clientes.actualizar,,"/api/clientes?orden=a,b",'));
+  assert.ok(fila.endsWith(',"nombre: ""Ana"" -> ""Ana; jefa"""'));
+});
+
+test('el CSV de auditoría neutraliza los valores que las planillas evaluarían como fórmulas', () => {
+  const csv = generarCSVAuditoria([{
+    fecha: new Date('2026-01-02T03:04:05.000Z'),
+    actorEmail: '@admin',
+    accion: '=HYPERLINK("http://x")',
+    url: '/api/clientes',
+    exito: true,
+    cambios: [{ campo: 'nombre', antes: 'Ana', despues: '-1+1' }]
+  }]);
+
+  const [, fila] = csv.split('\n');
+  const columnas = fila.split(',');
+  assert.equal(columnas[1], `"'@admin"`);
+  assert.ok(fila.includes(`"'=HYPERLINK(""http://x"")"`));
+  assert.equal(columnas[6], '/api/clientes');
+  assert.equal(columnas.at(-1), '"nombre: ""Ana"" -> ""-1+1"""');
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ApiKey from '../src/models/ApiKey.js';
+import User from '../src/models/User.js';
+import { requiereSesionInteractiva, tienePermiso, verifyToken } from '../src/middlewares/authMiddleware.js';
+import { obtenerContextoTenant } from '../src/config/tenantContext.js';
+
+// Respuesta de Express que guarda el status y el cuerpo
+const respuesta = () => ({
+  statusCode: 200,
+  status(codigo) {
+    this.statusCode = codigo;
+    return this;
+  },
+  json(cuerpo) {
+    this.cuerpo = cuerpo;
+    return this;
+  }
+});
+
+const localClave = new mongoose.Types.ObjectId();
+const otroLocal = new mongoose.Types.ObjectId();
+
+const nuevaClave = (datos = {}) => {
+  const apiKey = new ApiKey({ nombre: 'Integración', usuario: new mongoose.Types.ObjectId(), local: localClave, permisos: ['clientes:read'], ...datos });
+  const clave = apiKey.generarClave();
+  apiKey.registrarUso = async () => {};
+  return { apiKey, clave };
+};
+
+const usuarioDeLaClave = (datos = {}) => {
+  const usuario = new User({ nombre: 'Ana', email: 'ana@ejemplo.com', password: 'Secreta123!', role: 'admin', primaryLocal: localClave, locales: [localClave, otroLocal], ...datos });
+  const consulta = { populate: () => consulta, then: (resolver) => resolver(usuario) };
+  User.findById = () => consulta;
+  return usuario;
+};
+
+test('generarClave devuelve la clave una sola vez y guarda solo su hash y un prefijo visible', () => {
+  const { apiKey, clave } = nuevaClave();
+
+  assert.match(clave, /^evo_[a-f0-9]{64}$/);
+  assert.equal(apiKey.prefijo, clave.substring(0, 12));
+  assert.equal(apiKey.hash.length, 64);
+  assert.ok(!apiKey.hash.includes(clave));
+});
+
+test('buscarPorClave descarta valores sin el prefijo de las claves', async () => {
+  ApiKey.findOne = async () => {
+    throw new Error('no se debe consultar la base de datos');
+  };
+
+  assert.equal(await ApiKey.buscarPorClave('Bearer abc'), null);
+});
+
+test('verifyToken autentica con X-API-Key y restringe el tenant al local de la clave', async () => {
+  const { apiKey, clave } = nuevaClave();
+  ApiKey.buscarPorClave = async (valor) => (valor === clave ? apiKey : null);
+  usuarioDeLaClave();
+  let contexto;
+
+  await verifyToken({ headers: { 'x-api-key': clave }, query: {}, body: {} }, respuesta(), () => { contexto = obtenerContextoTenant(); });
+
+  assert.deepEqual(contexto.locales, [localClave]);
+  assert.equal(String(contexto.localActivo), String(localClave));
+});
+
+test('verifyToken rechaza claves revocadas', async () => {
+  const { apiKey, clave } = nuevaClave({ revocada: true });
+  ApiKey.buscarPorClave = async () => apiKey;
+  let siguiente = false;
+
+  const res = respuesta();
+  await verifyToken({ headers: { 'x-api-key': clave }, query: {}, body: {} }, res, () => { siguiente = true; });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(siguiente, false);
+});
+
+test('tienePermiso exige que el permiso esté en la clave aunque el usuario lo tenga', () => {
+  const { apiKey } = nuevaClave();
+  const usuario = usuarioDeLaClave();
+
+  const permitido = respuesta();
+  let siguiente = false;
+  tienePermiso('clientes:read')({ user: usuario, apiKey }, permitido, () => { siguiente = true; });
+  const denegado = respuesta();
+  tienePermiso('clientes:delete')({ user: usuario, apiKey }, denegado, () => {});
+
+  assert.equal(siguiente, true);
+  assert.equal(denegado.statusCode, 403);
+});
+
+test('requiereSesionInteractiva no admite claves de API', () => {
+  const { apiKey } = nuevaClave();
+
+  const res = respuesta();
+  requiereSesionInteractiva({ apiKey }, res, () => {});
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.cuerpo.code, 'CLAVE_API_NO_PERMITIDA');
+});
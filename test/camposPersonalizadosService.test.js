@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import CampoPersonalizado from '../src/models/CampoPersonalizado.js';
+import { convertirValor, filtroCamposPersonalizados, validarCamposPersonalizados } from '../src/services/camposPersonalizadosService.js';
+
+const localId = new mongoose.Types.ObjectId();
+
+const DEFINICIONES = [
+  { clave: 'talle', etiqueta: 'Talle', tipo: 'SELECCION', opciones: ['S', 'M', 'L'], requerido: true },
+  { clave: 'edad', etiqueta: 'Edad', tipo: 'NUMERO', validacion: { min: 18 } },
+  { clave: 'intereses', etiqueta: 'Intereses', tipo: 'SELECCION_MULTIPLE', opciones: ['cine', 'teatro'] },
+  { clave: 'vencimiento', etiqueta: 'Vencimiento', tipo: 'FECHA' }
+];
+
+// Definiciones activas del local que devuelve obtenerDefiniciones
+CampoPersonalizado.find = () => ({ sort: () => ({ lean: async () => DEFINICIONES }) });
+
+test('convertirValor convierte los valores recibidos como texto al tipo del campo', () => {
+  assert.deepEqual(convertirValor({ tipo: 'NUMERO' }, ' 3,5 '), { valor: 3.5 });
+  assert.deepEqual(convertirValor({ tipo: 'BOOLEANO' }, 'Sí'), { valor: true });
+  assert.deepEqual(convertirValor({ tipo: 'SELECCION_MULTIPLE', opciones: ['a', 'b'] }, 'a, b, a'), { valor: ['a', 'b'] });
+  assert.ok(convertirValor({ tipo: 'TEXTO', validacion: { longitudMaxima: 3 } }, 'abcd').error);
+  assert.ok(convertirValor({ tipo: 'FECHA' }, { $gt: '' }).error);
+});
+
+test('validarCamposPersonalizados combina con los valores actuales y quita los vacíos', async () => {
+  const valores = await validarCamposPersonalizados('CLIENTE', localId, { edad: '30', intereses: null }, { talle: 'M', intereses: ['cine'] });
+
+  assert.deepEqual(valores, { talle: 'M', edad: 30 });
+});
+
+test('validarCamposPersonalizados informa cada campo no válido, desconocido u obligatorio', async () => {
+  await assert.rejects(validarCamposPersonalizados('CLIENTE', localId, { edad: 15, color: 'rojo' }), (error) => {
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.errores.map(detalle => detalle.campo), ['edad', 'color', 'talle']);
+    return true;
+  });
+});
+
+test('filtroCamposPersonalizados admite listas, rangos y búsqueda de registros sin valor', async () => {
+  const filtro = await filtroCamposPersonalizados('CLIENTE', localId, { talle: 'S,M', edad: { min: '18', max: '30' }, vencimiento: '-' });
+
+  assert.deepEqual(filtro, {
+    'camposPersonalizados.talle': { $in: ['S', 'M'] },
+    'camposPersonalizados.edad': { $gte: 18, $lte: 30 },
+    'camposPersonalizados.vencimiento': { $exists: false }
+  });
+  await assert.rejects(filtroCamposPersonalizados('CLIENTE', localId, { talle: { min: 'S' } }), { status: 400 });
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Llavero de prueba: v1 es una clave anterior y v2 la actual (se leen al importar el servicio)
+const claveAnterior = crypto.randomBytes(32);
+process.env.PII_ENCRYPTION_KEYS = `v1:${claveAnterior.toString('base64')},v2:${crypto.randomBytes(32).toString('base64')}`;
+process.env.PII_ENCRYPTION_KEY_ID = 'v2';
+process.env.PII_BLIND_INDEX_KEY = crypto.randomBytes(32).toString('base64');
+
+const { cifrar, descifrar, estaCifrado, indiceCiego, kidDeValor } = await import('../src/services/cifradoService.js');
+const { default: Cliente } = await import('../src/models/Cliente.js');
+
+// Cifra un valor con la clave anterior, como lo habría guardado la versión previa del llavero
+const cifrarConClaveAnterior = (texto, contexto) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', claveAnterior, iv);
+  cipher.setAAD(Buffer.from(contexto));
+  const cifrado = Buffer.concat([cipher.update(texto, 'utf8'), cipher.final()]);
+  return `enc:v1:v1:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${cifrado.toString('base64')}`;
+};
+
+const ejecutarPre = (hooks, operacion, contextoHook, argumentos = []) => new Promise((resolver, rechazar) => {
+  hooks.execPre(operacion, contextoHook, argumentos, (error) => (error ? rechazar(error) : resolver()));
+});
+
+test('cifrar usa la clave actual y descifrar acepta valores de claves anteriores', () => {
+  const valor = cifrar('1122334455', 'telefono');
+
+  assert.ok(estaCifrado(valor));
+  assert.equal(kidDeValor(valor), 'v2');
+  assert.equal(descifrar(valor, 'telefono'), '1122334455');
+  assert.equal(descifrar(cifrarConClaveAnterior('Calle 123', 'direccion.calle'), 'direccion.calle'), 'Calle 123');
+});
+
+test('un valor cifrado no puede descifrarse como si fuera de otro campo', () => {
+  const valor = cifrar('30111222', 'documentoIdentidad.numero');
+
+  assert.throws(() => descifrar(valor, 'telefono'));
+});
+
+test('indiceCiego normaliza el valor y separa los índices por nombre', () => {
+  assert.equal(indiceCiego('telefono', '+54 (11) 2233-4455', 'telefono'), indiceCiego('telefono', '541122334455', 'telefono'));
+  assert.notEqual(indiceCiego('telefono', '30111222', 'telefono'), indiceCiego('documentoIdentidad', '30111222', 'telefono'));
+  assert.equal(indiceCiego('telefono', 'sin dígitos', 'telefono'), null);
+});
+
+test('al guardar un cliente se cifran los datos personales y se calcula el índice ciego', async () => {
+  const cliente = new Cliente({
+    nombre: 'Ana',
+    apellido: 'Pérez',
+    email: 'ana@example.com',
+    telefono: '11 2233-4455',
+    documentoIdentidad: { tipo: 'DNI', numero: '30.111.222' },
+    direccion: { ciudad: 'Rosario' },
+    local: new mongoose.Types.ObjectId(),
+    creadoPor: new mongoose.Types.ObjectId()
+  });
+
+  await ejecutarPre(Cliente.hooks, 'save', cliente, [{}]);
+
+  assert.ok(estaCifrado(cliente.telefono));
+  assert.ok(estaCifrado(cliente.documentoIdentidad.numero));
+  assert.ok(estaCifrado(cliente.direccion.ciudad));
+  assert.equal(cliente.nombre, 'Ana');
+  assert.equal(cliente.get('indicesBusqueda.telefono'), indiceCiego('telefono', '1122334455', 'telefono'));
+  assert.equal(cliente.get('indicesBusqueda.documentoIdentidad'), indiceCiego('documentoIdentidad', '30111222', 'documento'));
+});
+
+test('los filtros sobre campos cifrados se reescriben sobre el índice ciego', async () => {
+  const porTelefono = Cliente.find({ telefono: '11 2233 4455', nombre: 'Ana' });
+  const porCiudad = Cliente.find({ 'direccion.ciudad': 'Rosario' });
+
+  await ejecutarPre(porTelefono._queryMiddleware, 'find', porTelefono);
+  await ejecutarPre(porCiudad._queryMiddleware, 'find', porCiudad);
+
+  assert.deepEqual(porTelefono.getFilter(), {
+    nombre: 'Ana',
+    'indicesBusqueda.telefono': indiceCiego('telefono', '1122334455', 'telefono')
+  });
+  // Sin índice ciego no hay búsqueda posible sobre el valor cifrado
+  assert.deepEqual(porCiudad.getFilter(), { _id: { $exists: false } });
+});
+
+test('las actualizaciones cifran los campos y quitan el índice al vaciarlos', async () => {
+  const consulta = Cliente.updateOne({ nombre: 'Ana' }, { $set: { telefono: '1122334455', documentoIdentidad: { numero: '' } } });
+
+  await ejecutarPre(consulta._queryMiddleware, 'updateOne', consulta);
+
+  const { $set, $unset } = consulta.getUpdate();
+  assert.ok(estaCifrado($set.telefono));
+  assert.equal($set['indicesBusqueda.telefono'], indiceCiego('telefono', '1122334455', 'telefono'));
+  assert.deepEqual($unset, { 'indicesBusqueda.documentoIdentidad': '' });
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import ClaveFirma from '../src/models/ClaveFirma.js';
+import { cargarLlavero, obtenerJWKS, retirarClave, rotarClave } from '../src/services/clavesFirmaService.js';
+import { firmarJWT, verificarJWT } from '../src/services/tokenService.js';
+
+process.env.JWT_SECRET ||= 'secreto-de-pruebas';
+
+const claveHS = (kid, estado, verificarHasta = null) => ({
+  kid,
+  algoritmo: 'HS512',
+  secreto: crypto.randomBytes(64).toString('base64'),
+  estado,
+  activadaEn: new Date(),
+  verificarHasta
+});
+
+// Reemplaza las claves guardadas que lee cargarLlavero
+const guardarClaves = (claves) => {
+  ClaveFirma.find = () => ({ select: () => ({ sort: async () => claves }) });
+};
+
+const firmarCon = (clave) => jwt.sign({ id: 'usuario' }, Buffer.from(clave.secreto, 'base64'), { algorithm: 'HS512', keyid: clave.kid });
+
+test('sin claves en el llavero se firma con JWT_SECRET y los tokens sin kid se aceptan', async () => {
+  guardarClaves([]);
+  await cargarLlavero();
+
+  const token = firmarJWT({ id: 'usuario' });
+
+  assert.equal(jwt.decode(token, { complete: true }).header.kid, undefined);
+  assert.equal((await verificarJWT(token)).id, 'usuario');
+});
+
+test('JWT_ACCEPT_LEGACY=false rechaza los tokens sin kid', async () => {
+  const token = jwt.sign({ id: 'usuario' }, process.env.JWT_SECRET, { algorithm: 'HS512' });
+  process.env.JWT_ACCEPT_LEGACY = 'false';
+
+  try {
+    await assert.rejects(verificarJWT(token), { name: 'JsonWebTokenError' });
+  } finally {
+    delete process.env.JWT_ACCEPT_LEGACY;
+  }
+});
+
+test('se firma con la clave activa y se siguen validando los tokens de la clave en verificación', async () => {
+  const anterior = claveHS('anterior', 'verificacion', new Date(Date.now() + 60000));
+  const activa = claveHS('activa', 'activa');
+  guardarClaves([activa, anterior]);
+  await cargarLlavero();
+
+  const token = firmarJWT({ id: 'usuario' });
+
+  assert.equal(jwt.decode(token, { complete: true }).header.kid, 'activa');
+  assert.equal((await verificarJWT(token)).id, 'usuario');
+  assert.equal((await verificarJWT(firmarCon(anterior))).id, 'usuario');
+});
+
+test('los tokens de una clave con el período de gracia vencido se rechazan', async () => {
+  const vencida = claveHS('vencida', 'verificacion', new Date(Date.now() - 1000));
+  guardarClaves([claveHS('activa', 'activa'), vencida]);
+  await cargarLlavero();
+
+  await assert.rejects(verificarJWT(firmarCon(vencida)), /Clave de firma desconocida o retirada/);
+});
+
+test('retirarClave no permite retirar la clave activa', async () => {
+  ClaveFirma.findOne = async () => ({ kid: 'activa', estado: 'activa' });
+
+  const resultado = await retirarClave('activa');
+
+  assert.equal(resultado.success, false);
+  assert.equal(resultado.status, 400);
+});
+
+test('rotarClave deja la clave anterior en verificación y publica la nueva clave asimétrica en el JWKS', async () => {
+  const anterior = { _id: new mongoose.Types.ObjectId(), kid: 'anterior' };
+  let reemplazo;
+  let creada;
+  ClaveFirma.findOne = async () => anterior;
+  ClaveFirma.find = () => ({ select: () => ({ sort: async () => [creada] }) });
+  ClaveFirma.updateOne = async (filtro, cambios) => {
+    reemplazo = cambios.$set;
+    return { modifiedCount: 1 };
+  };
+  ClaveFirma.create = async (datos) => {
+    creada = { _id: new mongoose.Types.ObjectId(), ...datos };
+    return creada;
+  };
+
+  const { clave, anteriores } = await rotarClave({ algoritmo: 'ES256', graciaMinutos: 5 });
+
+  assert.deepEqual(anteriores, ['anterior']);
+  assert.equal(reemplazo.estado, 'verificacion');
+  assert.ok(reemplazo.verificarHasta > Date.now());
+  assert.deepEqual(obtenerJWKS().keys.map(jwk => [jwk.kid, jwk.alg, jwk.kty]), [[clave.kid, 'ES256', 'EC']]);
+});
+
+test('solo puede haber una clave activa', () => {
+  const indice = ClaveFirma.schema.indexes().find(([campos, opciones]) => campos.estado === 1 && opciones.unique);
+
+  assert.ok(indice);
+  assert.deepEqual(indice[1].partialFilterExpression, { estado: 'activa' });
+});
+
+test('una rotación que pierde la carrera con otra responde 409 sin crear una clave', async () => {
+  let creadas = 0;
+  ClaveFirma.findOne = async () => ({ _id: new mongoose.Types.ObjectId(), kid: 'anterior' });
+  // Otra rotación ya pasó la clave activa a verificación
+  ClaveFirma.updateOne = async () => ({ modifiedCount: 0 });
+  ClaveFirma.create = async () => { creadas++; };
+
+  await assert.rejects(rotarClave(), { status: 409 });
+  assert.equal(creadas, 0);
+});
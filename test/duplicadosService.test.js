@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Cliente from '../src/models/Cliente.js';
+import Evento from '../src/models/Evento.js';
+import Recordatorio from '../src/models/Recordatorio.js';
+import Nota from '../src/models/Nota.js';
+import Oportunidad from '../src/models/Oportunidad.js';
+import Contact from '../src/models/whatsapp/Contact.js';
+import { buscarDuplicados, fusionarClientes, normalizarEmail, normalizarNombre, normalizarTelefono } from '../src/services/duplicadosService.js';
+
+const localId = new mongoose.Types.ObjectId();
+
+const nuevoCliente = (datos) => {
+  const cliente = new Cliente({
+    email: `${new mongoose.Types.ObjectId()}@ejemplo.com`,
+    local: localId,
+    creadoPor: new mongoose.Types.ObjectId(),
+    ...datos
+  });
+  cliente.save = async () => cliente;
+  return cliente;
+};
+
+test('las normalizaciones ignoran formato, código de país, etiquetas de email y acentos', () => {
+  assert.equal(normalizarTelefono('+54 9 (11) 2233-4455'), normalizarTelefono('11 2233 4455'));
+  assert.equal(normalizarEmail(' Ana+ventas@Ejemplo.com'), 'ana@ejemplo.com');
+  assert.equal(normalizarNombre('Pérez', 'Juan'), normalizarNombre('Juan', 'Perez'));
+});
+
+test('buscarDuplicados agrupa los clientes que coinciden por distintos criterios', async () => {
+  const [ana, anaBis, anaTres, otro] = [
+    { _id: new mongoose.Types.ObjectId(), nombre: 'Ana', apellido: 'Pérez', telefono: '1122334455', email: 'ana@ejemplo.com' },
+    { _id: new mongoose.Types.ObjectId(), nombre: 'Ana', apellido: 'Peres', telefono: '+54 11 2233-4455', email: 'otra@ejemplo.com' },
+    { _id: new mongoose.Types.ObjectId(), nombre: 'Anita', apellido: 'Gómez', telefono: '1199998888', email: 'Otra+crm@ejemplo.com' },
+    { _id: new mongoose.Types.ObjectId(), nombre: 'Luis', apellido: 'Soto', telefono: '1133334444', email: 'luis@ejemplo.com' }
+  ];
+  let filtro;
+  Cliente.find = (consulta) => {
+    filtro = consulta;
+    return { select: () => ({ lean: async () => [ana, anaBis, anaTres, otro] }) };
+  };
+
+  const grupos = await buscarDuplicados({ local: localId });
+
+  assert.deepEqual(filtro, { local: localId, anonimizado: { $ne: true }, fusionadoCon: null });
+  assert.equal(grupos.length, 1);
+  assert.deepEqual(grupos[0].clientes.map(cliente => String(cliente.id)).sort(), [ana._id, anaBis._id, anaTres._id].map(String).sort());
+  assert.deepEqual(grupos[0].motivos.sort(), ['email', 'nombre', 'telefono']);
+});
+
+test('fusionarClientes completa los datos del cliente conservado y reasigna los registros del duplicado', async () => {
+  const destino = nuevoCliente({ nombre: 'Ana', apellido: 'Pérez', telefono: '1122334455', etiquetas: ['vip'] });
+  const duplicado = nuevoCliente({
+    nombre: 'Ana',
+    apellido: 'Peres',
+    telefono: '+54 11 5555-6666',
+    etiquetas: ['mayorista'],
+    direccion: { ciudad: 'Rosario' },
+    notas: [{ contenido: 'Prefiere WhatsApp', fecha: new Date('2026-01-01') }]
+  });
+  const actualizaciones = [];
+  const registrar = (modelo) => async (filtro, cambios) => {
+    actualizaciones.push({ modelo, filtro, cambios });
+    return { modifiedCount: 1 };
+  };
+  Evento.updateMany = registrar('Evento');
+  Recordatorio.updateMany = registrar('Recordatorio');
+  Nota.updateMany = registrar('Nota');
+  Oportunidad.updateMany = registrar('Oportunidad');
+  Contact.updateMany = registrar('Contact');
+
+  const resultado = await fusionarClientes(destino, [duplicado], new mongoose.Types.ObjectId());
+
+  assert.equal(destino.direccion.ciudad, 'Rosario');
+  assert.deepEqual([...destino.etiquetas], ['vip', 'mayorista']);
+  assert.equal(destino.notas.length, 1);
+  assert.equal(duplicado.activo, false);
+  assert.equal(String(duplicado.fusionadoCon), String(destino._id));
+  assert.equal(resultado.eventos, 1);
+  assert.equal(resultado.oportunidades, 1);
+  const oportunidades = actualizaciones.find(({ modelo }) => modelo === 'Oportunidad');
+  assert.deepEqual(oportunidades.filtro.cliente.$in.map(String), [String(duplicado._id)]);
+  assert.equal(String(oportunidades.cambios.$set.cliente), String(destino._id));
+  assert.equal(resultado.contactosWhatsApp, 1);
+  // Los contactos sin cliente del mismo local se vinculan por cualquiera de las formas del teléfono del duplicado
+  const contactos = actualizaciones.find(({ modelo }) => modelo === 'Contact');
+  assert.ok(contactos.filtro.$or[1].phoneNumber.$in.includes('541155556666'));
+  assert.equal(String(contactos.filtro.$or[1].local), String(localId));
+});
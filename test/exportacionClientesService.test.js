@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { exportarClientes, resolverColumnas, tarjetaVCard } from '../src/services/exportacionClientesService.js';
+
+// Documento en memoria que expone get(ruta) como los de Mongoose
+const documento = (cliente) => ({ ...cliente, get: (ruta) => ruta.split('.').reduce((actual, parte) => actual?.[parte], cliente) });
+
+// Cursor en memoria con documentos como los de Mongoose
+const cursorDe = (clientes) => ({
+  cerrado: false,
+  async *[Symbol.asyncIterator]() {
+    for (const cliente of clientes) yield documento(cliente);
+  },
+  async close() {
+    this.cerrado = true;
+  }
+});
+
+// Respuesta simulada: un stream que acumula lo escrito
+const respuesta = () => {
+  const salida = new PassThrough();
+  salida.headers = {};
+  salida.status = () => salida;
+  salida.setHeader = (nombre, valor) => { salida.headers[nombre] = valor; };
+  return salida;
+};
+
+const leer = async (salida) => {
+  const partes = [];
+  for await (const parte of salida) partes.push(parte);
+  return Buffer.concat(partes).toString('utf8');
+};
+
+test('resolverColumnas expande los grupos y descarta las columnas no exportables', () => {
+  assert.deepEqual(resolverColumnas('nombre, documentoIdentidad,password,nombre'), ['nombre', 'documentoIdentidad.tipo', 'documentoIdentidad.numero']);
+  assert.ok(resolverColumnas('').includes('email'));
+});
+
+test('el CSV lleva BOM, encabezados con la ruta del campo y escapa separadores y comillas', async () => {
+  const res = respuesta();
+  const lectura = leer(res);
+
+  const total = await exportarClientes(res, cursorDe([
+    { nombre: 'Ana', apellido: 'Pérez, López', direccion: { ciudad: 'Rosario "centro"' }, fechaNacimiento: new Date('1990-05-10T00:00:00Z') }
+  ]), { formato: 'csv', columnas: ['nombre', 'apellido', 'direccion.ciudad', 'fechaNacimiento'] });
+
+  const [encabezado, fila] = (await lectura).split('\r\n');
+  assert.equal(total, 1);
+  assert.match(res.headers['Content-Disposition'], /^attachment; filename="clientes-\d{4}-\d{2}-\d{2}\.csv"$/);
+  assert.equal(encabezado, '\uFEFFnombre,apellido,direccion.ciudad,fechaNacimiento');
+  assert.equal(fila, 'Ana,"Pérez, López","Rosario ""centro""",1990-05-10');
+});
+
+test('la vCard escapa los valores, incluye solo las columnas elegidas y pliega las líneas largas', () => {
+  const cliente = documento({
+    _id: 'id-1',
+    nombre: 'Ana',
+    apellido: 'Pérez; López',
+    email: 'ana@ejemplo.com',
+    telefono: '+54 9 11 2233-4455',
+    etiquetas: ['vip', 'mayorista'],
+    direccion: { calle: 'Avenida de los Constituyentes de la República Argentina 1234, piso 5', ciudad: 'Rosario' }
+  });
+
+  const tarjeta = tarjetaVCard(cliente, new Set(['telefono', 'direccion.calle', 'direccion.ciudad']));
+  const lineas = tarjeta.split('\r\n');
+
+  assert.ok(lineas.includes('N:Pérez\\; López;Ana;;;'));
+  assert.ok(lineas.includes('TEL;VALUE=uri;TYPE=cell:tel:+5491122334455'));
+  assert.ok(!tarjeta.includes('EMAIL'));
+  assert.ok(!tarjeta.includes('CATEGORIES'));
+  assert.ok(lineas.every(linea => Buffer.byteLength(linea) <= 75));
+  assert.ok(tarjeta.replace(/\r\n /g, '').includes('ADR;TYPE=home:;;Avenida de los Constituyentes de la República Argentina 1234\\, piso 5;Rosario;;;'));
+});
+
+test('el CSV neutraliza los valores que las planillas evaluarían como fórmulas', async () => {
+  const res = respuesta();
+  const lectura = leer(res);
+
+  await exportarClientes(res, cursorDe([
+    { nombre: '=HYPERLINK("http://x")', apellido: '@SUM(A1)', telefono: '+5491122334455' },
+    { nombre: 'Ana', apellido: 'Pérez, López', telefono: '1122334455' }
+  ]), { formato: 'csv', columnas: ['nombre', 'apellido', 'telefono'] });
+
+  const [, primera, segunda] = (await lectura).split('\r\n');
+  assert.equal(primera, `"'=HYPERLINK(""http://x"")","'@SUM(A1)","'+5491122334455"`);
+  assert.equal(segunda, 'Ana,"Pérez, López",1122334455');
+});
+
+test('la exportación se corta y cierra el cursor si el cliente se desconecta', async () => {
+  // Respuesta con un buffer mínimo que nunca se lee: la primera escritura queda esperando 'drain'
+  const res = new PassThrough({ highWaterMark: 1 });
+  res.status = () => res;
+  res.setHeader = () => {};
+
+  const clientes = Array.from({ length: 100 }, (_, indice) => ({ nombre: `Cliente ${indice}` }));
+  const cursor = cursorDe(clientes);
+
+  const exportacion = exportarClientes(res, cursor, { formato: 'csv', columnas: ['nombre'] });
+  setImmediate(() => res.destroy());
+
+  await assert.rejects(exportacion, { code: 'CONEXION_CERRADA' });
+  assert.equal(cursor.cerrado, true);
+});
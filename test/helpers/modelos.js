@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Evaluación mínima de filtros de MongoDB sobre documentos en memoria ($or, $and, $in, $elemMatch, $exists e igualdad)
+const iguales = (a, b) => String(a) === String(b);
+
+const cumpleCondicion = (valor, condicion) => {
+  if (condicion && typeof condicion === 'object' && !(condicion instanceof mongoose.Types.ObjectId) && !(condicion instanceof Date)) {
+    return Object.entries(condicion).every(([operador, esperado]) => {
+      switch (operador) {
+        case '$in': return esperado.some(item => iguales(valor, item));
+        case '$nin': return !esperado.some(item => iguales(valor, item));
+        case '$ne': return !iguales(valor, esperado);
+        case '$exists': return (valor !== undefined) === esperado;
+        case '$gte': return valor >= esperado;
+        case '$lte': return valor <= esperado;
+        case '$gt': return valor > esperado;
+        case '$lt': return valor < esperado;
+        case '$elemMatch': return Array.isArray(valor) && valor.some(item => coincide(item, esperado));
+        default: throw new Error(`Operador no soportado en las pruebas: ${operador}`);
+      }
+    });
+  }
+  return iguales(valor, condicion);
+};
+
+export const coincide = (documento, filtro = {}) => Object.entries(filtro).every(([campo, condicion]) => {
+  if (campo === '$or') return condicion.some(parte => coincide(documento, parte));
+  if (campo === '$and') return condicion.every(parte => coincide(documento, parte));
+  if (campo === '$nor') return !condicion.some(parte => coincide(documento, parte));
+  return cumpleCondicion(documento[campo], condicion);
+});
+
+// Consulta encadenable (select, sort, lean, populate, limit) que resuelve a los documentos dados
+const consulta = (documentos) => {
+  const encadenable = {
+    then: (resolver, rechazar) => Promise.resolve(documentos).then(resolver, rechazar)
+  };
+  for (const metodo of ['select', 'sort', 'lean', 'populate', 'limit', 'skip']) {
+    encadenable[metodo] = () => encadenable;
+  }
+  return encadenable;
+};
+
+/**
+ * Reemplaza find de un modelo por una búsqueda en memoria y devuelve los filtros recibidos
+ * @param {Object} modelo - Modelo de Mongoose
+ * @param {Array} documentos - Colección en memoria
+ * @returns {Array} - Filtros con los que se llamó a find
+ */
+export const simularFind = (modelo, documentos = []) => {
+  const filtros = [];
+  modelo.find = (filtro) => {
+    filtros.push(filtro);
+    return consulta(documentos.filter(documento => coincide(documento, filtro)));
+  };
+  return filtros;
+};
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import { startImpersonation } from '../src/controllers/impersonacionController.js';
+import { requiereSesionInteractiva } from '../src/middlewares/authMiddleware.js';
+
+// Respuesta de Express que guarda el status y el cuerpo
+const respuesta = () => ({
+  statusCode: 200,
+  status(codigo) {
+    this.statusCode = codigo;
+    return this;
+  },
+  json(cuerpo) {
+    this.cuerpo = cuerpo;
+    return this;
+  }
+});
+
+test('startImpersonation no permite impersonar a otro superAdmin ni a usuarios desactivados', async () => {
+  const req = (objetivo) => {
+    User.findById = async () => objetivo;
+    return { params: { id: objetivo._id }, body: { motivo: 'Soporte' }, user: { _id: new mongoose.Types.ObjectId() }, auditar: () => {} };
+  };
+
+  const superAdmin = respuesta();
+  await startImpersonation(req({ _id: new mongoose.Types.ObjectId(), role: 'superAdmin', activo: true }), superAdmin);
+  const desactivado = respuesta();
+  await startImpersonation(req({ _id: new mongoose.Types.ObjectId(), role: 'usuario', activo: false }), desactivado);
+
+  assert.equal(superAdmin.statusCode, 403);
+  assert.equal(superAdmin.cuerpo.token, undefined);
+  assert.equal(desactivado.statusCode, 400);
+  assert.equal(desactivado.cuerpo.token, undefined);
+});
+
+test('requiereSesionInteractiva bloquea las operaciones sensibles durante una impersonación', () => {
+  const res = respuesta();
+  let siguiente = false;
+
+  requiereSesionInteractiva({ impersonador: { _id: new mongoose.Types.ObjectId() }, method: 'PUT', originalUrl: '/api/users/change-password' }, res, () => { siguiente = true; });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.cuerpo.code, 'IMPERSONACION_BLOQUEADA');
+  assert.equal(siguiente, false);
+});
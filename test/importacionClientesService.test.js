@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Cliente from '../src/models/Cliente.js';
+import ImportacionClientes from '../src/models/ImportacionClientes.js';
+import CampoPersonalizado from '../src/models/CampoPersonalizado.js';
+import { leerArchivo, marcarImportacionesInterrumpidas, procesarImportacion, resolverMapeo, validarFila } from '../src/services/importacionClientesService.js';
+
+const archivoCSV = (texto) => ({ originalname: 'clientes.csv', buffer: Buffer.from(texto, 'utf8') });
+
+const nuevaImportacion = (datos = {}) => {
+  const importacion = new ImportacionClientes({
+    local: new mongoose.Types.ObjectId(),
+    usuario: new mongoose.Types.ObjectId(),
+    mapeo: ['nombre', 'apellido', 'email', 'telefono'].map(campo => ({ campo, columna: campo })),
+    ...datos
+  });
+  importacion.save = async () => importacion;
+  return importacion;
+};
+
+const fila = (numero, valores) => ({ numero, valores });
+
+// Definiciones de campos personalizados que devuelve obtenerDefiniciones
+let definiciones = [];
+CampoPersonalizado.find = () => ({ sort: () => ({ lean: async () => definiciones }) });
+
+const TALLE = { clave: 'talle', etiqueta: 'Talle', tipo: 'SELECCION', opciones: ['S', 'M', 'L'], requerido: true };
+
+test('leerArchivo detecta el separador ";" y respeta los campos entre comillas', async () => {
+  const { formato, encabezados, filas } = await leerArchivo(archivoCSV('\uFEFFNombre;Apellido;Dirección\r\nAna;Pérez;"Calle 1; piso ""2"""\r\n;;\r\n'));
+
+  assert.equal(formato, 'csv');
+  assert.deepEqual(encabezados, ['Nombre', 'Apellido', 'Dirección']);
+  assert.deepEqual(filas, [fila(2, { Nombre: 'Ana', Apellido: 'Pérez', 'Dirección': 'Calle 1; piso "2"' })]);
+});
+
+test('resolverMapeo reconoce los encabezados habituales y rechaza campos no importables', () => {
+  const automatico = resolverMapeo(['Nombre', 'Apellidos', 'Correo electrónico', 'Celular', 'DNI']);
+  const invalido = resolverMapeo(['Nombre'], { password: 'Nombre' });
+
+  assert.deepEqual(automatico.errores, []);
+  assert.equal(automatico.mapeo.email, 'Correo electrónico');
+  assert.equal(automatico.mapeo.telefono, 'Celular');
+  assert.equal(automatico.mapeo['documentoIdentidad.numero'], 'DNI');
+  assert.deepEqual(invalido.errores, ['El campo "password" no se puede importar']);
+});
+
+test('resolverMapeo acepta los campos personalizados del local por su ruta o su etiqueta', () => {
+  const porEtiqueta = resolverMapeo(['Nombre', 'Talle'], {}, [TALLE]);
+  const porRuta = resolverMapeo(['Nombre', 'camposPersonalizados.talle'], {}, [TALLE]);
+  const ajeno = resolverMapeo(['Nombre', 'Color'], { 'camposPersonalizados.color': 'Color' }, [TALLE]);
+
+  assert.equal(porEtiqueta.mapeo['camposPersonalizados.talle'], 'Talle');
+  assert.equal(porRuta.mapeo['camposPersonalizados.talle'], 'camposPersonalizados.talle');
+  assert.deepEqual(ajeno.errores, ['El campo "camposPersonalizados.color" no se puede importar']);
+});
+
+test('validarFila convierte fechas y valores permitidos e informa cada error con su campo', () => {
+  const mapeo = { nombre: 'n', apellido: 'a', email: 'e', telefono: 't', fechaNacimiento: 'f', categoria: 'c' };
+
+  const valida = validarFila(fila(2, { n: 'Ana', a: 'Pérez', e: 'Ana@Ejemplo.com', t: '11 2233 4455', f: '10/05/1990', c: 'vip' }), mapeo);
+  const invalida = validarFila(fila(3, { n: 'Ana', a: '', e: 'ana', t: '123', f: '31/02/1990', c: 'otro' }), mapeo);
+
+  assert.deepEqual(valida.errores, []);
+  assert.equal(valida.datos.email, 'ana@ejemplo.com');
+  assert.equal(valida.datos.fechaNacimiento.toISOString(), '1990-05-10T00:00:00.000Z');
+  assert.equal(valida.datos.categoria, 'VIP');
+  assert.deepEqual(invalida.errores.map(error => error.campo).sort(), ['apellido', 'categoria', 'email', 'fechaNacimiento', 'telefono']);
+});
+
+test('validarFila quita el apóstrofo que la exportación antepone a los valores con forma de fórmula', () => {
+  const { datos } = validarFila(fila(2, { t: "'+5491122334455", n: "'Ana" }), { telefono: 't', nombre: 'n' });
+
+  assert.equal(datos.telefono, '+5491122334455');
+  assert.equal(datos.nombre, "'Ana");
+});
+
+test('una simulación cuenta las filas sin guardar clientes, omite los existentes y detecta emails repetidos', async () => {
+  const existente = new Cliente({ nombre: 'Luis', apellido: 'Soto', email: 'luis@ejemplo.com', telefono: '1133334444' });
+  Cliente.findOne = async (filtro) => (filtro.email === 'luis@ejemplo.com' ? existente : null);
+  Cliente.prototype.save = async () => {
+    throw new Error('una simulación no guarda clientes');
+  };
+  const importacion = nuevaImportacion({ simulacion: true });
+
+  await procesarImportacion(importacion, [
+    fila(2, { nombre: 'Ana', apellido: 'Pérez', email: 'ana@ejemplo.com', telefono: '1122334455' }),
+    fila(3, { nombre: 'Luis', apellido: 'Soto', email: 'luis@ejemplo.com', telefono: '1133334444' }),
+    fila(4, { nombre: 'Ana', apellido: 'Gómez', email: 'ANA@ejemplo.com', telefono: '1155556666' })
+  ]);
+
+  assert.equal(importacion.estado, 'completada');
+  assert.equal(importacion.filasProcesadas, 3);
+  assert.equal(importacion.resumen.creados, 1);
+  assert.equal(importacion.resumen.omitidos, 1);
+  assert.equal(importacion.resumen.conErrores, 1);
+  assert.equal(importacion.errores[0].fila, 4);
+  assert.match(importacion.errores[0].mensaje, /repetido en la fila 2/);
+});
+
+test('los campos personalizados de cada fila se validan al crear y al actualizar y sus errores se informan por fila', async () => {
+  definiciones = [TALLE];
+  const existente = new Cliente({ nombre: 'Luis', apellido: 'Soto', email: 'luis@ejemplo.com', telefono: '1133334444', camposPersonalizados: { talle: 'S' } });
+  Cliente.findOne = async (filtro) => (filtro.email === 'luis@ejemplo.com' ? existente : null);
+  const guardados = [];
+  Cliente.prototype.save = async function() {
+    guardados.push(this);
+    return this;
+  };
+  const importacion = nuevaImportacion({
+    estrategiaDuplicados: 'actualizar',
+    mapeo: [...['nombre', 'apellido', 'email', 'telefono'].map(campo => ({ campo, columna: campo })), { campo: 'camposPersonalizados.talle', columna: 'talle' }]
+  });
+
+  await procesarImportacion(importacion, [
+    fila(2, { nombre: 'Ana', apellido: 'Pérez', email: 'ana@ejemplo.com', telefono: '1122334455', talle: 'M' }),
+    fila(3, { nombre: 'Eva', apellido: 'Díaz', email: 'eva@ejemplo.com', telefono: '1155556666', talle: 'XL' }),
+    fila(4, { nombre: 'Juan', apellido: 'Paz', email: 'juan@ejemplo.com', telefono: '1177778888', talle: '' }),
+    fila(5, { nombre: 'Luis', apellido: 'Soto', email: 'luis@ejemplo.com', telefono: '1133334444', talle: 'L' })
+  ]);
+  definiciones = [];
+
+  assert.equal(importacion.resumen.creados, 1);
+  assert.equal(importacion.resumen.actualizados, 1);
+  assert.equal(importacion.resumen.conErrores, 2);
+  assert.deepEqual(guardados[0].camposPersonalizados, { talle: 'M' });
+  assert.deepEqual(existente.camposPersonalizados, { talle: 'L' });
+  assert.deepEqual(importacion.errores.map(({ fila: numero, campo }) => [numero, campo]), [
+    [3, 'camposPersonalizados.talle'],
+    [4, 'camposPersonalizados.talle']
+  ]);
+  assert.match(importacion.errores[1].mensaje, /obligatorio/);
+});
+
+test('las importaciones sin avances recientes se marcan como fallidas', async () => {
+  let filtro;
+  let cambios;
+  ImportacionClientes.updateMany = async (consulta, actualizacion) => {
+    filtro = consulta;
+    cambios = actualizacion;
+    return { modifiedCount: 2 };
+  };
+
+  assert.equal(await marcarImportacionesInterrumpidas(), 2);
+  assert.deepEqual(filtro.estado, { $in: ['pendiente', 'procesando'] });
+  assert.ok(filtro.updatedAt.$lt < new Date());
+  assert.equal(cambios.$set.estado, 'fallida');
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import nodemailer from 'nodemailer';
+
+// Transporte de correo en memoria: se reemplaza antes de que emailService lo cree
+const correos = [];
+nodemailer.createTransport = () => ({
+  sendMail: async (mensaje) => {
+    correos.push(mensaje);
+    return { messageId: 'prueba' };
+  }
+});
+
+const { default: Invitacion } = await import('../src/models/Invitacion.js');
+const { default: Local } = await import('../src/models/Local.js');
+const { default: User } = await import('../src/models/User.js');
+const { acceptInvitation, createInvitation } = await import('../src/controllers/invitacionController.js');
+
+// Respuesta de Express que guarda el status y el cuerpo
+const respuesta = () => ({
+  statusCode: 200,
+  status(codigo) {
+    this.statusCode = codigo;
+    return this;
+  },
+  json(cuerpo) {
+    this.cuerpo = cuerpo;
+    return this;
+  }
+});
+
+const localId = new mongoose.Types.ObjectId();
+const admin = (pertenece) => ({
+  userId: new mongoose.Types.ObjectId(),
+  userRole: 'admin',
+  user: { perteneceALocal: () => pertenece }
+});
+
+test('createInvitation no permite a un admin invitar a locales ajenos ni con roles superiores', async () => {
+  Local.findById = async () => ({ _id: localId, nombre: 'Centro' });
+
+  const ajeno = respuesta();
+  await createInvitation({ ...admin(false), body: { email: 'nuevo@ejemplo.com', local: localId } }, ajeno);
+  const rolSuperior = respuesta();
+  await createInvitation({ ...admin(true), body: { email: 'nuevo@ejemplo.com', role: 'admin', local: localId } }, rolSuperior);
+
+  assert.equal(ajeno.statusCode, 403);
+  assert.equal(rolSuperior.statusCode, 403);
+});
+
+test('createInvitation envía el enlace con el token en texto plano y guarda solo su hash', async () => {
+  Local.findById = async () => ({ _id: localId, nombre: 'Centro' });
+  User.findOne = async () => null;
+  Invitacion.findOne = async () => null;
+  let guardada;
+  Invitacion.prototype.save = async function() {
+    guardada = this;
+    return this;
+  };
+  correos.length = 0;
+
+  const res = respuesta();
+  await createInvitation({ ...admin(true), body: { email: 'nuevo@ejemplo.com', local: localId } }, res);
+
+  assert.equal(res.statusCode, 201);
+  const [, token] = correos[0].html.match(/invitations\/([a-f0-9]+)/);
+  assert.equal(guardada.tokenHash.length, 64);
+  assert.notEqual(guardada.tokenHash, token);
+  assert.ok(!JSON.stringify(res.cuerpo).includes(guardada.tokenHash));
+});
+
+test('acceptInvitation rechaza invitaciones expiradas o ya utilizadas', async () => {
+  const invitacion = new Invitacion({ email: 'nuevo@ejemplo.com', local: localId, invitadoPor: new mongoose.Types.ObjectId() });
+  invitacion.generarToken();
+  invitacion.estado = 'aceptada';
+  Invitacion.buscarPorToken = async () => invitacion;
+  User.create = async () => {
+    throw new Error('no se debe crear el usuario');
+  };
+
+  const res = respuesta();
+  await acceptInvitation({ params: { token: 'token' }, body: { nombre: 'Ana', password: 'Secreta123!' } }, res);
+
+  assert.equal(res.statusCode, 400);
+});
+
+test('acceptInvitation crea el usuario verificado con el rol y el local de la invitación', async () => {
+  const invitacion = new Invitacion({ email: 'nuevo@ejemplo.com', role: 'usuario', local: localId, invitadoPor: new mongoose.Types.ObjectId() });
+  invitacion.generarToken();
+  invitacion.save = async () => invitacion;
+  Invitacion.buscarPorToken = async () => invitacion;
+  User.findOne = async () => null;
+  Local.find = () => ({ select: () => ({ lean: async () => [] }) });
+  let creado;
+  const localesAgregados = [];
+  User.create = async (datos) => {
+    creado = { _id: new mongoose.Types.ObjectId(), ...datos, agregarLocal: async (local) => { localesAgregados.push(local); } };
+    return creado;
+  };
+
+  const res = respuesta();
+  await acceptInvitation({ params: { token: 'token' }, body: { nombre: 'Ana', password: 'Secreta123!' } }, res);
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(creado.email, 'nuevo@ejemplo.com');
+  assert.equal(creado.role, 'usuario');
+  assert.equal(creado.verificado, true);
+  assert.deepEqual(localesAgregados, [localId]);
+  assert.equal(invitacion.estado, 'aceptada');
+  assert.equal(String(invitacion.aceptadaPor), String(creado._id));
+});
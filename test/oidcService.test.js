@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+
+// Proveedor simulado: el cliente HTTP del servicio responde con el JWKS en memoria
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWKS_URI = 'https://idp.ejemplo.com/jwks';
+axios.create = () => ({
+  get: async (url) => {
+    if (url !== JWKS_URI) throw new Error(`URL inesperada: ${url}`);
+    return { data: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'clave-1', use: 'sig' }] } };
+  }
+});
+
+const { generarParametrosAutorizacion, obtenerValoresClaim, verificarIdToken } = await import('../src/services/oidcService.js');
+
+const proveedor = { clientId: 'evolution' };
+const configuracion = { issuer: 'https://idp.ejemplo.com', jwks_uri: JWKS_URI };
+
+const firmarIdToken = (claims, opciones = {}) => jwt.sign(
+  { sub: 'usuario-1', nonce: 'nonce-1', email: 'ana@ejemplo.com', ...claims },
+  privateKey,
+  { algorithm: 'RS256', keyid: 'clave-1', issuer: configuracion.issuer, audience: proveedor.clientId, expiresIn: 300, ...opciones }
+);
+
+test('generarParametrosAutorizacion usa PKCE S256 con valores aleatorios', () => {
+  const parametros = generarParametrosAutorizacion();
+  const otros = generarParametrosAutorizacion();
+
+  assert.equal(parametros.codeChallenge, crypto.createHash('sha256').update(parametros.codeVerifier).digest('base64url'));
+  assert.notEqual(parametros.state, otros.state);
+  assert.notEqual(parametros.nonce, otros.nonce);
+});
+
+test('verificarIdToken acepta un ID token firmado por el proveedor para este cliente', async () => {
+  const claims = await verificarIdToken(firmarIdToken(), proveedor, configuracion, 'nonce-1');
+
+  assert.equal(claims.sub, 'usuario-1');
+  assert.equal(claims.email, 'ana@ejemplo.com');
+});
+
+test('verificarIdToken rechaza otro nonce, otra audiencia y tokens firmados con HMAC', async () => {
+  await assert.rejects(verificarIdToken(firmarIdToken(), proveedor, configuracion, 'otro-nonce'), /nonce/);
+  await assert.rejects(verificarIdToken(firmarIdToken({}, { audience: 'otra-app' }), proveedor, configuracion, 'nonce-1'), /audience/);
+
+  const hmac = jwt.sign({ sub: 'usuario-1', nonce: 'nonce-1' }, 'secreto', { algorithm: 'HS256', issuer: configuracion.issuer, audience: proveedor.clientId });
+  await assert.rejects(verificarIdToken(hmac, proveedor, configuracion, 'nonce-1'), /algoritmo no permitido/);
+});
+
+test('obtenerValoresClaim admite rutas con puntos y devuelve siempre un arreglo', () => {
+  const claims = { realm_access: { roles: ['ventas', 'admin'] }, grupo: 'soporte' };
+
+  assert.deepEqual(obtenerValoresClaim(claims, 'realm_access.roles'), ['ventas', 'admin']);
+  assert.deepEqual(obtenerValoresClaim(claims, 'grupo'), ['soporte']);
+  assert.deepEqual(obtenerValoresClaim(claims, 'inexistente.ruta'), []);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Oportunidad from '../src/models/Oportunidad.js';
+import Pipeline, { ETAPAS_PREDETERMINADAS } from '../src/models/Pipeline.js';
+import { reporteGanadasPerdidas, resolverPipeline, verificarEtapasEliminadas } from '../src/services/oportunidadesService.js';
+
+const localId = new mongoose.Types.ObjectId();
+const nuevoPipeline = (datos = {}) => new Pipeline({ nombre: 'Ventas', etapas: ETAPAS_PREDETERMINADAS, local: localId, ...datos });
+
+test('resolverPipeline rechaza un pipeline de otro local', async () => {
+  Pipeline.findById = async () => nuevoPipeline({ local: new mongoose.Types.ObjectId() });
+
+  await assert.rejects(resolverPipeline('id', localId), { status: 400 });
+});
+
+test('resolverPipeline crea el pipeline predeterminado cuando el local no tiene ninguno', async () => {
+  Pipeline.findOne = () => ({ sort: async () => null });
+  let creado;
+  Pipeline.create = async (datos) => {
+    creado = datos;
+    return nuevoPipeline(datos);
+  };
+
+  const pipeline = await resolverPipeline(null, localId, new mongoose.Types.ObjectId());
+
+  assert.equal(creado.predeterminado, true);
+  assert.deepEqual(pipeline.etapas.map(etapa => etapa.nombre), ETAPAS_PREDETERMINADAS.map(etapa => etapa.nombre));
+});
+
+test('resolverPipeline no crea el pipeline predeterminado en las lecturas', async () => {
+  Pipeline.findOne = () => ({ sort: async () => null });
+  Pipeline.create = async () => {
+    throw new Error('una lectura no crea pipelines');
+  };
+
+  assert.equal(await resolverPipeline(null, localId, new mongoose.Types.ObjectId(), { crear: false }), null);
+});
+
+test('no se pueden quitar etapas que tienen oportunidades', async () => {
+  const pipeline = nuevoPipeline();
+  let filtro;
+  Oportunidad.countDocuments = async (consulta) => {
+    filtro = consulta;
+    return 2;
+  };
+
+  const conservadas = pipeline.etapas.slice(1).map(etapa => ({ _id: etapa._id, nombre: etapa.nombre }));
+
+  await assert.rejects(verificarEtapasEliminadas(pipeline, conservadas), { status: 409 });
+  assert.deepEqual(filtro.etapa.$in.map(String), [String(pipeline.etapas[0]._id)]);
+});
+
+test('el reporte calcula la tasa de conversión y separa los montos por moneda', async () => {
+  const responsable = { _id: new mongoose.Types.ObjectId(), nombre: 'Ana', email: 'ana@ejemplo.com', password: 'hash' };
+  let pipelineAgregacion;
+  Oportunidad.aggregate = async (pipeline) => {
+    pipelineAgregacion = pipeline;
+    return [{
+      porEstado: [
+        { _id: 'GANADA', cantidad: 3, dias: 37.02, montos: [{ moneda: 'USD', monto: 100.005 }, { moneda: 'ARS', monto: 3000 }] },
+        { _id: 'PERDIDA', cantidad: 1, dias: 30, montos: [{ moneda: 'ARS', monto: 500 }] }
+      ],
+      motivosPerdida: [{ _id: 'Precio', cantidad: 1, montos: [{ moneda: 'ARS', monto: 500 }] }],
+      porResponsable: [{ responsable, ganadas: 3, perdidas: 1, montosGanados: [{ moneda: 'ARS', monto: 3000 }] }]
+    }];
+  };
+
+  const reporte = await reporteGanadasPerdidas({ local: String(localId), desde: new Date('2026-01-01') });
+
+  assert.deepEqual(pipelineAgregacion[0].$match.estado, { $in: ['GANADA', 'PERDIDA'] });
+  assert.equal(String(pipelineAgregacion[0].$match.local), String(localId));
+  assert.equal(reporte.tasaConversion, 75);
+  assert.equal(reporte.ganadas.diasPromedioCierre, 12.3);
+  // Los montos de distintas monedas no se suman
+  assert.deepEqual(reporte.ganadas.montos, [{ moneda: 'ARS', monto: 3000 }, { moneda: 'USD', monto: 100.01 }]);
+  assert.deepEqual(reporte.motivosPerdida, [{ motivo: 'Precio', cantidad: 1, montos: [{ moneda: 'ARS', monto: 500 }] }]);
+  // Del responsable solo se informan los datos públicos
+  assert.deepEqual(reporte.porResponsable[0].responsable, { _id: responsable._id, nombre: 'Ana', email: 'ana@ejemplo.com' });
+  assert.equal(reporte.porResponsable[0].tasaConversion, 75);
+});
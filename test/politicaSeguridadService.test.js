@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import User from '../src/models/User.js';
+import {
+  combinarPoliticas,
+  passwordExpirada,
+  validarNuevaPassword,
+  validarPassword,
+  POLITICA_CONTRASENA_DEFECTO
+} from '../src/services/politicaSeguridadService.js';
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+test('combinarPoliticas se queda con la regla más estricta de cada local', () => {
+  const politica = combinarPoliticas([
+    { seguridad: { contrasena: { longitudMinima: 12, requiereEspecial: false, historial: 3, diasVigencia: 90 }, bloqueo: { intentosMaximos: 10, minutosBloqueo: 15 } } },
+    { seguridad: { contrasena: { longitudMinima: 10, historial: 5, diasVigencia: 0 }, bloqueo: { intentosMaximos: 4, minutosBloqueo: 60 } } }
+  ]);
+
+  assert.equal(politica.contrasena.longitudMinima, 12);
+  assert.equal(politica.contrasena.requiereEspecial, true);
+  assert.equal(politica.contrasena.historial, 5);
+  assert.equal(politica.contrasena.diasVigencia, 90);
+  assert.deepEqual(politica.bloqueo, { intentosMaximos: 4, minutosBloqueo: 60 });
+});
+
+test('sin locales se aplica la política por defecto', () => {
+  assert.deepEqual(combinarPoliticas([]).contrasena, POLITICA_CONTRASENA_DEFECTO);
+});
+
+test('validarPassword informa cada regla incumplida', () => {
+  assert.deepEqual(validarPassword('Secreta123!'), []);
+  assert.deepEqual(validarPassword('abc', { ...POLITICA_CONTRASENA_DEFECTO, requiereEspecial: false }), [
+    'La contraseña debe tener al menos 8 caracteres',
+    'La contraseña debe contener al menos una letra mayúscula, un número'
+  ]);
+});
+
+test('validarNuevaPassword impide reutilizar las últimas contraseñas según el historial', async () => {
+  const usuario = new User({ nombre: 'Ana', email: 'ana@ejemplo.com', password: await bcrypt.hash('Actual123!', 4) });
+  usuario.historialPasswords = [await bcrypt.hash('Anterior123!', 4), await bcrypt.hash('Vieja123!', 4)];
+  const politica = { ...POLITICA_CONTRASENA_DEFECTO, historial: 2 };
+
+  assert.equal((await validarNuevaPassword(usuario, 'Actual123!', politica)).length, 1);
+  assert.equal((await validarNuevaPassword(usuario, 'Anterior123!', politica)).length, 1);
+  assert.deepEqual(await validarNuevaPassword(usuario, 'Vieja123!', politica), []);
+});
+
+test('passwordExpirada cuenta los días de vigencia desde el último cambio', () => {
+  const politica = { ...POLITICA_CONTRASENA_DEFECTO, diasVigencia: 30 };
+
+  assert.equal(passwordExpirada({ passwordChangedAt: new Date(Date.now() - 31 * DIA_MS) }, politica), true);
+  assert.equal(passwordExpirada({ passwordChangedAt: new Date(Date.now() - 29 * DIA_MS) }, politica), false);
+  assert.equal(passwordExpirada({ passwordChangedAt: new Date(0) }, POLITICA_CONTRASENA_DEFECTO), false);
+});
+
+test('registrarIntentoFallido bloquea la cuenta según la política de bloqueo', async () => {
+  const usuario = new User({ nombre: 'Ana', email: 'ana@ejemplo.com', password: 'x' });
+  usuario.save = async () => usuario;
+
+  for (let intento = 0; intento < 3; intento++) {
+    await usuario.registrarIntentoFallido({ intentosMaximos: 3, minutosBloqueo: 10 });
+  }
+
+  assert.equal(usuario.estaBloqueada(), true);
+  assert.ok(usuario.bloqueadoHasta - Date.now() <= 10 * 60 * 1000);
+});
@@ -0,0 +1,173 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Cliente from '../src/models/Cliente.js';
+import Evento from '../src/models/Evento.js';
+import Recordatorio from '../src/models/Recordatorio.js';
+import Nota from '../src/models/Nota.js';
+import Oportunidad from '../src/models/Oportunidad.js';
+import AuditLog from '../src/models/AuditLog.js';
+import Contact from '../src/models/whatsapp/Contact.js';
+import Message from '../src/models/whatsapp/Message.js';
+import { anonimizarCliente, buscarWhatsAppCliente, exportarDatosCliente, variantesTelefono } from '../src/services/privacidadService.js';
+import { simularFind } from './helpers/modelos.js';
+
+const local = new mongoose.Types.ObjectId();
+const telefono = '+54 9 11 2233-4455';
+
+const nuevoCliente = () => {
+  const cliente = new Cliente({
+    nombre: 'Ana',
+    apellido: 'Pérez',
+    email: 'ana@ejemplo.com',
+    telefono,
+    local,
+    direccion: { calle: 'Corrientes 1234', ciudad: 'CABA', codigoPostal: '1043', provincia: 'Buenos Aires', pais: 'Argentina' },
+    fechaNacimiento: new Date('1990-05-10'),
+    etiquetas: ['vip'],
+    notas: 'Prefiere WhatsApp'
+  });
+  cliente.save = async () => cliente;
+  return cliente;
+};
+
+// Registra las actualizaciones masivas de un modelo en lugar de enviarlas a la base de datos
+const operaciones = [];
+const registrar = (modelo, metodo, resultado) => {
+  modelo[metodo] = async (filtro, cambios) => {
+    operaciones.push({ modelo: modelo.modelName, metodo, filtro, cambios });
+    return resultado;
+  };
+};
+const operacion = (modelo, metodo) => operaciones.filter(item => item.modelo === modelo && item.metodo === metodo);
+
+beforeEach(() => {
+  operaciones.length = 0;
+  registrar(Evento, 'updateMany', { modifiedCount: 1 });
+  registrar(Recordatorio, 'updateMany', { modifiedCount: 1 });
+  registrar(Nota, 'deleteMany', { deletedCount: 2 });
+  registrar(Oportunidad, 'updateMany', { modifiedCount: 5 });
+  registrar(AuditLog, 'updateMany', { modifiedCount: 3 });
+  registrar(Message, 'updateMany', { modifiedCount: 4 });
+});
+
+test('variantesTelefono cubre el número tal como se cargó, solo dígitos y con prefijo +', () => {
+  assert.deepEqual(variantesTelefono(telefono), [telefono, '5491122334455', '+5491122334455']);
+  assert.deepEqual(variantesTelefono(''), []);
+});
+
+test('exportarDatosCliente reúne eventos, recordatorios, notas, oportunidades y WhatsApp del cliente', async () => {
+  const cliente = nuevoCliente();
+  const otroCliente = new mongoose.Types.ObjectId();
+  simularFind(Evento, [{ titulo: 'Turno', cliente: cliente._id }, { titulo: 'Ajeno', cliente: otroCliente }]);
+  simularFind(Recordatorio, [
+    { titulo: 'Directo', cliente: cliente._id },
+    { titulo: 'Como destinatario', destinatarios: [{ tipo: 'CLIENTE', id: cliente._id }] },
+    { titulo: 'Ajeno', cliente: otroCliente }
+  ]);
+  simularFind(Nota, [{ contenido: 'Nota', cliente: cliente._id }]);
+  simularFind(Oportunidad, [{ titulo: 'Plan anual', cliente: cliente._id }, { titulo: 'Ajena', cliente: otroCliente }]);
+  simularFind(Contact, [{ phoneNumber: '5491122334455', local }, { phoneNumber: '5491199999999', local }]);
+  simularFind(Message, [{ contactNumber: '+5491122334455', local, content: { text: 'Hola' } }]);
+
+  const paquete = await exportarDatosCliente(cliente);
+
+  assert.equal(paquete.formato, 'evolution.exportacion-cliente');
+  assert.equal(paquete.cliente.email, 'ana@ejemplo.com');
+  assert.deepEqual(paquete.eventos.map(evento => evento.titulo), ['Turno']);
+  assert.deepEqual(paquete.recordatorios.map(recordatorio => recordatorio.titulo), ['Directo', 'Como destinatario']);
+  assert.equal(paquete.notas.length, 1);
+  assert.deepEqual(paquete.oportunidades.map(oportunidad => oportunidad.titulo), ['Plan anual']);
+  assert.equal(paquete.whatsapp.contactos.length, 1);
+  assert.deepEqual(paquete.whatsapp.mensajes.map(mensaje => mensaje.content.text), ['Hola']);
+});
+
+test('anonimizarCliente reemplaza los datos personales y conserva el documento', async () => {
+  const cliente = nuevoCliente();
+  simularFind(Contact, []);
+
+  const resultado = await anonimizarCliente(cliente, new mongoose.Types.ObjectId());
+
+  assert.equal(cliente.nombre, 'Cliente');
+  assert.equal(cliente.email, `anonimizado-${cliente._id}@anonimizado.invalid`);
+  assert.equal(cliente.telefono, '[ANONIMIZADO]');
+  assert.equal(cliente.direccion.calle, undefined);
+  assert.equal(cliente.direccion.ciudad, undefined);
+  assert.equal(cliente.direccion.codigoPostal, undefined);
+  assert.equal(cliente.direccion.provincia, 'Buenos Aires');
+  assert.equal(cliente.direccion.pais, 'Argentina');
+  assert.equal(cliente.fechaNacimiento, undefined);
+  assert.deepEqual([...cliente.etiquetas], []);
+  assert.equal(cliente.anonimizado, true);
+  assert.equal(cliente.activo, false);
+  assert.equal(String(cliente.local), String(local));
+  assert.equal(resultado.notas, 2);
+});
+
+test('anonimizarCliente cancela los recordatorios pendientes, borra las notas y oculta la auditoría', async () => {
+  const cliente = nuevoCliente();
+  simularFind(Contact, []);
+
+  await anonimizarCliente(cliente, new mongoose.Types.ObjectId());
+
+  const [cancelacion] = operacion('Recordatorio', 'updateMany');
+  assert.equal(cancelacion.filtro.estado, 'PENDIENTE');
+  assert.deepEqual(cancelacion.cambios, { $set: { estado: 'CANCELADO' } });
+  assert.equal(String(operacion('Nota', 'deleteMany')[0].filtro.cliente), String(cliente._id));
+  const [auditoria] = operacion('AuditLog', 'updateMany');
+  assert.deepEqual(auditoria.filtro, { recurso: 'Cliente', recursoId: String(cliente._id) });
+  assert.equal(auditoria.cambios.$set['cambios.$[].antes'], '[ANONIMIZADO]');
+});
+
+test('anonimizarCliente quita los textos libres de las oportunidades y conserva montos y etapas', async () => {
+  const cliente = nuevoCliente();
+  simularFind(Contact, []);
+
+  const resultado = await anonimizarCliente(cliente, new mongoose.Types.ObjectId());
+
+  const [oportunidades] = operacion('Oportunidad', 'updateMany');
+  assert.equal(String(oportunidades.filtro.cliente), String(cliente._id));
+  assert.equal(oportunidades.cambios.$set.titulo, 'Oportunidad de cliente anonimizado');
+  assert.deepEqual(oportunidades.cambios.$set.etiquetas, []);
+  assert.deepEqual(Object.keys(oportunidades.cambios.$unset), ['descripcion', 'motivoPerdida']);
+  assert.equal(resultado.oportunidades, 5);
+});
+
+test('anonimizarCliente reemplaza el teléfono de los contactos de WhatsApp por un seudónimo', async () => {
+  const cliente = nuevoCliente();
+  const contacto = new Contact({ phoneNumber: '5491122334455', name: 'Ana', local });
+  contacto.save = async () => contacto;
+  simularFind(Contact, [contacto]);
+
+  const resultado = await anonimizarCliente(cliente, new mongoose.Types.ObjectId());
+
+  assert.match(contacto.phoneNumber, /^anonimo-[a-f0-9]{16}$/);
+  assert.equal(contacto.name, undefined);
+  const [mensajesDelContacto] = operacion('WhatsAppMessage', 'updateMany');
+  assert.deepEqual(mensajesDelContacto.filtro, { contactNumber: { $in: ['5491122334455'] }, local: cliente.local });
+  assert.equal(mensajesDelContacto.cambios.$set.contactNumber, contacto.phoneNumber);
+  assert.equal(resultado.contactosWhatsApp, 1);
+});
+
+test('el mismo teléfono en otro local no se considera del cliente', async () => {
+  const cliente = nuevoCliente();
+  const otroLocal = new mongoose.Types.ObjectId();
+  simularFind(Evento);
+  simularFind(Recordatorio);
+  simularFind(Nota);
+  simularFind(Oportunidad);
+  simularFind(Contact, [
+    { phoneNumber: '5491122334455', local, cliente: null },
+    { phoneNumber: '5491122334455', local: otroLocal, cliente: null }
+  ]);
+  simularFind(Message, [
+    { contactNumber: '5491122334455', local, content: { text: 'Hola A' } },
+    { contactNumber: '5491122334455', local: otroLocal, content: { text: 'Hola B' } }
+  ]);
+
+  const { contactos } = await buscarWhatsAppCliente(cliente);
+  const paquete = await exportarDatosCliente(cliente);
+
+  assert.deepEqual(contactos.map(contacto => String(contacto.local)), [String(local)]);
+  assert.deepEqual(paquete.whatsapp.mensajes.map(mensaje => mensaje.content.text), ['Hola A']);
+});
@@ -0,0 +1,86 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import CampoPersonalizado from '../src/models/CampoPersonalizado.js';
+import Evento from '../src/models/Evento.js';
+import { compilarReglas } from '../src/services/segmentosService.js';
+import { simularFind } from './helpers/modelos.js';
+
+const local = new mongoose.Types.ObjectId();
+
+simularFind(CampoPersonalizado, [
+  { clave: 'talle', etiqueta: 'Talle', tipo: 'SELECCION', opciones: ['S', 'M', 'L'], entidad: 'CLIENTE', activo: true, local }
+]);
+
+test('compilarReglas traduce grupos anidados, campos fijos y personalizados a un filtro', async () => {
+  const filtro = await compilarReglas({
+    todas: [
+      { campo: 'categoria', operador: 'en', valor: ['VIP', 'RECURRENTE'] },
+      { campo: 'etiquetas', operador: 'vacio' },
+      {
+        alguna: [
+          { campo: 'camposPersonalizados.talle', operador: 'igual', valor: 'M' },
+          { campo: 'recibirNotificaciones', operador: 'igual', valor: 'si' }
+        ]
+      }
+    ]
+  }, local);
+
+  assert.deepEqual(filtro, {
+    $and: [
+      { categoria: { $in: ['VIP', 'RECURRENTE'] } },
+      { 'etiquetas.0': { $exists: false } },
+      { $or: [{ 'camposPersonalizados.talle': 'M' }, { 'preferencias.recibirNotificaciones': true }] }
+    ]
+  });
+});
+
+test('compilarReglas indica la ruta de la condición no válida', async () => {
+  await assert.rejects(
+    compilarReglas({ todas: [{ campo: 'categoria', operador: 'igual', valor: 'VIP' }, { campo: 'ultimoContacto', operador: 'contiene', valor: 'x' }] }, local),
+    (error) => error.status === 400 && error.message.startsWith('reglas.todas[1].operador')
+  );
+  await assert.rejects(compilarReglas({ todas: [{ campo: 'password', operador: 'igual', valor: 'x' }] }, local), /reglas\.todas\[0\]\.campo/);
+  await assert.rejects(compilarReglas({ campo: 'categoria', operador: 'igual', valor: 'VIP' }, local), /deben empezar con un grupo/);
+});
+
+test('compilarReglas limita la profundidad de los grupos', async () => {
+  const profundo = { todas: [{ alguna: [{ ninguna: [{ todas: [{ alguna: [{ campo: 'activo', operador: 'igual', valor: true }] }] }] }] }] };
+
+  await assert.rejects(compilarReglas(profundo, local), /hasta 4 niveles/);
+});
+
+test('las condiciones de cantidad de eventos incluyen a los clientes sin eventos cuando corresponde', async () => {
+  const conUno = new mongoose.Types.ObjectId();
+  const conTres = new mongoose.Types.ObjectId();
+  Evento.aggregate = async () => [{ _id: conUno, total: 1 }, { _id: conTres, total: 3 }];
+
+  const menosDeDos = await compilarReglas({ todas: [{ campo: 'cantidadEventos', operador: 'menor', valor: 2 }] }, local);
+  const almenosDos = await compilarReglas({ todas: [{ campo: 'cantidadEventos', operador: 'mayor_igual', valor: 2 }] }, local);
+
+  assert.deepEqual(menosDeDos, { $and: [{ _id: { $nin: [conTres] } }] });
+  assert.deepEqual(almenosDos, { $and: [{ _id: { $in: [conTres] } }] });
+});
+
+test('compilarReglas sin local responde 400 en lugar de consultar todos los locales', async () => {
+  await assert.rejects(compilarReglas({ todas: [{ campo: 'activo', operador: 'igual', valor: true }] }, undefined), { status: 400, message: 'Debe indicar el local del segmento' });
+});
+
+test('mes_actual y mes_siguiente usan el mes en UTC, como mesNacimiento', async () => {
+  // 31 de diciembre a las 23:30 UTC: en Tokio ya es enero
+  const zonaHoraria = process.env.TZ;
+  process.env.TZ = 'Asia/Tokyo';
+  mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 11, 31, 23, 30) });
+
+  try {
+    const actual = await compilarReglas({ todas: [{ campo: 'mesNacimiento', operador: 'mes_actual' }] }, local);
+    const siguiente = await compilarReglas({ todas: [{ campo: 'mesNacimiento', operador: 'mes_siguiente' }] }, local);
+
+    assert.deepEqual(actual, { $and: [{ mesNacimiento: 12 }] });
+    assert.deepEqual(siguiente, { $and: [{ mesNacimiento: 1 }] });
+  } finally {
+    mock.timers.reset();
+    if (zonaHoraria === undefined) delete process.env.TZ;
+    else process.env.TZ = zonaHoraria;
+  }
+});
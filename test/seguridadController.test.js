@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import nodemailer from 'nodemailer';
+
+// Transporte de correo en memoria: se reemplaza antes de que emailService lo cree
+const correos = [];
+nodemailer.createTransport = () => ({
+  sendMail: async (mensaje) => {
+    correos.push(mensaje);
+    return { messageId: 'prueba' };
+  }
+});
+
+const { default: EventoSeguridad } = await import('../src/models/EventoSeguridad.js');
+const { default: Session } = await import('../src/models/Session.js');
+const { default: User } = await import('../src/models/User.js');
+const { reportNotMe } = await import('../src/controllers/seguridadController.js');
+
+// Respuesta de Express que guarda el status y el cuerpo
+const respuesta = () => ({
+  statusCode: 200,
+  status(codigo) {
+    this.statusCode = codigo;
+    return this;
+  },
+  json(cuerpo) {
+    this.cuerpo = cuerpo;
+    return this;
+  }
+});
+
+test('reportNotMe consume el enlace, cierra todas las sesiones y envía un enlace de reseteo', async () => {
+  const usuario = new User({ nombre: 'Ana', email: 'ana@ejemplo.com', password: 'Secreta123!' });
+  usuario.save = async () => usuario;
+  const versionAnterior = usuario.tokenVersion;
+  const evento = new EventoSeguridad({ usuario: usuario._id, tipo: 'login_sospechoso', ip: '10.0.0.9' });
+  evento.generarTokenNoFuiYo();
+  evento.save = async () => evento;
+  EventoSeguridad.buscarPorTokenNoFuiYo = async () => evento;
+  EventoSeguridad.create = async (datos) => datos;
+  User.findById = async () => usuario;
+  let revocadas;
+  Session.updateMany = async (filtro) => {
+    revocadas = filtro;
+    return { modifiedCount: 3 };
+  };
+  correos.length = 0;
+
+  const res = respuesta();
+  await reportNotMe({ body: { token: 'token' }, ip: '10.0.0.1', headers: {}, auditar: () => {} }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(evento.tokenNoFuiYo, undefined);
+  assert.equal(evento.severidad, 'critica');
+  assert.equal(usuario.tokenVersion, versionAnterior + 1);
+  assert.equal(String(revocadas.usuario), String(usuario._id));
+  assert.match(correos[0].html, /reset-password\/[a-f0-9]{64}/);
+});
+
+test('reportNotMe rechaza enlaces inválidos o ya utilizados', async () => {
+  EventoSeguridad.buscarPorTokenNoFuiYo = async () => null;
+
+  const res = respuesta();
+  await reportNotMe({ body: { token: 'usado' }, ip: '10.0.0.1', headers: {}, auditar: () => {} }, res);
+
+  assert.equal(res.statusCode, 400);
+});
+
+test('el evento guarda solo el hash del token "no fui yo"', () => {
+  const evento = new EventoSeguridad({ usuario: new mongoose.Types.ObjectId(), tipo: 'login_sospechoso' });
+
+  const token = evento.generarTokenNoFuiYo();
+
+  assert.equal(evento.tokenNoFuiYo.length, 64);
+  assert.notEqual(evento.tokenNoFuiYo, token);
+  assert.ok(evento.tokenNoFuiYoExpira > Date.now());
+});
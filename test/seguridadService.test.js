@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectarLoginSospechoso, resumirDispositivo } from '../src/services/seguridadService.js';
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const CHROME_WINDOWS_ACTUALIZADO = CHROME_WINDOWS.replace('Chrome/120', 'Chrome/121');
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+test('resumirDispositivo reduce el user agent a navegador y sistema operativo', () => {
+  assert.equal(resumirDispositivo(CHROME_WINDOWS), 'Chrome/Windows');
+  assert.equal(resumirDispositivo(SAFARI_IPHONE), 'Safari/iOS');
+  assert.equal(resumirDispositivo(undefined), 'otro/otro');
+});
+
+test('detectarLoginSospechoso no marca el primer acceso ni una actualización del navegador', () => {
+  const user = { dispositivos: [{ dispositivo: CHROME_WINDOWS, ip: '10.0.0.1' }] };
+
+  assert.deepEqual(detectarLoginSospechoso({ dispositivos: [] }, { dispositivo: SAFARI_IPHONE, ip: '10.0.0.9' }), []);
+  assert.deepEqual(detectarLoginSospechoso(user, { dispositivo: CHROME_WINDOWS_ACTUALIZADO, ip: '10.0.0.1' }), []);
+});
+
+test('detectarLoginSospechoso informa un dispositivo y una IP que el usuario nunca usó', () => {
+  const user = { dispositivos: [{ dispositivo: CHROME_WINDOWS, ip: '10.0.0.1' }], lastLoginIP: '10.0.0.2' };
+
+  assert.deepEqual(detectarLoginSospechoso(user, { dispositivo: SAFARI_IPHONE, ip: '10.0.0.9' }), ['nuevo_dispositivo', 'nueva_ip']);
+  assert.deepEqual(detectarLoginSospechoso(user, { dispositivo: CHROME_WINDOWS, ip: '10.0.0.2' }), []);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import { getMySessions, revokeMySession, revokeUserSession } from '../src/controllers/sessionController.js';
+
+// Respuesta de Express que guarda el status y el cuerpo
+const respuesta = () => ({
+  statusCode: 200,
+  status(codigo) {
+    this.statusCode = codigo;
+    return this;
+  },
+  json(cuerpo) {
+    this.cuerpo = cuerpo;
+    return this;
+  }
+});
+
+const nuevaSesion = (usuario) => new Session({
+  usuario,
+  refreshTokenHash: 'hash-secreto',
+  tokensAnteriores: ['hash-anterior'],
+  dispositivo: 'Firefox',
+  expiraEn: Date.now() + 60000
+});
+
+test('getMySessions marca la sesión actual y no expone los hashes de los refresh tokens', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const actual = nuevaSesion(userId);
+  const otra = nuevaSesion(userId);
+  let filtro;
+  Session.find = (recibido) => {
+    filtro = recibido;
+    return { sort: async () => [actual, otra] };
+  };
+
+  const res = respuesta();
+  await getMySessions({ userId, sessionId: actual._id, user: { dispositivos: [] } }, res);
+
+  assert.equal(String(filtro.usuario), String(userId));
+  assert.equal(filtro.revocada, false);
+  assert.deepEqual(res.cuerpo.data.sesiones.map(sesion => sesion.actual), [true, false]);
+  assert.ok(!JSON.stringify(res.cuerpo).includes('hash-'));
+});
+
+test('revokeMySession solo busca entre las sesiones del usuario autenticado', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  let filtro;
+  Session.findOne = async (recibido) => {
+    filtro = recibido;
+    return null;
+  };
+
+  const res = respuesta();
+  await revokeMySession({ userId, params: { id: new mongoose.Types.ObjectId() } }, res);
+
+  assert.equal(String(filtro.usuario), String(userId));
+  assert.equal(res.statusCode, 404);
+});
+
+test('revokeUserSession no permite a un admin cerrar sesiones de usuarios que no administra', async () => {
+  const objetivo = { _id: new mongoose.Types.ObjectId(), email: 'otro@ejemplo.com' };
+  User.findById = async () => objetivo;
+  Session.findOne = async () => {
+    throw new Error('no se debe buscar la sesión');
+  };
+
+  const res = respuesta();
+  await revokeUserSession({
+    userRole: 'admin',
+    user: { puedeAdministrar: () => false },
+    params: { id: objetivo._id, sessionId: new mongoose.Types.ObjectId() }
+  }, res);
+
+  assert.equal(res.statusCode, 403);
+});
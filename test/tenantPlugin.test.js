@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import tenantPlugin from '../src/models/plugins/tenantPlugin.js';
+import { ejecutarConTenant, obtenerContextoTenant } from '../src/config/tenantContext.js';
+import { establecerContextoTenant } from '../src/middlewares/tenantMiddleware.js';
+
+const esquema = new mongoose.Schema({ nombre: String, local: mongoose.Schema.Types.ObjectId });
+esquema.plugin(tenantPlugin);
+const Documento = mongoose.model('DocumentoTenantPrueba', esquema);
+
+const localPropio = new mongoose.Types.ObjectId();
+const localAjeno = new mongoose.Types.ObjectId();
+const contexto = { locales: [localPropio], localActivo: localPropio };
+
+// Ejecuta los middlewares "pre" de una operación sin llegar a la base de datos
+const ejecutarPre = (hooks, operacion, contextoHook, argumentos = []) => new Promise((resolver, rechazar) => {
+  hooks.execPre(operacion, contextoHook, argumentos, (error) => (error ? rechazar(error) : resolver()));
+});
+
+test('las consultas dentro de una petición se restringen a los locales del usuario', async () => {
+  const consulta = Documento.find({ nombre: 'Ana' });
+
+  await ejecutarConTenant(contexto, () => ejecutarPre(consulta._queryMiddleware, 'find', consulta));
+
+  assert.deepEqual(consulta.getFilter(), { nombre: 'Ana', $and: [{ local: { $in: [localPropio] } }] });
+});
+
+test('las consultas fuera de una petición o con skipTenant no se filtran', async () => {
+  const sinContexto = Documento.find({ nombre: 'Ana' });
+  const omitida = Documento.find({ nombre: 'Ana' }).setOptions({ skipTenant: true });
+
+  await ejecutarPre(sinContexto._queryMiddleware, 'find', sinContexto);
+  await ejecutarConTenant(contexto, () => ejecutarPre(omitida._queryMiddleware, 'find', omitida));
+
+  assert.deepEqual(sinContexto.getFilter(), { nombre: 'Ana' });
+  assert.deepEqual(omitida.getFilter(), { nombre: 'Ana' });
+});
+
+test('las agregaciones empiezan filtrando por los locales del usuario', async () => {
+  const agregacion = Documento.aggregate([{ $group: { _id: '$nombre' } }]);
+
+  await ejecutarConTenant(contexto, () => ejecutarPre(Documento.hooks, 'aggregate', agregacion));
+
+  assert.deepEqual(agregacion.pipeline()[0], { $match: { local: { $in: [localPropio] } } });
+});
+
+test('los documentos nuevos toman el local activo y no pueden pertenecer a un local ajeno', async () => {
+  const sinLocal = new Documento({ nombre: 'Ana' });
+  const ajeno = new Documento({ nombre: 'Ana', local: localAjeno });
+
+  await ejecutarConTenant(contexto, () => ejecutarPre(Documento.hooks, 'save', sinLocal, [{}]));
+  const error = await ejecutarConTenant(contexto, () => ejecutarPre(Documento.hooks, 'save', ajeno, [{}]).catch(e => e));
+
+  assert.equal(String(sinLocal.local), String(localPropio));
+  assert.equal(error.status, 403);
+});
+
+test('establecerContextoTenant rechaza locales solicitados a los que el usuario no tiene acceso', () => {
+  const res = {
+    status(codigo) {
+      this.statusCode = codigo;
+      return this;
+    },
+    json(cuerpo) {
+      this.cuerpo = cuerpo;
+      return this;
+    }
+  };
+  let siguiente = false;
+
+  establecerContextoTenant({
+    user: { _id: new mongoose.Types.ObjectId(), role: 'admin', locales: [localPropio], primaryLocal: localPropio },
+    query: { local: String(localAjeno) },
+    body: {}
+  }, res, () => { siguiente = true; });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(siguiente, false);
+});
+
+test('establecerContextoTenant ejecuta el resto de la cadena con el local solicitado como activo', () => {
+  let contextoActivo;
+
+  establecerContextoTenant({
+    user: { _id: new mongoose.Types.ObjectId(), role: 'admin', locales: [localPropio], primaryLocal: null },
+    query: { local: String(localPropio) },
+    body: {}
+  }, {}, () => { contextoActivo = obtenerContextoTenant(); });
+
+  assert.deepEqual(contextoActivo.locales, [localPropio]);
+  assert.equal(String(contextoActivo.localActivo), String(localPropio));
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Recordatorio from '../src/models/Recordatorio.js';
+import User from '../src/models/User.js';
+import Contact from '../src/models/whatsapp/Contact.js';
+import Message from '../src/models/whatsapp/Message.js';
+import { decodificarCursor, obtenerTimelineCliente } from '../src/services/timelineClienteService.js';
+import { simularFind } from './helpers/modelos.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+test('el timeline mezcla las fuentes por fecha y pagina con el cursor sin repetir ni saltear actividades', async () => {
+  const clienteId = id();
+  const fecha = new Date('2026-01-02T10:00:00Z');
+  const cliente = {
+    _id: clienteId,
+    fechaCreacion: new Date('2025-12-01'),
+    notas: [{ _id: id(), contenido: 'Nota en la ficha', fecha }],
+    historialInteracciones: [{ _id: id(), tipo: 'LLAMADA', descripcion: 'Llamada', fecha: new Date('2026-01-03') }]
+  };
+  simularFind(Recordatorio, [
+    { _id: id(), cliente: clienteId, titulo: 'Mismo horario', fechaProgramada: fecha },
+    { _id: id(), destinatarios: [{ tipo: 'CLIENTE', id: clienteId }], titulo: 'Como destinatario', fechaProgramada: new Date('2026-01-01') },
+    { _id: id(), cliente: id(), titulo: 'Otro cliente', fechaProgramada: new Date('2026-01-04') }
+  ]);
+  simularFind(User, []);
+  const opciones = { tipos: ['nota_cliente', 'interaccion', 'recordatorio'], limite: 2 };
+
+  const primera = await obtenerTimelineCliente(cliente, opciones);
+  const segunda = await obtenerTimelineCliente(cliente, { ...opciones, cursor: decodificarCursor(primera.siguiente) });
+
+  assert.deepEqual(primera.actividades.map(actividad => actividad.descripcion ?? actividad.titulo), ['Llamada', 'Mismo horario']);
+  assert.deepEqual(segunda.actividades.map(actividad => actividad.descripcion ?? actividad.titulo), ['Nota en la ficha', 'Como destinatario']);
+  assert.equal(segunda.siguiente, null);
+});
+
+test('decodificarCursor rechaza cursores alterados', () => {
+  assert.equal(decodificarCursor('no-es-un-cursor'), null);
+  assert.equal(decodificarCursor(Buffer.from(`2026-01-01T00:00:00.000Z|otro|${id()}`).toString('base64url')), null);
+});
+
+test('el timeline solo muestra los mensajes de WhatsApp del local del cliente', async () => {
+  const localA = id();
+  const localB = id();
+  const telefono = '5491122334455';
+
+  simularFind(Contact, [
+    { _id: id(), phoneNumber: telefono, local: localB, cliente: null }
+  ]);
+  simularFind(Message, [
+    { _id: id(), contactNumber: telefono, local: localA, direction: 'inbound', content: { text: 'Local A' }, createdAt: new Date('2026-01-02') },
+    { _id: id(), contactNumber: telefono, local: localB, direction: 'inbound', content: { text: 'Local B' }, createdAt: new Date('2026-01-03') }
+  ]);
+  simularFind(User, []);
+
+  const cliente = { _id: id(), local: localA, telefono };
+  const { actividades } = await obtenerTimelineCliente(cliente, { tipos: ['whatsapp'] });
+
+  assert.deepEqual(actividades.map(actividad => actividad.descripcion), ['Local A']);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import { emitirTokenImpersonacion, emitirTokens, hashToken, rotarRefreshToken, verificarJWT } from '../src/services/tokenService.js';
+
+process.env.JWT_SECRET ||= 'secreto-de-pruebas';
+
+const peticion = { ip: '127.0.0.1', headers: { 'user-agent': 'pruebas' } };
+
+const usuarioActivo = (id) => ({ _id: id, role: 'user', email: 'ana@ejemplo.com', tokenVersion: 0, activo: true, estaBloqueada: () => false });
+
+test('emitirTokens guarda solo el hash del refresh token y asocia el access token a la sesión', async () => {
+  let creada;
+  Session.create = async (datos) => {
+    creada = { _id: new mongoose.Types.ObjectId(), ...datos };
+    return creada;
+  };
+
+  const tokens = await emitirTokens(usuarioActivo(new mongoose.Types.ObjectId()), peticion);
+
+  assert.equal(creada.refreshTokenHash, hashToken(tokens.refreshToken));
+  assert.notEqual(creada.refreshTokenHash, tokens.refreshToken);
+  assert.equal((await verificarJWT(tokens.accessToken)).sid, String(creada._id));
+});
+
+test('rotarRefreshToken reemplaza el refresh token y conserva el anterior para detectar reutilización', async () => {
+  const sesion = new Session({
+    usuario: new mongoose.Types.ObjectId(),
+    refreshTokenHash: hashToken('refresh-token'),
+    expiraEn: Date.now() + 60000
+  });
+  sesion.save = async () => sesion;
+  Session.findOne = async () => sesion;
+  User.findById = async () => usuarioActivo(sesion.usuario);
+
+  const resultado = await rotarRefreshToken('refresh-token', peticion);
+
+  assert.equal(resultado.success, true);
+  assert.notEqual(resultado.refreshToken, 'refresh-token');
+  assert.equal(sesion.refreshTokenHash, hashToken(resultado.refreshToken));
+  assert.deepEqual([...sesion.tokensAnteriores], [hashToken('refresh-token')]);
+});
+
+test('rotarRefreshToken revoca la sesión cuando se reutiliza un refresh token ya rotado', async () => {
+  const revocaciones = [];
+  const sesion = { _id: new mongoose.Types.ObjectId(), usuario: new mongoose.Types.ObjectId(), revocar: async (motivo) => { revocaciones.push(motivo); } };
+  Session.findOne = async (filtro) => (filtro.tokensAnteriores ? sesion : null);
+
+  const resultado = await rotarRefreshToken('token-rotado', peticion);
+
+  assert.equal(resultado.success, false);
+  assert.equal(resultado.status, 401);
+  assert.deepEqual(revocaciones, ['reutilizacion_refresh_token']);
+});
+
+test('emitirTokenImpersonacion crea una sesión corta que lleva ambas identidades', async () => {
+  let creada;
+  Session.create = async (datos) => {
+    creada = { _id: new mongoose.Types.ObjectId(), ...datos };
+    return creada;
+  };
+  const superAdmin = { _id: new mongoose.Types.ObjectId() };
+  const usuario = usuarioActivo(new mongoose.Types.ObjectId());
+
+  const { accessToken } = await emitirTokenImpersonacion(superAdmin, usuario, peticion, 'Soporte');
+  const payload = await verificarJWT(accessToken);
+
+  assert.equal(payload.id, String(usuario._id));
+  assert.equal(payload.imp, String(superAdmin._id));
+  assert.equal(String(creada.impersonadoPor), String(superAdmin._id));
+  assert.ok(creada.expiraEn - Date.now() <= 30 * 60 * 1000);
+  assert.ok(payload.exp - payload.iat <= 30 * 60);
+});
+
+test('rotarRefreshToken rechaza a los usuarios desactivados y revoca su sesión', async () => {
+  const revocaciones = [];
+  const sesion = {
+    _id: new mongoose.Types.ObjectId(),
+    usuario: new mongoose.Types.ObjectId(),
+    tokensAnteriores: [],
+    estaActiva: () => true,
+    revocar: async (motivo) => { revocaciones.push(motivo); },
+    save: async () => { throw new Error('no se debe rotar el token'); }
+  };
+  Session.findOne = async () => sesion;
+  User.findById = async () => ({ _id: sesion.usuario, activo: false, estaBloqueada: () => false });
+
+  const resultado = await rotarRefreshToken('refresh-token', peticion);
+
+  assert.equal(resultado.success, false);
+  assert.equal(resultado.status, 401);
+  assert.deepEqual(revocaciones, ['usuario_desactivado']);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generarCodigo,
+  generarCodigosRecuperacion,
+  generarSecreto,
+  hashCodigoRecuperacion,
+  verificarSegundoFactor
+} from '../src/services/totpService.js';
+
+// Secreto ASCII "12345678901234567890" del apéndice B de la RFC 6238, codificado en base32
+const SECRETO_RFC = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('generarCodigo coincide con los vectores de prueba SHA-1 de la RFC 6238', () => {
+  assert.equal(generarCodigo(SECRETO_RFC, 59 * 1000), '287082');
+  assert.equal(generarCodigo(SECRETO_RFC, 1111111109 * 1000), '081804');
+  assert.equal(generarCodigo(SECRETO_RFC, 2000000000 * 1000), '279037');
+});
+
+test('generarSecreto produce 160 bits en base32', () => {
+  assert.match(generarSecreto(), /^[A-Z2-7]{32}$/);
+});
+
+test('verificarSegundoFactor rechaza volver a usar un código TOTP ya aceptado', () => {
+  const secreto = generarSecreto();
+  const user = { dosFactores: { secreto } };
+  const codigo = generarCodigo(secreto);
+
+  assert.deepEqual(verificarSegundoFactor(user, { codigo }), { valido: true, metodo: 'totp' });
+  assert.deepEqual(verificarSegundoFactor(user, { codigo }), { valido: false });
+});
+
+test('verificarSegundoFactor consume los códigos de recuperación', () => {
+  const [codigo, otro] = generarCodigosRecuperacion(2);
+  const user = { dosFactores: { codigosRecuperacion: [hashCodigoRecuperacion(codigo), hashCodigoRecuperacion(otro)] } };
+
+  assert.deepEqual(verificarSegundoFactor(user, { codigoRecuperacion: ` ${codigo.toUpperCase()} ` }), { valido: true, metodo: 'recuperacion' });
+  assert.deepEqual(user.dosFactores.codigosRecuperacion, [hashCodigoRecuperacion(otro)]);
+  assert.deepEqual(verificarSegundoFactor(user, { codigoRecuperacion: codigo }), { valido: false });
+});
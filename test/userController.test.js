@@ -0,0 +1,350 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import nodemailer from 'nodemailer';
+
+process.env.JWT_SECRET ||= 'secreto-de-pruebas';
+
+// Transporte de correo en memoria: se reemplaza antes de que emailService lo cree
+const correos = [];
+let fallarEnvio = false;
+nodemailer.createTransport = () => ({
+  sendMail: async (mensaje) => {
+    if (fallarEnvio) throw new Error('SMTP no disponible');
+    correos.push(mensaje);
+    return { messageId: 'prueba' };
+  }
+});
+
+const { default: User } = await import('../src/models/User.js');
+const { default: Session } = await import('../src/models/Session.js');
+const { default: Local } = await import('../src/models/Local.js');
+const { generarTokenCambioPassword, generarTokenDesafio2FA } = await import('../src/services/tokenService.js');
+const {
+  changeExpiredPassword,
+  consumeMagicLink,
+  forgotPassword,
+  login,
+  loginTwoFactor,
+  requestMagicLink,
+  resendVerification,
+  resetPassword,
+  verifyEmail
+} = await import('../src/controllers/userController.js');
+
+// Respuesta de Express que guarda el status y el cuerpo
+const respuesta = () => ({
+  statusCode: 200,
+  status(codigo) {
+    this.statusCode = codigo;
+    return this;
+  },
+  json(cuerpo) {
+    this.cuerpo = cuerpo;
+    return this;
+  }
+});
+
+const nuevoUsuario = () => {
+  const usuario = new User({ nombre: 'Ana', apellido: 'Pérez', email: 'ana@ejemplo.com', password: 'Secreta123!' });
+  usuario.save = async () => usuario;
+  return usuario;
+};
+
+test('forgotPassword envía por email un enlace con el token en texto plano y guarda solo su hash', async () => {
+  const usuario = nuevoUsuario();
+  User.findOne = async () => usuario;
+  correos.length = 0;
+
+  const res = respuesta();
+  await forgotPassword({ body: { email: usuario.email } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(correos.length, 1);
+  const [, token] = correos[0].html.match(/reset-password\/([a-f0-9]+)/);
+  assert.equal(usuario.passwordResetToken, crypto.createHash('sha256').update(token).digest('hex'));
+  assert.ok(usuario.passwordResetExpires > Date.now());
+});
+
+test('forgotPassword invalida el token si no se pudo enviar el email', async () => {
+  const usuario = nuevoUsuario();
+  User.findOne = async () => usuario;
+  fallarEnvio = true;
+
+  const res = respuesta();
+  try {
+    await forgotPassword({ body: { email: usuario.email } }, res);
+  } finally {
+    fallarEnvio = false;
+  }
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(usuario.passwordResetToken, undefined);
+  assert.equal(usuario.passwordResetExpires, undefined);
+});
+
+test('buscarPorTokenReseteo busca por el hash del token y solo entre los no expirados', async () => {
+  let filtro;
+  User.findOne = async (recibido) => {
+    filtro = recibido;
+    return null;
+  };
+
+  await User.buscarPorTokenReseteo('abc123');
+
+  assert.equal(filtro.passwordResetToken, crypto.createHash('sha256').update('abc123').digest('hex'));
+  assert.ok(filtro.passwordResetExpires.$gt <= Date.now());
+});
+
+test('resetPassword rechaza un token inválido o expirado', async () => {
+  User.buscarPorTokenReseteo = () => ({ select: async () => null });
+
+  const res = respuesta();
+  await resetPassword({ params: { token: 'invalido' }, body: { newPassword: 'Nueva123!' } }, res);
+
+  assert.equal(res.statusCode, 400);
+});
+
+test('resetPassword cambia la contraseña, consume el token y cierra las sesiones abiertas', async () => {
+  const usuario = nuevoUsuario();
+  usuario.createPasswordResetToken();
+  const versionAnterior = usuario.tokenVersion;
+  User.buscarPorTokenReseteo = () => ({ select: async () => usuario });
+  let revocadas;
+  Session.updateMany = async (filtro, cambios) => {
+    revocadas = { filtro, cambios };
+    return { modifiedCount: 2 };
+  };
+
+  const res = respuesta();
+  await resetPassword({ params: { token: 'valido' }, body: { newPassword: 'Nueva123!' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(usuario.password, 'Nueva123!');
+  assert.equal(usuario.passwordResetToken, undefined);
+  assert.equal(usuario.passwordResetExpires, undefined);
+  assert.equal(usuario.tokenVersion, versionAnterior + 1);
+  assert.equal(String(revocadas.filtro.usuario), String(usuario._id));
+  assert.equal(revocadas.cambios.$set.motivoRevocacion, 'reseteo_contrasena');
+});
+
+test('verifyEmail responde lo mismo a un código incorrecto que a un email inexistente', async () => {
+  const usuario = nuevoUsuario();
+  const codigo = await usuario.generarCodigoVerificacion();
+  const codigoIncorrecto = codigo === '123456' ? '654321' : '123456';
+
+  User.findOne = () => ({ select: async () => usuario });
+  const incorrecto = respuesta();
+  await verifyEmail({ body: { email: usuario.email, codigo: codigoIncorrecto } }, incorrecto);
+
+  User.findOne = () => ({ select: async () => null });
+  const inexistente = respuesta();
+  await verifyEmail({ body: { email: 'nadie@ejemplo.com', codigo: codigoIncorrecto } }, inexistente);
+
+  assert.equal(incorrecto.statusCode, 400);
+  assert.equal(inexistente.statusCode, 400);
+  assert.deepEqual(inexistente.cuerpo, incorrecto.cuerpo);
+  assert.equal(usuario.intentosVerificacion, 1);
+
+  User.findOne = () => ({ select: async () => usuario });
+  const correcto = respuesta();
+  await verifyEmail({ body: { email: usuario.email, codigo } }, correcto);
+
+  assert.equal(correcto.statusCode, 200);
+  assert.equal(usuario.verificado, true);
+});
+
+test('resendVerification responde lo mismo exista o no la cuenta y solo envía el código a las no verificadas', async () => {
+  const usuario = nuevoUsuario();
+  correos.length = 0;
+
+  User.findOne = async () => null;
+  const inexistente = respuesta();
+  await resendVerification({ body: { email: 'nadie@ejemplo.com' } }, inexistente);
+
+  User.findOne = async () => usuario;
+  const pendiente = respuesta();
+  await resendVerification({ body: { email: usuario.email } }, pendiente);
+
+  usuario.verificado = true;
+  const verificado = respuesta();
+  await resendVerification({ body: { email: usuario.email } }, verificado);
+
+  assert.equal(inexistente.statusCode, 200);
+  assert.deepEqual(pendiente.cuerpo, inexistente.cuerpo);
+  assert.deepEqual(verificado.cuerpo, inexistente.cuerpo);
+  assert.equal(correos.length, 1);
+  assert.equal(correos[0].to, usuario.email);
+});
+
+test('login rechaza cuentas sin email verificado cuando la política lo exige', async () => {
+  const usuario = nuevoUsuario();
+  usuario.comparePassword = async () => true;
+  const consulta = { select: () => consulta, populate: () => consulta, then: (resolver) => resolver(usuario) };
+  User.findOne = () => consulta;
+  process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+  const res = respuesta();
+  try {
+    await login({ body: { email: usuario.email, password: 'Secreta123!' } }, res);
+  } finally {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION;
+  }
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.cuerpo.code, 'EMAIL_NO_VERIFICADO');
+  assert.equal(res.cuerpo.token, undefined);
+});
+
+test('loginTwoFactor rechaza un código inválido, registra el intento fallido y no emite tokens', async () => {
+  let intentosFallidos = 0;
+  const usuario = {
+    _id: new mongoose.Types.ObjectId(),
+    tokenVersion: 0,
+    activo: true,
+    dosFactores: { activo: true, secreto: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' },
+    tiene2FAActivo: () => true,
+    estaBloqueada: () => false,
+    registrarIntentoFallido: async () => { intentosFallidos += 1; }
+  };
+  const consulta = { select: () => consulta, populate: () => consulta, then: (resolver) => resolver(usuario) };
+  User.findById = () => consulta;
+
+  const res = respuesta();
+  await loginTwoFactor({ body: { challengeToken: generarTokenDesafio2FA(usuario), codigo: '000000' } }, res);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(intentosFallidos, 1);
+  assert.equal(res.cuerpo.token, undefined);
+});
+
+test('loginTwoFactor rechaza un desafío emitido antes de invalidar las sesiones del usuario', async () => {
+  const usuario = { _id: new mongoose.Types.ObjectId(), tokenVersion: 0, tiene2FAActivo: () => true };
+  const desafio = generarTokenDesafio2FA(usuario);
+  usuario.tokenVersion = 1;
+  const consulta = { select: () => consulta, populate: () => consulta, then: (resolver) => resolver(usuario) };
+  User.findById = () => consulta;
+
+  const res = respuesta();
+  await loginTwoFactor({ body: { challengeToken: desafio, codigo: '123456' } }, res);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.cuerpo.token, undefined);
+});
+
+const localConMagicLink = (habilitado) => new Local({ nombre: 'Centro', activo: true, seguridad: { magicLink: { habilitado, roles: ['usuario'] } } });
+
+test('requestMagicLink responde lo mismo exista o no la cuenta y solo envía el enlace si la política lo permite', async () => {
+  const conPolitica = nuevoUsuario();
+  conPolitica.primaryLocal = localConMagicLink(true);
+  const sinPolitica = nuevoUsuario();
+  sinPolitica.primaryLocal = localConMagicLink(false);
+  const cuentas = { 'con@ejemplo.com': conPolitica, 'sin@ejemplo.com': sinPolitica };
+  User.findOne = ({ email }) => ({ populate: async () => cuentas[email] || null });
+  correos.length = 0;
+
+  const respuestas = [];
+  for (const email of ['con@ejemplo.com', 'sin@ejemplo.com', 'nadie@ejemplo.com']) {
+    const res = respuesta();
+    await requestMagicLink({ body: { email } }, res);
+    respuestas.push(res);
+  }
+
+  assert.deepEqual(respuestas.map(res => res.statusCode), [200, 200, 200]);
+  assert.equal(new Set(respuestas.map(res => res.cuerpo.message)).size, 1);
+  assert.equal(correos.length, 1);
+  assert.match(correos[0].html, /magic-link\/[a-f0-9]{64}/);
+  assert.ok(conPolitica.magicLinkToken);
+  assert.equal(sinPolitica.magicLinkToken, undefined);
+});
+
+test('consumeMagicLink rechaza el login si la política del local se deshabilitó', async () => {
+  const usuario = nuevoUsuario();
+  usuario.primaryLocal = localConMagicLink(false);
+  const consulta = { populate: () => consulta, then: (resolver) => resolver(usuario) };
+  User.consumirMagicLink = () => consulta;
+
+  const res = respuesta();
+  await consumeMagicLink({ body: { token: 'token' } }, res);
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.cuerpo.token, undefined);
+});
+
+test('consumeMagicLink exige cambiar la contraseña vencida antes de emitir la sesión', async () => {
+  const usuario = nuevoUsuario();
+  usuario.primaryLocal = localConMagicLink(true);
+  usuario.locales = [new mongoose.Types.ObjectId()];
+  usuario.passwordChangedAt = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+  const consulta = { populate: () => consulta, then: (resolver) => resolver(usuario) };
+  User.consumirMagicLink = () => consulta;
+  Local.find = () => ({ select: () => ({ lean: async () => [{ seguridad: { contrasena: { diasVigencia: 30 } } }] }) });
+  Session.create = async () => {
+    throw new Error('no se debe emitir la sesión');
+  };
+
+  const res = respuesta();
+  await consumeMagicLink({ body: { token: 'token' }, ip: '127.0.0.1', headers: {} }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.cuerpo.requiereCambioPassword, true);
+  assert.ok(res.cuerpo.cambioPasswordToken);
+  assert.equal(res.cuerpo.token, undefined);
+});
+
+test('resetPassword rechaza contraseñas que no cumplen la política del local', async () => {
+  const usuario = nuevoUsuario();
+  usuario.locales = [new mongoose.Types.ObjectId()];
+  usuario.createPasswordResetToken();
+  User.buscarPorTokenReseteo = () => ({ select: async () => usuario });
+  Local.find = () => ({ select: () => ({ lean: async () => [{ seguridad: { contrasena: { longitudMinima: 12 } } }] }) });
+
+  const res = respuesta();
+  await resetPassword({ params: { token: 'valido' }, body: { newPassword: 'Nueva123!' } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.cuerpo.code, 'POLITICA_CONTRASENA');
+  assert.equal(res.cuerpo.errors[0].path, 'newPassword');
+  assert.ok(usuario.passwordResetToken);
+});
+
+test('loginTwoFactor no emite tokens si la cuenta se desactivó después del primer paso', async () => {
+  const usuario = {
+    _id: new mongoose.Types.ObjectId(),
+    tokenVersion: 0,
+    activo: false,
+    tiene2FAActivo: () => true,
+    estaBloqueada: () => false
+  };
+  const consulta = { select: () => consulta, populate: () => consulta, then: (resolver) => resolver(usuario) };
+  User.findById = () => consulta;
+
+  const res = respuesta();
+  await loginTwoFactor({ body: { challengeToken: generarTokenDesafio2FA(usuario), codigo: '123456' } }, res);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.cuerpo.message, 'Usuario desactivado');
+  assert.equal(res.cuerpo.token, undefined);
+});
+
+test('changeExpiredPassword no cambia la contraseña si la cuenta se desactivó después del login', async () => {
+  const usuario = nuevoUsuario();
+  usuario.activo = false;
+  usuario.save = async () => {
+    throw new Error('no se debe cambiar la contraseña');
+  };
+  const consulta = { select: () => consulta, populate: () => consulta, then: (resolver) => resolver(usuario) };
+  User.findById = () => consulta;
+
+  const res = respuesta();
+  await changeExpiredPassword({
+    body: { cambioPasswordToken: generarTokenCambioPassword(usuario), newPassword: 'OtraSecreta456!' },
+    ip: '127.0.0.1',
+    headers: {}
+  }, res);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.cuerpo.message, 'Usuario desactivado');
+  assert.equal(res.cuerpo.token, undefined);
+});